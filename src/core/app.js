@@ -8,13 +8,21 @@ import { preferences } from './preferences.js';
 import { createPracticeView } from '../views/practice.js';
 import { createSettingsView } from '../views/settings.js';
 import { createLayoutEditorView } from '../views/layout-editor.js';
+import { createLessonsView } from '../views/lessons.js';
+import { createStatisticsView } from '../views/statistics.js';
+import { createCompareView } from '../views/compare.js';
+import { storage } from './storage.js';
+import { createSessionManager } from '../engine/session.js';
 import { createKeyboardRenderer } from '../keyboard/renderer.js';
 import { parseCombinedLayout } from '../keyboard/layout-parser.js';
-import { getAllLayouts } from '../keyboard/combined-layouts.js';
+import { getAllLayouts, getLayout } from '../keyboard/combined-layouts.js';
+import { createLessons, getLesson, getLessonWordList } from '../engine/lesson-system.js';
+import { getWordList } from '../engine/word-lists.js';
 
 let keyboardHandler = null;
 let commandMenu = null;
 let router = null;
+let sessionManager = null;
 
 export function initApp() {
   const app = document.getElementById('app');
@@ -23,13 +31,17 @@ export function initApp() {
     return;
   }
 
+  sessionManager = createSessionManager({ storage });
+
   // Set up command menu
   commandMenu = createCommandMenu({
     commands: [
       { id: 'practice', label: 'Start Practice', keywords: 'typing test', action: () => router?.navigate('/practice') },
       { id: 'lessons', label: 'Open Lessons', keywords: 'learn study', action: () => router?.navigate('/lessons') },
+      { id: 'race', label: 'Race Personal Best', keywords: 'ghost race best', action: () => router?.navigate('/race/best') },
       { id: 'stats', label: 'View Statistics', keywords: 'stats history', action: () => router?.navigate('/stats') },
       { id: 'layout', label: 'Layout Editor', keywords: 'keyboard customize', action: () => router?.navigate('/layout') },
+      { id: 'compare', label: 'Compare Layouts', keywords: 'keyboard analysis switch', action: () => router?.navigate('/compare') },
       { id: 'settings', label: 'Settings', keywords: 'preferences config', action: () => router?.navigate('/settings') },
     ],
   });
@@ -39,18 +51,40 @@ export function initApp() {
     '/': () => commandMenu.open(),
     '?': () => showHelp(),
     'p': () => router?.navigate('/practice'),
+    'l': () => router?.navigate('/lessons'),
     'e': () => router?.navigate('/layout'),
     's': () => router?.navigate('/settings'),
   });
 
   // Set up router
+  // The practice, lessons, stats and compare views listen on document, so tear them down on every route change
+  const withCleanup = (handler) => (params) => {
+    if (practiceView) {
+      practiceView.destroy();
+      practiceView = null;
+      // Practice turns the global shortcuts off until it is left
+      keyboardHandler?.activate();
+    }
+    lessonsView?.destroy();
+    lessonsView = null;
+    statsView?.destroy();
+    statsView = null;
+    compareView?.destroy();
+    compareView = null;
+    handler(params);
+  };
+
   router = createRouter({
-    '/': () => renderHomeView(app),
-    '/practice': () => renderPracticeView(app),
-    '/lessons': () => renderView(app, 'lessons', 'Lessons'),
-    '/stats': () => renderView(app, 'stats', 'Statistics'),
-    '/layout': () => renderLayoutEditorView(app),
-    '/settings': () => renderSettingsView(app),
+    '/': withCleanup(() => renderHomeView(app)),
+    '/practice': withCleanup(() => renderPracticeView(app)),
+    '/lessons': withCleanup(() => renderLessonsView(app)),
+    '/lessons/:id': withCleanup((params) => renderLessonPracticeView(app, params.id)),
+    '/stats': withCleanup(() => renderStatsView(app)),
+    '/replay/:id': withCleanup((params) => renderReplayView(app, params.id)),
+    '/race/:id': withCleanup((params) => renderRaceView(app, params.id)),
+    '/layout': withCleanup(() => renderLayoutEditorView(app)),
+    '/compare': withCleanup(() => renderCompareView(app)),
+    '/settings': withCleanup(() => renderSettingsView(app)),
   });
 }
 
@@ -85,6 +119,7 @@ function renderHomeView(container) {
     <nav class="home-nav">
       <div class="shortcuts">
         <span><kbd>p</kbd> Practice</span>
+        <span><kbd>l</kbd> Lessons</span>
         <span><kbd>e</kbd> Editor</span>
         <span><kbd>s</kbd> Settings</span>
       </div>
@@ -111,6 +146,9 @@ function renderHomeView(container) {
 let practiceView = null;
 let settingsView = null;
 let layoutEditorView = null;
+let lessonsView = null;
+let statsView = null;
+let compareView = null;
 
 /**
  * Render the practice view
@@ -122,40 +160,149 @@ function renderPracticeView(container) {
   
   practiceView = createPracticeView(container, {
     wordCount: 20,
+    mode: preferences.getPracticeMode(),
+    timeLimit: preferences.getTimeLimit(),
+    sessionManager,
+    onReplay: showReplay,
     onExit: () => {
       keyboardHandler?.activate();
       router?.navigate('/');
     },
-    onComplete: (stats) => {
-      console.log('Practice complete:', stats);
+  });
+}
+
+/**
+ * Render the lessons view
+ * @param {HTMLElement} container
+ */
+function renderLessonsView(container) {
+  lessonsView = createLessonsView(container, {
+    onStart: (lesson) => {
+      router?.navigate(`/lessons/${lesson.id}`);
+    },
+    onBack: () => {
+      router?.navigate('/');
     },
   });
 }
 
 /**
- * Render a placeholder view
+ * Render the practice view for a single lesson
  * @param {HTMLElement} container
- * @param {string} viewName
- * @param {string} title
+ * @param {string} lessonId
  */
-function renderView(container, viewName, title) {
-  container.innerHTML = '';
-  
-  const view = document.createElement('main');
-  view.setAttribute('data-view', viewName);
-  view.className = `${viewName}-view`;
-  
-  view.innerHTML = `
-    <header class="view-header">
-      <h1>${title}</h1>
-    </header>
-    <div class="view-content">
-      <p>Coming soon...</p>
-      <p class="hint">Press <kbd>/</kbd> to navigate</p>
-    </div>
-  `;
-  
-  container.appendChild(view);
+function renderLessonPracticeView(container, lessonId) {
+  const layout = getLayout(preferences.getLayout()) || getLayout('corne-colemak-dh');
+  const { physical, mapping } = parseCombinedLayout(layout.definition);
+  const lesson = getLesson(createLessons(physical, mapping), lessonId);
+
+  if (!lesson) {
+    router?.navigate('/lessons');
+    return;
+  }
+
+  keyboardHandler?.deactivate();
+
+  practiceView = createPracticeView(container, {
+    wordCount: 20,
+    allowedKeys: lesson.allowedKeys,
+    wordList: getLessonWordList(lesson, getWordList(preferences.getWordLanguage())),
+    lessonId: lesson.id,
+    title: `Lesson ${lesson.number}: ${lesson.name}`,
+    sessionManager,
+    onReplay: showReplay,
+    onExit: () => {
+      keyboardHandler?.activate();
+      router?.navigate('/lessons');
+    },
+  });
+}
+
+/**
+ * Open the replay of a finished session
+ * @param {Object} session
+ */
+function showReplay(session) {
+  router?.navigate(`/replay/${session.id}`);
+}
+
+/**
+ * Render the replay of a saved session
+ * @param {HTMLElement} container
+ * @param {string} sessionId
+ */
+function renderReplayView(container, sessionId) {
+  const session = sessionManager.getSession(sessionId);
+
+  if (!session?.keystrokes?.length) {
+    router?.navigate('/stats');
+    return;
+  }
+
+  keyboardHandler?.deactivate();
+
+  practiceView = createPracticeView(container, {
+    replay: session,
+    onExit: () => {
+      keyboardHandler?.activate();
+      router?.navigate('/stats');
+    },
+  });
+}
+
+/**
+ * Render a race against a saved session
+ * "best" races the fastest saved run on the current layout.
+ * @param {HTMLElement} container
+ * @param {string} sessionId - Session id, or "best"
+ */
+function renderRaceView(container, sessionId) {
+  const ghost = sessionId === 'best'
+    ? sessionManager.getPersonalBest({ layoutUsed: preferences.getLayout() })
+    : sessionManager.getSession(sessionId);
+
+  if (!ghost?.keystrokes?.length) {
+    router?.navigate('/stats');
+    return;
+  }
+
+  keyboardHandler?.deactivate();
+
+  practiceView = createPracticeView(container, {
+    ghost,
+    sessionManager,
+    onReplay: showReplay,
+    onExit: () => {
+      keyboardHandler?.activate();
+      router?.navigate('/stats');
+    },
+  });
+}
+
+/**
+ * Render the statistics view
+ * @param {HTMLElement} container
+ */
+function renderStatsView(container) {
+  statsView = createStatisticsView(container, {
+    sessionManager,
+    onBack: () => {
+      router?.navigate('/');
+    },
+  });
+}
+
+/**
+ * Render the layout comparison view
+ * @param {HTMLElement} container
+ */
+function renderCompareView(container) {
+  compareView = createCompareView(container, {
+    sessionManager,
+    onBack: () => {
+      router?.navigate('/');
+    },
+  });
 }
 
 /**
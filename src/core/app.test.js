@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { initApp } from './app.js';
 
 describe('App Initialization', () => {
@@ -28,4 +28,28 @@ describe('App Initialization', () => {
     const homeView = document.querySelector('[data-view="home"]');
     expect(homeView).not.toBeNull();
   });
+
+  it('should tear down the practice view when the route changes', () => {
+    /**
+     * Go to a route as a hash change would
+     * @param {string} path
+     */
+    const goTo = (path) => {
+      window.history.replaceState(null, '', `#${path}`);
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+    };
+    const add = vi.spyOn(document, 'addEventListener');
+    const remove = vi.spyOn(document, 'removeEventListener');
+    initApp();
+
+    goTo('/practice');
+    expect(document.querySelector('[data-view="practice"]')).not.toBeNull();
+    const [, handleKeyDown] = add.mock.calls.filter(([type]) => type === 'keydown').at(-1);
+
+    goTo('/');
+    expect(remove).toHaveBeenCalledWith('keydown', handleKeyDown);
+    add.mockRestore();
+    remove.mockRestore();
+    window.history.replaceState(null, '', '#/');
+  });
 });
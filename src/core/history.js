@@ -0,0 +1,147 @@
+/**
+ * Edit history
+ * Undo and redo over snapshots of a value, built on a store
+ */
+
+import { createStore } from './state.js';
+
+// Undo steps kept by default
+const DEFAULT_LIMIT = 100;
+
+// Records in one group this close together (ms) are one undo step
+const DEFAULT_MERGE_WINDOW = 1000;
+
+/**
+ * Create an undo/redo history
+ * Each record is a step; records in the same group (typing, say) made within
+ * the merge window of each other are merged into one step.
+ * @param {*} initial - Starting value
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=100] - Most undo steps kept
+ * @param {number} [options.mergeWindow=1000] - Milliseconds within which a group merges
+ * @returns {Object} History with record, undo, redo, reset, canUndo, canRedo, getCurrent, subscribe
+ */
+export function createHistory(initial, options = {}) {
+  const { limit = DEFAULT_LIMIT, mergeWindow = DEFAULT_MERGE_WINDOW } = options;
+
+  // `version` changes last on every edit, so subscribers hear once per step
+  const store = createStore({ past: [], current: initial, future: [], version: 0 });
+  let lastGroup = null;
+  let lastTime = 0;
+
+  /**
+   * Move to a new state and tell subscribers
+   * @param {Object} updates - { past, current, future }
+   */
+  function commit(updates) {
+    store.update({ ...updates, version: store.get('version') + 1 });
+  }
+
+  /**
+   * Record a new value
+   * @param {*} value
+   * @param {string|null} [group=null] - Records of one group merge within the merge window
+   */
+  function record(value, group = null) {
+    const current = store.get('current');
+    if (value === current) return;
+
+    const now = Date.now();
+    const merge = group !== null && group === lastGroup && now - lastTime <= mergeWindow;
+    lastGroup = group;
+    lastTime = now;
+
+    commit({
+      past: merge ? store.get('past') : [...store.get('past'), current].slice(-limit),
+      current: value,
+      future: [],
+    });
+  }
+
+  /**
+   * Go back one step
+   * @returns {*} The value now current, or undefined if there was nothing to undo
+   */
+  function undo() {
+    const past = store.get('past');
+    if (past.length === 0) return undefined;
+
+    lastGroup = null;
+    commit({
+      past: past.slice(0, -1),
+      current: past[past.length - 1],
+      future: [store.get('current'), ...store.get('future')],
+    });
+    return store.get('current');
+  }
+
+  /**
+   * Go forward one undone step
+   * @returns {*} The value now current, or undefined if there was nothing to redo
+   */
+  function redo() {
+    const [next, ...future] = store.get('future');
+    if (next === undefined) return undefined;
+
+    lastGroup = null;
+    commit({
+      past: [...store.get('past'), store.get('current')].slice(-limit),
+      current: next,
+      future,
+    });
+    return next;
+  }
+
+  /**
+   * Start over from a value, forgetting every step
+   * @param {*} value
+   */
+  function reset(value) {
+    lastGroup = null;
+    commit({ past: [], current: value, future: [] });
+  }
+
+  /**
+   * Check if there is a step to undo
+   * @returns {boolean}
+   */
+  function canUndo() {
+    return store.get('past').length > 0;
+  }
+
+  /**
+   * Check if there is an undone step to redo
+   * @returns {boolean}
+   */
+  function canRedo() {
+    return store.get('future').length > 0;
+  }
+
+  /**
+   * Get the current value
+   * @returns {*}
+   */
+  function getCurrent() {
+    return store.get('current');
+  }
+
+  /**
+   * Subscribe to every change: records, undo, redo and reset
+   * @param {Function} callback - Called with the current value
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribe(callback) {
+    return store.subscribe('version', () => callback(store.get('current')));
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    reset,
+    canUndo,
+    canRedo,
+    getCurrent,
+    subscribe,
+  };
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createHistory } from './history.js';
+
+describe('Edit History', () => {
+  let history;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    history = createHistory('a');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should start with the initial value and nothing to undo', () => {
+    expect(history.getCurrent()).toBe('a');
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('should undo and redo recorded values', () => {
+    history.record('b');
+    history.record('c');
+
+    expect(history.undo()).toBe('b');
+    expect(history.undo()).toBe('a');
+    expect(history.undo()).toBeUndefined();
+    expect(history.redo()).toBe('b');
+    expect(history.redo()).toBe('c');
+    expect(history.redo()).toBeUndefined();
+  });
+
+  it('should drop undone steps when a new value is recorded', () => {
+    history.record('b');
+    history.undo();
+    history.record('x');
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toBe('a');
+  });
+
+  it('should ignore records of the current value', () => {
+    history.record('a');
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should merge records of one group within the merge window', () => {
+    history.record('ab', 'typing');
+    vi.advanceTimersByTime(500);
+    history.record('abc', 'typing');
+    vi.advanceTimersByTime(1500);
+    history.record('abcd', 'typing');
+
+    expect(history.undo()).toBe('abc');
+    expect(history.undo()).toBe('a');
+  });
+
+  it('should not merge records of different groups', () => {
+    history.record('ab', 'typing');
+    history.record('ba', 'swap');
+    expect(history.undo()).toBe('ab');
+  });
+
+  it('should keep at most the step limit', () => {
+    history = createHistory(0, { limit: 2 });
+    [1, 2, 3].forEach(value => history.record(value));
+
+    expect(history.undo()).toBe(2);
+    expect(history.undo()).toBe(1);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should forget every step on reset', () => {
+    history.record('b');
+    history.reset('z');
+
+    expect(history.getCurrent()).toBe('z');
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should notify subscribers once per change', () => {
+    const callback = vi.fn();
+    const unsubscribe = history.subscribe(callback);
+
+    history.record('b');
+    history.undo();
+    history.redo();
+    expect(callback.mock.calls).toEqual([['b'], ['a'], ['b']]);
+
+    unsubscribe();
+    history.record('c');
+    expect(callback).toHaveBeenCalledTimes(3);
+  });
+});
@@ -16,6 +16,15 @@ const DEFAULTS = {
   showFingers: true,
   showHints: true,
   soundEnabled: false,
+  practiceMode: 'words',
+  timeLimit: 30,
+  errorMode: 'free',
+  adaptivePractice: true,
+  customText: '',
+  customPassage: 0,
+  codeLanguage: 'javascript',
+  indentation: 'skip',
+  wordLanguage: 'english',
 };
 
 /**
@@ -138,6 +147,170 @@ export const preferences = {
     save(prefs);
   },
 
+  /**
+   * Get the practice test mode
+   * @returns {string} 'words', 'timed', 'quote', 'custom' or 'code'
+   */
+  getPracticeMode() {
+    return getStored().practiceMode;
+  },
+
+  /**
+   * Set the practice test mode
+   * @param {string} mode - 'words', 'timed', 'quote', 'custom' or 'code'
+   */
+  setPracticeMode(mode) {
+    const prefs = getStored();
+    prefs.practiceMode = mode;
+    save(prefs);
+  },
+
+  /**
+   * Get the timed test length
+   * @returns {number} Seconds
+   */
+  getTimeLimit() {
+    return getStored().timeLimit;
+  },
+
+  /**
+   * Set the timed test length
+   * @param {number} seconds
+   */
+  setTimeLimit(seconds) {
+    const prefs = getStored();
+    prefs.timeLimit = seconds;
+    save(prefs);
+  },
+
+  /**
+   * Get how the typing engine handles wrong keys
+   * @returns {string} 'free', 'stop' or 'word'
+   */
+  getErrorMode() {
+    return getStored().errorMode;
+  },
+
+  /**
+   * Set how the typing engine handles wrong keys
+   * @param {string} mode - 'free', 'stop' or 'word'
+   */
+  setErrorMode(mode) {
+    const prefs = getStored();
+    prefs.errorMode = mode;
+    save(prefs);
+  },
+
+  /**
+   * Get whether practice words focus on the user's weak keys
+   * @returns {boolean}
+   */
+  getAdaptivePractice() {
+    return getStored().adaptivePractice;
+  },
+
+  /**
+   * Set whether practice words focus on the user's weak keys
+   * @param {boolean} adaptive
+   */
+  setAdaptivePractice(adaptive) {
+    const prefs = getStored();
+    prefs.adaptivePractice = adaptive;
+    save(prefs);
+  },
+
+  /**
+   * Get the user's own practice text
+   * @returns {string}
+   */
+  getCustomText() {
+    return getStored().customText;
+  },
+
+  /**
+   * Set the user's own practice text
+   * Practice starts again from its first passage.
+   * @param {string} text
+   */
+  setCustomText(text) {
+    const prefs = getStored();
+    prefs.customText = text;
+    prefs.customPassage = 0;
+    save(prefs);
+  },
+
+  /**
+   * Get the passage of the custom text to practise next
+   * @returns {number}
+   */
+  getCustomPassage() {
+    return getStored().customPassage;
+  },
+
+  /**
+   * Set the passage of the custom text to practise next
+   * @param {number} index
+   */
+  setCustomPassage(index) {
+    const prefs = getStored();
+    prefs.customPassage = index;
+    save(prefs);
+  },
+
+  /**
+   * Get the language of code practice snippets
+   * @returns {string} One of CODE_LANGUAGES
+   */
+  getCodeLanguage() {
+    return getStored().codeLanguage;
+  },
+
+  /**
+   * Set the language of code practice snippets
+   * @param {string} language - One of CODE_LANGUAGES
+   */
+  setCodeLanguage(language) {
+    const prefs = getStored();
+    prefs.codeLanguage = language;
+    save(prefs);
+  },
+
+  /**
+   * Get how leading indentation is handled
+   * @returns {string} 'type' or 'skip'
+   */
+  getIndentation() {
+    return getStored().indentation;
+  },
+
+  /**
+   * Set how leading indentation is handled
+   * @param {string} mode - 'type' or 'skip'
+   */
+  setIndentation(mode) {
+    const prefs = getStored();
+    prefs.indentation = mode;
+    save(prefs);
+  },
+
+  /**
+   * Get the language of practice words
+   * @returns {string} One of WORD_LANGUAGES
+   */
+  getWordLanguage() {
+    return getStored().wordLanguage;
+  },
+
+  /**
+   * Set the language of practice words
+   * @param {string} language - One of WORD_LANGUAGES
+   */
+  setWordLanguage(language) {
+    const prefs = getStored();
+    prefs.wordLanguage = language;
+    save(prefs);
+  },
+
   /**
    * Get all preferences
    * @returns {Object}
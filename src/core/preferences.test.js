@@ -70,6 +70,82 @@ describe('Preferences', () => {
     });
   });
 
+  describe('practice mode', () => {
+    it('should default to a word-count test', () => {
+      expect(preferences.getPracticeMode()).toBe('words');
+      expect(preferences.getTimeLimit()).toBe(30);
+    });
+
+    it('should return stored values', () => {
+      preferences.setPracticeMode('timed');
+      preferences.setTimeLimit(60);
+      expect(preferences.getPracticeMode()).toBe('timed');
+      expect(preferences.getTimeLimit()).toBe(60);
+    });
+  });
+
+  describe('error mode', () => {
+    it('should default to free', () => {
+      expect(preferences.getErrorMode()).toBe('free');
+    });
+
+    it('should return stored value', () => {
+      preferences.setErrorMode('stop');
+      expect(preferences.getErrorMode()).toBe('stop');
+    });
+  });
+
+  describe('adaptive practice', () => {
+    it('should default to on', () => {
+      expect(preferences.getAdaptivePractice()).toBe(true);
+    });
+
+    it('should return stored value', () => {
+      preferences.setAdaptivePractice(false);
+      expect(preferences.getAdaptivePractice()).toBe(false);
+    });
+  });
+
+  describe('custom text', () => {
+    it('should default to no text', () => {
+      expect(preferences.getCustomText()).toBe('');
+      expect(preferences.getCustomPassage()).toBe(0);
+    });
+
+    it('should start new text from the first passage', () => {
+      preferences.setCustomPassage(3);
+      expect(preferences.getCustomPassage()).toBe(3);
+      preferences.setCustomText('Some text.');
+      expect(preferences.getCustomText()).toBe('Some text.');
+      expect(preferences.getCustomPassage()).toBe(0);
+    });
+  });
+
+  describe('code practice', () => {
+    it('should default to JavaScript with indentation skipped', () => {
+      expect(preferences.getCodeLanguage()).toBe('javascript');
+      expect(preferences.getIndentation()).toBe('skip');
+    });
+
+    it('should return stored values', () => {
+      preferences.setCodeLanguage('rust');
+      preferences.setIndentation('type');
+      expect(preferences.getCodeLanguage()).toBe('rust');
+      expect(preferences.getIndentation()).toBe('type');
+    });
+  });
+
+  describe('word language', () => {
+    it('should default to English', () => {
+      expect(preferences.getWordLanguage()).toBe('english');
+    });
+
+    it('should return the stored language', () => {
+      preferences.setWordLanguage('german');
+      expect(preferences.getWordLanguage()).toBe('german');
+    });
+  });
+
   describe('getAll', () => {
     it('should return all preferences with defaults', () => {
       const prefs = preferences.getAll();
@@ -81,6 +157,15 @@ describe('Preferences', () => {
         showFingers: true,
         showHints: true,
         soundEnabled: false,
+        practiceMode: 'words',
+        timeLimit: 30,
+        errorMode: 'free',
+        adaptivePractice: true,
+        customText: '',
+        customPassage: 0,
+        codeLanguage: 'javascript',
+        indentation: 'skip',
+        wordLanguage: 'english',
       });
     });
 
@@ -0,0 +1,148 @@
+/**
+ * Code Snippets
+ * Short programs for practising symbols, brackets and indentation
+ */
+
+/** Languages with bundled snippets */
+export const CODE_LANGUAGES = ['javascript', 'python', 'rust', 'shell'];
+
+/** Display names of the snippet languages */
+export const LANGUAGE_NAMES = {
+  javascript: 'JavaScript',
+  python: 'Python',
+  rust: 'Rust',
+  shell: 'Shell',
+};
+
+/**
+ * Bundled snippets by language
+ * JavaScript is indented with 2 spaces, Python and Rust with 4, shell with tabs.
+ */
+export const CODE_SNIPPETS = {
+  javascript: [
+    {
+      name: 'debounce',
+      code: `function debounce(fn, wait = 100) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}`,
+    },
+    {
+      name: 'group by',
+      code: `const groupBy = (items, key) =>
+  items.reduce((groups, item) => {
+    (groups[item[key]] ||= []).push(item);
+    return groups;
+  }, {});`,
+    },
+    {
+      name: 'fetch json',
+      code: `async function getJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(\`Request failed: \${response.status}\`);
+  }
+  return response.json();
+}`,
+    },
+  ],
+  python: [
+    {
+      name: 'word count',
+      code: `def word_count(text: str) -> dict[str, int]:
+    counts = {}
+    for word in text.lower().split():
+        counts[word] = counts.get(word, 0) + 1
+    return counts`,
+    },
+    {
+      name: 'dataclass',
+      code: `@dataclass
+class Point:
+    x: float = 0.0
+    y: float = 0.0
+
+    def __add__(self, other: "Point") -> "Point":
+        return Point(self.x + other.x, self.y + other.y)`,
+    },
+    {
+      name: 'read config',
+      code: `with open(path, "r", encoding="utf-8") as f:
+    config = json.load(f)
+if not config.get("enabled", False):
+    raise SystemExit(f"{path}: disabled")`,
+    },
+  ],
+  rust: [
+    {
+      name: 'largest',
+      code: `fn largest<T: PartialOrd>(items: &[T]) -> Option<&T> {
+    let mut best = items.first()?;
+    for item in items {
+        if item > best {
+            best = item;
+        }
+    }
+    Some(best)
+}`,
+    },
+    {
+      name: 'enum match',
+      code: `enum Shape {
+    Circle { r: f64 },
+    Rect(f64, f64),
+}
+
+fn area(shape: &Shape) -> f64 {
+    match shape {
+        Shape::Circle { r } => 3.14 * r * r,
+        Shape::Rect(w, h) => w * h,
+    }
+}`,
+    },
+    {
+      name: 'read lines',
+      code: `let lines: Vec<String> = std::fs::read_to_string("input.txt")?
+    .lines()
+    .map(|l| l.trim().to_owned())
+    .collect();`,
+    },
+  ],
+  shell: [
+    {
+      name: 'backup loop',
+      code: `for f in *.log; do
+	if [ -s "$f" ]; then
+		gzip -9 "$f" && mv "$f.gz" ~/backup/
+	fi
+done`,
+    },
+    {
+      name: 'pipeline',
+      code: `grep -rn 'TODO' src/ | cut -d: -f1 | sort | uniq -c | sort -rn > todo.txt`,
+    },
+    {
+      name: 'function',
+      code: `usage() {
+	echo "usage: $0 [-v] <file>" >&2
+	exit 1
+}
+[[ $# -lt 1 ]] && usage`,
+    },
+  ],
+};
+
+/**
+ * Get a bundled snippet
+ * The same seed always picks the same snippet.
+ * @param {string} language - One of CODE_LANGUAGES
+ * @param {number} seed - Non-negative integer
+ * @returns {Object} { name, code }
+ */
+export function getSnippet(language, seed) {
+  const snippets = CODE_SNIPPETS[language] || CODE_SNIPPETS.javascript;
+  return snippets[Math.abs(Math.floor(seed)) % snippets.length];
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { CODE_LANGUAGES, CODE_SNIPPETS, LANGUAGE_NAMES, getSnippet } from './code-snippets.js';
+import { findKeyForChar } from '../keyboard/key-lookup.js';
+import { parseCombinedLayout } from '../keyboard/layout-parser.js';
+import { getLayout } from '../keyboard/combined-layouts.js';
+
+describe('Code Snippets', () => {
+  it('should bundle snippets for every language', () => {
+    for (const language of CODE_LANGUAGES) {
+      expect(LANGUAGE_NAMES[language]).toBeDefined();
+      expect(CODE_SNIPPETS[language].length).toBeGreaterThan(0);
+    }
+  });
+
+  it('should keep indentation and have no trailing whitespace', () => {
+    const all = Object.values(CODE_SNIPPETS).flat().map(s => s.code);
+    expect(all.some(code => /\n {2,}\S/.test(code))).toBe(true);
+    expect(all.some(code => /\n\t\S/.test(code))).toBe(true);
+    expect(all.every(code => !/[ \t]$/m.test(code))).toBe(true);
+  });
+
+  it('should pick the same snippet for the same seed', () => {
+    expect(getSnippet('rust', 1)).toBe(CODE_SNIPPETS.rust[1]);
+    expect(getSnippet('rust', CODE_SNIPPETS.rust.length + 1)).toBe(CODE_SNIPPETS.rust[1]);
+    expect(getSnippet('cobol', 0)).toBe(CODE_SNIPPETS.javascript[0]);
+  });
+
+  it('should only use characters the default layout can type', () => {
+    const { physical, mapping } = parseCombinedLayout(getLayout('corne-colemak-dh').definition);
+    const chars = new Set(Object.values(CODE_SNIPPETS).flat().map(s => s.code).join(''));
+    const missing = [...chars].filter(char => !findKeyForChar(mapping, char, physical));
+    expect(missing).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Finger Statistics
+ * Per-finger and per-hand breakdowns of saved key and bigram stats
+ */
+
+import { findKeyForChar } from '../keyboard/key-lookup.js';
+import { FINGER_NAMES } from '../keyboard/finger-map.js';
+
+/**
+ * Get the hand a finger belongs to
+ * @param {number|null} finger - Finger number (0-9)
+ * @returns {string|null} 'left', 'right' or null
+ */
+export function getFingerHand(finger) {
+  if (finger === null || finger === undefined || finger < 0 || finger > 9) {
+    return null;
+  }
+  return finger <= 4 ? 'left' : 'right';
+}
+
+/**
+ * Get the finger that types a character on a layout
+ * Only the key itself counts; shift and layer keys held with it do not.
+ * @param {string} char
+ * @param {Object} physical - Parsed physical layout
+ * @param {Object} mapping - Parsed key mapping with fingers
+ * @returns {number|null}
+ */
+export function getCharFinger(char, physical, mapping) {
+  const target = findKeyForChar(mapping, char, physical);
+  if (!target) return null;
+  const finger = mapping.fingers?.[target.index];
+  return finger === undefined ? null : finger;
+}
+
+/**
+ * Create an empty load/error/latency total
+ * @returns {Object}
+ */
+function createTotals() {
+  return { total: 0, errors: 0, timeSum: 0, timed: 0 };
+}
+
+/**
+ * Add one key's saved stats to a total
+ * @param {Object} totals
+ * @param {Object} stats - { total, errors, avgTime }
+ */
+function addKeyStats(totals, stats) {
+  totals.total += stats.total || 0;
+  totals.errors += stats.errors || 0;
+  if (stats.avgTime > 0) {
+    totals.timeSum += stats.avgTime * stats.total;
+    totals.timed += stats.total;
+  }
+}
+
+/**
+ * Turn a total into shares and rates
+ * @param {Object} totals
+ * @param {number} grandTotal - Keystrokes across every finger
+ * @returns {Object} { total, errors, share, errorRate, avgTime }
+ */
+function summarize(totals, grandTotal) {
+  return {
+    total: totals.total,
+    errors: totals.errors,
+    share: grandTotal > 0 ? totals.total / grandTotal : 0,
+    errorRate: totals.total > 0 ? totals.errors / totals.total : 0,
+    avgTime: totals.timed > 0 ? Math.round(totals.timeSum / totals.timed) : 0,
+  };
+}
+
+/**
+ * Break saved per-key stats down by finger and hand
+ * Keys the layout has no finger for are left out of every share.
+ * Hand alternation comes from bigram stats: each pair typed either
+ * switches hands, stays on the same hand, or repeats the same finger
+ * (a same-finger bigram, which also counts as same-hand).
+ * @param {Object} keyStats - Key -> { total, errors, avgTime } (aggregateKeyStats)
+ * @param {Object} bigramStats - Pair -> { total } (aggregateNgramStats)
+ * @param {Object} physical - Parsed physical layout
+ * @param {Object} mapping - Parsed key mapping with fingers
+ * @returns {Object} { fingers: [10 x { finger, name, hand, ... }], hands: { left, right }, alternation, sameHand, sameFinger }
+ */
+export function calculateFingerStats(keyStats, bigramStats, physical, mapping) {
+  const fingerTotals = FINGER_NAMES.map(() => createTotals());
+  const handTotals = { left: createTotals(), right: createTotals() };
+  const fingerCache = new Map();
+
+  const fingerFor = (char) => {
+    if (!fingerCache.has(char)) {
+      fingerCache.set(char, getCharFinger(char, physical, mapping));
+    }
+    return fingerCache.get(char);
+  };
+
+  for (const [char, stats] of Object.entries(keyStats || {})) {
+    const finger = fingerFor(char);
+    const hand = getFingerHand(finger);
+    if (!hand) continue;
+    addKeyStats(fingerTotals[finger], stats);
+    addKeyStats(handTotals[hand], stats);
+  }
+
+  let pairs = 0;
+  let alternating = 0;
+  let sameFinger = 0;
+  for (const [bigram, stats] of Object.entries(bigramStats || {})) {
+    const [first, second] = [...bigram];
+    const fingers = [fingerFor(first), fingerFor(second)];
+    const hands = fingers.map(getFingerHand);
+    if (!hands[0] || !hands[1]) continue;
+
+    const count = stats.total || 0;
+    pairs += count;
+    if (hands[0] !== hands[1]) alternating += count;
+    else if (fingers[0] === fingers[1]) sameFinger += count;
+  }
+
+  const grandTotal = handTotals.left.total + handTotals.right.total;
+
+  return {
+    fingers: fingerTotals.map((totals, finger) => ({
+      finger,
+      name: FINGER_NAMES[finger],
+      hand: getFingerHand(finger),
+      ...summarize(totals, grandTotal),
+    })),
+    hands: {
+      left: summarize(handTotals.left, grandTotal),
+      right: summarize(handTotals.right, grandTotal),
+    },
+    alternation: pairs > 0 ? alternating / pairs : 0,
+    sameHand: pairs > 0 ? (pairs - alternating) / pairs : 0,
+    sameFinger: pairs > 0 ? sameFinger / pairs : 0,
+  };
+}
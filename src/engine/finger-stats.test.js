@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { getFingerHand, getCharFinger, calculateFingerStats } from './finger-stats.js';
+import { parseCombinedLayout } from '../keyboard/layout-parser.js';
+
+const LAYOUT = `
+[layout:fingers]
+rows: 1
+columns: 3,3
+thumb: 1,1
+split: true
+
+row0: a s d | j k l
+thumb: spc | ent
+
+fingers:
+row0: 1 2 2 | 7 7 8
+thumb: 4 | 5
+`;
+
+describe('Finger Stats', () => {
+  const { physical, mapping } = parseCombinedLayout(LAYOUT);
+
+  describe('getFingerHand', () => {
+    it('should split fingers 0-4 and 5-9 into hands', () => {
+      expect(getFingerHand(0)).toBe('left');
+      expect(getFingerHand(4)).toBe('left');
+      expect(getFingerHand(5)).toBe('right');
+      expect(getFingerHand(9)).toBe('right');
+      expect(getFingerHand(null)).toBeNull();
+    });
+  });
+
+  describe('getCharFinger', () => {
+    it('should find the finger of the key that types a character', () => {
+      expect(getCharFinger('s', physical, mapping)).toBe(2);
+      expect(getCharFinger('L', physical, mapping)).toBe(8);
+      expect(getCharFinger(' ', physical, mapping)).toBe(4);
+      expect(getCharFinger('z', physical, mapping)).toBeNull();
+    });
+  });
+
+  describe('calculateFingerStats', () => {
+    const keyStats = {
+      a: { total: 10, errors: 2, avgTime: 100 },
+      s: { total: 10, errors: 0, avgTime: 200 },
+      d: { total: 10, errors: 1, avgTime: 300 },
+      k: { total: 20, errors: 0, avgTime: 150 },
+      z: { total: 50, errors: 50, avgTime: 900 },
+    };
+    const bigramStats = {
+      ak: { total: 6 },
+      sd: { total: 2 },
+      as: { total: 2 },
+    };
+    const result = calculateFingerStats(keyStats, bigramStats, physical, mapping);
+
+    it('should total load, errors and latency per finger', () => {
+      expect(result.fingers).toHaveLength(10);
+      expect(result.fingers[2]).toMatchObject({
+        name: 'left middle',
+        hand: 'left',
+        total: 20,
+        errors: 1,
+        share: 0.4,
+        errorRate: 0.05,
+        avgTime: 250,
+      });
+      expect(result.fingers[0].total).toBe(0);
+    });
+
+    it('should total each hand, leaving out keys without a finger', () => {
+      expect(result.hands.left).toMatchObject({ total: 30, share: 0.6, errors: 3, avgTime: 200 });
+      expect(result.hands.right).toMatchObject({ total: 20, share: 0.4, errorRate: 0 });
+    });
+
+    it('should rate hand alternation, same-hand and same-finger pairs', () => {
+      expect(result.alternation).toBe(0.6);
+      expect(result.sameHand).toBe(0.4);
+      expect(result.sameFinger).toBe(0.2);
+    });
+
+    it('should handle empty stats', () => {
+      const empty = calculateFingerStats({}, {}, physical, mapping);
+      expect(empty.hands.left.share).toBe(0);
+      expect(empty.alternation).toBe(0);
+    });
+  });
+});
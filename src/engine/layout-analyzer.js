@@ -0,0 +1,288 @@
+/**
+ * Layout Analyzer
+ * Measures how comfortable a layout is to type a corpus on: same-finger
+ * bigrams, stretches, scissors, rolls, alternation, row jumps and finger load
+ */
+
+import { findKeyForChar } from '../keyboard/key-lookup.js';
+import { FINGER_NAMES } from '../keyboard/finger-map.js';
+import { getFingerHand } from './finger-stats.js';
+import { getHomeRow } from './lesson-system.js';
+
+/**
+ * Analysis results in display order
+ * `better` says which way a layout improves: 'lower', 'higher' or null when neither.
+ */
+export const ANALYSIS_METRICS = [
+  { id: 'same-finger', key: 'sameFinger', label: 'Same-finger bigrams', better: 'lower' },
+  { id: 'lateral-stretch', key: 'lateralStretch', label: 'Lateral stretches', better: 'lower' },
+  { id: 'scissor', key: 'scissor', label: 'Scissors', better: 'lower' },
+  { id: 'inward-roll', key: 'inwardRoll', label: 'Inward rolls', better: 'higher' },
+  { id: 'outward-roll', key: 'outwardRoll', label: 'Outward rolls', better: null },
+  { id: 'alternation', key: 'alternation', label: 'Hand alternation', better: 'higher' },
+  { id: 'row-jump', key: 'rowJump', label: 'Row jumps', better: 'lower' },
+];
+
+// Relative effort of a press by each finger, pinky to pinky
+const FINGER_EFFORT = [1.6, 1.3, 1.1, 1, 1, 1, 1, 1.1, 1.3, 1.6];
+
+// Extra effort per row and per column away from the finger's home key
+const ROW_EFFORT = 0.5;
+const COLUMN_EFFORT = 0.4;
+
+// Index and middle finger of each hand, whose stretches are lateral
+const STRETCH_PAIRS = [[2, 3], [6, 7]];
+
+// A lateral stretch spans at least this many columns
+const STRETCH_COLUMNS = 2;
+
+// Middle fingers, used to tell a finger's home key from its stretch column
+const MIDDLE_FINGERS = { left: 2, right: 7 };
+
+/**
+ * Count the characters and letter pairs of a frequency-ordered word list
+ * Words are weighted by Zipf's law (1 / rank), so common words count most.
+ * Capitals count as their lowercase key.
+ * @param {string[]} words - Most common first
+ * @returns {Object} { chars: { char: weight }, bigrams: { pair: weight } }
+ */
+export function buildCorpus(words) {
+  const chars = {};
+  const bigrams = {};
+
+  words.forEach((word, rank) => {
+    const weight = 1 / (rank + 1);
+    const letters = [...word.toLowerCase()];
+    letters.forEach((char, i) => {
+      chars[char] = (chars[char] || 0) + weight;
+      if (i > 0) {
+        const pair = letters[i - 1] + char;
+        bigrams[pair] = (bigrams[pair] || 0) + weight;
+      }
+    });
+  });
+
+  return { chars, bigrams };
+}
+
+/**
+ * Find the home key column of each finger
+ * A finger with several home row keys rests on the one nearest its hand's
+ * middle finger; the others are stretches.
+ * @param {Object} physical - Parsed physical layout
+ * @param {number[]} fingers - Finger per key
+ * @param {number|null} homeRow
+ * @returns {Object} Finger -> column
+ */
+function findHomeColumns(physical, fingers, homeRow) {
+  const columns = {};
+  physical.keys.forEach((key, index) => {
+    if (key.isThumb || key.row !== homeRow || fingers[index] === undefined) return;
+    (columns[fingers[index]] ||= []).push(key.col);
+  });
+
+  const homes = {};
+  for (const [finger, cols] of Object.entries(columns)) {
+    const middleCols = columns[MIDDLE_FINGERS[getFingerHand(Number(finger))]] || cols;
+    const middle = middleCols[0];
+    homes[finger] = cols.reduce((best, col) => (Math.abs(col - middle) < Math.abs(best - middle) ? col : best));
+  }
+  return homes;
+}
+
+/**
+ * Describe the key presses that type a character
+ * Dead key and Compose sequences are several presses; shift and layer keys
+ * held alongside are not counted.
+ * @param {string} char
+ * @param {Object} physical - Parsed physical layout
+ * @param {Object} mapping - Parsed key mapping with fingers
+ * @returns {Object[]|null} [{ index, finger, hand, row, col, isThumb }], or null if unmapped
+ */
+function getPresses(char, physical, mapping) {
+  const target = findKeyForChar(mapping, char, physical);
+  if (!target) return null;
+
+  return [...(target.sequence || []), target].map(({ index }) => {
+    const key = physical.keys[index] || {};
+    const finger = mapping.fingers?.[index];
+    return {
+      index,
+      finger: finger === undefined ? null : finger,
+      hand: getFingerHand(finger),
+      row: key.row,
+      col: key.col,
+      isThumb: !!key.isThumb,
+    };
+  });
+}
+
+/**
+ * Sort one letter pair into the bigram categories
+ * @param {Object} a - First press
+ * @param {Object} b - Second press
+ * @returns {string[]} Category names the pair counts toward
+ */
+function classifyBigram(a, b) {
+  if (a.index === b.index) return ['repeat'];
+  if (a.hand !== b.hand) return ['alternation'];
+  if (a.finger === b.finger) return ['sameFinger'];
+
+  const categories = [];
+  const letterKeys = !a.isThumb && !b.isThumb;
+  const adjacent = Math.abs(a.finger - b.finger) === 1;
+  const rowGap = letterKeys ? Math.abs(a.row - b.row) : 0;
+
+  if (letterKeys) {
+    const towardThumb = a.hand === 'left' ? b.finger > a.finger : b.finger < a.finger;
+    categories.push(towardThumb ? 'inwardRoll' : 'outwardRoll');
+  }
+  if (STRETCH_PAIRS.some(pair => pair.includes(a.finger) && pair.includes(b.finger))
+    && Math.abs(a.col - b.col) >= STRETCH_COLUMNS) {
+    categories.push('lateralStretch');
+  }
+  if (adjacent && rowGap >= 2) categories.push('scissor');
+  if (rowGap >= 2) categories.push('rowJump');
+
+  return categories;
+}
+
+/**
+ * Analyze a layout against a corpus
+ * Bigram rates are shares of all letter pairs the layout can type:
+ * - sameFinger: different keys on the same finger (same-key repeats are not counted)
+ * - lateralStretch: index and middle finger of one hand at least two columns apart
+ * - scissor: adjacent fingers of one hand two or more rows apart
+ * - inwardRoll / outwardRoll: two fingers of one hand moving toward / away from the thumb
+ * - alternation: one key on each hand
+ * - rowJump: one hand jumping two or more rows
+ * Effort is the average cost of a press: finger strength times the distance
+ * from that finger's home key.
+ * @param {Object} physical - Parsed physical layout
+ * @param {Object} mapping - Parsed key mapping with fingers
+ * @param {Object} corpus - Result of buildCorpus
+ * @returns {Object} Rates above plus { fingers: [10 x { finger, name, load }], hands: { left, right }, effort, unmapped }
+ */
+export function analyzeLayout(physical, mapping, corpus) {
+  const fingers = mapping.fingers || [];
+  const homeRow = getHomeRow(physical, mapping);
+  const homeColumns = findHomeColumns(physical, fingers, homeRow);
+  const pressCache = new Map();
+
+  const pressesFor = (char) => {
+    if (!pressCache.has(char)) {
+      pressCache.set(char, getPresses(char, physical, mapping));
+    }
+    return pressCache.get(char);
+  };
+
+  const pressEffort = (press) => {
+    if (press.finger === null) return 0;
+    const rowDistance = press.isThumb || homeRow === null ? 0 : Math.abs(press.row - homeRow);
+    const home = homeColumns[press.finger];
+    const colDistance = press.isThumb || home === undefined ? 0 : Math.abs(press.col - home);
+    return FINGER_EFFORT[press.finger] * (1 + rowDistance * ROW_EFFORT + colDistance * COLUMN_EFFORT);
+  };
+
+  // Finger load and effort, from single characters
+  const loads = FINGER_NAMES.map(() => 0);
+  let charTotal = 0;
+  let unmapped = 0;
+  let pressTotal = 0;
+  let effortTotal = 0;
+
+  for (const [char, weight] of Object.entries(corpus.chars)) {
+    charTotal += weight;
+    const presses = pressesFor(char);
+    if (!presses) {
+      unmapped += weight;
+      continue;
+    }
+    for (const press of presses) {
+      if (press.finger === null) continue;
+      loads[press.finger] += weight;
+      pressTotal += weight;
+      effortTotal += weight * pressEffort(press);
+    }
+  }
+
+  // Letter pairs, from the last press of one character to the first of the next
+  const counts = {
+    repeat: 0,
+    alternation: 0,
+    sameFinger: 0,
+    lateralStretch: 0,
+    scissor: 0,
+    inwardRoll: 0,
+    outwardRoll: 0,
+    rowJump: 0,
+  };
+  let pairTotal = 0;
+
+  for (const [pair, weight] of Object.entries(corpus.bigrams)) {
+    const [first, second] = [...pair];
+    const a = pressesFor(first)?.at(-1);
+    const b = pressesFor(second)?.[0];
+    if (!a?.hand || !b?.hand) continue;
+
+    pairTotal += weight;
+    for (const category of classifyBigram(a, b)) {
+      counts[category] += weight;
+    }
+  }
+
+  const share = (value, total) => (total > 0 ? value / total : 0);
+  const leftLoad = loads.slice(0, 5).reduce((sum, load) => sum + load, 0);
+
+  return {
+    sameFinger: share(counts.sameFinger, pairTotal),
+    lateralStretch: share(counts.lateralStretch, pairTotal),
+    scissor: share(counts.scissor, pairTotal),
+    inwardRoll: share(counts.inwardRoll, pairTotal),
+    outwardRoll: share(counts.outwardRoll, pairTotal),
+    alternation: share(counts.alternation, pairTotal),
+    rowJump: share(counts.rowJump, pairTotal),
+    fingers: loads.map((load, finger) => ({
+      finger,
+      name: FINGER_NAMES[finger],
+      load: share(load, pressTotal),
+    })),
+    hands: {
+      left: share(leftLoad, pressTotal),
+      right: share(pressTotal - leftLoad, pressTotal),
+    },
+    effort: share(effortTotal, pressTotal),
+    unmapped: share(unmapped, charTotal),
+  };
+}
+
+/**
+ * Find the keys of a layout that sit somewhere else on another layout
+ * Keys are matched by their base layer label and placed by hand, row and
+ * column. Blank keys are skipped; keys the other layout lacks count as moved.
+ * @param {Object} fromPhysical - Physical layout compared against
+ * @param {Object} fromMapping - Key mapping compared against
+ * @param {Object} physical - Physical layout of the layout checked
+ * @param {Object} mapping - Key mapping of the layout checked
+ * @returns {number[]} Indices of moved keys in the layout checked
+ */
+export function findMovedKeys(fromPhysical, fromMapping, physical, mapping) {
+  const place = (key) => (key ? `${key.hand}:${key.isThumb ? 'thumb' : 'row'}${key.row}:${key.col}` : null);
+
+  // A label can sit in several places (both shifts, say)
+  const fromPlaces = new Map();
+  (fromMapping.layers?.[0]?.keys || []).forEach((label, index) => {
+    if (typeof label !== 'string') return;
+    if (!fromPlaces.has(label)) fromPlaces.set(label, new Set());
+    fromPlaces.get(label).add(place(fromPhysical.keys[index]));
+  });
+
+  const moved = [];
+  (mapping.layers?.[0]?.keys || []).forEach((label, index) => {
+    if (typeof label !== 'string' || label === '_') return;
+    if (!fromPlaces.get(label)?.has(place(physical.keys[index]))) {
+      moved.push(index);
+    }
+  });
+  return moved;
+}
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeLayout, buildCorpus, findMovedKeys } from './layout-analyzer.js';
+import { COMMON_WORDS } from './word-generator.js';
+import { parseCombinedLayout } from '../keyboard/layout-parser.js';
+import { BUILTIN_LAYOUTS } from '../keyboard/combined-layouts.js';
+
+const LAYOUT = `
+[layout:analysis]
+rows: 3
+columns: 4,4
+thumb: 1,1
+split: true
+
+row0: q w e r | u i o p
+row1: a s d f | j k l ;
+row2: z x c v | m , . /
+thumb: spc | ent
+
+fingers:
+row0: 0 1 2 3 | 6 7 8 9
+row1: 0 1 2 3 | 6 7 8 9
+row2: 0 1 2 3 | 6 7 8 9
+thumb: 4 | 5
+`;
+
+/**
+ * Analyze a handful of letter pairs, each counted once
+ * @param {string[]} pairs
+ * @returns {Object}
+ */
+function analyzePairs(pairs) {
+  const { physical, mapping } = parseCombinedLayout(LAYOUT);
+  const corpus = { chars: {}, bigrams: {} };
+  pairs.forEach(pair => {
+    corpus.bigrams[pair] = 1;
+    [...pair].forEach(char => { corpus.chars[char] = (corpus.chars[char] || 0) + 1; });
+  });
+  return analyzeLayout(physical, mapping, corpus);
+}
+
+describe('Layout Analyzer', () => {
+  describe('buildCorpus', () => {
+    it('should weight words by their rank', () => {
+      const corpus = buildCorpus(['ab', 'Ba']);
+      expect(corpus.chars).toEqual({ a: 1.5, b: 1.5 });
+      expect(corpus.bigrams).toEqual({ ab: 1, ba: 0.5 });
+    });
+  });
+
+  describe('analyzeLayout', () => {
+    it('should count same-finger bigrams on different keys only', () => {
+      const result = analyzePairs(['fr', 'ff', 'fj', 'fd']);
+      expect(result.sameFinger).toBe(0.25);
+      expect(result.alternation).toBe(0.25);
+    });
+
+    it('should tell inward rolls from outward rolls', () => {
+      const result = analyzePairs(['sf', 'fs', 'lj', 'jl']);
+      expect(result.inwardRoll).toBe(0.5);
+      expect(result.outwardRoll).toBe(0.5);
+    });
+
+    it('should find scissors and row jumps', () => {
+      const result = analyzePairs(['ex', 'ez', 'ed']);
+      expect(result.scissor).toBeCloseTo(1 / 3);
+      expect(result.rowJump).toBeCloseTo(2 / 3);
+      expect(result.sameFinger).toBeCloseTo(1 / 3);
+    });
+
+    it('should find lateral stretches between index and middle fingers', () => {
+      const { physical, mapping } = parseCombinedLayout(`
+[layout:stretch]
+rows: 1
+columns: 5,1
+split: true
+
+row0: a s d f g | j
+
+fingers:
+row0: 0 1 2 3 3 | 6
+`);
+      const corpus = { chars: { d: 2, f: 1, g: 1 }, bigrams: { df: 1, dg: 1 } };
+      expect(analyzeLayout(physical, mapping, corpus).lateralStretch).toBe(0.5);
+    });
+
+    it('should share the load between fingers and hands', () => {
+      const result = analyzePairs(['as', 'jk']);
+      expect(result.fingers[0]).toMatchObject({ name: 'left pinky', load: 0.25 });
+      expect(result.fingers[4].load).toBe(0);
+      expect(result.hands).toEqual({ left: 0.5, right: 0.5 });
+    });
+
+    it('should cost reaches more than home row keys', () => {
+      expect(analyzePairs(['fj']).effort).toBe(1);
+      expect(analyzePairs(['rj']).effort).toBeGreaterThan(1);
+      expect(analyzePairs(['aj']).effort).toBeGreaterThan(analyzePairs(['fj']).effort);
+    });
+
+    it('should report characters the layout cannot type', () => {
+      const result = analyzePairs(['fb']);
+      expect(result.unmapped).toBe(0.5);
+      expect(result.alternation).toBe(0);
+    });
+
+    it('should rate Colemak-DH ahead of QWERTY on English', () => {
+      const corpus = buildCorpus(COMMON_WORDS);
+      const analyze = (id) => {
+        const { physical, mapping } = parseCombinedLayout(BUILTIN_LAYOUTS[id].definition);
+        return analyzeLayout(physical, mapping, corpus);
+      };
+      const colemak = analyze('corne-colemak-dh');
+      const qwerty = analyze('corne-qwerty');
+      expect(colemak.sameFinger).toBeLessThan(qwerty.sameFinger);
+      expect(colemak.effort).toBeLessThan(qwerty.effort);
+    });
+  });
+
+  describe('findMovedKeys', () => {
+    it('should list keys placed differently from the other layout', () => {
+      const from = parseCombinedLayout(LAYOUT);
+      const to = parseCombinedLayout(LAYOUT.replace('row1: a s d f | j k l ;', 'row1: a r s t | n e i o'));
+      const moved = findMovedKeys(from.physical, from.mapping, to.physical, to.mapping);
+      expect(moved.map(index => to.mapping.layers[0].keys[index])).toEqual(['r', 's', 't', 'n', 'e', 'i', 'o']);
+    });
+
+    it('should find nothing moved on the same layout', () => {
+      const { physical, mapping } = parseCombinedLayout(BUILTIN_LAYOUTS['corne-qwerty'].definition);
+      expect(findMovedKeys(physical, mapping, physical, mapping)).toEqual([]);
+    });
+  });
+});
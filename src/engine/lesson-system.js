@@ -0,0 +1,174 @@
+/**
+ * Lesson System
+ * Progressive lesson structure built from the active layout
+ */
+
+import { COMMON_WORDS, getWordsForKeys } from './word-generator.js';
+import { isDeadKeyLabel, isComposeLabel } from '../keyboard/key-lookup.js';
+
+// Index fingers in the 10-finger scheme (see finger-map.js)
+const INDEX_FINGERS = [3, 6];
+
+// Below this many real words a lesson is padded with drill words
+const MIN_LESSON_WORDS = 12;
+const DRILL_WORD_COUNT = 30;
+
+/**
+ * Lesson stages, in the order keys are introduced.
+ * `rowOffset` is relative to the home row; `fingers` narrows the stage
+ * to a subset of fingers; `symbols` admits non-letter keys.
+ */
+const STAGES = [
+  { id: 'home-row', name: 'Home Row', description: 'Rest your fingers on the home row', rowOffset: 0 },
+  { id: 'top-index', name: 'Top Row: Index', description: 'Reach up with the index fingers', rowOffset: -1, fingers: INDEX_FINGERS },
+  { id: 'top-row', name: 'Top Row', description: 'The rest of the top row', rowOffset: -1 },
+  { id: 'bottom-index', name: 'Bottom Row: Index', description: 'Reach down with the index fingers', rowOffset: 1, fingers: INDEX_FINGERS },
+  { id: 'bottom-row', name: 'Bottom Row', description: 'The rest of the bottom row', rowOffset: 1 },
+  { id: 'all-keys', name: 'All Keys', description: 'Every letter and punctuation key', symbols: true },
+];
+
+/**
+ * Check if a key label is a single letter, accented or not
+ * @param {string} label
+ * @returns {boolean}
+ */
+function isLetter(label) {
+  return typeof label === 'string' && /^\p{L}$/u.test(label);
+}
+
+/**
+ * Check if a key label types a single printable character, or helps type
+ * one as a dead key or Compose key
+ * @param {string} label
+ * @returns {boolean}
+ */
+function isTypeable(label) {
+  if (typeof label !== 'string') return false;
+  if (isDeadKeyLabel(label) || isComposeLabel(label)) return true;
+  return label.length === 1 && label !== '_';
+}
+
+/**
+ * Find the home row of a layout.
+ * Taken as the middle of the rows that carry letters, which lands on
+ * row1 for a 3-row Corne and row2 for boards with a number row.
+ * @param {Object} physical - Parsed physical layout
+ * @param {Object} mapping - Parsed key mapping
+ * @returns {number|null} Row index, or null if the layout has no letters
+ */
+export function getHomeRow(physical, mapping) {
+  const keys = mapping?.layers?.[0]?.keys || [];
+  const letterRows = new Set();
+
+  physical.keys.forEach((key, index) => {
+    if (!key.isThumb && isLetter(keys[index])) {
+      letterRows.add(key.row);
+    }
+  });
+
+  if (letterRows.size === 0) return null;
+
+  const rows = [...letterRows].sort((a, b) => a - b);
+  return rows[Math.floor((rows.length - 1) / 2)];
+}
+
+/**
+ * Build the lesson curriculum for a layout
+ * Stages that would introduce no new keys are skipped.
+ * @param {Object} physical - Parsed physical layout
+ * @param {Object} mapping - Parsed key mapping
+ * @returns {Object[]} Lessons with { id, number, name, description, keys, allowedKeys }
+ */
+export function createLessons(physical, mapping) {
+  const homeRow = getHomeRow(physical, mapping);
+  if (homeRow === null) return [];
+
+  const labels = mapping.layers[0].keys;
+  const fingers = mapping.fingers || [];
+  const known = new Set();
+  const lessons = [];
+
+  for (const stage of STAGES) {
+    const stageKeys = [];
+
+    physical.keys.forEach((key, index) => {
+      const label = labels[index];
+      if (key.isThumb || !isTypeable(label)) return;
+
+      if (stage.symbols) {
+        stageKeys.push(label.toLowerCase());
+        return;
+      }
+
+      if (!isLetter(label) || key.row !== homeRow + stage.rowOffset) return;
+      if (stage.fingers && !stage.fingers.includes(fingers[index])) return;
+      stageKeys.push(label.toLowerCase());
+    });
+
+    const newKeys = [...new Set(stageKeys)].filter(k => !known.has(k));
+    if (newKeys.length === 0) continue;
+
+    newKeys.forEach(k => known.add(k));
+    lessons.push({
+      id: stage.id,
+      number: lessons.length + 1,
+      name: stage.name,
+      description: stage.description,
+      keys: newKeys,
+      allowedKeys: [...known],
+    });
+  }
+
+  return lessons;
+}
+
+/**
+ * Build drill words from a set of keys
+ * Every drill word contains at least one of the focus keys.
+ * @param {string[]} focusKeys - Keys to emphasise
+ * @param {string[]} allowedKeys - Keys that may fill the rest of the word
+ * @param {number} count - Number of drill words
+ * @returns {string[]}
+ */
+function buildDrillWords(focusKeys, allowedKeys, count) {
+  const letters = allowedKeys.filter(isLetter);
+  const focus = focusKeys.filter(isLetter);
+  if (focus.length === 0 || letters.length === 0) return [];
+
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    const length = 2 + (i % 3);
+    let word = focus[i % focus.length];
+    for (let j = 1; j < length; j++) {
+      word += letters[(i * 7 + j * 3) % letters.length];
+    }
+    words.push(word);
+  }
+  return words;
+}
+
+/**
+ * Get the word list to practise a lesson with
+ * Real words come first; thin lessons (like a QWERTY home row) are
+ * padded with drill words built from the lesson's keys.
+ * @param {Object} lesson
+ * @param {string[]} [wordList=COMMON_WORDS]
+ * @returns {string[]}
+ */
+export function getLessonWordList(lesson, wordList = COMMON_WORDS) {
+  const words = getWordsForKeys(lesson.allowedKeys, wordList);
+  if (words.length >= MIN_LESSON_WORDS) {
+    return words;
+  }
+  return [...words, ...buildDrillWords(lesson.keys, lesson.allowedKeys, DRILL_WORD_COUNT)];
+}
+
+/**
+ * Find a lesson by ID
+ * @param {Object[]} lessons
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getLesson(lessons, id) {
+  return lessons.find(l => l.id === id) || null;
+}
@@ -0,0 +1,127 @@
+/**
+ * Lesson System Tests
+ * Progressive lesson structure built from the active layout
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  createLessons,
+  getHomeRow,
+  getLesson,
+  getLessonWordList,
+} from './lesson-system.js';
+import { parseCombinedLayout } from '../keyboard/layout-parser.js';
+import { BUILTIN_LAYOUTS } from '../keyboard/combined-layouts.js';
+
+function parse(id) {
+  return parseCombinedLayout(BUILTIN_LAYOUTS[id].definition);
+}
+
+describe('getHomeRow', () => {
+  it('should find the middle row on a 3-row board', () => {
+    const { physical, mapping } = parse('corne-colemak-dh');
+    expect(getHomeRow(physical, mapping)).toBe(1);
+  });
+
+  it('should skip the number row', () => {
+    const { physical, mapping } = parse('svaalboard-colemak-dh');
+    expect(getHomeRow(physical, mapping)).toBe(2);
+  });
+
+  it('should return null when there are no letters', () => {
+    const { physical, mapping } = parseCombinedLayout(`[layout:numpad]
+rows: 1
+columns: 3
+row0: 1 2 3
+`);
+    expect(getHomeRow(physical, mapping)).toBe(null);
+  });
+});
+
+describe('createLessons', () => {
+  it('should start with the home row keys', () => {
+    const { physical, mapping } = parse('corne-colemak-dh');
+    const lessons = createLessons(physical, mapping);
+    expect(lessons[0].id).toBe('home-row');
+    expect(lessons[0].keys).toEqual(['a', 'r', 's', 't', 'g', 'm', 'n', 'e', 'i', 'o']);
+  });
+
+  it('should add keys cumulatively', () => {
+    const { physical, mapping } = parse('corne-colemak-dh');
+    const lessons = createLessons(physical, mapping);
+    for (let i = 1; i < lessons.length; i++) {
+      const previous = lessons[i - 1].allowedKeys;
+      expect(lessons[i].allowedKeys).toEqual(expect.arrayContaining(previous));
+      expect(lessons[i].allowedKeys.length).toBe(previous.length + lessons[i].keys.length);
+    }
+  });
+
+  it('should introduce index finger reaches before the rest of a row', () => {
+    const { physical, mapping } = parse('corne-colemak-dh');
+    const lessons = createLessons(physical, mapping);
+    const topIndex = getLesson(lessons, 'top-index');
+    expect(topIndex.keys).toEqual(['p', 'b', 'j', 'l']);
+    expect(getLesson(lessons, 'top-row').keys).toEqual(['q', 'w', 'f', 'u', 'y']);
+  });
+
+  it('should follow the active layout', () => {
+    const { physical, mapping } = parse('corne-qwerty');
+    const lessons = createLessons(physical, mapping);
+    expect(lessons[0].keys).toEqual(['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l']);
+  });
+
+  it('should teach accented letters and dead keys', () => {
+    const { physical, mapping } = parseCombinedLayout(`
+[layout:nordic]
+rows: 3
+columns: 5,5
+split: true
+
+row0: q w e r t | y u i o å
+row1: a s d f g | h j k ö ä
+row2: z x c v b | n m , . dead-acute
+`);
+    const lessons = createLessons(physical, mapping);
+    expect(lessons[0].keys).toEqual(expect.arrayContaining(['ö', 'ä']));
+    expect(lessons.at(-1).allowedKeys).toContain('dead-acute');
+  });
+
+  it('should finish with punctuation keys', () => {
+    const { physical, mapping } = parse('corne-colemak-dh');
+    const lessons = createLessons(physical, mapping);
+    const last = lessons[lessons.length - 1];
+    expect(last.id).toBe('all-keys');
+    expect(last.keys).toEqual(expect.arrayContaining([';', ',', '.', '/']));
+  });
+
+  it('should number lessons in order', () => {
+    const { physical, mapping } = parse('corne-colemak-dh');
+    const lessons = createLessons(physical, mapping);
+    expect(lessons.map(l => l.number)).toEqual(lessons.map((_, i) => i + 1));
+  });
+});
+
+describe('getLessonWordList', () => {
+  it('should only contain allowed keys', () => {
+    const { physical, mapping } = parse('corne-qwerty');
+    const lesson = createLessons(physical, mapping)[0];
+    const words = getLessonWordList(lesson);
+    expect(words.length).toBeGreaterThan(0);
+    words.forEach(word => {
+      word.split('').forEach(char => {
+        expect(lesson.allowedKeys).toContain(char);
+      });
+    });
+  });
+
+  it('should draw from another language\'s words', () => {
+    const lesson = { keys: ['a', 'd', 'e', 'g', 'r', 'u', 'ü', 'f'], allowedKeys: ['a', 'd', 'e', 'g', 'r', 'u', 'ü', 'f'] };
+    const words = getLessonWordList(lesson, ['für', 'der', 'fährt']);
+    expect(words.slice(0, 2)).toEqual(['für', 'der']);
+  });
+
+  it('should pad thin lessons with drill words', () => {
+    const lesson = { keys: ['q', 'z'], allowedKeys: ['q', 'z'] };
+    const words = getLessonWordList(lesson);
+    expect(words.length).toBeGreaterThan(10);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Replay
+ * Plays back a saved keystroke log at its recorded pace
+ */
+
+import { createTypingEngine } from './typing-engine.js';
+
+/** Playback speeds offered by the replay player */
+export const REPLAY_SPEEDS = [1, 2, 4];
+
+/**
+ * Feed one logged keystroke into a typing engine
+ * @param {Object} engine - Typing engine loaded with the session text
+ * @param {Object} event - Keystroke log entry
+ */
+export function applyReplayEvent(engine, event) {
+  if (event.type === 'backspace') {
+    engine.backspace();
+  } else if (event.type === 'backspace-word') {
+    engine.backspaceWord();
+  } else if (event.type === 'char') {
+    engine.input(event.char);
+  }
+}
+
+/**
+ * Work out where the cursor was over the course of a saved session
+ * @param {Object} session - Saved session with text, errorMode, indentation and keystrokes
+ * @returns {Object[]} [{ t, position }] after each keystroke, in time order
+ */
+export function getGhostTimeline(session) {
+  const engine = createTypingEngine({
+    errorMode: session.errorMode || 'free',
+    indentation: session.indentation || 'type',
+  });
+  engine.loadText(session.text);
+
+  return (session.keystrokes || []).map(event => {
+    applyReplayEvent(engine, event);
+    return { t: event.t, position: engine.getState().position };
+  });
+}
+
+/**
+ * Get the ghost's cursor position a given time into the run
+ * @param {Object[]} timeline - Result of getGhostTimeline
+ * @param {number} elapsed - Milliseconds since the first keystroke
+ * @returns {number}
+ */
+export function getGhostPosition(timeline, elapsed) {
+  let position = 0;
+  for (const point of timeline) {
+    if (point.t > elapsed) break;
+    position = point.position;
+  }
+  return position;
+}
+
+/**
+ * Get how long a saved run took, first keystroke to last
+ * @param {Object[]} keystrokes
+ * @returns {number} Milliseconds
+ */
+export function getRunTime(keystrokes) {
+  return keystrokes?.length ? keystrokes[keystrokes.length - 1].t : 0;
+}
+
+/**
+ * Create a replay player
+ * Events are fired with the gaps between their recorded times, divided by
+ * the playback speed.
+ * @param {Object} options - Player options
+ * @param {Object[]} options.events - Keystroke log ({ t } in ms)
+ * @param {Function} options.onEvent - Called with (event, index) as each event plays
+ * @param {Function} [options.onEnd] - Called after the last event
+ * @param {number} [options.speed=1] - Playback speed
+ * @returns {Object} Replay player
+ */
+export function createReplayPlayer(options) {
+  const { events, onEvent, onEnd } = options;
+
+  let speed = options.speed || 1;
+  let index = 0;
+  let timer = null;
+  let playing = false;
+
+  /**
+   * Wait for the next event, or finish
+   */
+  function scheduleNext() {
+    if (index >= events.length) {
+      playing = false;
+      onEnd?.();
+      return;
+    }
+
+    const previous = index > 0 ? events[index - 1].t : 0;
+    const delay = Math.max(0, events[index].t - previous) / speed;
+    timer = setTimeout(step, delay);
+  }
+
+  /**
+   * Play the next event
+   */
+  function step() {
+    timer = null;
+    onEvent(events[index], index);
+    index++;
+    scheduleNext();
+  }
+
+  /**
+   * Start or resume playback
+   */
+  function play() {
+    if (playing) return;
+    if (index >= events.length) {
+      index = 0;
+    }
+    playing = true;
+    scheduleNext();
+  }
+
+  /**
+   * Pause playback
+   */
+  function pause() {
+    clearTimeout(timer);
+    timer = null;
+    playing = false;
+  }
+
+  /**
+   * Toggle between playing and paused
+   */
+  function toggle() {
+    if (playing) {
+      pause();
+    } else {
+      play();
+    }
+  }
+
+  /**
+   * Change the playback speed
+   * The wait for the next event starts over at the new speed.
+   * @param {number} newSpeed
+   */
+  function setSpeed(newSpeed) {
+    speed = newSpeed;
+    if (playing) {
+      clearTimeout(timer);
+      scheduleNext();
+    }
+  }
+
+  /**
+   * Stop and go back to the first event
+   */
+  function rewind() {
+    pause();
+    index = 0;
+  }
+
+  /**
+   * Get the player state
+   * @returns {Object} { index, total, playing, speed }
+   */
+  function getState() {
+    return { index, total: events.length, playing, speed };
+  }
+
+  return {
+    play,
+    pause,
+    toggle,
+    setSpeed,
+    rewind,
+    getState,
+    destroy: pause,
+  };
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createReplayPlayer,
+  applyReplayEvent,
+  getGhostTimeline,
+  getGhostPosition,
+  getRunTime,
+} from './replay.js';
+import { createTypingEngine } from './typing-engine.js';
+
+const EVENTS = [
+  { t: 0, type: 'char', char: 'a' },
+  { t: 100, type: 'char', char: 'x' },
+  { t: 300, type: 'backspace' },
+  { t: 400, type: 'char', char: 'b' },
+];
+
+describe('Replay', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('createReplayPlayer', () => {
+    it('should play events at their recorded pace', () => {
+      const played = [];
+      const onEnd = vi.fn();
+      const player = createReplayPlayer({ events: EVENTS, onEvent: e => played.push(e.t), onEnd });
+
+      player.play();
+      vi.advanceTimersByTime(0);
+      expect(played).toEqual([0]);
+      vi.advanceTimersByTime(250);
+      expect(played).toEqual([0, 100]);
+      vi.advanceTimersByTime(150);
+      expect(played).toEqual([0, 100, 300, 400]);
+      expect(onEnd).toHaveBeenCalledTimes(1);
+      expect(player.getState().playing).toBe(false);
+    });
+
+    it('should play faster at higher speeds', () => {
+      const played = [];
+      const player = createReplayPlayer({ events: EVENTS, onEvent: e => played.push(e.t), speed: 4 });
+      player.play();
+      vi.advanceTimersByTime(100);
+      expect(played).toHaveLength(4);
+    });
+
+    it('should pause, resume and rewind', () => {
+      const played = [];
+      const player = createReplayPlayer({ events: EVENTS, onEvent: e => played.push(e.t) });
+      player.play();
+      vi.advanceTimersByTime(150);
+      player.toggle();
+      vi.advanceTimersByTime(1000);
+      expect(played).toEqual([0, 100]);
+
+      player.toggle();
+      vi.advanceTimersByTime(1000);
+      expect(played).toHaveLength(4);
+
+      player.rewind();
+      expect(player.getState()).toMatchObject({ index: 0, playing: false, total: 4 });
+    });
+  });
+
+  describe('applyReplayEvent', () => {
+    it('should re-type a logged session', () => {
+      const engine = createTypingEngine();
+      engine.loadText('ab');
+      EVENTS.forEach(event => applyReplayEvent(engine, event));
+      expect(engine.getState()).toMatchObject({ typed: 'ab', isComplete: true });
+    });
+  });
+
+  describe('ghost timeline', () => {
+    const timeline = getGhostTimeline({ text: 'ab', keystrokes: EVENTS });
+
+    it('should track the cursor after each keystroke', () => {
+      expect(timeline).toEqual([
+        { t: 0, position: 1 },
+        { t: 100, position: 2 },
+        { t: 300, position: 1 },
+        { t: 400, position: 2 },
+      ]);
+    });
+
+    it('should find the ghost position at a point in the run', () => {
+      expect(getGhostPosition(timeline, -1)).toBe(0);
+      expect(getGhostPosition(timeline, 150)).toBe(2);
+      expect(getGhostPosition(timeline, 350)).toBe(1);
+      expect(getGhostPosition(timeline, 5000)).toBe(2);
+    });
+
+    it('should time a run from first keystroke to last', () => {
+      expect(getRunTime(EVENTS)).toBe(400);
+      expect(getRunTime([])).toBe(0);
+      expect(getRunTime(undefined)).toBe(0);
+    });
+  });
+});
@@ -3,6 +3,14 @@
  * Track typing sessions and persist history
  */
 
+// Keystroke logs are large, so only the most recent sessions (and the
+// fastest on each layout, to race against) keep them
+export const KEYSTROKE_LOG_SESSIONS = 20;
+
+// Bigram and trigram stats (with their histograms) are kept on this many of
+// the most recent sessions, enough for the statistics view and adaptive practice
+export const NGRAM_STATS_SESSIONS = 50;
+
 /**
  * Generate a unique session ID
  * @returns {string}
@@ -19,6 +27,15 @@ function generateId() {
  * @param {string} [options.layoutUsed] - Physical layout used
  * @param {string} [options.mappingUsed] - Key mapping used
  * @param {string} [options.lessonId] - Lesson ID if in lesson mode
+ * @param {number} [options.wordCount] - Words in a word-count test
+ * @param {number} [options.timeLimit] - Seconds in a timed test
+ * @param {string} [options.errorMode='free'] - How wrong keys were handled
+ * @param {number} [options.seed] - Word generator seed that produced the text
+ * @param {string} [options.ghostId] - Session raced against, if any
+ * @param {string} [options.source] - Where a quote or custom passage came from
+ * @param {string} [options.language] - Snippet language of code practice
+ * @param {string} [options.indentation='type'] - How leading indentation was handled
+ * @param {string} [options.wordLanguage] - Language of the practice words
  * @returns {Object} Session object
  */
 export function createSession(options) {
@@ -28,6 +45,15 @@ export function createSession(options) {
     layoutUsed,
     mappingUsed,
     lessonId = null,
+    wordCount = null,
+    timeLimit = null,
+    errorMode = 'free',
+    seed = null,
+    ghostId = null,
+    source = null,
+    language = null,
+    indentation = 'type',
+    wordLanguage = null,
   } = options;
 
   return {
@@ -38,6 +64,15 @@ export function createSession(options) {
     layoutUsed,
     mappingUsed,
     lessonId,
+    wordCount,
+    timeLimit,
+    errorMode,
+    seed,
+    ghostId,
+    source,
+    language,
+    indentation,
+    wordLanguage,
     duration: 0,
     wpm: 0,
     rawWpm: 0,
@@ -73,10 +108,25 @@ export function createSessionManager(options = {}) {
 
   /**
    * Save sessions to storage
+   * When storage is full, keystroke logs and n-gram stats are dropped from
+   * every session but the newest and saving is tried once more. Sessions stay
+   * in memory either way.
    */
   function saveSessions() {
-    if (storage) {
+    if (!storage) return;
+    try {
       storage.set(STORAGE_KEY, sessions);
+    } catch (e) {
+      sessions.slice(0, -1).forEach(s => {
+        delete s.keystrokes;
+        delete s.bigramStats;
+        delete s.trigramStats;
+      });
+      try {
+        storage.set(STORAGE_KEY, sessions);
+      } catch {
+        console.error('Failed to save sessions:', e);
+      }
     }
   }
 
@@ -111,6 +161,8 @@ export function createSessionManager(options = {}) {
 
     // Add to history
     sessions.push(activeSession);
+    trimKeystrokeLogs();
+    trimNgramStats();
     saveSessions();
 
     const completed = activeSession;
@@ -118,20 +170,84 @@ export function createSessionManager(options = {}) {
     return completed;
   }
 
+  /**
+   * Drop keystroke logs from all but the most recent and personal best sessions
+   */
+  function trimKeystrokeLogs() {
+    const withLogs = sessions.filter(s => s.keystrokes);
+    const best = new Map();
+    for (const s of withLogs) {
+      if (!best.has(s.layoutUsed) || (s.wpm || 0) >= (best.get(s.layoutUsed).wpm || 0)) {
+        best.set(s.layoutUsed, s);
+      }
+    }
+
+    const keep = new Set([...withLogs.slice(-KEYSTROKE_LOG_SESSIONS), ...best.values()]);
+    withLogs.filter(s => !keep.has(s)).forEach(s => {
+      delete s.keystrokes;
+    });
+  }
+
+  /**
+   * Drop bigram and trigram stats from all but the most recent sessions
+   */
+  function trimNgramStats() {
+    sessions
+      .filter(s => s.bigramStats || s.trigramStats)
+      .slice(0, -NGRAM_STATS_SESSIONS)
+      .forEach(s => {
+        delete s.bigramStats;
+        delete s.trigramStats;
+      });
+  }
+
+  /**
+   * Get the fastest session that can be raced (has a keystroke log)
+   * @param {Object} [filter] - Session fields to match
+   * @returns {Object|null}
+   */
+  function getPersonalBest(filter) {
+    return select(filter)
+      .filter(s => s.keystrokes?.length)
+      .reduce((best, s) => (!best || (s.wpm || 0) >= (best.wpm || 0) ? s : best), null);
+  }
+
+  /**
+   * Get a saved session by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  function getSession(id) {
+    return sessions.find(s => s.id === id) || null;
+  }
+
+  /**
+   * Select sessions matching a filter
+   * @param {Object} [filter={}] - Session fields to match, e.g. { layoutUsed }
+   * @returns {Array}
+   */
+  function select(filter = {}) {
+    const entries = Object.entries(filter).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return sessions;
+    return sessions.filter(s => entries.every(([key, value]) => s[key] === value));
+  }
+
   /**
    * Get session history, sorted by most recent first
+   * @param {Object} [filter] - Session fields to match
    * @returns {Array}
    */
-  function getHistory() {
-    return [...sessions].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  function getHistory(filter) {
+    return [...select(filter)].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
   }
 
   /**
    * Get average WPM across all completed sessions
+   * @param {Object} [filter] - Session fields to match
    * @returns {number}
    */
-  function getAverageWPM() {
-    const completed = sessions.filter(s => s.isComplete);
+  function getAverageWPM(filter) {
+    const completed = select(filter).filter(s => s.isComplete);
     if (completed.length === 0) return 0;
     const total = completed.reduce((sum, s) => sum + (s.wpm || 0), 0);
     return Math.round(total / completed.length);
@@ -139,10 +255,11 @@ export function createSessionManager(options = {}) {
 
   /**
    * Get average accuracy across all completed sessions
+   * @param {Object} [filter] - Session fields to match
    * @returns {number}
    */
-  function getAverageAccuracy() {
-    const completed = sessions.filter(s => s.isComplete);
+  function getAverageAccuracy(filter) {
+    const completed = select(filter).filter(s => s.isComplete);
     if (completed.length === 0) return 0;
     const total = completed.reduce((sum, s) => sum + (s.accuracy || 0), 0);
     return Math.round(total / completed.length);
@@ -150,27 +267,31 @@ export function createSessionManager(options = {}) {
 
   /**
    * Get best WPM ever achieved
+   * @param {Object} [filter] - Session fields to match
    * @returns {number}
    */
-  function getBestWPM() {
-    if (sessions.length === 0) return 0;
-    return Math.max(...sessions.map(s => s.wpm || 0));
+  function getBestWPM(filter) {
+    const selected = select(filter);
+    if (selected.length === 0) return 0;
+    return Math.max(...selected.map(s => s.wpm || 0));
   }
 
   /**
    * Get total practice time in milliseconds
+   * @param {Object} [filter] - Session fields to match
    * @returns {number}
    */
-  function getTotalTime() {
-    return sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+  function getTotalTime(filter) {
+    return select(filter).reduce((sum, s) => sum + (s.duration || 0), 0);
   }
 
   /**
    * Get total number of sessions
+   * @param {Object} [filter] - Session fields to match
    * @returns {number}
    */
-  function getTotalSessions() {
-    return sessions.length;
+  function getTotalSessions(filter) {
+    return select(filter).length;
   }
 
   /**
@@ -185,6 +306,8 @@ export function createSessionManager(options = {}) {
     startSession,
     getActiveSession,
     endSession,
+    getSession,
+    getPersonalBest,
     getHistory,
     getAverageWPM,
     getAverageAccuracy,
@@ -6,6 +6,8 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { 
   createSessionManager,
   createSession,
+  KEYSTROKE_LOG_SESSIONS,
+  NGRAM_STATS_SESSIONS,
 } from './session.js';
 
 describe('createSession', () => {
@@ -138,6 +140,102 @@ describe('createSessionManager', () => {
     });
   });
 
+  describe('keystroke logs', () => {
+    it('should find saved sessions by id', () => {
+      manager.startSession({ text: 'hello' });
+      const session = manager.endSession({ wpm: 50 });
+      expect(manager.getSession(session.id)).toBe(session);
+      expect(manager.getSession('missing')).toBeNull();
+    });
+
+    it('should keep keystroke logs only on the most recent sessions', () => {
+      const ids = [];
+      for (let i = 0; i <= KEYSTROKE_LOG_SESSIONS; i++) {
+        manager.startSession({ text: 'a' });
+        ids.push(manager.endSession({ keystrokes: [{ t: 0, type: 'char', char: 'a' }] }).id);
+      }
+
+      expect(manager.getSession(ids[0]).keystrokes).toBeUndefined();
+      expect(manager.getSession(ids[1]).keystrokes).toHaveLength(1);
+      expect(manager.getSession(ids[KEYSTROKE_LOG_SESSIONS]).keystrokes).toHaveLength(1);
+    });
+
+    it('should keep the keystroke log of the fastest session on each layout', () => {
+      const log = [{ t: 0, type: 'char', char: 'a' }];
+      manager.startSession({ text: 'a', layoutUsed: 'qwerty' });
+      const best = manager.endSession({ wpm: 90, keystrokes: log });
+      for (let i = 0; i < KEYSTROKE_LOG_SESSIONS; i++) {
+        manager.startSession({ text: 'a', layoutUsed: 'qwerty' });
+        manager.endSession({ wpm: 40, keystrokes: log });
+      }
+
+      expect(manager.getSession(best.id).keystrokes).toHaveLength(1);
+      expect(manager.getPersonalBest({ layoutUsed: 'qwerty' })).toBe(best);
+      expect(manager.getPersonalBest({ layoutUsed: 'colemak' })).toBeNull();
+    });
+  });
+
+  describe('n-gram stats', () => {
+    it('should keep bigram and trigram stats only on the most recent sessions', () => {
+      const ids = [];
+      for (let i = 0; i <= NGRAM_STATS_SESSIONS; i++) {
+        manager.startSession({ text: 'ab' });
+        ids.push(manager.endSession({
+          bigramStats: { ab: { total: 1, errors: 0, avgTime: 100, histogram: { 2: 1 } } },
+          trigramStats: {},
+        }).id);
+      }
+
+      expect(manager.getSession(ids[0]).bigramStats).toBeUndefined();
+      expect(manager.getSession(ids[0]).trigramStats).toBeUndefined();
+      expect(manager.getSession(ids[1]).bigramStats.ab.total).toBe(1);
+      expect(mockStorage.data.sessions[0].bigramStats).toBeUndefined();
+    });
+  });
+
+  describe('full storage', () => {
+    /**
+     * Make storage throw like a full localStorage
+     * @param {number} failures - Number of set calls that fail
+     */
+    function fillStorage(failures) {
+      const set = mockStorage.set;
+      mockStorage.set = vi.fn(function (key, value) {
+        if (failures-- > 0) {
+          throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        }
+        set.call(this, key, value);
+      });
+    }
+
+    it('should drop logs and n-gram stats from older sessions to make room', () => {
+      const log = [{ t: 0, type: 'char', char: 'a' }];
+      manager.startSession({ text: 'a' });
+      const older = manager.endSession({ keystrokes: log, bigramStats: {} });
+      fillStorage(1);
+      manager.startSession({ text: 'a' });
+      const newest = manager.endSession({ keystrokes: log, bigramStats: {} });
+
+      expect(mockStorage.data.sessions).toHaveLength(2);
+      expect(older.keystrokes).toBeUndefined();
+      expect(older.bigramStats).toBeUndefined();
+      expect(newest.keystrokes).toHaveLength(1);
+    });
+
+    it('should still end the session when nothing can be saved', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      fillStorage(Infinity);
+      manager.startSession({ text: 'a' });
+
+      const session = manager.endSession({ wpm: 50 });
+      expect(session.wpm).toBe(50);
+      expect(manager.getHistory()).toEqual([session]);
+      expect(manager.getActiveSession()).toBeNull();
+      expect(error).toHaveBeenCalled();
+      error.mockRestore();
+    });
+  });
+
   describe('statistics aggregation', () => {
     beforeEach(() => {
       mockStorage.data.sessions = [
@@ -169,6 +267,35 @@ describe('createSessionManager', () => {
     });
   });
 
+  describe('filtered aggregation', () => {
+    beforeEach(() => {
+      mockStorage.data.sessions = [
+        { id: '1', layoutUsed: 'corne-qwerty', wpm: 40, accuracy: 90, duration: 60000, isComplete: true },
+        { id: '2', layoutUsed: 'corne-colemak-dh', wpm: 30, accuracy: 96, duration: 30000, isComplete: true },
+        { id: '3', layoutUsed: 'corne-colemak-dh', wpm: 36, accuracy: 98, duration: 30000, isComplete: true },
+      ];
+      manager = createSessionManager({ storage: mockStorage });
+    });
+
+    it('should filter history by layout', () => {
+      const history = manager.getHistory({ layoutUsed: 'corne-colemak-dh' });
+      expect(history.map(s => s.id).sort()).toEqual(['2', '3']);
+    });
+
+    it('should filter aggregates by layout', () => {
+      const filter = { layoutUsed: 'corne-colemak-dh' };
+      expect(manager.getAverageWPM(filter)).toBe(33);
+      expect(manager.getAverageAccuracy(filter)).toBe(97);
+      expect(manager.getBestWPM(filter)).toBe(36);
+      expect(manager.getTotalTime(filter)).toBe(60000);
+      expect(manager.getTotalSessions(filter)).toBe(2);
+    });
+
+    it('should ignore empty filter values', () => {
+      expect(manager.getTotalSessions({ layoutUsed: undefined })).toBe(3);
+    });
+  });
+
   describe('clear history', () => {
     it('should clear all sessions', () => {
       manager.startSession({ text: 'hello' });
@@ -3,6 +3,41 @@
  * WPM, accuracy, per-key stats calculation
  */
 
+// Latency histograms use buckets this wide; the last bucket collects everything slower
+export const LATENCY_BUCKET_MS = 50;
+export const LATENCY_BUCKETS = 20;
+
+/**
+ * Get the histogram bucket for a latency
+ * @param {number} ms
+ * @returns {number}
+ */
+function getLatencyBucket(ms) {
+  return Math.min(LATENCY_BUCKETS - 1, Math.floor(ms / LATENCY_BUCKET_MS));
+}
+
+/**
+ * Read a percentile from a latency histogram
+ * @param {Object} histogram - Bucket index -> count
+ * @param {number} percentile - 0-100
+ * @returns {number} Upper edge of the bucket holding the percentile, in ms (0 if empty)
+ */
+export function getLatencyPercentile(histogram, percentile) {
+  const buckets = Object.entries(histogram || {})
+    .map(([bucket, count]) => [Number(bucket), count])
+    .sort((a, b) => a[0] - b[0]);
+  const total = buckets.reduce((sum, [, count]) => sum + count, 0);
+  if (total === 0) return 0;
+
+  const target = Math.max(1, Math.ceil((total * percentile) / 100));
+  let seen = 0;
+  for (const [bucket, count] of buckets) {
+    seen += count;
+    if (seen >= target) return (bucket + 1) * LATENCY_BUCKET_MS;
+  }
+  return LATENCY_BUCKETS * LATENCY_BUCKET_MS;
+}
+
 /**
  * Calculate words per minute
  * Standard: 5 characters = 1 word
@@ -29,6 +64,75 @@ export function calculateAccuracy(totalChars, errorChars) {
   return Math.max(0, Math.round(accuracy));
 }
 
+/**
+ * Combine per-key statistics from several saved sessions
+ * Average times are weighted by how often each key was typed.
+ * @param {Object[]} sessions - Sessions with a `keyStats` map
+ * @returns {Object} Key -> { total, errors, errorRate, avgTime }
+ */
+export function aggregateKeyStats(sessions) {
+  const totals = {};
+
+  for (const session of sessions) {
+    for (const [key, stats] of Object.entries(session.keyStats || {})) {
+      const entry = totals[key] || (totals[key] = { total: 0, errors: 0, timeWeight: 0, timeSum: 0 });
+      entry.total += stats.total || 0;
+      entry.errors += stats.errors || 0;
+      if (stats.avgTime > 0) {
+        entry.timeSum += stats.avgTime * stats.total;
+        entry.timeWeight += stats.total;
+      }
+    }
+  }
+
+  const result = {};
+  for (const [key, entry] of Object.entries(totals)) {
+    result[key] = {
+      total: entry.total,
+      errors: entry.errors,
+      errorRate: entry.total > 0 ? entry.errors / entry.total : 0,
+      avgTime: entry.timeWeight > 0 ? Math.round(entry.timeSum / entry.timeWeight) : 0,
+    };
+  }
+  return result;
+}
+
+/**
+ * Combine bigram or trigram statistics from several saved sessions
+ * Histograms are summed, so percentiles stay exact across sessions.
+ * @param {Object[]} sessions - Sessions with n-gram stats
+ * @param {string} [field='bigramStats'] - 'bigramStats' or 'trigramStats'
+ * @returns {Object} N-gram -> { total, errors, errorRate, avgTime, histogram }
+ */
+export function aggregateNgramStats(sessions, field = 'bigramStats') {
+  const totals = {};
+
+  for (const session of sessions) {
+    for (const [ngram, stats] of Object.entries(session[field] || {})) {
+      const entry = totals[ngram] || (totals[ngram] = { total: 0, errors: 0, timeSum: 0, timed: 0, histogram: {} });
+      entry.total += stats.total || 0;
+      entry.errors += stats.errors || 0;
+      for (const [bucket, count] of Object.entries(stats.histogram || {})) {
+        entry.histogram[bucket] = (entry.histogram[bucket] || 0) + count;
+        entry.timeSum += (stats.avgTime || 0) * count;
+        entry.timed += count;
+      }
+    }
+  }
+
+  const result = {};
+  for (const [ngram, entry] of Object.entries(totals)) {
+    result[ngram] = {
+      total: entry.total,
+      errors: entry.errors,
+      errorRate: entry.total > 0 ? entry.errors / entry.total : 0,
+      avgTime: entry.timed > 0 ? Math.round(entry.timeSum / entry.timed) : 0,
+      histogram: entry.histogram,
+    };
+  }
+  return result;
+}
+
 /**
  * Create a statistics tracker instance
  * @returns {Object} Statistics tracker
@@ -40,11 +144,17 @@ export function createStatisticsTracker() {
   let totalChars = 0;
   let correctChars = 0;
   let errorChars = 0;
+  let blockedChars = 0;
   let lastInputTime = null;
   
   // Per-key statistics
   const keyStats = new Map();
 
+  // Per-bigram and per-trigram statistics, keyed by n
+  const ngramStats = { 2: new Map(), 3: new Map() };
+  // Intended characters of the current run, newest last: [{ char, time }]
+  let sequence = [];
+
   /**
    * Get or create key stats object
    * @param {string} key
@@ -64,6 +174,60 @@ export function createStatisticsTracker() {
     return keyStats.get(key);
   }
 
+  /**
+   * Record a keystroke against the bigram and trigram ending in it
+   * N-grams follow the intended text, so a wrong key counts as an error on
+   * the pair it should have completed. Runs stop at whitespace.
+   * @param {string} char - Intended character
+   * @param {boolean} correct
+   * @param {number} time - Keystroke time
+   * @param {boolean} blocked - The key was rejected and the cursor did not move
+   */
+  function recordSequence(char, correct, time, blocked) {
+    if (/\s/.test(char)) {
+      sequence = [];
+      return;
+    }
+
+    for (const n of [2, 3]) {
+      if (sequence.length < n - 1) continue;
+
+      const previous = sequence.slice(-(n - 1));
+      const ngram = previous.map(entry => entry.char).join('') + char;
+      if (!ngramStats[n].has(ngram)) {
+        ngramStats[n].set(ngram, { total: 0, errors: 0, timeSum: 0, timed: 0, histogram: {} });
+      }
+
+      const stats = ngramStats[n].get(ngram);
+      stats.total++;
+      if (!correct) {
+        stats.errors++;
+      }
+
+      // Latency runs from the first key of the n-gram
+      const latency = time - previous[0].time;
+      if (latency > 0) {
+        const bucket = getLatencyBucket(latency);
+        stats.timeSum += latency;
+        stats.timed++;
+        stats.histogram[bucket] = (stats.histogram[bucket] || 0) + 1;
+      }
+    }
+
+    if (!blocked) {
+      sequence.push({ char, time });
+      if (sequence.length > 2) sequence.shift();
+    }
+  }
+
+  /**
+   * Forget the current run of keys
+   * Called on backspace: the next key does not follow the ones before it.
+   */
+  function breakSequence() {
+    sequence = [];
+  }
+
   /**
    * Start a new tracking session
    */
@@ -104,8 +268,10 @@ export function createStatisticsTracker() {
    * @param {string} char - Character that was typed
    * @param {boolean} correct - Whether it was correct
    * @param {string} [expected] - Expected character (for confusion tracking)
+   * @param {Object} [options={}]
+   * @param {boolean} [options.blocked=false] - The error mode rejected the key
    */
-  function recordInput(char, correct, expected) {
+  function recordInput(char, correct, expected, options = {}) {
     const now = Date.now();
     const timeSinceLast = lastInputTime ? now - lastInputTime : 0;
     
@@ -114,9 +280,12 @@ export function createStatisticsTracker() {
       correctChars++;
     } else {
       errorChars++;
-      
+      if (options.blocked) {
+        blockedChars++;
+      }
+
       // Track confusion if expected is provided
-      if (expected) {
+      if (expected && expected !== char) {
         const stats = getOrCreateKeyStats(expected);
         stats.confusedWith[char] = (stats.confusedWith[char] || 0) + 1;
       }
@@ -137,6 +306,8 @@ export function createStatisticsTracker() {
       stats.avgTime = stats.times.reduce((a, b) => a + b, 0) / stats.times.length;
     }
 
+    recordSequence(correct ? char : expected || char, correct, now, Boolean(options.blocked));
+
     lastInputTime = now;
   }
 
@@ -149,14 +320,69 @@ export function createStatisticsTracker() {
     return getOrCreateKeyStats(key);
   }
 
+  /**
+   * Get statistics for every key typed, ready to be saved
+   * Raw timing samples are dropped to keep saved sessions small.
+   * @returns {Object} Key -> { total, correct, errors, avgTime, confusedWith }
+   */
+  function getAllKeyStats() {
+    const result = {};
+    for (const [key, stats] of keyStats) {
+      result[key] = {
+        total: stats.total,
+        correct: stats.correct,
+        errors: stats.errors,
+        avgTime: Math.round(stats.avgTime),
+        confusedWith: { ...stats.confusedWith },
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Get bigram or trigram statistics, ready to be saved
+   * @param {number} n - 2 or 3
+   * @returns {Object} N-gram -> { total, errors, avgTime, histogram }
+   */
+  function getAllNgramStats(n) {
+    const result = {};
+    for (const [ngram, stats] of ngramStats[n]) {
+      result[ngram] = {
+        total: stats.total,
+        errors: stats.errors,
+        avgTime: stats.timed > 0 ? Math.round(stats.timeSum / stats.timed) : 0,
+        histogram: { ...stats.histogram },
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Get statistics for every bigram typed
+   * @returns {Object} Bigram -> { total, errors, avgTime, histogram }
+   */
+  function getAllBigramStats() {
+    return getAllNgramStats(2);
+  }
+
+  /**
+   * Get statistics for every trigram typed
+   * @returns {Object} Trigram -> { total, errors, avgTime, histogram }
+   */
+  function getAllTrigramStats() {
+    return getAllNgramStats(3);
+  }
+
   /**
    * Get overall statistics
+   * Blocked keys count against accuracy but not net WPM: they never reached
+   * the text, and the time spent on them already slows the result.
    * @returns {Object}
    */
   function getStats() {
     const duration = getDuration();
     const rawWpm = calculateWPM(totalChars, duration);
-    const netChars = Math.max(0, correctChars - errorChars);
+    const netChars = Math.max(0, correctChars - (errorChars - blockedChars));
     const wpm = calculateWPM(netChars, duration);
     const accuracy = calculateAccuracy(totalChars, errorChars);
 
@@ -164,6 +390,7 @@ export function createStatisticsTracker() {
       totalChars,
       correctChars,
       errorChars,
+      blockedChars,
       duration,
       rawWpm,
       wpm,
@@ -181,8 +408,12 @@ export function createStatisticsTracker() {
     totalChars = 0;
     correctChars = 0;
     errorChars = 0;
+    blockedChars = 0;
     lastInputTime = null;
     keyStats.clear();
+    ngramStats[2].clear();
+    ngramStats[3].clear();
+    sequence = [];
   }
 
   return {
@@ -191,7 +422,11 @@ export function createStatisticsTracker() {
     isRunning,
     getDuration,
     recordInput,
+    breakSequence,
     getKeyStats,
+    getAllKeyStats,
+    getAllBigramStats,
+    getAllTrigramStats,
     getStats,
     reset,
   };
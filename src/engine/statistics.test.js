@@ -7,6 +7,9 @@ import {
   createStatisticsTracker,
   calculateWPM,
   calculateAccuracy,
+  aggregateKeyStats,
+  aggregateNgramStats,
+  getLatencyPercentile,
 } from './statistics.js';
 
 describe('calculateWPM', () => {
@@ -48,6 +51,63 @@ describe('calculateAccuracy', () => {
   });
 });
 
+describe('aggregateKeyStats', () => {
+  it('should sum counts across sessions', () => {
+    const result = aggregateKeyStats([
+      { keyStats: { a: { total: 10, errors: 1, avgTime: 100 } } },
+      { keyStats: { a: { total: 10, errors: 3, avgTime: 200 }, b: { total: 4, errors: 0, avgTime: 150 } } },
+    ]);
+    expect(result.a.total).toBe(20);
+    expect(result.a.errors).toBe(4);
+    expect(result.a.errorRate).toBe(0.2);
+    expect(result.b.total).toBe(4);
+  });
+
+  it('should weight average time by key count', () => {
+    const result = aggregateKeyStats([
+      { keyStats: { a: { total: 3, errors: 0, avgTime: 100 } } },
+      { keyStats: { a: { total: 1, errors: 0, avgTime: 300 } } },
+    ]);
+    expect(result.a.avgTime).toBe(150);
+  });
+
+  it('should skip sessions without key stats', () => {
+    expect(aggregateKeyStats([{ wpm: 40 }])).toEqual({});
+  });
+});
+
+describe('getLatencyPercentile', () => {
+  it('should read percentiles from histogram buckets', () => {
+    // 50ms buckets: 4 keys at 100-149ms, 1 key at 400-449ms
+    const histogram = { 2: 4, 8: 1 };
+    expect(getLatencyPercentile(histogram, 50)).toBe(150);
+    expect(getLatencyPercentile(histogram, 90)).toBe(450);
+    expect(getLatencyPercentile({}, 50)).toBe(0);
+  });
+});
+
+describe('aggregateNgramStats', () => {
+  it('should sum counts and histograms across sessions', () => {
+    const result = aggregateNgramStats([
+      { bigramStats: { th: { total: 3, errors: 1, avgTime: 100, histogram: { 2: 3 } } } },
+      { bigramStats: { th: { total: 1, errors: 0, avgTime: 300, histogram: { 6: 1 } } } },
+      { wpm: 40 },
+    ]);
+    expect(result.th).toEqual({
+      total: 4,
+      errors: 1,
+      errorRate: 0.25,
+      avgTime: 150,
+      histogram: { 2: 3, 6: 1 },
+    });
+  });
+
+  it('should read trigrams from their own field', () => {
+    const result = aggregateNgramStats([{ trigramStats: { the: { total: 1, errors: 0, avgTime: 200, histogram: { 4: 1 } } } }], 'trigramStats');
+    expect(result.the.total).toBe(1);
+  });
+});
+
 describe('createStatisticsTracker', () => {
   let tracker;
 
@@ -157,6 +217,18 @@ describe('createStatisticsTracker', () => {
       const keyStats = tracker.getKeyStats('a');
       expect(keyStats.confusedWith).toEqual({ x: 2, y: 1 });
     });
+
+    it('should export all key stats without timing samples', () => {
+      tracker.recordInput('a', true);
+      vi.advanceTimersByTime(120);
+      tracker.recordInput('b', false, 'c');
+
+      const all = tracker.getAllKeyStats();
+      expect(Object.keys(all).sort()).toEqual(['a', 'b', 'c']);
+      expect(all.b).toEqual({ total: 1, correct: 0, errors: 1, avgTime: 120, confusedWith: {} });
+      expect(all.c.confusedWith).toEqual({ b: 1 });
+      expect(all.a.times).toBeUndefined();
+    });
   });
 
   describe('raw vs net WPM', () => {
@@ -184,6 +256,72 @@ describe('createStatisticsTracker', () => {
       // (20 correct - 5 errors) / 5 / 0.5 min = 6 WPM
       expect(stats.wpm).toBe(6);
     });
+
+    it('should not take blocked keys off net WPM', () => {
+      for (let i = 0; i < 25; i++) {
+        const correct = i % 5 !== 0;
+        tracker.recordInput('a', correct, correct ? undefined : 'b', { blocked: !correct });
+      }
+      vi.advanceTimersByTime(30000);
+
+      const stats = tracker.getStats();
+      expect(stats.blockedChars).toBe(5);
+      expect(stats.accuracy).toBe(80);
+      // 20 correct / 5 / 0.5 min = 8 WPM
+      expect(stats.wpm).toBe(8);
+    });
+  });
+
+  describe('n-gram statistics', () => {
+    beforeEach(() => {
+      tracker.startSession();
+    });
+
+    /**
+     * Type characters with a fixed gap between keystrokes
+     * @param {string} text
+     * @param {number} gap - Milliseconds between keys
+     */
+    function typeAll(text, gap) {
+      for (const char of text) {
+        vi.advanceTimersByTime(gap);
+        tracker.recordInput(char, true);
+      }
+    }
+
+    it('should track bigram counts and latency', () => {
+      typeAll('thth', 120);
+      const bigrams = tracker.getAllBigramStats();
+      expect(bigrams.th).toEqual({ total: 2, errors: 0, avgTime: 120, histogram: { 2: 2 } });
+      expect(bigrams.ht.total).toBe(1);
+    });
+
+    it('should time trigrams from their first key', () => {
+      typeAll('the', 100);
+      expect(tracker.getAllTrigramStats().the).toEqual({ total: 1, errors: 0, avgTime: 200, histogram: { 4: 1 } });
+    });
+
+    it('should count errors against the intended n-gram', () => {
+      typeAll('t', 100);
+      tracker.recordInput('g', false, 'h');
+      expect(tracker.getAllBigramStats().th.errors).toBe(1);
+      expect(tracker.getAllBigramStats().tg).toBeUndefined();
+    });
+
+    it('should not run n-grams across spaces or backspaces', () => {
+      typeAll('a b', 100);
+      tracker.breakSequence();
+      typeAll('c', 100);
+      expect(tracker.getAllBigramStats()).toEqual({});
+    });
+
+    it('should not move past blocked keys', () => {
+      typeAll('t', 100);
+      tracker.recordInput('g', false, 'h', { blocked: true });
+      typeAll('h', 100);
+      expect(tracker.getAllBigramStats().th).toMatchObject({ total: 2, errors: 1 });
+      expect(tracker.getAllBigramStats().hh).toBeUndefined();
+    });
   });
 
   describe('reset', () => {
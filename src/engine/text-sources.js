@@ -0,0 +1,150 @@
+/**
+ * Text Sources
+ * Quotes and the user's own text, as alternatives to generated words
+ */
+
+/** File types the custom text picker accepts */
+export const CUSTOM_TEXT_FILE_TYPES = '.txt,.md,text/plain,text/markdown';
+
+// Custom text is practised a passage at a time, ending near this length
+export const PASSAGE_LENGTH = 400;
+
+/**
+ * Built-in quotes, with punctuation and capitals
+ */
+export const QUOTES = [
+  { text: 'The quick brown fox jumps over the lazy dog.', source: 'Typing exercise' },
+  { text: 'It was the best of times, it was the worst of times, it was the age of wisdom, it was the age of foolishness.', source: 'Charles Dickens, A Tale of Two Cities' },
+  { text: 'It is a truth universally acknowledged, that a single man in possession of a good fortune, must be in want of a wife.', source: 'Jane Austen, Pride and Prejudice' },
+  { text: 'Call me Ishmael. Some years ago, never mind how long precisely, having little or no money in my purse, I thought I would sail about a little and see the watery part of the world.', source: 'Herman Melville, Moby-Dick' },
+  { text: 'All happy families are alike; each unhappy family is unhappy in its own way.', source: 'Leo Tolstoy, Anna Karenina' },
+  { text: 'Happy families are all alike? Perhaps. But "alike" hides a great deal: habits, quarrels, jokes & small kindnesses.', source: 'Typing exercise' },
+  { text: 'We hold these truths to be self-evident, that all men are created equal.', source: 'Declaration of Independence, 1776' },
+  { text: 'Four score and seven years ago our fathers brought forth on this continent, a new nation, conceived in Liberty.', source: 'Abraham Lincoln, Gettysburg Address' },
+  { text: 'Whether I shall turn out to be the hero of my own life, or whether that station will be held by anybody else, these pages must show.', source: 'Charles Dickens, David Copperfield' },
+  { text: 'The sky above the port was the color of television, tuned to a dead channel.', source: 'William Gibson, Neuromancer' },
+  { text: "Alice was beginning to get very tired of sitting by her sister on the bank, and of having nothing to do: once or twice she had peeped into the book her sister was reading.", source: "Lewis Carroll, Alice's Adventures in Wonderland" },
+  { text: 'In the beginning the Universe was created. This has made a lot of people very angry and been widely regarded as a bad move.', source: 'Douglas Adams, The Restaurant at the End of the Universe' },
+  { text: "Don't panic! It's only a typing test (and nobody's watching your WPM... yet).", source: 'Typing exercise' },
+  { text: 'Simplicity is prerequisite for reliability.', source: 'Edsger W. Dijkstra' },
+  { text: 'Programs must be written for people to read, and only incidentally for machines to execute.', source: 'Harold Abelson, Structure and Interpretation of Computer Programs' },
+  { text: 'Premature optimization is the root of all evil (or at least most of it) in programming.', source: 'Donald Knuth' },
+  { text: 'Is it 9:45 or 10:15? Either way, the 3 trains leave at 11, 12 and 1 o\'clock; bring $20 & a map.', source: 'Typing exercise' },
+  { text: 'Two roads diverged in a wood, and I - I took the one less traveled by, and that has made all the difference.', source: 'Robert Frost, The Road Not Taken' },
+];
+
+// Typographic characters with no key of their own, and what to type instead
+const TYPOGRAPHIC_REPLACEMENTS = [
+  [/[‘’‚′]/g, "'"],
+  [/[“”„″]/g, '"'],
+  [/[–—−]/g, '-'],
+  [/…/g, '...'],
+  [/[\u00a0\u2009\u202f]/g, ' '],
+];
+
+/**
+ * Get a built-in quote
+ * The same seed always picks the same quote.
+ * @param {number} seed - Non-negative integer
+ * @returns {Object} { text, source }
+ */
+export function getQuote(seed) {
+  return QUOTES[Math.abs(Math.floor(seed)) % QUOTES.length];
+}
+
+/**
+ * Clean up pasted or loaded text for practice
+ * Typographic quotes and dashes become their keyboard equivalents, runs of
+ * spaces and tabs collapse to one space, and blank lines collapse so each
+ * paragraph is one Enter after the last.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  let result = String(text || '').replace(/\r\n?/g, '\n');
+  for (const [pattern, replacement] of TYPOGRAPHIC_REPLACEMENTS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  return result
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * Strip Markdown formatting, keeping the words
+ * Headings, emphasis, inline code, links, images, quotes and fences go;
+ * list markers stay, since they are typed text like any other.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripMarkdown(text) {
+  return String(text || '')
+    .replace(/^\s*(```|~~~).*$/gm, '')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, '$1$2');
+}
+
+/**
+ * Prepare the contents of a text file for practice
+ * @param {string} content - File contents
+ * @param {string} [fileName=''] - Markdown files (.md) have their formatting stripped
+ * @returns {string}
+ */
+export function prepareFileText(content, fileName = '') {
+  const isMarkdown = /\.(md|markdown)$/i.test(fileName);
+  return normalizeText(isMarkdown ? stripMarkdown(content) : content);
+}
+
+/**
+ * Find where to end a passage
+ * Prefers a line break, then the end of a sentence, then a space, as long as
+ * the passage keeps at least half its length.
+ * @param {string} text - Text starting at the passage start
+ * @param {number} maxLength
+ * @returns {number} Index to cut at
+ */
+function findPassageEnd(text, maxLength) {
+  const head = text.slice(0, maxLength + 1);
+  const minLength = maxLength / 2;
+
+  const lineBreak = head.lastIndexOf('\n');
+  if (lineBreak > minLength) return lineBreak;
+
+  const lastSentence = [...head.matchAll(/[.!?]["')\]]*(?= )/g)].at(-1);
+  const sentenceEnd = lastSentence ? lastSentence.index + lastSentence[0].length : -1;
+  if (sentenceEnd > minLength) return sentenceEnd;
+
+  const space = head.lastIndexOf(' ');
+  return space > 0 ? space : maxLength;
+}
+
+/**
+ * Split long text into passages that can each be practised in one go
+ * @param {string} text - Normalized text
+ * @param {number} [maxLength=PASSAGE_LENGTH]
+ * @returns {string[]}
+ */
+export function splitPassages(text, maxLength = PASSAGE_LENGTH) {
+  const passages = [];
+  let rest = (text || '').trim();
+
+  while (rest.length > maxLength) {
+    const end = findPassageEnd(rest, maxLength);
+    passages.push(rest.slice(0, end).trim());
+    rest = rest.slice(end).trim();
+  }
+  if (rest) {
+    passages.push(rest);
+  }
+
+  return passages;
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  QUOTES,
+  getQuote,
+  normalizeText,
+  stripMarkdown,
+  prepareFileText,
+  splitPassages,
+} from './text-sources.js';
+
+describe('Text Sources', () => {
+  describe('getQuote', () => {
+    it('should pick the same quote for the same seed', () => {
+      expect(getQuote(3)).toBe(QUOTES[3]);
+      expect(getQuote(QUOTES.length + 3)).toBe(QUOTES[3]);
+      expect(getQuote(12345)).toBe(getQuote(12345));
+    });
+
+    it('should include punctuation and capitals', () => {
+      const text = QUOTES.map(q => q.text).join(' ');
+      expect(text).toMatch(/[A-Z]/);
+      expect(text).toMatch(/[.,;:!?'"()]/);
+      expect(QUOTES.every(q => q.text === normalizeText(q.text))).toBe(true);
+    });
+  });
+
+  describe('normalizeText', () => {
+    it('should replace typographic characters with typeable ones', () => {
+      expect(normalizeText('“Don’t” – wait…')).toBe('"Don\'t" - wait...');
+    });
+
+    it('should collapse spaces and blank lines and keep line breaks', () => {
+      expect(normalizeText('  one   two\t three \r\n\r\n\r\nfour  \nfive\n\n')).toBe('one two three\nfour\nfive');
+    });
+  });
+
+  describe('stripMarkdown', () => {
+    it('should keep the words and drop the formatting', () => {
+      const markdown = '# Title\n\n> A **bold** and _quiet_ [link](http://x.y) with `code`.\n\n```js\nsnake_case_name\n```\n- item';
+      expect(normalizeText(stripMarkdown(markdown))).toBe('Title\nA bold and quiet link with code.\nsnake_case_name\n- item');
+    });
+  });
+
+  describe('prepareFileText', () => {
+    it('should only strip Markdown from .md files', () => {
+      expect(prepareFileText('# Heading\nText', 'notes.md')).toBe('Heading\nText');
+      expect(prepareFileText('# Heading\nText', 'notes.txt')).toBe('# Heading\nText');
+    });
+  });
+
+  describe('splitPassages', () => {
+    it('should keep short text as one passage', () => {
+      expect(splitPassages('Short text.')).toEqual(['Short text.']);
+      expect(splitPassages('')).toEqual([]);
+    });
+
+    it('should split long paragraphs at sentence ends', () => {
+      const text = 'One two three. Four five six. Seven eight nine.';
+      expect(splitPassages(text, 32)).toEqual(['One two three. Four five six.', 'Seven eight nine.']);
+    });
+
+    it('should prefer line breaks over sentence ends', () => {
+      const text = 'One two. Three four\nfive six seven. Eight.';
+      expect(splitPassages(text, 25)[0]).toBe('One two. Three four');
+    });
+
+    it('should fall back to spaces, then hard cuts', () => {
+      expect(splitPassages('aaaa bbbb cccc', 10)).toEqual(['aaaa bbbb', 'cccc']);
+      expect(splitPassages('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij']);
+    });
+  });
+});
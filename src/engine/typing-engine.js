@@ -3,16 +3,49 @@
  * Core typing logic, character matching, and input handling
  */
 
+/**
+ * Ways of handling wrong keys
+ * - free: wrong keys are typed like any other and can be fixed with backspace
+ * - stop: wrong keys are rejected, the cursor waits for the right one
+ * - word: the cursor cannot move past the end of a word until it is correct
+ */
+export const ERROR_MODES = ['free', 'stop', 'word'];
+
+/**
+ * Ways of handling the indentation at the start of a line
+ * - type: spaces and tabs must be typed like any other character
+ * - skip: the cursor jumps over them after each line break
+ */
+export const INDENT_MODES = ['type', 'skip'];
+
+// Spaces and line breaks both end a word
+const WORD_BREAK = /\s/;
+const INDENT = /^[ \t]+$/;
+
+/**
+ * Find the start of the word that ends just before a position
+ * @param {string} text
+ * @param {number} position
+ * @returns {number}
+ */
+function findWordStart(text, position) {
+  let start = position;
+  while (start > 0 && !WORD_BREAK.test(text[start - 1])) start--;
+  return start;
+}
+
 /**
  * Create a typing engine instance
  * @param {Object} [options={}] - Engine options
- * @param {Function} [options.onInput] - Callback for each input (char, correct)
+ * @param {string} [options.errorMode='free'] - One of ERROR_MODES
+ * @param {string} [options.indentation='type'] - One of INDENT_MODES
+ * @param {Function} [options.onInput] - Callback for each input (char, correct, { expected, blocked })
  * @param {Function} [options.onComplete] - Callback when text is completed
  * @param {Function} [options.onProgress] - Callback for progress updates (state)
  * @returns {Object} Typing engine instance
  */
 export function createTypingEngine(options = {}) {
-  const { onInput, onComplete, onProgress } = options;
+  const { errorMode = 'free', indentation = 'type', onInput, onComplete, onProgress } = options;
 
   let state = {
     text: '',
@@ -21,8 +54,15 @@ export function createTypingEngine(options = {}) {
     errors: [],
     isComplete: false,
     wordIndex: 0,
+    blocked: 0,
   };
 
+  // Timestamped keystroke log, with times relative to the first keystroke
+  let log = [];
+  let logStart = null;
+  // Positions that have held a wrong character, to spot corrections
+  let errorPositions = new Set();
+
   /**
    * Load text for practice
    * @param {string} text
@@ -35,7 +75,62 @@ export function createTypingEngine(options = {}) {
       errors: [],
       isComplete: false,
       wordIndex: 0,
+      blocked: 0,
     };
+    log = [];
+    logStart = null;
+    errorPositions = new Set();
+    skipIndentation();
+  }
+
+  /**
+   * Move the cursor over the indentation of the line it is at the start of
+   * Only when indentation is skipped. Skipped characters are not keystrokes,
+   * so they are neither logged nor reported through onInput.
+   */
+  function skipIndentation() {
+    if (indentation !== 'skip') return;
+    if (state.position > 0 && state.text[state.position - 1] !== '\n') return;
+
+    while (state.position < state.text.length && INDENT.test(state.text[state.position])) {
+      state.typed += state.text[state.position];
+      state.position++;
+    }
+  }
+
+  /**
+   * Find the start of the line if the cursor sits just after skipped indentation
+   * @returns {number|null}
+   */
+  function getSkippedIndentStart() {
+    if (indentation !== 'skip' || state.position === 0) return null;
+    const lineStart = state.text.lastIndexOf('\n', state.position - 1) + 1;
+    if (lineStart === state.position) return null;
+    return INDENT.test(state.text.slice(lineStart, state.position)) ? lineStart : null;
+  }
+
+  /**
+   * Add an event to the keystroke log
+   * @param {Object} event - { type, char?, correct?, blocked?, correction? }
+   */
+  function logEvent(event) {
+    const now = Date.now();
+    if (logStart === null) {
+      logStart = now;
+    }
+    log.push({ t: now - logStart, ...event });
+  }
+
+  /**
+   * Append text to the end of the current text
+   * Used by timed tests to keep words coming while the clock runs.
+   * @param {string} text
+   */
+  function appendText(text) {
+    if (state.isComplete) {
+      return;
+    }
+    state.text += text;
   }
 
   /**
@@ -50,22 +145,38 @@ export function createTypingEngine(options = {}) {
     const expected = state.text[state.position];
     const correct = char === expected;
 
+    if (isBlocked(char, expected)) {
+      // Rejected keys never reach the text, so they are not kept in `errors`
+      state.blocked++;
+      logEvent({ type: 'char', char, correct: false, blocked: true });
+      onInput?.(char, false, { expected, blocked: true });
+      onProgress?.(getState());
+      return;
+    }
+
     if (!correct) {
       state.errors.push({
         position: state.position,
         expected,
         actual: char,
       });
+      errorPositions.add(state.position);
+      logEvent({ type: 'char', char, correct: false });
+    } else if (errorPositions.has(state.position)) {
+      logEvent({ type: 'char', char, correct: true, correction: true });
+    } else {
+      logEvent({ type: 'char', char, correct: true });
     }
 
     state.typed += char;
     state.position++;
+    skipIndentation();
 
     // Update word index
     state.wordIndex = calculateWordIndex();
 
     // Call onInput BEFORE completion check so stats are recorded
-    onInput?.(char, correct);
+    onInput?.(char, correct, { expected, blocked: false });
     onProgress?.(getState());
 
     // Check completion - only complete when all characters typed correctly
@@ -75,19 +186,71 @@ export function createTypingEngine(options = {}) {
     }
   }
 
+  /**
+   * Check whether the error mode rejects a key
+   * @param {string} char - The character typed
+   * @param {string} expected - The character at the cursor
+   * @returns {boolean}
+   */
+  function isBlocked(char, expected) {
+    if (errorMode === 'stop') {
+      return char !== expected;
+    }
+    if (errorMode === 'word' && WORD_BREAK.test(expected)) {
+      return char !== expected || hasWordErrors();
+    }
+    return false;
+  }
+
+  /**
+   * Check whether the word before the cursor has uncorrected errors
+   * @returns {boolean}
+   */
+  function hasWordErrors() {
+    const wordStart = findWordStart(state.text, state.position);
+    return state.errors.some(e => e.position >= wordStart);
+  }
+
   /**
    * Handle backspace
+   * Nothing is logged when there is nothing to delete.
    */
   function backspace() {
-    if (state.position > 0) {
-      state.position--;
-      state.typed = state.typed.slice(0, -1);
-      state.isComplete = false;
-      state.wordIndex = calculateWordIndex();
-      
-      // Remove any error at the position we're backspacing to
-      state.errors = state.errors.filter(e => e.position !== state.position);
+    // Skipped indentation goes with the line break before it
+    const lineStart = getSkippedIndentStart();
+    if (state.position === 0 || lineStart === 0) return;
+
+    logEvent({ type: 'backspace' });
+    if (lineStart !== null) {
+      state.position = lineStart;
+      state.typed = state.typed.slice(0, lineStart);
     }
+
+    state.position--;
+    state.typed = state.typed.slice(0, -1);
+    state.isComplete = false;
+    state.wordIndex = calculateWordIndex();
+
+    // Remove any error at the position we're backspacing to
+    state.errors = state.errors.filter(e => e.position !== state.position);
+  }
+
+  /**
+   * Delete back to the start of the current word (Ctrl+Backspace)
+   * Spaces and line breaks right before the cursor go with the word before them.
+   */
+  function backspaceWord() {
+    logEvent({ type: 'backspace-word' });
+    let target = state.position;
+    while (target > 0 && WORD_BREAK.test(state.typed[target - 1])) target--;
+    target = findWordStart(state.typed, target);
+    if (target === state.position) return;
+
+    state.position = target;
+    state.typed = state.typed.slice(0, target);
+    state.isComplete = false;
+    state.wordIndex = calculateWordIndex();
+    state.errors = state.errors.filter(e => e.position < target);
   }
 
   /**
@@ -96,9 +259,9 @@ export function createTypingEngine(options = {}) {
    */
   function calculateWordIndex() {
     const textUpToPosition = state.text.slice(0, state.position);
-    const words = textUpToPosition.split(' ');
+    const words = textUpToPosition.split(WORD_BREAK);
     // If we just typed a space, we're starting a new word
-    if (textUpToPosition.endsWith(' ')) {
+    if (WORD_BREAK.test(textUpToPosition.slice(-1))) {
       return words.length - 1;
     }
     return Math.max(0, words.length - 1);
@@ -120,7 +283,7 @@ export function createTypingEngine(options = {}) {
    * @returns {string}
    */
   function getCurrentWord() {
-    const words = state.text.split(' ');
+    const words = state.text.split(WORD_BREAK);
     return words[state.wordIndex] || '';
   }
 
@@ -140,6 +303,17 @@ export function createTypingEngine(options = {}) {
     loadText(text);
   }
 
+  /**
+   * Get the keystroke log
+   * Times are milliseconds since the first keystroke. Feeding the events
+   * back into an engine with the same text, error mode and indentation
+   * handling re-types the session.
+   * @returns {Object[]} [{ t, type: 'char'|'backspace'|'backspace-word', char?, correct?, blocked?, correction? }]
+   */
+  function getLog() {
+    return log.map(event => ({ ...event }));
+  }
+
   /**
    * Get current state
    * @returns {Object}
@@ -150,12 +324,15 @@ export function createTypingEngine(options = {}) {
 
   return {
     loadText,
+    appendText,
     input,
     backspace,
+    backspaceWord,
     getCurrentChar,
     getCurrentWord,
     getRemainingText,
     reset,
     getState,
+    getLog,
   };
 }
@@ -2,7 +2,7 @@
  * Typing Engine Tests
  * Core typing logic, character matching, and input handling
  */
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { createTypingEngine } from './typing-engine.js';
 
 describe('createTypingEngine', () => {
@@ -166,6 +166,24 @@ describe('createTypingEngine', () => {
     });
   });
 
+  describe('appendText', () => {
+    it('should extend the text without resetting progress', () => {
+      engine.loadText('hi');
+      engine.input('h');
+      engine.appendText(' there');
+      expect(engine.getState().text).toBe('hi there');
+      expect(engine.getState().position).toBe(1);
+      expect(engine.getRemainingText()).toBe('i there');
+    });
+
+    it('should delay completion until the appended text is typed', () => {
+      engine.loadText('a');
+      engine.appendText(' b');
+      engine.input('a');
+      expect(engine.getState().isComplete).toBe(false);
+    });
+  });
+
   describe('reset', () => {
     it('should reset to initial state with same text', () => {
       engine.loadText('hello');
@@ -182,6 +200,203 @@ describe('createTypingEngine', () => {
     });
   });
 
+  describe('backspaceWord', () => {
+    it('should delete back to the start of the word', () => {
+      engine.loadText('hello world');
+      'hello wox'.split('').forEach(char => engine.input(char));
+      engine.backspaceWord();
+      expect(engine.getState().typed).toBe('hello ');
+      expect(engine.getState().errors).toEqual([]);
+    });
+
+    it('should take the space before the cursor with the previous word', () => {
+      engine.loadText('hello world');
+      'hello '.split('').forEach(char => engine.input(char));
+      engine.backspaceWord();
+      expect(engine.getState().position).toBe(0);
+    });
+
+    it('should stop at a line break', () => {
+      engine.loadText('one\ntwo');
+      'one\ntw'.split('').forEach(char => engine.input(char));
+      engine.backspaceWord();
+      expect(engine.getState().typed).toBe('one\n');
+      engine.backspaceWord();
+      expect(engine.getState().typed).toBe('');
+    });
+  });
+
+  describe('error modes', () => {
+    it('should reject wrong keys in stop mode', () => {
+      const inputs = [];
+      engine = createTypingEngine({
+        errorMode: 'stop',
+        onInput: (char, correct, info) => inputs.push({ char, correct, ...info }),
+      });
+      engine.loadText('hi');
+      engine.input('x');
+
+      const state = engine.getState();
+      expect(state.position).toBe(0);
+      expect(state.typed).toBe('');
+      expect(state.errors).toEqual([]);
+      expect(state.blocked).toBe(1);
+      expect(inputs).toEqual([{ char: 'x', correct: false, expected: 'h', blocked: true }]);
+
+      engine.input('h');
+      expect(engine.getState().position).toBe(1);
+    });
+
+    it('should hold the cursor at the end of a wrong word in word mode', () => {
+      engine = createTypingEngine({ errorMode: 'word' });
+      engine.loadText('ab cd');
+      engine.input('a');
+      engine.input('x');
+      expect(engine.getState().position).toBe(2);
+
+      engine.input(' ');
+      expect(engine.getState().position).toBe(2);
+      expect(engine.getState().blocked).toBe(1);
+
+      engine.backspace();
+      engine.input('b');
+      engine.input(' ');
+      expect(engine.getState().position).toBe(3);
+    });
+
+    it('should only accept a space at the end of a word in word mode', () => {
+      engine = createTypingEngine({ errorMode: 'word' });
+      engine.loadText('ab cd');
+      'abx'.split('').forEach(char => engine.input(char));
+      expect(engine.getState().position).toBe(2);
+    });
+
+    it('should end words at line breaks in word mode', () => {
+      engine = createTypingEngine({ errorMode: 'word' });
+      engine.loadText('ab\ncd');
+      'ax '.split('').forEach(char => engine.input(char));
+      expect(engine.getState().position).toBe(2);
+
+      engine.backspace();
+      'b \n'.split('').forEach(char => engine.input(char));
+      expect(engine.getState().position).toBe(3);
+      expect(engine.getState().wordIndex).toBe(1);
+    });
+
+    it('should let wrong keys through in free mode', () => {
+      engine.loadText('ab cd');
+      'ax  '.split('').forEach(char => engine.input(char));
+      expect(engine.getState().position).toBe(4);
+      expect(engine.getState().blocked).toBe(0);
+    });
+  });
+
+  describe('indentation', () => {
+    const CODE = 'if x:\n    y()\n\tz';
+
+    it('should require indentation to be typed by default', () => {
+      engine.loadText(CODE);
+      'if x:\n'.split('').forEach(char => engine.input(char));
+      expect(engine.getCurrentChar()).toBe(' ');
+    });
+
+    it('should skip indentation after each line break', () => {
+      const inputs = [];
+      engine = createTypingEngine({ indentation: 'skip', onInput: (char) => inputs.push(char) });
+      engine.loadText(CODE);
+      'if x:\n'.split('').forEach(char => engine.input(char));
+      expect(engine.getState().position).toBe(10);
+      expect(engine.getCurrentChar()).toBe('y');
+
+      'y()\n'.split('').forEach(char => engine.input(char));
+      expect(engine.getCurrentChar()).toBe('z');
+      engine.input('z');
+
+      expect(engine.getState()).toMatchObject({ typed: CODE, isComplete: true });
+      expect(inputs.join('')).toBe('if x:\ny()\nz');
+      expect(engine.getLog()).toHaveLength(11);
+    });
+
+    it('should take skipped indentation back with the line break', () => {
+      engine = createTypingEngine({ indentation: 'skip' });
+      engine.loadText(CODE);
+      'if x:\n'.split('').forEach(char => engine.input(char));
+      engine.backspace();
+      expect(engine.getState()).toMatchObject({ position: 5, typed: 'if x:' });
+
+      engine.input('\n');
+      engine.input('y');
+      engine.backspace();
+      expect(engine.getState().position).toBe(10);
+    });
+
+    it('should skip indentation at the start of the text', () => {
+      engine = createTypingEngine({ indentation: 'skip' });
+      engine.loadText('  a');
+      expect(engine.getState().position).toBe(2);
+      engine.backspace();
+      expect(engine.getState().position).toBe(2);
+    });
+  });
+
+  describe('keystroke log', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should log keys, errors, corrections and backspaces with times', () => {
+      engine.loadText('ab');
+      engine.input('a');
+      vi.advanceTimersByTime(100);
+      engine.input('x');
+      vi.advanceTimersByTime(50);
+      engine.backspace();
+      vi.advanceTimersByTime(80);
+      engine.input('b');
+
+      expect(engine.getLog()).toEqual([
+        { t: 0, type: 'char', char: 'a', correct: true },
+        { t: 100, type: 'char', char: 'x', correct: false },
+        { t: 150, type: 'backspace' },
+        { t: 230, type: 'char', char: 'b', correct: true, correction: true },
+      ]);
+    });
+
+    it('should log blocked keys and word deletes', () => {
+      engine = createTypingEngine({ errorMode: 'stop' });
+      engine.loadText('ab');
+      engine.input('x');
+      engine.backspaceWord();
+      expect(engine.getLog().map(e => e.type)).toEqual(['char', 'backspace-word']);
+      expect(engine.getLog()[0]).toMatchObject({ blocked: true, correct: false });
+    });
+
+    it('should not log backspaces with nothing to delete', () => {
+      engine.loadText('ab');
+      engine.backspace();
+      engine.input('a');
+      engine.backspace();
+      engine.backspace();
+      expect(engine.getLog().map(e => e.type)).toEqual(['char', 'backspace']);
+
+      engine = createTypingEngine({ indentation: 'skip' });
+      engine.loadText('  a');
+      engine.backspace();
+      expect(engine.getLog()).toEqual([]);
+    });
+
+    it('should start a new log with new text', () => {
+      engine.loadText('ab');
+      engine.input('a');
+      engine.loadText('cd');
+      expect(engine.getLog()).toEqual([]);
+    });
+  });
+
   describe('event callbacks', () => {
     it('should call onInput callback', () => {
       const inputs = [];
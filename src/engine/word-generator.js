@@ -3,6 +3,8 @@
  * Generate practice words/text for typing exercises
  */
 
+import { getKeySequences } from '../keyboard/key-lookup.js';
+
 /**
  * Common English words for typing practice
  * Sorted roughly by frequency
@@ -39,6 +41,16 @@ export const COMMON_WORDS = [
   'enough', 'above', 'second', 'together', 'turn', 'change', 'keep', 'real', 'leave', 'certain',
 ];
 
+// Keys and pairs typed fewer times than this are too noisy to adapt to
+export const MIN_ADAPTIVE_SAMPLES = 3;
+
+// How much an error rate counts against a key compared to being slow:
+// 10% errors weighs the same as being 50% slower than average
+const ERROR_WEIGHT = 5;
+
+// How strongly weak keys pull their words forward (0 = uniform)
+const ADAPTIVE_STRENGTH = 4;
+
 /**
  * Simple seeded random number generator
  * @param {number} seed
@@ -54,15 +66,69 @@ function createSeededRandom(seed) {
 
 /**
  * Filter words that only contain specified keys
+ * Capitals count as their lowercase key. Accented letters count when their
+ * own key is allowed, or every key of a dead key or Compose sequence for them.
  * @param {string[]} keys - Allowed keys
  * @param {string[]} [wordList=COMMON_WORDS] - Word list to filter
  * @returns {string[]} Filtered words
  */
 export function getWordsForKeys(keys, wordList = COMMON_WORDS) {
   const keySet = new Set(keys.map(k => k.toLowerCase()));
-  return wordList.filter(word => {
-    return word.split('').every(char => keySet.has(char));
-  });
+  const typeable = new Map();
+
+  const canType = (char) => {
+    if (!typeable.has(char)) {
+      const sequences = getKeySequences(char.toLowerCase());
+      typeable.set(char, sequences.some(steps => steps.every(step => keySet.has(step.toLowerCase()))));
+    }
+    return typeable.get(char);
+  };
+
+  return wordList.filter(word => [...word].every(canType));
+}
+
+/**
+ * Score how much each key (or letter pair) is holding the typist back
+ * Combines the error rate with how much slower than average the key is.
+ * Keys with too few samples are left out.
+ * @param {Object} stats - Key -> { total, errors, errorRate?, avgTime }, as saved with sessions
+ * @param {number} [minSamples=MIN_ADAPTIVE_SAMPLES]
+ * @returns {Object} Key -> weakness score (0 = no weakness)
+ */
+export function getWeaknessScores(stats, minSamples = MIN_ADAPTIVE_SAMPLES) {
+  const entries = Object.entries(stats || {}).filter(([, s]) => (s.total || 0) >= minSamples);
+  const times = entries.map(([, s]) => s.avgTime || 0).filter(time => time > 0);
+  const meanTime = times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0;
+
+  const scores = {};
+  for (const [key, s] of entries) {
+    const errorRate = s.errorRate ?? (s.errors || 0) / s.total;
+    const slowness = meanTime > 0 && s.avgTime > 0 ? Math.max(0, s.avgTime / meanTime - 1) : 0;
+    scores[key.toLowerCase()] = (scores[key.toLowerCase()] || 0) + errorRate * ERROR_WEIGHT + slowness;
+  }
+  return scores;
+}
+
+/**
+ * Weight a word by the weak keys and letter pairs it contains
+ * Every word keeps a base weight of 1 so practice never narrows to a handful of words.
+ * @param {string} word
+ * @param {Object} keyScores - Result of getWeaknessScores for keys
+ * @param {Object} [bigramScores={}] - Result of getWeaknessScores for letter pairs
+ * @returns {number}
+ */
+export function getWordWeight(word, keyScores, bigramScores = {}) {
+  const lower = word.toLowerCase();
+  let score = 0;
+
+  for (const char of new Set(lower)) {
+    score += keyScores[char] || 0;
+  }
+  for (let i = 1; i < lower.length; i++) {
+    score += bigramScores[lower.slice(i - 1, i + 1)] || 0;
+  }
+
+  return 1 + ADAPTIVE_STRENGTH * score;
 }
 
 /**
@@ -73,6 +139,8 @@ export function getWordsForKeys(keys, wordList = COMMON_WORDS) {
  * @param {number} [options.maxLength] - Maximum word length
  * @param {number} [options.seed] - Random seed for reproducible sequences
  * @param {string[]} [options.wordList] - Custom word list
+ * @param {Object} [options.keyStats] - Saved per-key stats; words with weak keys come up more often
+ * @param {Object} [options.bigramStats] - Saved per-letter-pair stats, keyed like "th"
  * @returns {Object} Word generator instance
  */
 export function createWordGenerator(options = {}) {
@@ -82,6 +150,8 @@ export function createWordGenerator(options = {}) {
     maxLength, 
     seed,
     wordList = COMMON_WORDS,
+    keyStats,
+    bigramStats,
   } = options;
 
   // Set up random function
@@ -110,6 +180,50 @@ export function createWordGenerator(options = {}) {
     words = ['a']; // Fallback
   }
 
+  // Adaptive weighting: running totals for weighted picks, or null for uniform
+  const cumulativeWeights = buildCumulativeWeights();
+
+  /**
+   * Build running weight totals from the saved key and pair stats
+   * @returns {number[]|null} Null when there is nothing to adapt to
+   */
+  function buildCumulativeWeights() {
+    const keyScores = getWeaknessScores(keyStats);
+    const bigramScores = getWeaknessScores(bigramStats);
+    if (Object.keys(keyScores).length === 0 && Object.keys(bigramScores).length === 0) {
+      return null;
+    }
+
+    let total = 0;
+    return words.map(word => {
+      total += getWordWeight(word, keyScores, bigramScores);
+      return total;
+    });
+  }
+
+  /**
+   * Pick the index of the next word
+   * @returns {number}
+   */
+  function pickIndex() {
+    if (!cumulativeWeights) {
+      return Math.floor(random() * words.length);
+    }
+
+    const target = random() * cumulativeWeights[cumulativeWeights.length - 1];
+    let low = 0;
+    let high = cumulativeWeights.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (cumulativeWeights[mid] > target) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
   /**
    * Generate array of random words
    * @param {number} count - Number of words to generate
@@ -118,8 +232,7 @@ export function createWordGenerator(options = {}) {
   function generate(count) {
     const result = [];
     for (let i = 0; i < count; i++) {
-      const index = Math.floor(random() * words.length);
-      result.push(words[index]);
+      result.push(words[pickIndex()]);
     }
     return result;
   }
@@ -7,6 +7,8 @@ import {
   createWordGenerator,
   COMMON_WORDS,
   getWordsForKeys,
+  getWeaknessScores,
+  getWordWeight,
 } from './word-generator.js';
 
 describe('COMMON_WORDS', () => {
@@ -51,6 +53,22 @@ describe('getWordsForKeys', () => {
     const words = getWordsForKeys(homeRow);
     expect(words.length).toBeGreaterThan(10);
   });
+
+  it('should match capitals to their lowercase key', () => {
+    expect(getWordsForKeys(['z', 'e', 'i', 't'], ['Zeit', 'Zeug'])).toEqual(['Zeit']);
+  });
+
+  it('should allow accented letters with their own key', () => {
+    expect(getWordsForKeys(['f', 'ü', 'r'], ['für', 'fur'])).toEqual(['für']);
+  });
+
+  it('should allow accented letters through dead keys or Compose', () => {
+    const words = ['café', 'cafe', 'sœur'];
+    expect(getWordsForKeys(['c', 'a', 'f', 'dead-acute', 'e'], words)).toEqual(['café', 'cafe']);
+    expect(getWordsForKeys(['c', 'a', 'f', 'e', 'compose', "'"], words)).toEqual(['café', 'cafe']);
+    expect(getWordsForKeys(['s', 'o', 'e', 'u', 'r', 'cmp'], words)).toEqual(['sœur']);
+    expect(getWordsForKeys(['c', 'a', 'f', 'e', 'compose'], words)).toEqual(['cafe']);
+  });
 });
 
 describe('createWordGenerator', () => {
@@ -140,4 +158,56 @@ describe('createWordGenerator', () => {
       });
     });
   });
+
+  describe('adaptive weighting', () => {
+    const keyStats = {
+      q: { total: 10, errors: 5, avgTime: 400 },
+      a: { total: 10, errors: 0, avgTime: 200 },
+      b: { total: 10, errors: 0, avgTime: 200 },
+    };
+
+    it('should pick words with weak keys more often', () => {
+      const wordList = ['ab', 'aq'];
+      const uniform = createWordGenerator({ wordList, seed: 7 }).generate(400);
+      const adaptive = createWordGenerator({ wordList, seed: 7, keyStats }).generate(400);
+
+      const count = (words) => words.filter(word => word === 'aq').length;
+      expect(count(adaptive)).toBeGreaterThan(count(uniform) * 1.5);
+      expect(adaptive).toContain('ab');
+    });
+
+    it('should pick words with weak letter pairs more often', () => {
+      const wordList = ['ab', 'ba'];
+      const bigramStats = { ab: { total: 10, errors: 4, avgTime: 300 }, ba: { total: 10, errors: 0, avgTime: 100 } };
+      const words = createWordGenerator({ wordList, seed: 3, bigramStats }).generate(400);
+      expect(words.filter(word => word === 'ab').length).toBeGreaterThan(300);
+    });
+
+    it('should stay uniform without enough samples', () => {
+      const sparse = { q: { total: 1, errors: 1, avgTime: 900 } };
+      const plain = createWordGenerator({ seed: 5 }).generate(20);
+      expect(createWordGenerator({ seed: 5, keyStats: sparse }).generate(20)).toEqual(plain);
+    });
+  });
+});
+
+describe('getWeaknessScores', () => {
+  it('should score error rate and slowness against the average', () => {
+    const scores = getWeaknessScores({
+      a: { total: 10, errors: 0, avgTime: 100 },
+      b: { total: 10, errors: 1, avgTime: 200 },
+      c: { total: 2, errors: 2, avgTime: 900 },
+    });
+    expect(scores.a).toBe(0);
+    // 10% errors * 5 + (200ms / 150ms average - 1)
+    expect(scores.b).toBeCloseTo(0.5 + 1 / 3);
+    expect(scores.c).toBeUndefined();
+  });
+});
+
+describe('getWordWeight', () => {
+  it('should add key and pair scores to a base weight', () => {
+    expect(getWordWeight('cat', {})).toBe(1);
+    expect(getWordWeight('cat', { a: 0.5 }, { ca: 0.25 })).toBe(4);
+  });
 });
@@ -0,0 +1,133 @@
+/**
+ * Word Lists
+ * Frequency-ordered practice words for languages other than English
+ */
+
+import { COMMON_WORDS } from './word-generator.js';
+
+/** Languages with a bundled word list */
+export const WORD_LANGUAGES = [
+  'english',
+  'german',
+  'french',
+  'spanish',
+  'dutch',
+  'swedish',
+  'norwegian',
+  'danish',
+  'finnish',
+];
+
+/** Display names of the word list languages */
+export const WORD_LANGUAGE_NAMES = {
+  english: 'English',
+  german: 'Deutsch',
+  french: 'Français',
+  spanish: 'Español',
+  dutch: 'Nederlands',
+  swedish: 'Svenska',
+  norwegian: 'Norsk',
+  danish: 'Dansk',
+  finnish: 'Suomi',
+};
+
+/**
+ * Bundled word lists by language
+ * Sorted roughly by frequency, then padded with everyday words that use the
+ * language's accented letters. German nouns keep their capital.
+ */
+export const WORD_LISTS = {
+  english: COMMON_WORDS,
+  german: [
+    'der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für', 'ist',
+    'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus', 'er', 'hat',
+    'dass', 'sie', 'nach', 'wird', 'bei', 'einer', 'um', 'am', 'sind', 'noch', 'wie', 'einem',
+    'über', 'einen', 'so', 'zum', 'war', 'haben', 'nur', 'oder', 'aber', 'vor', 'zur', 'bis',
+    'mehr', 'durch', 'man', 'sein', 'wurde', 'kann', 'gegen', 'vom', 'können', 'schon', 'wenn',
+    'habe', 'seine', 'ihre', 'dann', 'unter', 'wir', 'soll', 'ich', 'wieder', 'keine', 'immer',
+    'was', 'sagte', 'viel', 'ganz', 'heute', 'müssen', 'möchte', 'später', 'während', 'natürlich',
+    'hören', 'zurück', 'fünf', 'weiß', 'heißen', 'groß', 'schön', 'Zeit', 'Jahr', 'Haus', 'Hand',
+    'Tag', 'Welt', 'Leben', 'Frau', 'Mann', 'Kind', 'Wasser', 'Arbeit', 'Weg', 'Frage', 'Schule',
+    'Buch', 'Stadt', 'Straße', 'Größe', 'Mädchen', 'Tür', 'Frühling', 'Glück', 'Käse', 'Brücke',
+    'Bürger', 'Fuß', 'Grüße', 'Bär', 'Öl', 'Übung', 'Ärger',
+  ],
+  french: [
+    'le', 'de', 'un', 'être', 'et', 'à', 'il', 'avoir', 'ne', 'je', 'son', 'que', 'se', 'qui', 'ce',
+    'dans', 'en', 'du', 'elle', 'au', 'pour', 'pas', 'sur', 'on', 'avec', 'tout', 'faire', 'plus',
+    'dire', 'me', 'nous', 'mais', 'comme', 'ou', 'si', 'leur', 'y', 'où', 'très', 'déjà', 'après',
+    'là', 'été', 'voilà', 'même', 'fenêtre', 'forêt', 'tête', 'fête', 'hôpital', 'côté', 'goût',
+    'naïf', 'noël', 'garçon', 'français', 'leçon', 'ça', 'reçu', 'cœur', 'sœur', 'œuvre', 'année',
+    'idée', 'société', 'pensée', 'journée', 'problème', 'système', 'près', 'accès', 'succès',
+    'café', 'élève', 'école', 'père', 'mère', 'frère', 'première', 'bientôt', 'âge', 'île',
+  ],
+  spanish: [
+    'de', 'la', 'que', 'el', 'en', 'y', 'a', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'no',
+    'una', 'su', 'para', 'es', 'al', 'lo', 'como', 'más', 'o', 'pero', 'sus', 'le', 'ha', 'me',
+    'si', 'sin', 'sobre', 'este', 'ya', 'entre', 'cuando', 'todo', 'esta', 'ser', 'son', 'dos',
+    'también', 'fue', 'había', 'era', 'muy', 'años', 'hasta', 'desde', 'está', 'mi', 'porque',
+    'qué', 'han', 'yo', 'hay', 'vez', 'puede', 'todos', 'así', 'nos', 'ni', 'parte', 'tiene', 'él',
+    'uno', 'donde', 'bien', 'tiempo', 'mismo', 'ese', 'ahora', 'cada', 'vida', 'otro', 'después',
+    'te', 'aunque', 'esa', 'eso', 'hace', 'tan', 'durante', 'siempre', 'día', 'tanto', 'ella',
+    'tres', 'sí', 'dijo', 'gran', 'país', 'según', 'menos', 'año', 'niño', 'mañana', 'español',
+    'señor', 'compañía', 'pequeño', 'corazón', 'canción', 'nación', 'información', 'música',
+    'público', 'último', 'aquí', 'allí', 'árbol', 'fácil', 'difícil', 'pingüino',
+  ],
+  dutch: [
+    'de', 'van', 'een', 'het', 'en', 'in', 'is', 'dat', 'op', 'te', 'zijn', 'voor', 'met', 'die',
+    'niet', 'aan', 'er', 'om', 'ook', 'als', 'dan', 'maar', 'bij', 'of', 'uit', 'nog', 'door',
+    'naar', 'heeft', 'tot', 'ze', 'wordt', 'over', 'hij', 'worden', 'meer', 'kan', 'werd', 'we',
+    'zich', 'zo', 'deze', 'wel', 'geen', 'moet', 'al', 'na', 'ik', 'jaar', 'was', 'hebben', 'wat',
+    'twee', 'waar', 'nu', 'onder', 'alle', 'tegen', 'andere', 'mensen', 'veel', 'kunnen', 'tijd',
+    'nieuwe', 'eerste', 'grote', 'goed', 'hier', 'zou', 'komen', 'gaan', 'zien', 'weten', 'huis',
+    'water', 'kind', 'werk', 'dag', 'land', 'stad', 'wereld', 'vraag', 'één', 'café', 'ruïne',
+    'reünie', 'coördinatie', 'geïnteresseerd', 'financiële', 'ideeën', 'zeeën', 'privé', 'idee',
+  ],
+  swedish: [
+    'och', 'i', 'att', 'det', 'som', 'en', 'på', 'är', 'av', 'för', 'med', 'till', 'den', 'har',
+    'de', 'inte', 'om', 'ett', 'han', 'men', 'var', 'jag', 'sig', 'från', 'vi', 'så', 'kan', 'man',
+    'när', 'år', 'säger', 'hon', 'under', 'också', 'efter', 'eller', 'nu', 'sin', 'där', 'vid',
+    'mot', 'ska', 'skulle', 'kommer', 'ut', 'får', 'finns', 'vara', 'hade', 'alla', 'andra',
+    'mycket', 'än', 'här', 'då', 'sedan', 'över', 'bara', 'in', 'blir', 'upp', 'även', 'vad', 'få',
+    'två', 'vill', 'ha', 'många', 'hur', 'mer', 'går', 'detta', 'nya', 'utan', 'något', 'allt',
+    'första', 'fick', 'måste', 'mellan', 'blev', 'bli', 'dag', 'någon', 'några', 'stora', 'bra',
+    'tre', 'genom', 'hela', 'barn', 'kvinna', 'hjärta', 'röd', 'grön', 'blå', 'kött', 'björn',
+    'sjö', 'höst', 'vår', 'skön', 'möta', 'läsa', 'säga', 'väg', 'åka', 'ålder', 'ängel',
+  ],
+  norwegian: [
+    'og', 'i', 'det', 'er', 'som', 'på', 'en', 'til', 'å', 'at', 'ikke', 'med', 'for', 'av', 'har',
+    'den', 'de', 'om', 'et', 'han', 'jeg', 'var', 'men', 'seg', 'vi', 'så', 'fra', 'kan', 'vil',
+    'hun', 'ble', 'etter', 'også', 'da', 'skal', 'eller', 'man', 'sier', 'når', 'over', 'blir',
+    'år', 'alle', 'noe', 'nå', 'bare', 'mer', 'være', 'mot', 'dette', 'andre', 'enn', 'hva',
+    'hadde', 'ut', 'må', 'sin', 'få', 'to', 'kunne', 'mange', 'her', 'opp', 'går', 'hvor', 'dag',
+    'barn', 'sammen', 'bli', 'fått', 'først', 'før', 'både', 'gjøre', 'hvordan', 'får', 'frem',
+    'blå', 'grønn', 'rød', 'søster', 'bror', 'høst', 'sønn', 'døgn', 'lærer', 'skjønn', 'ærlig',
+    'kjære', 'gå', 'små', 'stå',
+  ],
+  danish: [
+    'og', 'i', 'at', 'det', 'er', 'en', 'til', 'på', 'de', 'med', 'af', 'for', 'den', 'der', 'ikke',
+    'som', 'har', 'et', 'var', 'om', 'jeg', 'han', 'men', 'vi', 'så', 'kan', 'sig', 'fra', 'hun',
+    'også', 'skal', 'eller', 'vil', 'efter', 'når', 'ved', 'blev', 'nu', 'over', 'man', 'år',
+    'være', 'mod', 'kun', 'andre', 'mange', 'hvor', 'hvis', 'alle', 'dag', 'to', 'op', 'ud', 'få',
+    'får', 'før', 'går', 'gå', 'mere', 'havde', 'nogle', 'bliver', 'kommer', 'sådan', 'hvad',
+    'hele', 'første', 'både', 'uden', 'søster', 'bror', 'sød', 'rød', 'grøn', 'blå', 'ø', 'øl',
+    'æble', 'ære', 'lære', 'kære', 'træ', 'bær', 'måske', 'måned', 'gård', 'små', 'stå',
+  ],
+  finnish: [
+    'ja', 'on', 'ei', 'se', 'että', 'hän', 'oli', 'ovat', 'mutta', 'kun', 'niin', 'tai', 'myös',
+    'sekä', 'jo', 'vain', 'kuin', 'nyt', 'vielä', 'jos', 'mitä', 'sen', 'hänen', 'tämä', 'ole',
+    'olla', 'voi', 'kaikki', 'sitten', 'joka', 'sitä', 'minä', 'sinä', 'me', 'te', 'he', 'koska',
+    'mukaan', 'aina', 'paljon', 'kaksi', 'yksi', 'kolme', 'vuonna', 'vuoden', 'päivä', 'työ',
+    'aika', 'maa', 'talo', 'hyvä', 'suuri', 'pieni', 'uusi', 'vanha', 'kaupunki', 'ihminen',
+    'elämä', 'äiti', 'isä', 'lähde', 'sää', 'yö', 'pöytä', 'tyttö', 'käsi', 'jälkeen', 'kysymys',
+    'hyvää', 'päivää', 'kiitos', 'tänään', 'hyvin', 'yhdessä', 'lähellä', 'ympäri',
+  ],
+};
+
+/**
+ * Get the word list for a language
+ * @param {string} language - One of WORD_LANGUAGES
+ * @returns {string[]} English words for unknown languages
+ */
+export function getWordList(language) {
+  return WORD_LISTS[language] || COMMON_WORDS;
+}
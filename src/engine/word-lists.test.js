@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { WORD_LANGUAGES, WORD_LANGUAGE_NAMES, WORD_LISTS, getWordList } from './word-lists.js';
+import { COMMON_WORDS } from './word-generator.js';
+
+describe('Word Lists', () => {
+  it('should have a name and a list for every language', () => {
+    WORD_LANGUAGES.forEach(language => {
+      expect(WORD_LANGUAGE_NAMES[language]).toBeTruthy();
+      expect(WORD_LISTS[language].length).toBeGreaterThan(70);
+    });
+  });
+
+  it('should not repeat words within the bundled lists', () => {
+    WORD_LANGUAGES.filter(language => language !== 'english').forEach(language => {
+      expect(new Set(WORD_LISTS[language]).size).toBe(WORD_LISTS[language].length);
+    });
+  });
+
+  it('should use each language\'s accented letters', () => {
+    expect(WORD_LISTS.german).toEqual(expect.arrayContaining(['für', 'über', 'Straße']));
+    expect(WORD_LISTS.french).toEqual(expect.arrayContaining(['être', 'garçon', 'cœur']));
+    expect(WORD_LISTS.spanish).toEqual(expect.arrayContaining(['niño', 'más']));
+    expect(WORD_LISTS.danish).toEqual(expect.arrayContaining(['ø', 'æble', 'gård']));
+  });
+
+  it('should fall back to English for unknown languages', () => {
+    expect(getWordList('english')).toBe(COMMON_WORDS);
+    expect(getWordList('klingon')).toBe(COMMON_WORDS);
+    expect(getWordList('swedish')).toBe(WORD_LISTS.swedish);
+  });
+});
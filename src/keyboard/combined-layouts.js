@@ -6,6 +6,7 @@
 import { storage } from '../core/storage.js';
 
 const CUSTOM_LAYOUTS_KEY = 'custom-layouts';
+const LAYOUT_DRAFTS_KEY = 'layout-drafts';
 
 /**
  * Built-in combined layouts
@@ -19,12 +20,20 @@ rows: 3
 columns: 6,6
 thumb: 3,3
 split: true
-stagger: none
+stagger: columnar
+column-stagger: 0.5 0.5 0.125 0 0.125 0.25
+thumb-rotate: 10
 
 row0: tab q w f p b | j l u y ; bspc
 row1: ctrl a r s t g | m n e i o '
 row2: shift z x c d v | k h , . / shift
-thumb: gui alt spc | ent alt ctrl
+thumb: gui alt spc/mo1 | ent/mo1 alt ctrl
+
+[layer:1]
+row0: \` 1 2 3 4 5 | 6 7 8 9 0 del
+row1: _ ! @ # $ % | ^ & * ( ) _
+row2: _ ~ \\ | - = | + [ ] { } _
+thumb: _ _ _ | _ _ _
 
 fingers:
 row0: 0 0 1 2 3 3 | 6 6 7 8 9 9
@@ -40,7 +49,9 @@ rows: 3
 columns: 6,6
 thumb: 3,3
 split: true
-stagger: none
+stagger: columnar
+column-stagger: 0.5 0.5 0.125 0 0.125 0.25
+thumb-rotate: 10
 
 row0: tab q w e r t | y u i o p bspc
 row1: ctrl a s d f g | h j k l ; '
@@ -61,7 +72,9 @@ rows: 3
 columns: 6,6
 thumb: 3,3
 split: true
-stagger: none
+stagger: columnar
+column-stagger: 0.5 0.5 0.125 0 0.125 0.25
+thumb-rotate: 10
 
 row0: tab q d r w b | j f u p ; bspc
 row1: ctrl a s h t g | y n e o i '
@@ -82,7 +95,9 @@ rows: 3
 columns: 6,6
 thumb: 3,3
 split: true
-stagger: none
+stagger: columnar
+column-stagger: 0.5 0.5 0.125 0 0.125 0.25
+thumb-rotate: 10
 
 row0: tab ' , . p y | f g c r l bspc
 row1: ctrl a o e u i | d h t n s -
@@ -104,6 +119,8 @@ columns: 7,7
 thumb: 4,4
 split: true
 stagger: columnar
+column-stagger: 0.25 0.25 0.125 0 0.125 0.25 0.25
+thumb-rotate: 20
 
 row0: = 1 2 3 4 5 esc | esc 6 7 8 9 0 -
 row1: tab q w e r t 0 | 0 y u i o p \\
@@ -220,6 +237,41 @@ export function deleteCustomLayout(id) {
   return false;
 }
 
+/**
+ * Get all unsaved layout editor drafts
+ * @returns {Object} Draft ID -> { name, definition, base, savedAt }
+ */
+export function getLayoutDrafts() {
+  return storage.get(LAYOUT_DRAFTS_KEY, {});
+}
+
+/**
+ * Save a layout editor draft
+ * Drafts are kept per layout: a custom layout's ID, or any other ID for a
+ * layout that has not been saved yet.
+ * @param {string} id - Draft ID
+ * @param {string} name - Display name
+ * @param {string} definition - Layout definition text
+ * @param {string} base - Text the changes were made to, e.g. the built-in layout copied
+ */
+export function saveLayoutDraft(id, name, definition, base) {
+  const drafts = getLayoutDrafts();
+  drafts[id] = { name, definition, base, savedAt: Date.now() };
+  storage.set(LAYOUT_DRAFTS_KEY, drafts);
+}
+
+/**
+ * Delete a layout editor draft
+ * @param {string} id - Draft ID
+ */
+export function deleteLayoutDraft(id) {
+  const drafts = getLayoutDrafts();
+  if (drafts[id]) {
+    delete drafts[id];
+    storage.set(LAYOUT_DRAFTS_KEY, drafts);
+  }
+}
+
 /**
  * Get a layout by ID
  * @param {string} id - Layout ID
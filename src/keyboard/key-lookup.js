@@ -0,0 +1,313 @@
+/**
+ * Key Lookup
+ * Finds the key, layer and modifiers needed to type a character
+ */
+
+// Map from typed characters to key labels
+const CHAR_TO_LABEL = {
+  ' ': 'spc',
+  '\t': 'tab',
+  '\n': 'ent',
+  '\r': 'ent',
+};
+
+// Shifted characters and the unshifted key they live on (US convention)
+const SHIFTED_CHARS = {
+  '~': '`',
+  '!': '1',
+  '@': '2',
+  '#': '3',
+  '$': '4',
+  '%': '5',
+  '^': '6',
+  '&': '7',
+  '*': '8',
+  '(': '9',
+  ')': '0',
+  '_': '-',
+  '+': '=',
+  '{': '[',
+  '}': ']',
+  '|': '\\',
+  ':': ';',
+  '"': "'",
+  '<': ',',
+  '>': '.',
+  '?': '/',
+};
+
+// Labels that act as shift
+const SHIFT_LABELS = ['shift', 'shft', 'lsft', 'rsft', 'lshift', 'rshift'];
+
+// Named layer keys and the layer they reach
+const NAMED_LAYER_KEYS = {
+  lower: 1,
+  raise: 2,
+};
+
+// Blank / transparent key label
+const BLANK_LABEL = '_';
+
+// Combining accents, the dead keys that add them and the character typed
+// after Compose for them (X11 conventions)
+const ACCENTS = {
+  '\u0301': { deadKeys: ['dead-acute', '´'], compose: "'" },
+  '\u0300': { deadKeys: ['dead-grave'], compose: '`' },
+  '\u0302': { deadKeys: ['dead-circumflex'], compose: '^' },
+  '\u0308': { deadKeys: ['dead-diaeresis', 'dead-umlaut', '¨'], compose: '"' },
+  '\u0303': { deadKeys: ['dead-tilde'], compose: '~' },
+  '\u030a': { deadKeys: ['dead-ring', '˚'], compose: 'o' },
+  '\u0327': { deadKeys: ['dead-cedilla', '¸'], compose: ',' },
+  '\u030c': { deadKeys: ['dead-caron', 'ˇ'], compose: 'c' },
+};
+
+// Letters without a decomposed form, and what follows Compose for them
+const COMPOSE_LETTERS = {
+  'ø': '/o',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ß': 'ss',
+  'ð': 'dh',
+  'þ': 'th',
+  'ł': '/l',
+};
+
+// Labels that act as the Compose key
+const COMPOSE_LABELS = ['compose', 'cmp'];
+
+/**
+ * Get the key label for a character
+ * @param {string} char - The character to look up
+ * @returns {string} The key label
+ */
+export function charToKeyLabel(char) {
+  return CHAR_TO_LABEL[char] || char;
+}
+
+/**
+ * Get the unshifted character for a shifted one
+ * @param {string} char
+ * @returns {string|null} Unshifted character, or null if char needs no shift
+ */
+export function getUnshiftedChar(char) {
+  if (SHIFTED_CHARS[char]) return SHIFTED_CHARS[char];
+  if (/^\p{Lu}$/u.test(char)) return char.toLowerCase();
+  return null;
+}
+
+/**
+ * Get the character shift types on a key
+ * @param {string} char - Unshifted character
+ * @returns {string|null} Shifted character, or null if shift types nothing else there
+ */
+export function getShiftedChar(char) {
+  const shifted = Object.keys(SHIFTED_CHARS).find(key => SHIFTED_CHARS[key] === char);
+  if (shifted) return shifted;
+  const upper = char.toUpperCase();
+  return /^\p{Ll}$/u.test(char) && /^\p{Lu}$/u.test(upper) ? upper : null;
+}
+
+/**
+ * Check if a key label is a dead key
+ * Named dead keys ("dead-acute") and spacing accents ("´", "¨") both count.
+ * @param {string} label
+ * @returns {boolean}
+ */
+export function isDeadKeyLabel(label) {
+  if (typeof label !== 'string') return false;
+  const lower = label.toLowerCase();
+  return Object.values(ACCENTS).some(accent => accent.deadKeys.includes(lower));
+}
+
+/**
+ * Check if a key label is the Compose key
+ * @param {string} label
+ * @returns {boolean}
+ */
+export function isComposeLabel(label) {
+  return typeof label === 'string' && COMPOSE_LABELS.includes(label.toLowerCase());
+}
+
+/**
+ * List the ways to type a character
+ * The character on its own comes first, then a dead key followed by the
+ * base letter, then Compose sequences. Steps are characters or key labels;
+ * capitals are left for the lookup to shift.
+ * @param {string} char
+ * @returns {string[][]} Alternative sequences of steps
+ */
+export function getKeySequences(char) {
+  const sequences = [[charToKeyLabel(char)]];
+  const [base, ...marks] = char.normalize('NFD');
+  const accent = marks.length === 1 ? ACCENTS[marks[0]] : null;
+
+  if (accent) {
+    for (const deadKey of accent.deadKeys) {
+      sequences.push([deadKey, base]);
+    }
+    for (const compose of COMPOSE_LABELS) {
+      sequences.push([compose, accent.compose, base]);
+    }
+  } else if (COMPOSE_LETTERS[char.toLowerCase()]) {
+    const letters = COMPOSE_LETTERS[char.toLowerCase()];
+    const steps = [...(char === char.toLowerCase() ? letters : letters.toUpperCase())];
+    for (const compose of COMPOSE_LABELS) {
+      sequences.push([compose, ...steps]);
+    }
+  }
+
+  return sequences;
+}
+
+/**
+ * Check if a key label is a shift key
+ * @param {string} label
+ * @returns {boolean}
+ */
+export function isShiftLabel(label) {
+  return typeof label === 'string' && SHIFT_LABELS.includes(label.toLowerCase());
+}
+
+/**
+ * Get the layer a layer key switches to
+ * Understands "mo1", "lt2", "to1", "tg1", "sl1", "layer1", "lower" and "raise".
+ * @param {string} label
+ * @returns {number|null} Layer number, or null if not a layer key
+ */
+export function getLayerKeyTarget(label) {
+  if (typeof label !== 'string') return null;
+  const lower = label.toLowerCase();
+  if (lower in NAMED_LAYER_KEYS) return NAMED_LAYER_KEYS[lower];
+
+  const match = lower.match(/^(mo|lt|to|tg|tog|sl|layer)(\d+)$/);
+  return match ? parseInt(match[2], 10) : null;
+}
+
+/**
+ * Find the index of a label on one layer
+ * @param {string[]} keys - Layer key labels
+ * @param {string} label
+ * @returns {number} Index, or -1
+ */
+function findLabel(keys, label) {
+  if (label === BLANK_LABEL) return -1;
+  const exact = keys.indexOf(label);
+  // Single characters are case-sensitive: "A" is shift + "a"
+  if (exact !== -1 || label.length === 1) return exact;
+  const lower = label.toLowerCase();
+  return keys.findIndex(k => typeof k === 'string' && k !== BLANK_LABEL && k.toLowerCase() === lower);
+}
+
+/**
+ * Pick the best key among candidates, preferring the hand opposite the target
+ * @param {number[]} candidates - Key indices
+ * @param {number} targetIndex
+ * @param {Object} [physical] - Parsed physical layout (for hands)
+ * @returns {number} Index, or -1 if there are no candidates
+ */
+function pickOppositeHand(candidates, targetIndex, physical) {
+  if (candidates.length === 0) return -1;
+  const targetHand = physical?.keys?.[targetIndex]?.hand;
+  if (targetHand) {
+    const opposite = candidates.find(i => physical.keys[i]?.hand && physical.keys[i].hand !== targetHand);
+    if (opposite !== undefined) return opposite;
+  }
+  return candidates[0];
+}
+
+/**
+ * Find a modifier key on the base layer
+ * Dedicated keys and hold-tap keys (by their hold action) both count.
+ * @param {Object} [baseLayer] - Mapping layer { keys, holds? }
+ * @param {Function} matches - Label predicate
+ * @param {number} targetIndex - Key the modifier is held with
+ * @param {Object} [physical] - Parsed physical layout (for hands)
+ * @returns {Object|null} { index, label }
+ */
+function findModifier(baseLayer, matches, targetIndex, physical) {
+  const keys = baseLayer?.keys || [];
+  const holds = baseLayer?.holds || [];
+  const candidates = [];
+  keys.forEach((k, i) => {
+    if (i === targetIndex) return;
+    if (matches(k)) candidates.push({ index: i, label: k });
+    else if (holds[i] && matches(holds[i])) candidates.push({ index: i, label: holds[i] });
+  });
+
+  const chosen = pickOppositeHand(candidates.map(c => c.index), targetIndex, physical);
+  return candidates.find(c => c.index === chosen) || null;
+}
+
+/**
+ * Find the key for one character or label, layer by layer
+ * @param {Object} mapping - Parsed key mapping with layers
+ * @param {string} char - Character or key label
+ * @param {Object} [physical] - Parsed physical layout (for hands)
+ * @returns {Object|null} { index, layer, label, modifiers }
+ */
+function findKeyDirect(mapping, char, physical) {
+  const layers = mapping?.layers || [];
+  const label = charToKeyLabel(char);
+  const unshifted = getUnshiftedChar(char);
+
+  for (let layer = 0; layer < layers.length; layer++) {
+    const keys = layers[layer]?.keys || [];
+
+    let index = findLabel(keys, label);
+    let shifted = false;
+    if (index === -1 && unshifted) {
+      index = findLabel(keys, charToKeyLabel(unshifted));
+      shifted = index !== -1;
+    }
+    if (index === -1) continue;
+
+    const modifiers = [];
+
+    if (layer > 0) {
+      const layerKey = findModifier(layers[0], k => getLayerKeyTarget(k) === layer, index, physical);
+      if (layerKey) {
+        modifiers.push({ ...layerKey, kind: 'layer' });
+      }
+    }
+
+    if (shifted) {
+      const shiftKey = findModifier(layers[0], isShiftLabel, index, physical);
+      if (shiftKey) {
+        modifiers.push({ ...shiftKey, kind: 'shift' });
+      }
+    }
+
+    return { index, layer, label: keys[index], modifiers };
+  }
+
+  return null;
+}
+
+/**
+ * Find everything needed to type a character on a layout
+ * Characters are looked for layer by layer, directly first and then as the
+ * shifted form of another key. Keys reached through a layer need that
+ * layer's key held; shifted characters need a shift key. Hold-tap keys count
+ * as modifiers by their hold action, and modifiers on the hand opposite the
+ * target key are preferred. Accented letters with no key of their own fall
+ * back to a dead key or Compose sequence; the keys pressed before the final
+ * one are returned as `sequence`.
+ * @param {Object} mapping - Parsed key mapping with layers
+ * @param {string} char - Character to type
+ * @param {Object} [physical] - Parsed physical layout (for hands)
+ * @returns {Object|null} { index, layer, label, modifiers: [{ index, label, kind }], sequence? }
+ */
+export function findKeyForChar(mapping, char, physical = null) {
+  const direct = findKeyDirect(mapping, char, physical);
+  if (direct) return direct;
+
+  for (const sequence of getKeySequences(char).slice(1)) {
+    const steps = sequence.map(step => findKeyDirect(mapping, step, physical));
+    if (steps.every(Boolean)) {
+      const last = steps.pop();
+      return { ...last, sequence: steps };
+    }
+  }
+
+  return null;
+}
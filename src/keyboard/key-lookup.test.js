@@ -0,0 +1,237 @@
+import { describe, it, expect } from 'vitest';
+import {
+  charToKeyLabel,
+  getUnshiftedChar,
+  getShiftedChar,
+  isShiftLabel,
+  getLayerKeyTarget,
+  isDeadKeyLabel,
+  isComposeLabel,
+  getKeySequences,
+  findKeyForChar,
+} from './key-lookup.js';
+import { parseCombinedLayout } from './layout-parser.js';
+
+const LAYERED = `
+[layout:layered]
+rows: 2
+columns: 3,3
+split: true
+
+row0: a b ; | d e '
+row1: shift g mo1 | mo1 h rsft
+
+[layer:1]
+row0: 1 2 ( | ) 5 6
+row1: _ ! @ | # $ _
+`;
+
+const EUROPEAN = `
+[layout:european]
+rows: 2
+columns: 4,4
+split: true
+
+row0: a e o ä | dead-acute ' / compose
+row1: shift s c , | dead-diaeresis _ _ rsft
+`;
+
+describe('Key Lookup', () => {
+  const { physical, mapping } = parseCombinedLayout(LAYERED);
+
+  describe('charToKeyLabel', () => {
+    it('should map whitespace to key labels', () => {
+      expect(charToKeyLabel(' ')).toBe('spc');
+      expect(charToKeyLabel('\n')).toBe('ent');
+      expect(charToKeyLabel('a')).toBe('a');
+    });
+  });
+
+  describe('getUnshiftedChar', () => {
+    it('should return the base character for shifted characters', () => {
+      expect(getUnshiftedChar('A')).toBe('a');
+      expect(getUnshiftedChar(':')).toBe(';');
+      expect(getUnshiftedChar('"')).toBe("'");
+    });
+
+    it('should return null for unshifted characters', () => {
+      expect(getUnshiftedChar('a')).toBeNull();
+      expect(getUnshiftedChar(';')).toBeNull();
+    });
+
+    it('should lowercase accented capitals', () => {
+      expect(getUnshiftedChar('Ä')).toBe('ä');
+      expect(getUnshiftedChar('Ø')).toBe('ø');
+      expect(getUnshiftedChar('ß')).toBeNull();
+    });
+  });
+
+  describe('getShiftedChar', () => {
+    it('should return the character shift types on a key', () => {
+      expect(getShiftedChar('`')).toBe('~');
+      expect(getShiftedChar('1')).toBe('!');
+      expect(getShiftedChar('ä')).toBe('Ä');
+    });
+
+    it('should return null when shift types nothing else', () => {
+      expect(getShiftedChar('tab')).toBeNull();
+      expect(getShiftedChar('ß')).toBeNull();
+      expect(getShiftedChar('~')).toBeNull();
+    });
+  });
+
+  describe('isDeadKeyLabel and isComposeLabel', () => {
+    it('should recognise dead keys by name or accent', () => {
+      expect(isDeadKeyLabel('dead-acute')).toBe(true);
+      expect(isDeadKeyLabel('DEAD-UMLAUT')).toBe(true);
+      expect(isDeadKeyLabel('¨')).toBe(true);
+      expect(isDeadKeyLabel('a')).toBe(false);
+      expect(isDeadKeyLabel(undefined)).toBe(false);
+    });
+
+    it('should recognise the Compose key', () => {
+      expect(isComposeLabel('compose')).toBe(true);
+      expect(isComposeLabel('Cmp')).toBe(true);
+      expect(isComposeLabel('ctrl')).toBe(false);
+    });
+  });
+
+  describe('getKeySequences', () => {
+    it('should list the character itself first', () => {
+      expect(getKeySequences('a')).toEqual([['a']]);
+      expect(getKeySequences(' ')).toEqual([['spc']]);
+    });
+
+    it('should add dead key and Compose sequences for accented letters', () => {
+      expect(getKeySequences('é')).toEqual([
+        ['é'],
+        ['dead-acute', 'e'],
+        ['´', 'e'],
+        ['compose', "'", 'e'],
+        ['cmp', "'", 'e'],
+      ]);
+      expect(getKeySequences('Ü')).toContainEqual(['dead-diaeresis', 'U']);
+    });
+
+    it('should add Compose sequences for letters with no decomposed form', () => {
+      expect(getKeySequences('ø')).toContainEqual(['compose', '/', 'o']);
+      expect(getKeySequences('Æ')).toContainEqual(['compose', 'A', 'E']);
+      expect(getKeySequences('ß')).toContainEqual(['compose', 's', 's']);
+    });
+  });
+
+  describe('isShiftLabel', () => {
+    it('should recognise shift key names', () => {
+      expect(isShiftLabel('shift')).toBe(true);
+      expect(isShiftLabel('LSFT')).toBe(true);
+      expect(isShiftLabel('ctrl')).toBe(false);
+    });
+  });
+
+  describe('getLayerKeyTarget', () => {
+    it('should read the layer from layer key labels', () => {
+      expect(getLayerKeyTarget('mo1')).toBe(1);
+      expect(getLayerKeyTarget('lt2')).toBe(2);
+      expect(getLayerKeyTarget('lower')).toBe(1);
+      expect(getLayerKeyTarget('raise')).toBe(2);
+      expect(getLayerKeyTarget('mo')).toBeNull();
+      expect(getLayerKeyTarget('a')).toBeNull();
+    });
+  });
+
+  describe('findKeyForChar', () => {
+    it('should find base layer keys with no modifiers', () => {
+      expect(findKeyForChar(mapping, 'b', physical)).toEqual({
+        index: 1,
+        layer: 0,
+        label: 'b',
+        modifiers: [],
+      });
+    });
+
+    it('should add the opposite-hand shift for uppercase letters', () => {
+      const left = findKeyForChar(mapping, 'A', physical);
+      expect(left.index).toBe(0);
+      expect(left.modifiers).toEqual([{ index: 11, label: 'rsft', kind: 'shift' }]);
+
+      const right = findKeyForChar(mapping, 'E', physical);
+      expect(right.modifiers).toEqual([{ index: 6, label: 'shift', kind: 'shift' }]);
+    });
+
+    it('should shift base layer punctuation', () => {
+      const result = findKeyForChar(mapping, '"', physical);
+      expect(result.index).toBe(5);
+      expect(result.layer).toBe(0);
+      expect(result.modifiers[0].kind).toBe('shift');
+    });
+
+    it('should find keys on other layers with the layer key', () => {
+      const result = findKeyForChar(mapping, '(', physical);
+      expect(result).toMatchObject({ index: 2, layer: 1, label: '(' });
+      expect(result.modifiers).toEqual([{ index: 9, label: 'mo1', kind: 'layer' }]);
+    });
+
+    it('should not match transparent keys', () => {
+      expect(findKeyForChar(mapping, '_', physical)).toBeNull();
+    });
+
+    it('should return null for characters the layout cannot type', () => {
+      expect(findKeyForChar(mapping, 'z', physical)).toBeNull();
+    });
+
+    it('should use hold-tap keys as shift and layer keys', () => {
+      const { physical: hrmPhysical, mapping: hrmMapping } = parseCombinedLayout(`
+[layout:hrm]
+rows: 1
+columns: 3,3
+split: true
+
+row0: a/lsft b spc/mo1 | ent/mo1 e f/rsft
+
+[layer:1]
+row0: ! _ _ | _ ( _
+`);
+
+      const upper = findKeyForChar(hrmMapping, 'B', hrmPhysical);
+      expect(upper.modifiers).toEqual([{ index: 5, label: 'rsft', kind: 'shift' }]);
+
+      const paren = findKeyForChar(hrmMapping, '(', hrmPhysical);
+      expect(paren.modifiers).toEqual([{ index: 2, label: 'mo1', kind: 'layer' }]);
+    });
+
+    describe('accented letters', () => {
+      const european = parseCombinedLayout(EUROPEAN);
+
+      it('should prefer a key of their own', () => {
+        expect(findKeyForChar(european.mapping, 'ä', european.physical)).toMatchObject({ index: 3, modifiers: [] });
+        const upper = findKeyForChar(european.mapping, 'Ä', european.physical);
+        expect(upper).toMatchObject({ index: 3, modifiers: [{ index: 15, kind: 'shift' }] });
+        expect(upper.sequence).toBeUndefined();
+      });
+
+      it('should fall back to a dead key before the base letter', () => {
+        const result = findKeyForChar(european.mapping, 'é', european.physical);
+        expect(result).toMatchObject({ index: 1, label: 'e', modifiers: [] });
+        expect(result.sequence).toEqual([{ index: 4, layer: 0, label: 'dead-acute', modifiers: [] }]);
+
+        const umlaut = findKeyForChar(european.mapping, 'Ö', european.physical);
+        expect(umlaut).toMatchObject({ index: 2, modifiers: [{ index: 15, kind: 'shift' }] });
+        expect(umlaut.sequence[0].label).toBe('dead-diaeresis');
+      });
+
+      it('should fall back to Compose sequences', () => {
+        const result = findKeyForChar(european.mapping, 'ç', european.physical);
+        expect(result).toMatchObject({ index: 10, label: 'c' });
+        expect(result.sequence.map(step => step.label)).toEqual(['compose', ',']);
+
+        const slashed = findKeyForChar(european.mapping, 'ø', european.physical);
+        expect(slashed.sequence.map(step => step.label)).toEqual(['compose', '/']);
+      });
+
+      it('should return null when no sequence is complete', () => {
+        expect(findKeyForChar(european.mapping, 'ñ', european.physical)).toBeNull();
+        expect(findKeyForChar(mapping, 'é', physical)).toBeNull();
+      });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * KLE Exporter
+ * Writes Ktute layouts out as Keyboard Layout Editor (keyboard-layout-editor.com) JSON
+ */
+
+// Space between the halves of split boards and above the thumb rows, in key units
+const SPLIT_GAP = 1.5;
+const THUMB_GAP = 0.5;
+
+/**
+ * Map from Ktute labels to KLE legends
+ */
+export const LABEL_TO_KLE = {
+  spc: 'Space',
+  ent: 'Enter',
+  bspc: 'Backspace',
+  tab: 'Tab',
+  esc: 'Esc',
+  del: 'Delete',
+  shift: 'Shift',
+  lsft: 'Shift',
+  rsft: 'Shift',
+  ctrl: 'Ctrl',
+  lctl: 'Ctrl',
+  rctl: 'Ctrl',
+  alt: 'Alt',
+  lalt: 'Alt',
+  ralt: 'AltGr',
+  gui: 'Win',
+  lgui: 'Win',
+  rgui: 'Win',
+  cmd: 'Cmd',
+  caps: 'Caps Lock',
+  hom: 'Home',
+  pgu: 'Page Up',
+  pgd: 'Page Down',
+  ins: 'Insert',
+};
+
+/**
+ * Round a key-unit value, dropping floating point noise
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Convert a Ktute label to a KLE legend
+ * @param {string} label
+ * @returns {string}
+ */
+export function labelToKleLegend(label) {
+  if (!label || label === '_') return '';
+  if (/^[a-z]$/.test(label)) return label.toUpperCase();
+  return LABEL_TO_KLE[label.toLowerCase()] || label;
+}
+
+/**
+ * Get the position of every key in key units
+ * Keys with `geometry` use it as is; other keys are placed the way the
+ * renderer draws rows: halves side by side and thumb rows below the rest,
+ * with left thumbs pushed toward the middle and row/column stagger applied.
+ * @param {Object} physical - Parsed physical layout
+ * @returns {Object[]} [{ x, y, w, h, r, rx, ry }] in key order
+ */
+export function getKeyUnits(physical) {
+  const keys = physical.keys;
+  const regular = keys.filter(k => !k.isThumb);
+  const maxRow = Math.max(...regular.map(k => k.row), 0);
+  const thumbTop = regular.length > 0 ? maxRow + 1 + THUMB_GAP : 0;
+
+  const leftWidth = Math.max(
+    0,
+    ...regular.filter(k => !physical.split || k.hand === 'left').map(k => k.col + (k.width || 1))
+  );
+  const leftThumbWidth = Math.max(
+    0,
+    ...keys.filter(k => k.isThumb && k.hand === 'left').map(k => k.col + (k.width || 1))
+  );
+
+  // Row and column stagger, as the renderer draws them (rotations are not exported)
+  const { columnStagger, rowStagger } = physical;
+  const thumbDrop = Math.max(0, ...(columnStagger?.left || []), ...(columnStagger?.right || []));
+
+  return keys.map((key) => {
+    if (key.geometry) {
+      const { x, y, w, h, r = 0, rx = 0, ry = 0 } = key.geometry;
+      return { x, y, w, h, r, rx, ry };
+    }
+
+    const hand = physical.split && key.hand === 'right' ? 'right' : 'left';
+    const y = key.isThumb
+      ? thumbTop + thumbDrop + (key.row === -1 ? 0 : Math.abs(key.row + 10))
+      : key.row + (columnStagger?.[hand]?.[Math.floor(key.col)] || 0);
+
+    let x = key.col + (key.isThumb ? 0 : rowStagger?.[key.row] || 0);
+    if (physical.split && key.hand === 'right') {
+      x += leftWidth + SPLIT_GAP;
+    } else if (physical.split && key.isThumb) {
+      x += leftWidth - leftThumbWidth;
+    }
+
+    return { x, y, w: key.width || 1, h: 1, r: 0, rx: 0, ry: 0 };
+  });
+}
+
+/**
+ * Export a parsed combined layout as KLE JSON
+ * Keys are written row by row with the offsets, sizes and rotations KLE
+ * needs to put them back in the same place. Base layer labels become legends.
+ * @param {Object} physical - Parsed physical layout
+ * @param {Object} mapping - Parsed key mapping
+ * @param {Object} [options={}]
+ * @param {string} [options.name] - Keyboard name for the KLE metadata
+ * @returns {string} KLE JSON
+ */
+export function exportKle(physical, mapping, options = {}) {
+  const name = options.name || mapping?.name || physical.name || 'layout';
+  const labels = mapping?.layers?.[0]?.keys || [];
+  const units = getKeyUnits(physical).map((unit, index) => ({
+    ...unit,
+    x: round(unit.x),
+    y: round(unit.y),
+    legend: labelToKleLegend(labels[index]),
+  }));
+
+  // KLE reads keys in rotation clusters, then row by row, left to right
+  const sorted = [...units].sort((a, b) =>
+    a.r - b.r || a.rx - b.rx || a.ry - b.ry || a.y - b.y || a.x - b.x
+  );
+
+  const rows = [];
+  const current = { x: 0, y: 0, r: 0, rx: 0, ry: 0 };
+  let row = null;
+
+  for (const key of sorted) {
+    const props = {};
+    const clusterChanged = key.rx !== current.rx || key.ry !== current.ry;
+    const newRow = !row || clusterChanged || key.r !== current.r || key.y !== current.y;
+
+    if (newRow) {
+      if (row) {
+        rows.push(row);
+        current.y += 1;
+      }
+      current.x = current.rx;
+      row = [];
+
+      if (key.r !== current.r) {
+        props.r = key.r;
+        current.r = key.r;
+      }
+      if (clusterChanged) {
+        if (key.rx !== current.rx) props.rx = key.rx;
+        if (key.ry !== current.ry) props.ry = key.ry;
+        current.rx = key.rx;
+        current.ry = key.ry;
+        current.x = key.rx;
+        current.y = key.ry;
+      }
+      if (key.y !== current.y) {
+        props.y = round(key.y - current.y);
+        current.y = key.y;
+      }
+    }
+
+    if (key.x !== current.x) props.x = round(key.x - current.x);
+    if (key.w !== 1) props.w = key.w;
+    if (key.h !== 1) props.h = key.h;
+
+    if (Object.keys(props).length > 0) row.push(props);
+    row.push(key.legend);
+    current.x = round(key.x + key.w);
+  }
+  if (row) rows.push(row);
+
+  return `[\n${[{ name }, ...rows].map(item => JSON.stringify(item)).join(',\n')}\n]\n`;
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { labelToKleLegend, getKeyUnits, exportKle } from './kle-exporter.js';
+import { parseKle } from './kle-parser.js';
+import { parseCombinedLayout } from './layout-parser.js';
+import { getLayout } from './combined-layouts.js';
+
+describe('KLE Exporter', () => {
+  describe('labelToKleLegend', () => {
+    it('should write legends the way KLE shows them', () => {
+      expect(labelToKleLegend('q')).toBe('Q');
+      expect(labelToKleLegend('spc')).toBe('Space');
+      expect(labelToKleLegend(';')).toBe(';');
+      expect(labelToKleLegend('_')).toBe('');
+    });
+  });
+
+  describe('getKeyUnits', () => {
+    it('should place split halves apart and thumbs below', () => {
+      const { physical } = parseCombinedLayout(`
+[layout:units]
+rows: 1
+columns: 2,2
+split: true
+row0: a b | c d
+thumb: spc | ent
+`);
+      const units = getKeyUnits(physical);
+      expect(units[1]).toMatchObject({ x: 1, y: 0 });
+      expect(units[2]).toMatchObject({ x: 3.5, y: 0 });
+      expect(units[4]).toMatchObject({ x: 1, y: 1.5 });
+      expect(units[5]).toMatchObject({ x: 3.5, y: 1.5 });
+    });
+  });
+
+  describe('exportKle', () => {
+    it('should round-trip key positions through the KLE parser', () => {
+      const { physical, mapping } = parseCombinedLayout(getLayout('corne-colemak-dh').definition);
+      const kle = exportKle(physical, mapping, { name: 'Corne' });
+      const parsed = parseKle(kle);
+
+      expect(parsed.name).toBe('Corne');
+      const expected = getKeyUnits(physical);
+      const positions = parsed.keys.map(k => `${k.x},${k.y},${k.w}`).sort();
+      expect(positions).toEqual(expected.map(k => `${k.x},${k.y},${k.w}`).sort());
+    });
+
+    it('should keep rotations and heights', () => {
+      const { physical, mapping } = parseCombinedLayout(`
+[layout:rotated]
+rows: 1
+columns: 2
+row0: a b
+thumb: spc ent
+
+geometry:
+row0: 0,0 1,0.25
+thumb: 3,2,1,1,20,3,2 4,2,1,2,20,3,2
+`);
+      const parsed = parseKle(exportKle(physical, mapping));
+
+      expect(parsed.keys.map(k => k.legends[0])).toEqual(['A', 'B', 'Space', 'Enter']);
+      expect(parsed.keys[1]).toMatchObject({ x: 1, y: 0.25 });
+      expect(parsed.keys[3]).toMatchObject({ x: 4, y: 2, h: 2, r: 20, rx: 3, ry: 2 });
+    });
+  });
+});
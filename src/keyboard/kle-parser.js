@@ -0,0 +1,188 @@
+/**
+ * KLE Parser
+ * Parses Keyboard Layout Editor (keyboard-layout-editor.com) raw JSON into Ktute format
+ */
+
+import { physicalFromKeyAttrs } from './layout-generator.js';
+
+/**
+ * Map from KLE legends to Ktute labels
+ */
+export const KLE_TO_LABEL = {
+  space: 'spc',
+  spacebar: 'spc',
+  enter: 'ent',
+  return: 'ent',
+  backspace: 'bspc',
+  bksp: 'bspc',
+  tab: 'tab',
+  esc: 'esc',
+  escape: 'esc',
+  delete: 'del',
+  del: 'del',
+  shift: 'shift',
+  ctrl: 'ctrl',
+  control: 'ctrl',
+  alt: 'alt',
+  option: 'alt',
+  win: 'gui',
+  super: 'gui',
+  cmd: 'gui',
+  command: 'gui',
+  meta: 'gui',
+  'caps lock': 'caps',
+  caps: 'caps',
+  home: 'hom',
+  end: 'end',
+  'page up': 'pgu',
+  pgup: 'pgu',
+  'page down': 'pgd',
+  pgdn: 'pgd',
+  insert: 'ins',
+  up: '↑',
+  down: '↓',
+  left: '←',
+  right: '→',
+};
+
+/**
+ * Read KLE raw data
+ * Accepts downloaded KLE JSON as well as the "Raw data" tab text, which
+ * leaves out the outer brackets and the quotes around property names.
+ * @param {string} content
+ * @returns {Array|null} Rows (and metadata object), or null if not KLE data
+ */
+export function readKleJson(content) {
+  const trimmed = content.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+    return null;
+  }
+
+  const attempts = [
+    trimmed,
+    `[${trimmed}]`,
+  ];
+  const quoted = trimmed.replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, '$1"$2":');
+  attempts.push(quoted, `[${quoted}]`);
+
+  for (const text of attempts) {
+    try {
+      const data = JSON.parse(text);
+      if (!Array.isArray(data)) continue;
+      // A single raw row: ["Q", "W", ...]
+      if (data.some(item => typeof item === 'string')) return [data];
+      if (data.some(item => Array.isArray(item))) return data;
+    } catch {
+      // Try the next form
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if content looks like KLE raw data
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function isKleJson(content) {
+  return readKleJson(content) !== null;
+}
+
+/**
+ * Parse KLE raw data into keys
+ * Follows KLE's own rules: keys advance along the row, objects before a key
+ * change its offset, size or rotation, each new row starts one unit lower
+ * at the rotation origin, and setting rx/ry moves to that origin.
+ * @param {string|Array} input - KLE raw data text or parsed rows
+ * @returns {Object} { name, keys: [{ x, y, w, h, r, rx, ry, legends }] }
+ */
+export function parseKle(input) {
+  const rows = typeof input === 'string' ? readKleJson(input) : input;
+  const result = { name: '', keys: [] };
+  if (!rows) return result;
+
+  const current = { x: 0, y: 0, w: 1, h: 1, r: 0, rx: 0, ry: 0 };
+
+  for (const row of rows) {
+    if (!Array.isArray(row)) {
+      // Keyboard metadata
+      if (row && typeof row === 'object' && row.name) {
+        result.name = row.name;
+      }
+      continue;
+    }
+
+    for (const item of row) {
+      if (typeof item === 'string') {
+        result.keys.push({
+          x: current.x,
+          y: current.y,
+          w: current.w,
+          h: current.h,
+          r: current.r,
+          rx: current.rx,
+          ry: current.ry,
+          legends: item.split('\n'),
+        });
+        current.x += current.w;
+        current.w = 1;
+        current.h = 1;
+        continue;
+      }
+
+      if (item.r !== undefined) current.r = item.r;
+      if (item.rx !== undefined) {
+        current.rx = item.rx;
+        current.x = current.rx;
+        current.y = current.ry;
+      }
+      if (item.ry !== undefined) {
+        current.ry = item.ry;
+        current.x = current.rx;
+        current.y = current.ry;
+      }
+      if (item.x) current.x += item.x;
+      if (item.y) current.y += item.y;
+      if (item.w) current.w = item.w;
+      if (item.h) current.h = item.h;
+    }
+
+    current.y += 1;
+    current.x = current.rx;
+  }
+
+  return result;
+}
+
+/**
+ * Convert a KLE legend to a Ktute label
+ * The unshifted legend is used: the bottom one on keys like "!\n1".
+ * @param {string[]} legends - KLE legends of one key
+ * @returns {string} Ktute label ("_" for keys without a legend)
+ */
+export function kleLegendToLabel(legends) {
+  const clean = (legend) => (legend || '').replace(/<[^>]*>/g, '').trim();
+  const legend = clean(legends[1]) || clean(legends[0]);
+  if (!legend) return '_';
+  if (legend.length === 1) return legend.toLowerCase();
+
+  const lower = legend.toLowerCase();
+  return KLE_TO_LABEL[lower] || lower.replace(/\s+/g, '');
+}
+
+/**
+ * Convert parsed KLE keys to a Ktute physical layout and base layer labels
+ * @param {Object} parsed - Result of parseKle
+ * @returns {Object|null} { physical, keys } with exact geometry on every key
+ */
+export function kleToKtuteLayout(parsed) {
+  if (parsed.keys.length === 0) {
+    return null;
+  }
+
+  return {
+    physical: physicalFromKeyAttrs(parsed.keys),
+    keys: parsed.keys.map(key => kleLegendToLabel(key.legends)),
+  };
+}
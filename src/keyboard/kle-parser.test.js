@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { readKleJson, isKleJson, parseKle, kleLegendToLabel, kleToKtuteLayout } from './kle-parser.js';
+import { exportKle } from './kle-exporter.js';
+import { generateCombinedLayout } from './layout-generator.js';
+import { parseCombinedLayout } from './layout-parser.js';
+import { getLayout } from './combined-layouts.js';
+import { validateLayout } from './layout-validator.js';
+
+const RAW = `[{a:7},"Q","W","E"],
+[{x:0.25},"A",{w:1.5},"S"],
+[{r:30,rx:4,ry:2},"Space",{h:2},"Enter"]`;
+
+describe('KLE Parser', () => {
+  describe('readKleJson', () => {
+    it('should read the raw data tab format', () => {
+      const rows = readKleJson(RAW);
+      expect(rows).toHaveLength(3);
+      expect(rows[0][0]).toEqual({ a: 7 });
+    });
+
+    it('should read downloaded JSON with metadata', () => {
+      const rows = readKleJson('[{"name":"Board"},["Q","W"]]');
+      expect(rows).toEqual([{ name: 'Board' }, ['Q', 'W']]);
+    });
+
+    it('should read a single raw row', () => {
+      expect(readKleJson('["Q","W"]')).toEqual([['Q', 'W']]);
+    });
+
+    it('should reject content that is not KLE data', () => {
+      expect(isKleJson('/ { keymap { }; };')).toBe(false);
+      expect(isKleJson('{"layers": []}')).toBe(false);
+      expect(isKleJson(RAW)).toBe(true);
+    });
+  });
+
+  describe('parseKle', () => {
+    it('should place keys by offsets and sizes', () => {
+      const { keys } = parseKle(RAW);
+      expect(keys).toHaveLength(7);
+      expect(keys[1]).toMatchObject({ x: 1, y: 0, w: 1, h: 1 });
+      expect(keys[3]).toMatchObject({ x: 0.25, y: 1 });
+      expect(keys[4]).toMatchObject({ x: 1.25, y: 1, w: 1.5 });
+    });
+
+    it('should start rotation clusters at their origin', () => {
+      const { keys } = parseKle(RAW);
+      expect(keys[5]).toMatchObject({ x: 4, y: 2, r: 30, rx: 4, ry: 2 });
+      expect(keys[6]).toMatchObject({ x: 5, y: 2, h: 2, r: 30 });
+    });
+
+    it('should read the keyboard name from metadata', () => {
+      expect(parseKle('[{"name":"Board"},["Q"]]').name).toBe('Board');
+    });
+
+    it('should return no keys for invalid data', () => {
+      expect(parseKle('not kle').keys).toEqual([]);
+    });
+  });
+
+  describe('kleLegendToLabel', () => {
+    it('should use the unshifted legend', () => {
+      expect(kleLegendToLabel(['Q'])).toBe('q');
+      expect(kleLegendToLabel(['!', '1'])).toBe('1');
+      expect(kleLegendToLabel(['<', ','])).toBe(',');
+    });
+
+    it('should map named keys', () => {
+      expect(kleLegendToLabel(['Space'])).toBe('spc');
+      expect(kleLegendToLabel(['Backspace'])).toBe('bspc');
+      expect(kleLegendToLabel(['Caps Lock'])).toBe('caps');
+      expect(kleLegendToLabel(['<i>Fn</i>'])).toBe('fn');
+    });
+
+    it('should leave keys without legends blank', () => {
+      expect(kleLegendToLabel([''])).toBe('_');
+    });
+  });
+
+  describe('kleToKtuteLayout', () => {
+    it('should keep exact geometry on every key', () => {
+      const { physical, keys } = kleToKtuteLayout(parseKle(RAW));
+      expect(keys).toEqual(['q', 'w', 'e', 'a', 's', 'spc', 'ent']);
+      expect(physical.keys[6].geometry).toEqual({ x: 5, y: 2, w: 1, h: 2, r: 30, rx: 4, ry: 2 });
+    });
+
+    it('should read back the rows and labels of an exported staggered layout', () => {
+      const { physical, mapping } = parseCombinedLayout(getLayout('corne-colemak-dh').definition);
+      const imported = kleToKtuteLayout(parseKle(exportKle(physical, mapping)));
+      const text = generateCombinedLayout('corne', imported.physical, [imported.keys]);
+      const reparsed = parseCombinedLayout(text);
+
+      /**
+       * List a value of each key by row and hand, in column order
+       * @param {Object[]} keys - Physical keys
+       * @param {Array} values - Value per key
+       * @returns {string[]}
+       */
+      const byRow = (keys, values) => {
+        const rows = {};
+        keys.forEach((key, i) => {
+          (rows[`${key.row}:${key.hand}`] ||= []).push({ col: key.col, value: values[i] });
+        });
+        return Object.entries(rows)
+          .map(([name, row]) => `${name} ${row.sort((a, b) => a.col - b.col).map(k => k.value).join(' ')}`)
+          .sort();
+      };
+
+      expect(text).toContain('rows: 3\ncolumns: 6,6\nthumb: 3,3');
+      expect(byRow(reparsed.physical.keys, reparsed.mapping.layers[0].keys))
+        .toEqual(byRow(physical.keys, mapping.layers[0].keys));
+      expect(byRow(reparsed.physical.keys, reparsed.mapping.fingers))
+        .toEqual(byRow(physical.keys, mapping.fingers));
+      expect(validateLayout(text).filter(d => d.severity !== 'info')).toEqual([]);
+    });
+
+    it('should return null without keys', () => {
+      expect(kleToKtuteLayout({ name: '', keys: [] })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,491 @@
+/**
+ * Layout Generator
+ * Builds combined layout definitions from key positions and imported labels
+ */
+
+import { parsePhysicalLayout } from './layout-parser.js';
+import { getBuiltinPhysicalLayouts } from './physical-layouts.js';
+
+// Finger for each column counted in from the inner edge of the main block
+// (distance 0 and 1 are index, then middle, ring; anything further is pinky)
+const LEFT_FINGERS = [3, 3, 2, 1, 0];
+const RIGHT_FINGERS = [6, 6, 7, 8, 9];
+const LEFT_THUMB = 4;
+const RIGHT_THUMB = 5;
+
+/**
+ * Round a key-unit value to the nearest quarter unit
+ * @param {number} value
+ * @returns {number}
+ */
+function toQuarter(value) {
+  return Math.round(value * 4) / 4;
+}
+
+/**
+ * Get the row name used in layout text for a row index
+ * @param {number} row - Row index (-1 = thumb, -10 - n = thumbN)
+ * @returns {string}
+ */
+function rowName(row) {
+  if (row === -1) return 'thumb';
+  if (row <= -10) return `thumb${-10 - row}`;
+  return `row${row}`;
+}
+
+/**
+ * Group key indices by row and hand, in layout text order
+ * @param {Object[]} keys - Physical keys
+ * @returns {Object[]} [{ row, left: number[], right: number[] }] with indices sorted by column
+ */
+function groupRows(keys) {
+  const rows = new Map();
+  keys.forEach((key, index) => {
+    if (!rows.has(key.row)) {
+      rows.set(key.row, { row: key.row, left: [], right: [] });
+    }
+    rows.get(key.row)[key.hand === 'right' ? 'right' : 'left'].push(index);
+  });
+
+  // Regular rows top to bottom, then thumb rows (-1, -10, -11, ...)
+  const order = (row) => (row >= 0 ? row : 1000 - (row === -1 ? -10 : row));
+  const byColumn = (a, b) => keys[a].col - keys[b].col;
+
+  return [...rows.values()]
+    .sort((a, b) => order(a.row) - order(b.row))
+    .map(group => ({
+      ...group,
+      left: group.left.sort(byColumn),
+      right: group.right.sort(byColumn),
+    }));
+}
+
+/**
+ * Find the usual number of keys per row for one hand
+ * Ties go to the smaller count, so an extra inner column is not counted.
+ * @param {Object[]} groups - Row groups from groupRows
+ * @param {Object[]} keys - Physical keys
+ * @param {string} hand - 'left' or 'right'
+ * @returns {number}
+ */
+function getMainColumns(groups, keys, hand) {
+  const counts = {};
+  groups
+    .filter(group => group[hand].length > 0 && !keys[group[hand][0]].isThumb)
+    .forEach(group => {
+      counts[group[hand].length] = (counts[group[hand].length] || 0) + 1;
+    });
+
+  const entries = Object.entries(counts).map(([count, rows]) => [parseInt(count, 10), rows]);
+  if (entries.length === 0) return 0;
+  entries.sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+  return entries[0][0];
+}
+
+/**
+ * Assign a finger to every key of a physical layout
+ * Columns are counted in from the inner edge of each hand's main block, so
+ * extra inner keys (Lily58, Kyria) go to the index finger. Non-split boards
+ * are divided down the middle of each row.
+ * @param {Object} physical - Physical layout with keys [{ row, col, width, hand, isThumb }]
+ * @returns {number[]} Finger (0-9) per key
+ */
+export function assignFingers(physical) {
+  let keys = physical.keys;
+
+  if (!physical.split) {
+    // Treat each half of a row as one hand
+    const halves = new Map();
+    keys.forEach((key) => {
+      const end = key.col + (key.width || 1);
+      halves.set(key.row, Math.max(halves.get(key.row) || 0, end));
+    });
+    keys = keys.map(key => ({
+      ...key,
+      hand: key.col + (key.width || 1) / 2 <= halves.get(key.row) / 2 ? 'left' : 'right',
+    }));
+  }
+
+  const groups = groupRows(keys);
+  const mainLeft = getMainColumns(groups, keys, 'left');
+  const mainRight = getMainColumns(groups, keys, 'right');
+  const fingers = new Array(keys.length).fill(null);
+
+  for (const group of groups) {
+    group.left.forEach((index, i) => {
+      if (keys[index].isThumb) {
+        fingers[index] = LEFT_THUMB;
+        return;
+      }
+      const fromInner = group.left.length - 1 - i - Math.max(0, group.left.length - mainLeft);
+      fingers[index] = LEFT_FINGERS[Math.min(Math.max(fromInner, 0), LEFT_FINGERS.length - 1)];
+    });
+
+    group.right.forEach((index, i) => {
+      if (keys[index].isThumb) {
+        fingers[index] = RIGHT_THUMB;
+        return;
+      }
+      const fromInner = i - Math.max(0, group.right.length - mainRight);
+      fingers[index] = RIGHT_FINGERS[Math.min(Math.max(fromInner, 0), RIGHT_FINGERS.length - 1)];
+    });
+  }
+
+  return fingers;
+}
+
+/**
+ * Build the base-layer tokens for one hand of a row, with gaps
+ * @param {number[]} indices - Key indices sorted by column
+ * @param {Object[]} keys - Physical keys
+ * @param {string[]} labels - Base layer tokens
+ * @returns {string}
+ */
+function formatBaseHand(indices, keys, labels) {
+  const tokens = [];
+  let position = indices.length > 0 && keys[indices[0]].isThumb ? keys[indices[0]].col : 0;
+
+  for (const index of indices) {
+    const key = keys[index];
+    const width = key.width || 1;
+    const gap = toQuarter(key.col - position);
+    if (gap > 0) {
+      tokens.push(gap === 1 ? '¦' : `¦:${gap}`);
+    }
+
+    const label = labels[index] || '_';
+    tokens.push(width === 1 ? label : `${label}:${width}`);
+    position = key.col + width;
+  }
+
+  return tokens.join(' ');
+}
+
+/**
+ * Format a key's geometry as a "x,y,w,h,r,rx,ry" token
+ * Trailing default values (own width, height 1, no rotation) are left out.
+ * @param {Object} key - Physical key
+ * @returns {string} Token, or "." when the key has no geometry
+ */
+function formatGeometry(key) {
+  const g = key.geometry;
+  if (!g) return '.';
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const values = [g.x, g.y, g.w, g.h, g.r || 0, g.rx || 0, g.ry || 0].map(round);
+  if (values[4] === 0) {
+    values.length = 4;
+    if (values[3] === 1) {
+      values.length = values[2] === (key.width || 1) ? 2 : 3;
+    }
+  }
+  return values.join(',');
+}
+
+/**
+ * Format the per-hand numbers of a shape header
+ * The right hand is left out when it mirrors the left, as the parser assumes.
+ * @param {Object} values - { left: number[], right: number[] }
+ * @returns {string}
+ */
+function formatHandValues({ left, right }) {
+  const mirrored = right.length === left.length && right.every((v, i) => v === left[left.length - 1 - i]);
+  return mirrored ? left.join(' ') : `${left.join(' ')} | ${right.join(' ')}`;
+}
+
+/**
+ * Format the board shape headers a physical layout has
+ * @param {Object} physical - Physical layout with columnStagger/rowStagger/splay/thumbRotate
+ * @returns {string} Header lines, each ending in a newline
+ */
+function formatShapeHeaders(physical) {
+  const { columnStagger, rowStagger, splay, thumbRotate } = physical;
+  let headers = '';
+  if (columnStagger) headers += `column-stagger: ${formatHandValues(columnStagger)}\n`;
+  if (rowStagger) headers += `row-stagger: ${rowStagger.join(' ')}\n`;
+  if (splay) headers += `splay: ${formatHandValues(splay)}\n`;
+  if (thumbRotate) headers += `thumb-rotate: ${formatHandValues(thumbRotate)}\n`;
+  return headers;
+}
+
+/**
+ * Format one line of layout text
+ * @param {string} name - Row name
+ * @param {Object} group - Row group
+ * @param {boolean} split
+ * @param {Function} formatHand - (indices) => string
+ * @returns {string}
+ */
+function formatLine(name, group, split, formatHand) {
+  if (!split) {
+    return `${name}: ${formatHand(group.left)}`;
+  }
+  return `${name}: ${formatHand(group.left)} | ${formatHand(group.right)}`;
+}
+
+/**
+ * Generate a combined layout definition
+ * Board shape headers (column stagger, splay, thumb rotation) are written
+ * out when the physical layout has them.
+ * @param {string} name - Layout name (used in the [layout:name] header)
+ * @param {Object} physical - Physical layout { split, stagger, keys }
+ * @param {string[][]} layers - Key tokens per layer, in physical key order
+ * @returns {string} Combined layout definition
+ */
+export function generateCombinedLayout(name, physical, layers) {
+  const { keys, split = true, stagger = 'none' } = physical;
+  const [baseLabels = [], ...upperLayers] = layers;
+  const groups = groupRows(keys);
+  const regularRows = groups.filter(group => group.row >= 0);
+  const firstThumbRow = groups.find(group => group.row < 0);
+
+  const columns = split
+    ? [
+      Math.max(0, ...regularRows.map(group => group.left.length)),
+      Math.max(0, ...regularRows.map(group => group.right.length)),
+    ]
+    : [Math.max(0, ...regularRows.map(group => group.left.length))];
+
+  let layout = `[layout:${name}]
+rows: ${regularRows.length}
+columns: ${columns.join(',')}
+`;
+  if (firstThumbRow) {
+    layout += `thumb: ${firstThumbRow.left.length},${firstThumbRow.right.length}\n`;
+  }
+  layout += `split: ${split}
+stagger: ${stagger}
+${formatShapeHeaders(physical)}
+`;
+
+  for (const group of groups) {
+    layout += formatLine(rowName(group.row), group, split, indices => formatBaseHand(indices, keys, baseLabels)) + '\n';
+  }
+
+  // Upper layers relabel the same keys
+  upperLayers.forEach((labels, i) => {
+    layout += `\n[layer:${i + 1}]\n`;
+    for (const group of groups) {
+      layout += formatLine(rowName(group.row), group, split, indices => indices.map(index => labels[index] || '_').join(' ')) + '\n';
+    }
+  });
+
+  // Finger assignments
+  const fingers = assignFingers(physical);
+  layout += '\nfingers:\n';
+  for (const group of groups) {
+    layout += formatLine(rowName(group.row), group, split, indices => indices.map(index => fingers[index] ?? '.').join(' ')) + '\n';
+  }
+
+  // Absolute key positions, when the board has them
+  if (keys.some(key => key.geometry)) {
+    layout += '\ngeometry:\n';
+    for (const group of groups) {
+      layout += formatLine(rowName(group.row), group, split, indices => indices.map(index => formatGeometry(keys[index])).join(' ')) + '\n';
+    }
+  }
+
+  return layout;
+}
+
+/**
+ * Find the rows of a key list and which one is the thumb row
+ * The last row counts as the thumb row when it has fewer keys than the widest row.
+ * @param {number[]} rows - Row of each key
+ * @returns {number|null} Thumb row, or null
+ */
+function findThumbRow(rows) {
+  const counts = {};
+  rows.forEach(row => {
+    counts[row] = (counts[row] || 0) + 1;
+  });
+
+  const rowNumbers = Object.keys(counts).map(Number);
+  if (rowNumbers.length < 2) return null;
+
+  const lastRow = Math.max(...rowNumbers);
+  const widest = Math.max(...Object.values(counts));
+  return counts[lastRow] < widest ? lastRow : null;
+}
+
+/**
+ * Build a physical layout from a ZMK matrix transform
+ * Matrix columns are split down the middle into hands.
+ * @param {Object[]} map - Matrix positions per key [{ row, col }]
+ * @returns {Object} Physical layout { split, stagger, keys }
+ */
+export function physicalFromMatrix(map) {
+  const thumbRow = findThumbRow(map.map(p => p.row));
+  const maxCol = Math.max(...map.map(p => p.col));
+  const middle = Math.ceil((maxCol + 1) / 2);
+
+  const handOf = (p) => (p.col < middle ? 'left' : 'right');
+  const minCol = (filter) => Math.min(...map.filter(filter).map(p => p.col));
+  const origins = {
+    left: minCol(p => p.row !== thumbRow && handOf(p) === 'left'),
+    right: middle,
+    leftThumb: minCol(p => p.row === thumbRow && handOf(p) === 'left'),
+    rightThumb: minCol(p => p.row === thumbRow && handOf(p) === 'right'),
+  };
+
+  const keys = map.map((p) => {
+    const hand = handOf(p);
+    const isThumb = p.row === thumbRow;
+    const origin = isThumb ? origins[`${hand}Thumb`] : origins[hand];
+    return {
+      row: isThumb ? -1 : p.row,
+      col: p.col - origin,
+      width: 1,
+      hand,
+      isThumb,
+    };
+  });
+
+  return { split: true, stagger: 'none', keys };
+}
+
+/**
+ * Find the row of each key from its y position, within its column
+ * Each column's stagger (the part of its top key's y below a whole row) is
+ * taken off before rounding, so columns staggered by half a key or more stay
+ * in their rows. Keys alone in their column, such as most thumb keys, are
+ * rounded as they are.
+ * @param {Object[]} keyAttrs - Keys [{ x, y }] in key units
+ * @returns {number[]} Row of each key
+ */
+function findKeyRows(keyAttrs) {
+  const top = Math.min(...keyAttrs.map(k => k.y));
+  const columns = new Map(); // Quarter-unit x -> smallest y
+  const counts = new Map();
+  for (const k of keyAttrs) {
+    const x = toQuarter(k.x);
+    columns.set(x, Math.min(columns.get(x) ?? Infinity, k.y));
+    counts.set(x, (counts.get(x) || 0) + 1);
+  }
+
+  return keyAttrs.map((k) => {
+    const x = toQuarter(k.x);
+    if (counts.get(x) === 1) {
+      return Math.round(k.y - top);
+    }
+    const offset = Math.round((columns.get(x) - top) * 1000) / 1000;
+    return Math.round(k.y - top - (offset - Math.floor(offset)));
+  });
+}
+
+/**
+ * Build a physical layout from key attributes (ZMK physical layouts, KLE)
+ * Rows come from y positions within each column; the widest horizontal gap
+ * splits the hands. Every key keeps its exact position and rotation as `geometry`.
+ * @param {Object[]} keyAttrs - Keys [{ w, h, x, y, r, rx, ry }] in key units
+ * @returns {Object} Physical layout { split, stagger, keys }
+ */
+export function physicalFromKeyAttrs(keyAttrs) {
+  const rows = findKeyRows(keyAttrs);
+  const thumbRow = findThumbRow(rows);
+
+  // Find the widest horizontal gap between keys
+  const sorted = [...keyAttrs].sort((a, b) => a.x - b.x);
+  let rightEdge = -Infinity;
+  let widestGap = 0;
+  let splitX = Infinity;
+  for (const key of sorted) {
+    const gap = key.x - rightEdge;
+    if (rightEdge > -Infinity && gap > widestGap) {
+      widestGap = gap;
+      splitX = key.x;
+    }
+    rightEdge = Math.max(rightEdge, key.x + key.w);
+  }
+  const split = widestGap >= 0.5;
+
+  const handOf = (k) => (split && k.x >= splitX ? 'right' : 'left');
+  const minX = (filter) => Math.min(...keyAttrs.filter(filter).map(k => k.x));
+  const origins = {
+    left: minX((k, i) => rows[i] !== thumbRow && handOf(k) === 'left'),
+    right: minX((k, i) => rows[i] !== thumbRow && handOf(k) === 'right'),
+    leftThumb: minX((k, i) => rows[i] === thumbRow && handOf(k) === 'left'),
+    rightThumb: minX((k, i) => rows[i] === thumbRow && handOf(k) === 'right'),
+  };
+
+  const keys = keyAttrs.map((k, i) => {
+    const hand = handOf(k);
+    const isThumb = rows[i] === thumbRow;
+    const origin = isThumb ? origins[`${hand}Thumb`] : origins[hand];
+    return {
+      row: isThumb ? -1 : rows[i],
+      col: toQuarter(k.x - origin),
+      width: toQuarter(k.w),
+      hand,
+      isThumb,
+      geometry: { x: k.x, y: k.y, w: k.w, h: k.h || 1, r: k.r || 0, rx: k.rx || 0, ry: k.ry || 0 },
+    };
+  });
+
+  return { split, stagger: 'none', keys };
+}
+
+/**
+ * Get a built-in physical layout by name
+ * @param {string} name
+ * @returns {Object|null} Parsed physical layout
+ */
+export function getBuiltinPhysical(name) {
+  const definition = getBuiltinPhysicalLayouts()[name];
+  return definition ? parsePhysicalLayout(definition) : null;
+}
+
+/**
+ * Build a split grid physical layout
+ * @param {number} rows - Regular rows
+ * @param {number} cols - Columns per hand
+ * @param {number} thumbCount - Thumb keys per hand
+ * @returns {Object} Parsed physical layout
+ */
+export function gridPhysical(rows, cols, thumbCount) {
+  const hand = (n) => Array(n).fill('1').join(' ');
+  let definition = `[physical:grid]\nrows: ${rows}\ncolumns: ${cols},${cols}\nsplit: true\n`;
+  for (let r = 0; r < rows; r++) {
+    definition += `row${r}: ${hand(cols)} | ${hand(cols)}\n`;
+  }
+  if (thumbCount > 0) {
+    definition += `thumb: ${hand(thumbCount)} | ${hand(thumbCount)}\n`;
+  }
+  return parsePhysicalLayout(definition);
+}
+
+/**
+ * Guess a physical layout from a key count alone
+ * Built-in layouts with exactly this many keys win; otherwise a split
+ * board with 3 or 4 rows and a thumb row is assumed.
+ * @param {number} count - Number of keys
+ * @returns {Object} Parsed physical layout
+ */
+export function guessPhysical(count) {
+  const builtin = Object.keys(getBuiltinPhysicalLayouts())
+    .map(getBuiltinPhysical)
+    .find(physical => physical.split && physical.keys.length === count);
+  if (builtin) return builtin;
+
+  let rows = 3;
+  let thumbCount = Math.max(2, Math.floor(count / 10));
+  let cols = Math.ceil((count - thumbCount * 2) / (rows * 2));
+
+  search:
+  for (const r of [3, 4]) {
+    for (const t of [3, 2, 4, 5, 1]) {
+      const main = count - t * 2;
+      const c = main / (r * 2);
+      if (Number.isInteger(c) && c >= 4 && c <= 7) {
+        rows = r;
+        thumbCount = t;
+        cols = c;
+        break search;
+      }
+    }
+  }
+
+  const physical = gridPhysical(rows, cols, thumbCount);
+  physical.keys = physical.keys.slice(0, count);
+  return physical;
+}
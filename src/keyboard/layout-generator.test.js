@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest';
+import {
+  assignFingers,
+  generateCombinedLayout,
+  physicalFromMatrix,
+  physicalFromKeyAttrs,
+  getBuiltinPhysical,
+  guessPhysical,
+} from './layout-generator.js';
+import { parseCombinedLayout } from './layout-parser.js';
+
+/**
+ * Build matrix positions for a split board, row by row
+ * @param {number} rows - Regular rows
+ * @param {number} cols - Columns per hand
+ * @param {number} thumbs - Thumb keys per hand
+ * @returns {Object[]}
+ */
+function splitMatrix(rows, cols, thumbs) {
+  const map = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols * 2; c++) map.push({ row: r, col: c });
+  }
+  for (let c = cols - thumbs; c < cols + thumbs; c++) map.push({ row: rows, col: c });
+  return map;
+}
+
+describe('Layout Generator', () => {
+  describe('physicalFromMatrix', () => {
+    it('should read a 3x5+2 board as five columns and two thumbs per hand', () => {
+      const physical = physicalFromMatrix(splitMatrix(3, 5, 2));
+
+      expect(physical.keys).toHaveLength(34);
+      const thumbs = physical.keys.filter(k => k.isThumb);
+      expect(thumbs.filter(k => k.hand === 'left')).toHaveLength(2);
+      expect(thumbs.filter(k => k.hand === 'right')).toHaveLength(2);
+      expect(physical.keys[5]).toMatchObject({ row: 0, col: 0, hand: 'right' });
+    });
+  });
+
+  describe('physicalFromKeyAttrs', () => {
+    it('should split hands at the widest gap and find the thumb row', () => {
+      const keyAttrs = [
+        { w: 1, h: 1, x: 0, y: 0 }, { w: 1, h: 1, x: 1, y: 0.25 },
+        { w: 1, h: 1, x: 4, y: 0.25 }, { w: 1, h: 1, x: 5, y: 0 },
+        { w: 1, h: 1, x: 1.5, y: 1.5 }, { w: 1.5, h: 1, x: 3.5, y: 1.5 },
+      ];
+      const physical = physicalFromKeyAttrs(keyAttrs);
+
+      expect(physical.split).toBe(true);
+      expect(physical.keys.map(k => k.hand)).toEqual(['left', 'left', 'right', 'right', 'left', 'right']);
+      expect(physical.keys[4].isThumb).toBe(true);
+      expect(physical.keys[5]).toMatchObject({ isThumb: true, width: 1.5 });
+    });
+
+    it('should keep rows of columns staggered by half a key or more', () => {
+      // Sweep-style: 3x5 per hand, pinky lowest, thumbs below the inner columns
+      const stagger = [0.75, 0.25, 0, 0.25, 0.5];
+      const keyAttrs = [];
+      for (let row = 0; row < 3; row++) {
+        stagger.forEach((y, col) => keyAttrs.push({ w: 1, h: 1, x: col, y: row + y }));
+        [...stagger].reverse().forEach((y, col) => keyAttrs.push({ w: 1, h: 1, x: 7 + col, y: row + y }));
+      }
+      keyAttrs.push(
+        { w: 1, h: 1, x: 3.5, y: 3.75 }, { w: 1, h: 1, x: 4.5, y: 3.75 },
+        { w: 1, h: 1, x: 6.5, y: 3.75 }, { w: 1, h: 1, x: 7.5, y: 3.75 }
+      );
+      const physical = physicalFromKeyAttrs(keyAttrs);
+
+      expect(physical.keys.slice(0, 30).map(k => k.row)).toEqual(
+        [0, 1, 2].flatMap(row => Array(10).fill(row))
+      );
+      expect(physical.keys.slice(30).every(k => k.isThumb)).toBe(true);
+      expect(physical.keys[0]).toMatchObject({ row: 0, col: 0, hand: 'left' });
+      expect(physical.keys[20]).toMatchObject({ row: 2, col: 0, hand: 'left' });
+
+      const text = generateCombinedLayout('sweep-import', physical, [[]]);
+      expect(text).toContain('rows: 3\ncolumns: 5,5\nthumb: 2,2');
+      expect(text).toContain('row2: 0 1 2 3 3 | 6 6 7 8 9');
+    });
+  });
+
+  describe('guessPhysical', () => {
+    it('should pick a built-in layout with a matching key count', () => {
+      expect(guessPhysical(58).name).toBe('lily58');
+      expect(guessPhysical(34).name).toBe('sweep');
+    });
+
+    it('should fall back to a grid that fits the key count', () => {
+      const physical = guessPhysical(36);
+      expect(physical.keys).toHaveLength(36);
+      expect(physical.keys.filter(k => k.isThumb)).toHaveLength(6);
+    });
+  });
+
+  describe('assignFingers', () => {
+    it('should give extra inner keys to the index fingers', () => {
+      const physical = getBuiltinPhysical('lily58');
+      const fingers = assignFingers(physical);
+      const bottomLeft = physical.keys
+        .map((k, i) => ({ ...k, finger: fingers[i] }))
+        .filter(k => k.row === 3 && k.hand === 'left');
+
+      expect(bottomLeft.map(k => k.finger)).toEqual([0, 0, 1, 2, 3, 3, 3]);
+    });
+  });
+
+  describe('generateCombinedLayout', () => {
+    it('should produce a layout that parses back with every layer and hold', () => {
+      const physical = getBuiltinPhysical('sweep');
+      const base = physical.keys.map((_, i) => (i === 10 ? 'a/lsft' : `k${i}`));
+      const lower = physical.keys.map((_, i) => (i === 0 ? '!' : '_'));
+
+      const text = generateCombinedLayout('sweep-import', physical, [base, lower]);
+      const { physical: parsed, mapping } = parseCombinedLayout(text);
+
+      expect(parsed.keys).toHaveLength(34);
+      expect(mapping.layers).toHaveLength(2);
+      expect(mapping.layers[0].keys[10]).toBe('a');
+      expect(mapping.layers[0].holds[10]).toBe('lsft');
+      expect(mapping.layers[1].keys[0]).toBe('!');
+      expect(mapping.fingers).toHaveLength(34);
+    });
+
+    it('should keep gaps and key widths', () => {
+      const physical = {
+        split: false,
+        keys: [
+          { row: 0, col: 0, width: 1.5, hand: 'left', isThumb: false },
+          { row: 0, col: 2.5, width: 1, hand: 'left', isThumb: false },
+        ],
+      };
+      const text = generateCombinedLayout('gaps', physical, [['tab', 'q']]);
+
+      expect(text).toContain('row0: tab:1.5 ¦ q');
+      const { physical: parsed } = parseCombinedLayout(text);
+      expect(parsed.keys[1].col).toBe(2.5);
+    });
+
+    it('should write key geometry so it survives a round trip', () => {
+      const physical = physicalFromKeyAttrs([
+        { w: 1, h: 1, x: 0, y: 0 }, { w: 1, h: 1, x: 1, y: 0.25 },
+        { w: 1, h: 1, x: 4, y: 0.25 }, { w: 1, h: 1, x: 5, y: 0 },
+        { w: 1, h: 1.5, x: 1.5, y: 1.5, r: 15, rx: 1.5, ry: 1.5 }, { w: 1, h: 1, x: 3.5, y: 1.5 },
+      ]);
+      const text = generateCombinedLayout('rotated', physical, [['a', 'b', 'c', 'd', 'e', 'f']]);
+
+      expect(text).toContain('geometry:');
+      expect(text).toContain('thumb: 1.5,1.5,1,1.5,15,1.5,1.5 | 3.5,1.5');
+      const { physical: parsed } = parseCombinedLayout(text);
+      expect(parsed.keys.map(k => k.geometry)).toEqual(physical.keys.map(k => ({
+        r: 0, rx: 0, ry: 0, ...k.geometry,
+      })));
+    });
+
+    it('should keep the board shape of a built-in physical layout', () => {
+      const physical = getBuiltinPhysical('kyria');
+      const text = generateCombinedLayout('kyria-import', physical, [[]]);
+
+      expect(text).toContain('column-stagger: 0.75 0.75 0.25 0 0.25 0.5\nthumb-rotate: 15\n');
+      const { physical: parsed } = parseCombinedLayout(text);
+      expect(parsed.columnStagger).toEqual(physical.columnStagger);
+      expect(parsed.thumbRotate).toEqual(physical.thumbRotate);
+    });
+
+    it('should write each hand of shape headers that are not mirrored', () => {
+      const physical = {
+        ...getBuiltinPhysical('sweep'),
+        splay: { left: [10, 5, 0, 0, 0], right: [0, 0, 0, 0, 0] },
+        rowStagger: [0, 0.25, 0.5],
+      };
+      const text = generateCombinedLayout('splayed', physical, [[]]);
+
+      expect(text).toContain('splay: 10 5 0 0 0 | 0 0 0 0 0\n');
+      expect(text).toContain('row-stagger: 0 0.25 0.5\n');
+      expect(parseCombinedLayout(text).physical.splay).toEqual(physical.splay);
+    });
+
+    it('should leave out the geometry section for row-based boards', () => {
+      const text = generateCombinedLayout('grid', getBuiltinPhysical('sweep'), [[]]);
+      expect(text).not.toContain('geometry:');
+    });
+  });
+});
@@ -85,6 +85,132 @@ function parseKeyToken(token, isCombinedFormat = false) {
   };
 }
 
+/**
+ * Split a "tap/hold" key label
+ * The last "/" splits the label when both sides are non-empty, so "/" on
+ * its own stays a key and "//lctl" is "/" on tap, lctl on hold.
+ * @param {string} label
+ * @returns {{ tap: string, hold: string|null }}
+ */
+function splitHoldTap(label) {
+  const slash = label.lastIndexOf('/');
+  if (slash > 0 && slash < label.length - 1) {
+    return { tap: label.slice(0, slash), hold: label.slice(slash + 1) };
+  }
+  return { tap: label, hold: null };
+}
+
+/**
+ * Add a key label to a mapping layer
+ * Hold-tap labels put the tap in `keys` and the hold in `holds` (same index).
+ * @param {Object} layer - Mapping layer { keys, holds? }
+ * @param {string} label
+ */
+function pushKeyLabel(layer, label) {
+  const { tap, hold } = splitHoldTap(label);
+  if (hold) {
+    layer.holds = layer.holds || [];
+    layer.holds[layer.keys.length] = hold;
+  }
+  layer.keys.push(tap);
+}
+
+/**
+ * Parse a layer row into key labels
+ * Layer rows relabel keys the base layer already placed, so widths and gaps
+ * are ignored. A literal "|" key is allowed: the hand separator is taken to
+ * be the "|" that leaves as many keys on the left as the base row has.
+ * @param {string} value - Row data after the "rowN:" prefix
+ * @param {number} [leftCount] - Number of left-hand keys in the base row
+ * @returns {string[]} Key labels
+ */
+function parseLayerRow(value, leftCount) {
+  const tokens = value.split(/\s+/).filter(t => t !== '');
+  const isGap = (token) => {
+    const parsed = parseKeyToken(token, true);
+    return parsed.label === null;
+  };
+
+  const separators = tokens
+    .map((token, i) => (token === '|' ? i : -1))
+    .filter(i => i !== -1);
+  const separator = separators.find(
+    (s) => tokens.slice(0, s).filter(t => !isGap(t)).length === leftCount
+  ) ?? separators[0];
+
+  return tokens
+    .filter((token, i) => i !== separator && !isGap(token))
+    .map(token => parseKeyToken(token, true).label);
+}
+
+/**
+ * Parse one key of a geometry section
+ * Written "x,y,w,h,r,rx,ry" in key units; trailing values may be left out
+ * (w defaults to the key's width, h to 1, rotation to none).
+ * @param {string} token - e.g. "0,0.25", "6.5,4,1,1.5,30,6.5,4", or "." for none
+ * @param {number} [width=1] - Key width from the row definition
+ * @returns {Object|null} { x, y, w, h, r, rx, ry }
+ */
+function parseGeometryToken(token, width = 1) {
+  if (token === '.') return null;
+  const values = token.split(',').map(v => parseFloat(v));
+  if (values.length < 2 || values.some(v => isNaN(v))) return null;
+
+  const [x, y, w = width, h = 1, r = 0, rx = 0, ry = 0] = values;
+  return { x, y, w, h, r, rx, ry };
+}
+
+/**
+ * Parse per-hand numbers of a shape header
+ * "a b c | d e f" gives each hand its own values in row order; without "|"
+ * the right hand mirrors the left.
+ * @param {string} value
+ * @returns {{ left: number[], right: number[] }}
+ */
+function parseHandValues(value) {
+  const toNumbers = (part) => part
+    .split(/\s+/)
+    .filter(v => v !== '')
+    .map(v => parseFloat(v) || 0);
+  const [left, right] = value.split('|');
+  const leftValues = toNumbers(left);
+  return {
+    left: leftValues,
+    right: right !== undefined ? toNumbers(right) : [...leftValues].reverse(),
+  };
+}
+
+/**
+ * Apply a board shape header to a physical layout
+ *   column-stagger: 0.5 0.25 0 0.25 | ...  - Downward offset per column, in key units
+ *   row-stagger: 0 0.5 0.75 1.25           - Rightward offset per row, in key units
+ *   splay: 10 5 0 0 | ...                  - Column angle in degrees (positive leans outward)
+ *   thumb-rotate: 15                       - Thumb cluster angle (positive lowers the inner end)
+ *   thumb-rotate: 0 10 20 | 20 10 0        - Or one angle per thumb key
+ * @param {Object} physical - Physical layout being parsed
+ * @param {string} key - Header name
+ * @param {string} value - Header value
+ * @returns {boolean} Whether the header was a shape header
+ */
+function applyShapeHeader(physical, key, value) {
+  switch (key) {
+    case 'column-stagger':
+      physical.columnStagger = parseHandValues(value);
+      return true;
+    case 'row-stagger':
+      physical.rowStagger = parseHandValues(value.replace(/\|/g, ' ')).left;
+      return true;
+    case 'splay':
+      physical.splay = parseHandValues(value);
+      return true;
+    case 'thumb-rotate':
+      physical.thumbRotate = parseHandValues(value);
+      return true;
+    default:
+      return false;
+  }
+}
+
 /**
  * Parse a combined layout definition (physical + keys in one)
  * @param {string} input - Layout definition text
@@ -112,8 +238,12 @@ export function parseCombinedLayout(input) {
 
   let parsingFingers = false;
   let fingerValues = [];
+  let parsingGeometry = false;
+  let geometryTokens = [];
   let rowIndex = 0;
   let isCombinedFormat = false; // Track if using [layout:...] header
+  let layerIndex = 0; // Layer that row labels are added to
+  const leftKeyCounts = {}; // Row name -> left-hand key count on the base layer
 
   for (const line of lines) {
     // Parse header [layout:name] (combined format)
@@ -139,17 +269,39 @@ export function parseCombinedLayout(input) {
       continue;
     }
 
+    // Layer header [layer:n] - rows that follow relabel the base layer's keys
+    const layerHeaderMatch = line.match(/^\[layer:(\d+)\]$/);
+    if (layerHeaderMatch) {
+      layerIndex = parseInt(layerHeaderMatch[1], 10);
+      while (mapping.layers.length <= layerIndex) {
+        mapping.layers.push({ keys: [] });
+      }
+      parsingFingers = false;
+      parsingGeometry = false;
+      continue;
+    }
+
     // Check for fingers section
     if (line === 'fingers:') {
       parsingFingers = true;
+      parsingGeometry = false;
       fingerValues = [];
       continue;
     }
 
+    // Check for geometry section (absolute key positions)
+    if (line === 'geometry:') {
+      parsingGeometry = true;
+      parsingFingers = false;
+      geometryTokens = [];
+      continue;
+    }
+
     // Parse key-value pairs
-    const kvMatch = line.match(/^(\w+):\s*(.+)$/);
+    const kvMatch = line.match(/^([\w-]+):\s*(.+)$/);
     if (kvMatch) {
       const [, key, value] = kvMatch;
+      if (applyShapeHeader(physical, key, value)) continue;
       
       switch (key) {
         case 'rows':
@@ -169,7 +321,7 @@ export function parseCombinedLayout(input) {
           break;
         case 'thumb':
           // Could be thumb count "3,3" or thumb row data
-          if (value.includes(',') && !value.includes('|') && !value.match(/[a-zA-Z]/)) {
+          if (!parsingGeometry && value.includes(',') && !value.includes('|') && !value.match(/[a-zA-Z]/)) {
             physical.thumb = value.split(',').map(v => parseInt(v.trim(), 10));
             break;
           }
@@ -197,9 +349,16 @@ export function parseCombinedLayout(input) {
               // Support dots for "no finger" on blank keys
               const allValues = parts.flatMap(part => part.split(/\s+/).filter(v => v !== ''));
               fingerValues.push(...allValues.map(v => v === '.' ? null : parseInt(v, 10)));
+            } else if (parsingGeometry) {
+              // Key positions - one "x,y,..." token per key, in key order
+              geometryTokens.push(...parts.flatMap(part => part.split(/\s+/).filter(v => v !== '')));
+            } else if (layerIndex > 0) {
+              parseLayerRow(value, leftKeyCounts[key])
+                .forEach(label => pushKeyLabel(mapping.layers[layerIndex], label));
             } else {
               // Parse left hand - track position including gaps
               const leftKeys = leftPart.split(/\s+/).filter(k => k !== '');
+              const keyCountBefore = physical.keys.length;
               let leftColPos = 0;
               leftKeys.forEach((k) => {
                 const parsed = parseKeyToken(k, isCombinedFormat);
@@ -230,10 +389,11 @@ export function parseCombinedLayout(input) {
                     hand: 'left',
                     isThumb,
                   });
-                  mapping.layers[0].keys.push(parsed.label);
+                  pushKeyLabel(mapping.layers[0], parsed.label);
                   leftColPos += parsed.width;
                 }
               });
+              leftKeyCounts[key] = physical.keys.length - keyCountBefore;
 
               // Parse right hand
               if (rightPart) {
@@ -265,7 +425,7 @@ export function parseCombinedLayout(input) {
                       hand: 'right',
                       isThumb,
                     });
-                    mapping.layers[0].keys.push(parsed.label);
+                    pushKeyLabel(mapping.layers[0], parsed.label);
                     rightColPos += parsed.width;
                   }
                 });
@@ -280,6 +440,14 @@ export function parseCombinedLayout(input) {
     mapping.fingers = fingerValues;
   }
 
+  geometryTokens.forEach((token, i) => {
+    const key = physical.keys[i];
+    const geometry = key && parseGeometryToken(token, key.width);
+    if (geometry) {
+      key.geometry = geometry;
+    }
+  });
+
   return { physical, mapping };
 }
 
@@ -312,9 +480,10 @@ export function parsePhysicalLayout(input) {
     }
 
     // Parse key-value pairs
-    const kvMatch = line.match(/^(\w+):\s*(.+)$/);
+    const kvMatch = line.match(/^([\w-]+):\s*(.+)$/);
     if (kvMatch) {
       const [, key, value] = kvMatch;
+      if (applyShapeHeader(layout, key, value)) continue;
       
       switch (key) {
         case 'rows':
@@ -452,5 +452,127 @@ row0: ¦:0.25 a ¦:0.5 b | c ¦:0.25 d ¦
       expect(rightRow0[0].col).toBe(0); // c at start
       expect(rightRow0[1].col).toBe(1.25); // d after (1 key + 0.25 gap)
     });
+
+    it('should parse layer blocks into additional mapping layers', () => {
+      const input = `
+[layout:layered]
+rows: 2
+columns: 3,3
+split: true
+
+row0: a b c | d e f
+row1: shift g mo1 | mo1 h shift
+
+[layer:1]
+row0: 1 2 3 | 4 5 6
+row1: _ ! @ | # $ _
+
+fingers:
+row0: 1 2 3 | 6 7 8
+row1: 0 2 3 | 6 7 9
+`;
+      const { physical, mapping } = parseCombinedLayout(input);
+
+      expect(physical.keys).toHaveLength(12);
+      expect(mapping.layers).toHaveLength(2);
+      expect(mapping.layers[1].keys).toEqual(['1', '2', '3', '4', '5', '6', '_', '!', '@', '#', '$', '_']);
+      expect(mapping.fingers).toHaveLength(12);
+    });
+
+    it('should treat a literal pipe on a layer as a key', () => {
+      const input = `
+[layout:pipes]
+rows: 1
+columns: 3,3
+split: true
+
+row0: a b c | d e f
+
+[layer:1]
+row0: _ ~ | | - = +
+`;
+      const { mapping } = parseCombinedLayout(input);
+
+      expect(mapping.layers[1].keys).toEqual(['_', '~', '|', '-', '=', '+']);
+    });
+
+    it('should split tap/hold tokens into keys and holds', () => {
+      const input = `
+[layout:home-row-mods]
+rows: 1
+columns: 3,3
+split: true
+
+row0: a/lgui s/lalt / | //rctl e/rsft spc/mo1:2
+
+[layer:1]
+row0: 1 2 3 | 4 5/rsft 6
+`;
+      const { physical, mapping } = parseCombinedLayout(input);
+
+      expect(mapping.layers[0].keys).toEqual(['a', 's', '/', '/', 'e', 'spc']);
+      expect(mapping.layers[0].holds[0]).toBe('lgui');
+      expect(mapping.layers[0].holds[2]).toBeUndefined();
+      expect(mapping.layers[0].holds[3]).toBe('rctl');
+      expect(mapping.layers[0].holds[5]).toBe('mo1');
+      expect(physical.keys[5].width).toBe(2);
+      expect(mapping.layers[1].holds[4]).toBe('rsft');
+    });
+
+    it('should read absolute key positions from a geometry section', () => {
+      const input = `
+[layout:geometry]
+rows: 1
+columns: 2,1
+split: true
+
+row0: a spc:1.5 | b
+
+geometry:
+row0: 0,0.25 1,0 | 6.5,4,1,1.5,30,6.5,4
+`;
+      const { physical } = parseCombinedLayout(input);
+
+      expect(physical.keys[0].geometry).toEqual({ x: 0, y: 0.25, w: 1, h: 1, r: 0, rx: 0, ry: 0 });
+      expect(physical.keys[1].geometry).toMatchObject({ x: 1, w: 1.5 });
+      expect(physical.keys[2].geometry).toEqual({ x: 6.5, y: 4, w: 1, h: 1.5, r: 30, rx: 6.5, ry: 4 });
+    });
+
+    it('should read stagger, splay and thumb rotation headers', () => {
+      const input = `
+[layout:shaped]
+rows: 1
+columns: 3,3
+split: true
+stagger: columnar
+column-stagger: 0.5 0.25 0
+row-stagger: 0 0.5
+splay: 10 0 0 | 0 0 5
+thumb-rotate: 15
+
+row0: a b c | d e f
+`;
+      const { physical } = parseCombinedLayout(input);
+
+      expect(physical.columnStagger).toEqual({ left: [0.5, 0.25, 0], right: [0, 0.25, 0.5] });
+      expect(physical.rowStagger).toEqual([0, 0.5]);
+      expect(physical.splay).toEqual({ left: [10, 0, 0], right: [0, 0, 5] });
+      expect(physical.thumbRotate).toEqual({ left: [15], right: [15] });
+      expect(physical.keys).toHaveLength(6);
+    });
+
+    it('should read shape headers in physical layouts', () => {
+      const physical = parsePhysicalLayout(`
+[physical:shaped]
+rows: 1
+columns: 3
+row-stagger: 0.25
+thumb-rotate: 0 10 | 10 0
+row0: 1 1 1
+`);
+
+      expect(physical.rowStagger).toEqual([0.25]);
+      expect(physical.thumbRotate).toEqual({ left: [0, 10], right: [10, 0] });
+    });
   });
 });
@@ -0,0 +1,260 @@
+/**
+ * Layout Source
+ * Finds where each key of a combined layout is written in its definition
+ * text, so single keys can be relabelled, swapped or given a finger while
+ * comments, spacing and everything else stay exactly as written
+ */
+
+// Gap tokens, which take up room but are not keys
+const GAP_TOKEN = /^¦(:\d+\.?\d*)?$/;
+
+// A trailing ":width" on a key token
+const WIDTH_SUFFIX = /:\d+\.?\d*$/;
+
+// Headers that look like rows but do not list keys
+const HEADERS = ['rows', 'row-stagger', 'thumb-rotate'];
+
+/**
+ * Split a row value into tokens with their offsets in the text
+ * @param {string} value - Row data after the "rowN:" prefix
+ * @param {number} offset - Where the value starts in the text
+ * @returns {Object[]} [{ token, start, end }]
+ */
+function tokenize(value, offset) {
+  return [...value.matchAll(/\S+/g)].map(match => ({
+    token: match[0],
+    start: offset + match.index,
+    end: offset + match.index + match[0].length,
+  }));
+}
+
+/**
+ * Split a row value at each "|" and tokenize the pieces, as the parser does
+ * @param {string} value - Row data after the "rowN:" prefix
+ * @param {number} offset - Where the value starts in the text
+ * @returns {Object[][]} Tokens of each piece
+ */
+function tokenizeHands(value, offset) {
+  const pieces = [];
+  let start = 0;
+  for (const piece of value.split('|')) {
+    pieces.push(tokenize(piece, offset + start));
+    start += piece.length + 1;
+  }
+  return pieces;
+}
+
+/**
+ * Check if a token is a key rather than a gap
+ * @param {Object} entry - { token, start, end }
+ * @returns {boolean}
+ */
+function isKeyToken(entry) {
+  return !GAP_TOKEN.test(entry.token);
+}
+
+/**
+ * Get the label part of a key token, leaving out a ":width" suffix
+ * @param {Object} entry - { token, start, end }
+ * @returns {Object} { label, start, end }
+ */
+function labelSpan(entry) {
+  const label = entry.token.replace(WIDTH_SUFFIX, '');
+  return { label, start: entry.start, end: entry.start + label.length };
+}
+
+/**
+ * Check if a key-value line is a row of keys (not the "thumb: 3,3" count)
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRowLine(key, value) {
+  if (HEADERS.includes(key)) return false;
+  if (key === 'thumb' && value.includes(',') && !value.includes('|') && !/[a-zA-Z]/.test(value)) {
+    return false;
+  }
+  return key.startsWith('row') || key.startsWith('thumb');
+}
+
+/**
+ * Find where every key is written in a combined layout definition
+ * Keys are numbered as the parser numbers them: base layer rows in order,
+ * left hand then right, gaps skipped.
+ * @param {string} text - Layout definition
+ * @returns {Object} { keys: [{ label, start, end }], layers: { n: [...] }, fingers: [{ token, start, end }], rows: [{ name, left, right }] }
+ */
+export function findKeySources(text) {
+  const keys = [];
+  const layers = {};
+  const fingers = [];
+  const rows = [];
+  const leftCounts = {};
+
+  let section = 'keys';
+  let layer = 0;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const layerHeader = trimmed.match(/^\[layer:(\d+)\]$/);
+    if (layerHeader) {
+      layer = parseInt(layerHeader[1], 10);
+      section = 'keys';
+      continue;
+    }
+    if (trimmed === 'fingers:' || trimmed === 'geometry:') {
+      section = trimmed.slice(0, -1);
+      continue;
+    }
+
+    const match = line.match(/^(\s*)([\w-]+):(\s*)(.+?)\s*$/);
+    if (!match || !isRowLine(match[2], match[4])) continue;
+
+    const [, indent, name, space, value] = match;
+    const valueStart = lineStart + indent.length + name.length + 1 + space.length;
+
+    if (section === 'fingers') {
+      fingers.push(...tokenizeHands(value, valueStart).flat());
+    } else if (section === 'keys' && layer > 0) {
+      // As the parser does: the "|" that leaves the base row's left-hand count on the left
+      const tokens = tokenize(value, valueStart);
+      const separators = tokens.map((t, i) => (t.token === '|' ? i : -1)).filter(i => i !== -1);
+      const separator = separators.find(s => tokens.slice(0, s).filter(isKeyToken).length === leftCounts[name]) ?? separators[0];
+      layers[layer] ||= [];
+      layers[layer].push(...tokens.filter((t, i) => i !== separator && isKeyToken(t)).map(labelSpan));
+    } else if (section === 'keys') {
+      // The parser splits on the first "|" and ignores anything after a second one
+      const [leftTokens, rightTokens = []] = tokenizeHands(value, valueStart);
+      const left = leftTokens.filter(isKeyToken);
+      const right = rightTokens.filter(isKeyToken);
+
+      leftCounts[name] = left.length;
+      rows.push({ name, left: left.length, right: right.length });
+      keys.push(...[...left, ...right].map(labelSpan));
+    }
+  }
+
+  return { keys, layers, fingers, rows };
+}
+
+/**
+ * Replace spans of text, leaving the rest untouched
+ * @param {string} text
+ * @param {Object[]} edits - [{ start, end, value }], not overlapping
+ * @returns {string}
+ */
+function applyEdits(text, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.value + result.slice(edit.end), text);
+}
+
+/**
+ * Check that a key label can be written into a row
+ * @param {string} label
+ * @throws {Error} If the label is empty or would split into several tokens
+ */
+function validateLabel(label) {
+  if (typeof label !== 'string' || label === '') {
+    throw new Error('Key label cannot be empty');
+  }
+  if (/[\s|¦]/.test(label)) {
+    throw new Error(`Key label "${label}" cannot contain spaces, "|" or "¦"`);
+  }
+}
+
+/**
+ * Relabel one key
+ * A ":width" suffix stays as it was.
+ * @param {string} text - Layout definition
+ * @param {number} index - Key index
+ * @param {string} label - New label, e.g. "a" or "a/lsft"
+ * @param {number} [layer=0] - Layer to relabel
+ * @returns {string} Updated definition
+ */
+export function setKeyLabel(text, index, label, layer = 0) {
+  validateLabel(label);
+  const sources = findKeySources(text);
+  const span = (layer === 0 ? sources.keys : sources.layers[layer] || [])[index];
+  if (!span) {
+    throw new Error(`No key ${index} on layer ${layer}`);
+  }
+  return applyEdits(text, [{ start: span.start, end: span.end, value: label }]);
+}
+
+/**
+ * Swap the labels of two keys on every layer that defines both
+ * Widths and fingers belong to the key positions, so they stay put.
+ * @param {string} text - Layout definition
+ * @param {number} a - Key index
+ * @param {number} b - Key index
+ * @returns {string} Updated definition
+ */
+export function swapKeys(text, a, b) {
+  const sources = findKeySources(text);
+  if (!sources.keys[a] || !sources.keys[b]) {
+    throw new Error(`No key ${sources.keys[a] ? b : a} on the base layer`);
+  }
+  if (a === b) return text;
+
+  const edits = [];
+  for (const spans of [sources.keys, ...Object.values(sources.layers)]) {
+    if (spans[a] && spans[b]) {
+      edits.push(
+        { start: spans[a].start, end: spans[a].end, value: spans[b].label },
+        { start: spans[b].start, end: spans[b].end, value: spans[a].label }
+      );
+    }
+  }
+  return applyEdits(text, edits);
+}
+
+/**
+ * Build a fingers section with no finger on any key, row for row
+ * @param {Object[]} rows - Base layer rows from findKeySources
+ * @returns {string}
+ */
+function buildFingerSection(rows) {
+  const dots = (count) => Array(count).fill('.').join(' ');
+  const lines = rows.map(row => (
+    `${row.name}: ${row.right > 0 ? `${dots(row.left)} | ${dots(row.right)}` : dots(row.left)}`.trimEnd()
+  ));
+  return `fingers:\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Set the finger that presses a key
+ * Layouts without a fingers section get one, with "." for every other key.
+ * @param {string} text - Layout definition
+ * @param {number} index - Key index
+ * @param {number|null} finger - 0-9, or null for none
+ * @returns {string} Updated definition
+ */
+export function setKeyFinger(text, index, finger) {
+  const value = finger === null ? '.' : String(finger);
+  if (finger !== null && !(Number.isInteger(finger) && finger >= 0 && finger <= 9)) {
+    throw new Error(`Finger must be 0-9, not ${finger}`);
+  }
+
+  let sources = findKeySources(text);
+  if (!sources.keys[index]) {
+    throw new Error(`No key ${index} on the base layer`);
+  }
+
+  if (sources.fingers.length === 0) {
+    text = `${text.replace(/\n*$/, '')}\n\n${buildFingerSection(sources.rows)}`;
+    sources = findKeySources(text);
+  }
+
+  const span = sources.fingers[index];
+  if (!span) {
+    throw new Error(`The fingers section has no entry for key ${index}`);
+  }
+  return applyEdits(text, [{ start: span.start, end: span.end, value }]);
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { findKeySources, setKeyFinger, setKeyLabel, swapKeys } from './layout-source.js';
+import { parseCombinedLayout } from './layout-parser.js';
+
+const LAYOUT = `[layout:test]
+rows: 2
+columns: 3,3
+thumb: 1,1
+split: true
+row-stagger: 0 0.25
+
+# Letters
+row0: q  w  e | i  o  p
+row1: a/lsft s ¦ d | k l:1.5 ;
+thumb: spc:2 | mo1
+
+[layer:1]
+row0: 1 2 3 | 8 9 0
+row1: _ | _ _ |
+thumb: _ | _
+
+fingers:
+row0: 1 2 3 | 6 7 8
+row1: 1 2 3 | 6 7 8
+thumb: 4 | 5
+`;
+
+describe('Layout Source', () => {
+  describe('findKeySources', () => {
+    it('should find base layer labels in parser key order', () => {
+      const { keys } = findKeySources(LAYOUT);
+      const { mapping } = parseCombinedLayout(LAYOUT);
+      expect(keys.map(k => k.label)).toEqual(
+        ['q', 'w', 'e', 'i', 'o', 'p', 'a/lsft', 's', 'd', 'k', 'l', ';', 'spc', 'mo1']
+      );
+      expect(keys).toHaveLength(mapping.layers[0].keys.length);
+    });
+
+    it('should point at the label in the text, without a width', () => {
+      const { keys } = findKeySources(LAYOUT);
+      expect(LAYOUT.slice(keys[10].start, keys[10].end)).toBe('l');
+      expect(LAYOUT.slice(keys[12].start, keys[12].end)).toBe('spc');
+    });
+
+    it('should find layer labels, taking a literal "|" key into account', () => {
+      const { layers } = findKeySources(LAYOUT);
+      expect(layers[1].map(k => k.label)).toEqual(
+        ['1', '2', '3', '8', '9', '0', '_', '_', '_', '|', '_', '_']
+      );
+    });
+
+    it('should find finger entries and skip shape headers', () => {
+      const { fingers, rows } = findKeySources(LAYOUT);
+      expect(fingers.map(f => f.token)).toEqual(
+        ['1', '2', '3', '6', '7', '8', '1', '2', '3', '6', '7', '8', '4', '5']
+      );
+      expect(rows.map(r => r.name)).toEqual(['row0', 'row1', 'thumb']);
+    });
+  });
+
+  describe('setKeyLabel', () => {
+    it('should relabel one key and leave the rest of the text alone', () => {
+      const text = setKeyLabel(LAYOUT, 1, 'x');
+      expect(text).toContain('row0: q  x  e | i  o  p');
+      expect(text).toContain('# Letters');
+      expect(text.length).toBe(LAYOUT.length);
+    });
+
+    it('should keep the key width', () => {
+      expect(setKeyLabel(LAYOUT, 12, 'space')).toContain('thumb: space:2 | mo1');
+    });
+
+    it('should relabel a key on another layer', () => {
+      expect(setKeyLabel(LAYOUT, 0, '!', 1)).toContain('row0: ! 2 3 | 8 9 0');
+    });
+
+    it('should reject labels that would break the row', () => {
+      expect(() => setKeyLabel(LAYOUT, 0, 'a b')).toThrow(/cannot contain/);
+      expect(() => setKeyLabel(LAYOUT, 0, '')).toThrow(/empty/);
+      expect(() => setKeyLabel(LAYOUT, 99, 'x')).toThrow(/No key 99/);
+    });
+  });
+
+  describe('swapKeys', () => {
+    it('should swap labels on every layer and keep widths and fingers', () => {
+      const text = swapKeys(LAYOUT, 0, 10);
+      expect(text).toContain('row0: l  w  e | i  o  p');
+      expect(text).toContain('row1: a/lsft s ¦ d | k q:1.5 ;');
+      expect(text).toContain('row1: _ | _ _ |');
+
+      const { mapping } = parseCombinedLayout(text);
+      expect(mapping.layers[1].keys[0]).toBe('_');
+      expect(mapping.layers[1].keys[10]).toBe('1');
+      expect(mapping.fingers).toEqual(parseCombinedLayout(LAYOUT).mapping.fingers);
+    });
+
+    it('should swap hold-tap labels whole', () => {
+      const { mapping } = parseCombinedLayout(swapKeys(LAYOUT, 6, 13));
+      expect(mapping.layers[0].keys[13]).toBe('a');
+      expect(mapping.layers[0].holds[13]).toBe('lsft');
+      expect(mapping.layers[0].keys[6]).toBe('mo1');
+    });
+  });
+
+  describe('setKeyFinger', () => {
+    it('should change one finger entry', () => {
+      const text = setKeyFinger(LAYOUT, 13, 9);
+      expect(text).toContain('thumb: 4 | 9');
+      expect(setKeyFinger(LAYOUT, 0, null)).toContain('row0: . 2 3 | 6 7 8');
+    });
+
+    it('should add a fingers section when there is none', () => {
+      const bare = '[layout:bare]\nrows: 1\ncolumns: 2,2\nsplit: true\n\nrow0: a s | j k\nthumb: spc\n';
+      const text = setKeyFinger(bare, 2, 6);
+      expect(text).toBe(`${bare}\nfingers:\nrow0: . . | 6 .\nthumb: .\n`);
+      expect(parseCombinedLayout(text).mapping.fingers).toEqual([null, null, 6, null, null]);
+    });
+
+    it('should reject fingers outside 0-9', () => {
+      expect(() => setKeyFinger(LAYOUT, 0, 10)).toThrow(/0-9/);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Layout Validator
+ * Finds the mistakes parseCombinedLayout lets through - rows that do not match
+ * the column counts, finger rows of the wrong length, unknown headers,
+ * duplicate labels - and reports each with its line and column
+ */
+
+// Headers the parser reads
+const HEADERS = [
+  'rows',
+  'columns',
+  'split',
+  'stagger',
+  'base',
+  'column-stagger',
+  'row-stagger',
+  'splay',
+  'thumb-rotate',
+];
+
+// Row names: row0, row1, ..., thumb, thumb0, thumb1, ...
+const ROW_NAME = /^(row\d+|thumb\d*)$/;
+
+// Gap tokens, which take up room but are not keys
+const GAP_TOKEN = /^¦(:\d+\.?\d*)?$/;
+
+// A trailing ":width" on a key token
+const WIDTH_SUFFIX = /:\d+\.?\d*$/;
+
+// One geometry entry: "x,y[,w,h,r,rx,ry]" or "." for none
+const GEOMETRY_TOKEN = /^(\.|-?\d*\.?\d+(,-?\d*\.?\d+){1,6})$/;
+
+/**
+ * Diagnostic severities, most serious first
+ * Errors stop a layout from being saved; warnings and info do not.
+ */
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Split row data into tokens with their columns
+ * @param {string} value - Row data
+ * @param {number} column - Column the data starts at (1-based)
+ * @returns {Object[]} [{ token, column }]
+ */
+function tokenize(value, column) {
+  return [...value.matchAll(/\S+/g)].map(match => ({
+    token: match[0],
+    column: column + match.index,
+  }));
+}
+
+/**
+ * Split row data at each "|" and tokenize the pieces, as the parser does
+ * @param {string} value - Row data
+ * @param {number} column - Column the data starts at (1-based)
+ * @returns {Object} { pieces: Object[][], bars: number[] } Tokens per piece and columns of each "|"
+ */
+function tokenizeHands(value, column) {
+  const pieces = [];
+  const bars = [];
+  let start = 0;
+  for (const piece of value.split('|')) {
+    pieces.push(tokenize(piece, column + start));
+    start += piece.length + 1;
+    bars.push(column + start - 1);
+  }
+  bars.pop();
+  return { pieces, bars };
+}
+
+/**
+ * Get the tap label of a key token, leaving out width and hold action
+ * @param {string} token
+ * @returns {string}
+ */
+function getTapLabel(token) {
+  const label = token.replace(WIDTH_SUFFIX, '');
+  const slash = label.lastIndexOf('/');
+  return slash > 0 && slash < label.length - 1 ? label.slice(0, slash) : label;
+}
+
+/**
+ * Check if a row line is the "thumb: 3,3" thumb key count
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isThumbCount(key, value) {
+  return key === 'thumb' && value.includes(',') && !value.includes('|') && !/[a-zA-Z]/.test(value);
+}
+
+/**
+ * Validate a combined layout definition
+ * Lines and columns are 1-based. Diagnostics come in text order.
+ * @param {string} text - Layout definition
+ * @returns {Object[]} [{ line, column, severity, message }]
+ */
+export function validateLayout(text) {
+  const diagnostics = [];
+  const report = (line, column, severity, message) => {
+    diagnostics.push({ line, column, severity, message });
+  };
+
+  const headers = {}; // Header name -> { value, line, column }
+  const baseRows = new Map(); // Row name -> { line, column, left, right }
+  const labels = new Map(); // Tap label -> line of first use
+  const fingerRows = new Set();
+  let fingersLine = null;
+  let geometry = null; // { line, count }
+  let hasLayoutHeader = false;
+  let section = 'keys';
+  let layer = 0;
+
+  text.split('\n').forEach((raw, i) => {
+    const line = i + 1;
+    const trimmed = raw.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const indent = raw.length - raw.trimStart().length;
+
+    if (/^\[layout:[\w-]+\]$/.test(trimmed)) {
+      hasLayoutHeader = true;
+      return;
+    }
+    if (/^\[(physical|mapping):[\w-]+\]$/.test(trimmed)) return;
+
+    const layerHeader = trimmed.match(/^\[layer:(\d+)\]$/);
+    if (layerHeader) {
+      layer = parseInt(layerHeader[1], 10);
+      section = 'keys';
+      return;
+    }
+    if (trimmed === 'fingers:') {
+      section = 'fingers';
+      fingersLine = line;
+      return;
+    }
+    if (trimmed === 'geometry:') {
+      section = 'geometry';
+      geometry = { line, count: 0 };
+      return;
+    }
+
+    const match = trimmed.match(/^([\w-]+):(\s*)(.*)$/);
+    if (!match) {
+      report(line, indent + 1, 'error', `Unrecognized line "${trimmed}"`);
+      return;
+    }
+
+    const [, key, space, value] = match;
+    const column = indent + key.length + space.length + 2;
+
+    if (!ROW_NAME.test(key) && !HEADERS.includes(key)) {
+      report(line, indent + 1, 'warning', `Unknown header '${key}'`);
+      return;
+    }
+    if (value === '') {
+      report(line, indent + 1, 'warning', `${key} has no value`);
+      return;
+    }
+    if (HEADERS.includes(key) || (section !== 'geometry' && isThumbCount(key, value))) {
+      headers[key === 'thumb' ? 'thumbCount' : key] = { value, line, column };
+      return;
+    }
+
+    const { pieces, bars } = tokenizeHands(value, column);
+
+    if (section === 'fingers') {
+      fingerRows.add(key);
+      const values = pieces.flat();
+      for (const { token, column: at } of values) {
+        if (token !== '.' && !/^\d$/.test(token)) {
+          report(line, at, 'error', `Finger '${token}' should be 0-9 or '.'`);
+        }
+      }
+      const row = baseRows.get(key);
+      if (!row) {
+        report(line, indent + 1, 'warning', `fingers ${key} has no matching key row`);
+      } else if (values.length !== row.left + row.right) {
+        report(line, column, 'warning', `fingers ${key} has ${values.length} values for ${row.left + row.right} keys`);
+      }
+    } else if (section === 'geometry') {
+      const entries = pieces.flat();
+      geometry.count += entries.length;
+      for (const { token, column: at } of entries) {
+        if (!GEOMETRY_TOKEN.test(token)) {
+          report(line, at, 'error', `Geometry '${token}' should be x,y[,w,h,r,rx,ry] or '.'`);
+        }
+      }
+    } else if (layer > 0) {
+      // Layer rows may hold a literal "|" key, so count as the parser does
+      const tokens = tokenize(value, column);
+      const bar = tokens.some(t => t.token === '|') ? 1 : 0;
+      const count = tokens.filter(t => !GAP_TOKEN.test(t.token)).length - bar;
+      const row = baseRows.get(key);
+      if (!row) {
+        report(line, indent + 1, 'warning', `layer ${layer} ${key} has no matching row on the base layer`);
+      } else if (count !== row.left + row.right) {
+        report(line, column, 'warning', `layer ${layer} ${key} has ${count} labels for ${row.left + row.right} keys`);
+      }
+    } else {
+      if (baseRows.has(key)) {
+        report(line, indent + 1, 'warning', `${key} is defined twice; its keys are added again`);
+      }
+      if (bars.length > 1) {
+        report(line, bars[1], 'warning', `${key} has more than one '|'; keys after the second are ignored`);
+      }
+
+      const [left, right = []] = pieces.map(piece => piece.filter(t => !GAP_TOKEN.test(t.token)));
+      baseRows.set(key, { line, column, left: left.length, right: right.length });
+
+      for (const { token, column: at } of [...left, ...right]) {
+        const label = getTapLabel(token);
+        if (label === '_') continue;
+        if (labels.has(label)) {
+          // Repeated modifiers are common; a repeated letter is usually a mistake
+          const severity = /^\p{L}$/u.test(label) ? 'warning' : 'info';
+          report(line, at, severity, `duplicate label '${label}' (also on line ${labels.get(label)})`);
+        } else {
+          labels.set(label, line);
+        }
+      }
+    }
+  });
+
+  const keyCount = [...baseRows.values()].reduce((sum, row) => sum + row.left + row.right, 0);
+
+  if (!hasLayoutHeader) {
+    report(1, 1, 'warning', 'No [layout:name] header; numbers are read as key widths, not labels');
+  }
+  if (baseRows.size === 0) {
+    report(1, 1, 'error', 'No key rows (row0:, row1:, ...)');
+  }
+
+  const rowCount = [...baseRows.keys()].filter(name => name.startsWith('row')).length;
+  if (headers.rows && parseInt(headers.rows.value, 10) !== rowCount) {
+    report(headers.rows.line, headers.rows.column, 'warning', `rows says ${headers.rows.value} but there are ${rowCount} key rows`);
+  }
+
+  // Column and thumb counts are per hand, so only split boards are held to them
+  if (headers.split?.value.toLowerCase() === 'true') {
+    const columns = headers.columns?.value.split(',').map(v => parseInt(v, 10));
+    if (columns?.length === 2) {
+      for (const [name, row] of baseRows) {
+        if (!name.startsWith('row')) continue;
+        if (row.left !== columns[0]) {
+          report(row.line, row.column, 'warning', `${name} left half has ${row.left} keys but columns says ${columns[0]}`);
+        }
+        if (row.right !== columns[1]) {
+          report(row.line, row.column, 'warning', `${name} right half has ${row.right} keys but columns says ${columns[1]}`);
+        }
+      }
+    }
+
+    const thumbs = headers.thumbCount?.value.split(',').map(v => parseInt(v, 10));
+    const thumbRows = [...baseRows].filter(([name]) => name.startsWith('thumb'));
+    if (thumbs?.length === 2 && thumbRows.length > 0) {
+      const [, first] = thumbRows[0];
+      const left = thumbRows.reduce((sum, [, row]) => sum + row.left, 0);
+      const right = thumbRows.reduce((sum, [, row]) => sum + row.right, 0);
+      if (left !== thumbs[0]) {
+        report(first.line, first.column, 'warning', `thumb rows have ${left} left-hand keys but thumb says ${thumbs[0]}`);
+      }
+      if (right !== thumbs[1]) {
+        report(first.line, first.column, 'warning', `thumb rows have ${right} right-hand keys but thumb says ${thumbs[1]}`);
+      }
+    }
+  }
+
+  if (fingersLine !== null) {
+    for (const name of baseRows.keys()) {
+      if (!fingerRows.has(name)) {
+        report(fingersLine, 1, 'warning', `fingers has no row for ${name}`);
+      }
+    }
+  }
+
+  if (geometry && geometry.count !== keyCount) {
+    report(geometry.line, 1, 'warning', `geometry has ${geometry.count} positions for ${keyCount} keys`);
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { validateLayout } from './layout-validator.js';
+import { getBuiltinLayouts } from './combined-layouts.js';
+
+const LAYOUT = `[layout:test]
+rows: 2
+columns: 3,3
+thumb: 1,1
+split: true
+
+row0: q w e | i o p
+row1: a s d | k l ;
+thumb: spc | ent
+
+fingers:
+row0: 1 2 3 | 6 7 8
+row1: 1 2 3 | 6 7 8
+thumb: 4 | 5
+`;
+
+/**
+ * Replace one line of the test layout
+ * @param {number} line - 1-based line number
+ * @param {string} text
+ * @returns {string}
+ */
+function withLine(line, text) {
+  const lines = LAYOUT.split('\n');
+  lines[line - 1] = text;
+  return lines.join('\n');
+}
+
+/**
+ * Leave out the info diagnostics
+ * @param {Object[]} diagnostics
+ * @returns {Object[]}
+ */
+function problems(diagnostics) {
+  return diagnostics.filter(d => d.severity !== 'info');
+}
+
+describe('Layout Validator', () => {
+  it('should find nothing wrong with a consistent layout', () => {
+    expect(validateLayout(LAYOUT)).toEqual([]);
+  });
+
+  it('should find no errors or warnings in the built-in layouts', () => {
+    for (const layout of Object.values(getBuiltinLayouts())) {
+      expect(problems(validateLayout(layout.definition))).toEqual([]);
+    }
+  });
+
+  it('should report a row half that does not match columns', () => {
+    const diagnostics = validateLayout(withLine(8, 'row1: s d | k l ;').replace('row1: 1 2 3', 'row1: 2 3'));
+    expect(diagnostics).toEqual([
+      { line: 8, column: 7, severity: 'warning', message: 'row1 left half has 2 keys but columns says 3' },
+    ]);
+  });
+
+  it('should report finger rows with the wrong number of values', () => {
+    const diagnostics = validateLayout(withLine(13, 'row1: 1 2 3 | 6 7'));
+    expect(diagnostics).toEqual([
+      { line: 13, column: 7, severity: 'warning', message: 'fingers row1 has 5 values for 6 keys' },
+    ]);
+  });
+
+  it('should report finger values outside 0-9', () => {
+    const [diagnostic] = validateLayout(withLine(12, 'row0: 1 2 x | 6 7 8'));
+    expect(diagnostic).toEqual({ line: 12, column: 11, severity: 'error', message: "Finger 'x' should be 0-9 or '.'" });
+  });
+
+  it('should report duplicate labels where they repeat', () => {
+    expect(validateLayout(withLine(8, 'row1: a s d | k l shift').replace('row0: q w e | i o p', 'row0: q w e | i o shift'))).toEqual([
+      { line: 8, column: 19, severity: 'info', message: "duplicate label 'shift' (also on line 7)" },
+    ]);
+    expect(validateLayout(withLine(8, 'row1: a s d | k l q'))).toEqual([
+      { line: 8, column: 19, severity: 'warning', message: "duplicate label 'q' (also on line 7)" },
+    ]);
+  });
+
+  it('should count hold-tap keys by their tap label', () => {
+    expect(validateLayout(withLine(8, 'row1: a/lsft s d | k l ;'))).toEqual([]);
+  });
+
+  it('should report unknown headers and unrecognized lines', () => {
+    expect(validateLayout(withLine(5, 'stager: none'))).toEqual([
+      { line: 5, column: 1, severity: 'warning', message: "Unknown header 'stager'" },
+    ]);
+    expect(validateLayout(withLine(5, '  what is this'))).toEqual([
+      { line: 5, column: 3, severity: 'error', message: 'Unrecognized line "what is this"' },
+    ]);
+  });
+
+  it('should report a rows header that does not match the key rows', () => {
+    expect(validateLayout(withLine(2, 'rows: 3'))).toEqual([
+      { line: 2, column: 7, severity: 'warning', message: 'rows says 3 but there are 2 key rows' },
+    ]);
+  });
+
+  it('should report thumb rows that do not match the thumb count', () => {
+    expect(validateLayout(withLine(4, 'thumb: 2,1'))).toEqual([
+      { line: 9, column: 8, severity: 'warning', message: 'thumb rows have 1 left-hand keys but thumb says 2' },
+    ]);
+  });
+
+  it('should report keys after a second "|"', () => {
+    const [diagnostic] = validateLayout(withLine(7, 'row0: q w e | i o p | x'));
+    expect(diagnostic).toEqual({
+      line: 7, column: 21, severity: 'warning', message: "row0 has more than one '|'; keys after the second are ignored",
+    });
+  });
+
+  it('should report layer rows of the wrong length', () => {
+    const text = `${LAYOUT.replace('\nfingers:', '\n[layer:1]\nrow0: 1 2 3 | 8 9\nrow1: _ | _ _ | _ _\n\nfingers:')}`;
+    expect(validateLayout(text)).toEqual([
+      { line: 12, column: 7, severity: 'warning', message: 'layer 1 row0 has 5 labels for 6 keys' },
+    ]);
+  });
+
+  it('should report missing key rows and a missing layout header', () => {
+    expect(validateLayout('rows: 1\n')).toEqual([
+      { line: 1, column: 1, severity: 'warning', message: 'No [layout:name] header; numbers are read as key widths, not labels' },
+      { line: 1, column: 1, severity: 'error', message: 'No key rows (row0:, row1:, ...)' },
+      { line: 1, column: 7, severity: 'warning', message: 'rows says 1 but there are 0 key rows' },
+    ]);
+  });
+
+  it('should report geometry with the wrong number of positions', () => {
+    const text = `${LAYOUT}\ngeometry:\nrow0: 0,0 1,0 2,0 | 4,0 5,0 6,0\nrow1: 0,1 nope\n`;
+    expect(validateLayout(text)).toEqual([
+      { line: 16, column: 1, severity: 'warning', message: 'geometry has 8 positions for 14 keys' },
+      { line: 18, column: 11, severity: 'error', message: "Geometry 'nope' should be x,y[,w,h,r,rx,ry] or '.'" },
+    ]);
+  });
+});
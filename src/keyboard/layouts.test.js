@@ -10,6 +10,18 @@ describe('Built-in Physical Layouts', () => {
     expect(layouts.ergodox).toBeDefined();
     expect(layouts.svaalboard).toBeDefined();
     expect(layouts.standard60).toBeDefined();
+    expect(layouts.lily58).toBeDefined();
+    expect(layouts.sofle).toBeDefined();
+    expect(layouts.kyria).toBeDefined();
+    expect(layouts.sweep).toBeDefined();
+  });
+
+  it('should give split boards their real key counts', () => {
+    const layouts = getBuiltinPhysicalLayouts();
+    expect(parsePhysicalLayout(layouts.lily58).keys).toHaveLength(58);
+    expect(parsePhysicalLayout(layouts.sofle).keys).toHaveLength(60);
+    expect(parsePhysicalLayout(layouts.kyria).keys).toHaveLength(50);
+    expect(parsePhysicalLayout(layouts.sweep).keys).toHaveLength(34);
   });
 
   it('should parse Corne layout correctly', () => {
@@ -1,6 +1,6 @@
 /**
  * Built-in Physical Keyboard Layouts
- * Definitions for Corne, Ergodox, Svaalboard, and Standard
+ * Definitions for Corne, Ergodox, Svaalboard, Lily58, Sofle, Kyria, Sweep and Standard
  */
 
 /**
@@ -13,7 +13,9 @@ rows: 3
 columns: 6,6
 thumb: 3,3
 split: true
-stagger: none
+stagger: columnar
+column-stagger: 0.5 0.5 0.125 0 0.125 0.25
+thumb-rotate: 10
 
 row0: 1 1 1 1 1 1 | 1 1 1 1 1 1
 row1: 1 1 1 1 1 1 | 1 1 1 1 1 1
@@ -32,6 +34,8 @@ columns: 7,7
 thumb: 4,4
 split: true
 stagger: columnar
+column-stagger: 0.25 0.25 0.125 0 0.125 0.25 0.25
+thumb-rotate: 20
 
 row0: 1 1 1 1 1 1 1 | 1 1 1 1 1 1 1
 row1: 1 1 1 1 1 1 0 | 0 1 1 1 1 1 1
@@ -60,6 +64,88 @@ row3: 1 1 1 1 1 1 | 1 1 1 1 1 1
 thumb: 1 1 1 1 | 1 1 1 1
 `;
 
+/**
+ * Lily58 layout
+ * 4x6 + one inner key on the bottom row + 4 thumb keys per side
+ */
+export const LILY58 = `
+[physical:lily58]
+rows: 4
+columns: 7,7
+thumb: 4,4
+split: true
+stagger: columnar
+column-stagger: 0.375 0.375 0.125 0 0.125 0.25
+thumb-rotate: 10
+
+row0: 1 1 1 1 1 1 | 1 1 1 1 1 1
+row1: 1 1 1 1 1 1 | 1 1 1 1 1 1
+row2: 1 1 1 1 1 1 | 1 1 1 1 1 1
+row3: 1 1 1 1 1 1 1 | 1 1 1 1 1 1 1
+thumb: 1 1 1 1 | 1 1 1 1
+`;
+
+/**
+ * Sofle layout
+ * 4x6 + encoder key on the bottom row + 5 thumb keys per side
+ */
+export const SOFLE = `
+[physical:sofle]
+rows: 4
+columns: 7,7
+thumb: 5,5
+split: true
+stagger: columnar
+column-stagger: 0.375 0.375 0.125 0 0.125 0.25
+thumb-rotate: 10
+
+row0: 1 1 1 1 1 1 | 1 1 1 1 1 1
+row1: 1 1 1 1 1 1 | 1 1 1 1 1 1
+row2: 1 1 1 1 1 1 | 1 1 1 1 1 1
+row3: 1 1 1 1 1 1 1 | 1 1 1 1 1 1 1
+thumb: 1 1 1 1 1 | 1 1 1 1 1
+`;
+
+/**
+ * Kyria layout
+ * 3x6 + two inner keys on the bottom row + 5 thumb keys per side
+ */
+export const KYRIA = `
+[physical:kyria]
+rows: 3
+columns: 8,8
+thumb: 5,5
+split: true
+stagger: columnar
+column-stagger: 0.75 0.75 0.25 0 0.25 0.5
+thumb-rotate: 15
+
+row0: 1 1 1 1 1 1 | 1 1 1 1 1 1
+row1: 1 1 1 1 1 1 | 1 1 1 1 1 1
+row2: 1 1 1 1 1 1 1 1 | 1 1 1 1 1 1 1 1
+thumb: 1 1 1 1 1 | 1 1 1 1 1
+`;
+
+/**
+ * Ferris Sweep layout
+ * 3x5 + 2 thumb keys per side
+ */
+export const SWEEP = `
+[physical:sweep]
+rows: 3
+columns: 5,5
+thumb: 2,2
+split: true
+stagger: columnar
+column-stagger: 0.75 0.25 0 0.25 0.5
+thumb-rotate: 15
+
+row0: 1 1 1 1 1 | 1 1 1 1 1
+row1: 1 1 1 1 1 | 1 1 1 1 1
+row2: 1 1 1 1 1 | 1 1 1 1 1
+thumb: 1 1 | 1 1
+`;
+
 /**
  * Standard 60% ANSI layout
  * For reference and testing
@@ -70,6 +156,7 @@ rows: 5
 columns: 14
 split: false
 stagger: row
+row-stagger: 0 0.5 0.75 1.25 0
 
 row0: 1 1 1 1 1 1 1 1 1 1 1 1 1 1
 row1: 1 1 1 1 1 1 1 1 1 1 1 1 1 1
@@ -87,6 +174,10 @@ export function getBuiltinPhysicalLayouts() {
     corne: CORNE,
     ergodox: ERGODOX,
     svaalboard: SVAALBOARD,
+    lily58: LILY58,
+    sofle: SOFLE,
+    kyria: KYRIA,
+    sweep: SWEEP,
     standard60: STANDARD_60,
   };
 }
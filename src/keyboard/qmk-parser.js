@@ -0,0 +1,426 @@
+/**
+ * QMK Keymap Parser
+ * Parses QMK keymap.c files and QMK Configurator JSON into Ktute format
+ */
+
+import { getShiftedChar } from './key-lookup.js';
+
+/**
+ * Map from QMK keycodes (without the KC_ prefix) to Ktute labels
+ */
+export const QMK_TO_LABEL = {
+  // Special keys
+  SPC: 'spc',
+  SPACE: 'spc',
+  ENT: 'ent',
+  ENTER: 'ent',
+  BSPC: 'bspc',
+  BACKSPACE: 'bspc',
+  TAB: 'tab',
+  ESC: 'esc',
+  ESCAPE: 'esc',
+  DEL: 'del',
+  DELETE: 'del',
+
+  // Modifiers
+  LSFT: 'lsft',
+  LSHIFT: 'lsft',
+  RSFT: 'rsft',
+  RSHIFT: 'rsft',
+  LCTL: 'lctl',
+  LCTRL: 'lctl',
+  RCTL: 'rctl',
+  RCTRL: 'rctl',
+  LALT: 'lalt',
+  LOPT: 'lalt',
+  RALT: 'ralt',
+  ROPT: 'ralt',
+  ALGR: 'ralt',
+  LGUI: 'lgui',
+  LCMD: 'lgui',
+  LWIN: 'lgui',
+  RGUI: 'rgui',
+  RCMD: 'rgui',
+  RWIN: 'rgui',
+
+  // Punctuation
+  COMM: ',',
+  COMMA: ',',
+  DOT: '.',
+  SLSH: '/',
+  SLASH: '/',
+  SCLN: ';',
+  SCOLON: ';',
+  QUOT: "'",
+  QUOTE: "'",
+  GRV: '`',
+  GRAVE: '`',
+  MINS: '-',
+  MINUS: '-',
+  EQL: '=',
+  EQUAL: '=',
+  LBRC: '[',
+  RBRC: ']',
+  BSLS: '\\',
+
+  // Shifted punctuation
+  EXLM: '!',
+  AT: '@',
+  HASH: '#',
+  DLR: '$',
+  PERC: '%',
+  CIRC: '^',
+  AMPR: '&',
+  ASTR: '*',
+  LPRN: '(',
+  RPRN: ')',
+  UNDS: '_',
+  PLUS: '+',
+  LCBR: '{',
+  RCBR: '}',
+  PIPE: '|',
+  TILD: '~',
+  COLN: ':',
+  DQUO: '"',
+  DQT: '"',
+  LT: '<',
+  GT: '>',
+  QUES: '?',
+
+  // Arrow keys
+  UP: '↑',
+  DOWN: '↓',
+  LEFT: '←',
+  RGHT: '→',
+  RIGHT: '→',
+
+  // Media keys
+  VOLU: 'vol+',
+  VOLD: 'vol-',
+  MUTE: 'mute',
+  MPLY: 'play',
+  MNXT: 'next',
+  MPRV: 'prev',
+
+  // Other
+  CAPS: 'caps',
+  PSCR: 'psc',
+  SCRL: 'slk',
+  PAUS: 'brk',
+  INS: 'ins',
+  HOME: 'hom',
+  END: 'end',
+  PGUP: 'pgu',
+  PGDN: 'pgd',
+  QK_BOOT: 'rst',
+  RESET: 'rst',
+};
+
+// Modifier names used inside MT() and the *_T() mod-tap shorthands
+const MOD_TO_LABEL = {
+  MOD_LSFT: 'lsft',
+  MOD_RSFT: 'rsft',
+  MOD_LCTL: 'lctl',
+  MOD_RCTL: 'rctl',
+  MOD_LALT: 'lalt',
+  MOD_RALT: 'ralt',
+  MOD_LGUI: 'lgui',
+  MOD_RGUI: 'rgui',
+  LSFT: 'lsft',
+  RSFT: 'rsft',
+  SFT: 'lsft',
+  LCTL: 'lctl',
+  RCTL: 'rctl',
+  CTL: 'lctl',
+  LALT: 'lalt',
+  RALT: 'ralt',
+  ALT: 'lalt',
+  LOPT: 'lalt',
+  ROPT: 'ralt',
+  OPT: 'lalt',
+  LGUI: 'lgui',
+  RGUI: 'rgui',
+  GUI: 'lgui',
+  LCMD: 'lgui',
+  RCMD: 'rgui',
+  CMD: 'lgui',
+};
+
+// QMK keyboard folders and the built-in physical layout they match
+const KEYBOARD_TO_PHYSICAL = {
+  crkbd: 'corne',
+  corne: 'corne',
+  lily58: 'lily58',
+  sofle: 'sofle',
+  kyria: 'kyria',
+  ferris: 'sweep',
+  sweep: 'sweep',
+  ergodox: 'ergodox',
+  ergodox_ez: 'ergodox',
+};
+
+// Layer functions and the Ktute layer key they become
+const LAYER_FUNCTIONS = {
+  MO: 'mo',
+  TG: 'tog',
+  TO: 'to',
+  OSL: 'sl',
+  TT: 'mo',
+  DF: 'to',
+};
+
+// Functions that hold shift with a key
+const SHIFT_FUNCTIONS = ['S', 'LSFT', 'RSFT'];
+
+/**
+ * Convert a QMK keycode to a Ktute label
+ * @param {string} keycode - e.g. "KC_A", "KC_SPC", "XXXXXXX"
+ * @returns {string} Ktute label
+ */
+export function qmkToLabel(keycode) {
+  const code = keycode.trim();
+  if (/^_+$/.test(code) || code === 'KC_TRNS' || code === 'KC_TRANSPARENT') return '_';
+  if (/^X+$/.test(code) || code === 'KC_NO') return '_';
+
+  const name = code.replace(/^KC_/, '');
+  if (QMK_TO_LABEL[name]) return QMK_TO_LABEL[name];
+  if (/^[A-Z]$/.test(name)) return name.toLowerCase();
+  if (/^[0-9]$/.test(name)) return name;
+  if (/^P?[0-9]$/.test(name)) return name.slice(-1);
+  if (/^F\d{1,2}$/.test(name)) return name.toLowerCase();
+
+  return name.toLowerCase();
+}
+
+/**
+ * Split a comma-separated argument list at the top level
+ * @param {string} str
+ * @returns {string[]}
+ */
+function splitArgs(str) {
+  const args = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of str) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) args.push(current.trim());
+
+  return args;
+}
+
+/**
+ * Parse one QMK keycode expression into a binding
+ * @param {string} expression - e.g. "KC_A", "LT(1, KC_SPC)", "LSFT_T(KC_F)", "MO(2)"
+ * @param {Object} [layerNames={}] - Layer enum names -> indices
+ * @returns {Object} Binding with { behavior, label, hold?, layer? }
+ */
+export function parseQmkKeycode(expression, layerNames = {}) {
+  const call = expression.match(/^(\w+)\s*\(([\s\S]*)\)$/);
+  if (!call) {
+    return { behavior: 'kp', label: qmkToLabel(expression) };
+  }
+
+  const [, fn, inner] = call;
+  const args = splitArgs(inner);
+  const toLayer = (arg) => (arg in layerNames ? layerNames[arg] : parseInt(arg, 10));
+
+  if (fn in LAYER_FUNCTIONS) {
+    const layer = toLayer(args[0]);
+    const behavior = LAYER_FUNCTIONS[fn];
+    return { behavior, label: `${behavior}${layer}`, layer };
+  }
+
+  if (fn === 'LT') {
+    const layer = toLayer(args[0]);
+    return { behavior: 'lt', label: qmkToLabel(args[1]), hold: `mo${layer}`, layer };
+  }
+
+  if (fn === 'MT') {
+    const modifier = args[0].split('|')[0].trim();
+    return { behavior: 'mt', label: qmkToLabel(args[1]), hold: MOD_TO_LABEL[modifier] || modifier.toLowerCase() };
+  }
+
+  // Mod-tap shorthands: LSFT_T(KC_A), SFT_T(KC_A), ...
+  const modTap = fn.match(/^(\w+)_T$/);
+  if (modTap && MOD_TO_LABEL[modTap[1]]) {
+    return { behavior: 'mt', label: qmkToLabel(args[0]), hold: MOD_TO_LABEL[modTap[1]] };
+  }
+
+  // One-shot modifiers behave like the modifier itself
+  if (fn === 'OSM') {
+    const modifier = args[0].split('|')[0].trim();
+    return { behavior: 'sk', label: MOD_TO_LABEL[modifier] || modifier.toLowerCase() };
+  }
+
+  // Shifted keys (S(KC_GRV), LSFT(KC_1), ...) type the shifted character
+  if (SHIFT_FUNCTIONS.includes(fn)) {
+    const shifted = getShiftedChar(qmkToLabel(args[0] || ''));
+    if (shifted) return { behavior: 'kp', label: shifted };
+  }
+
+  // Other modified keys (LCTL(KC_C), ...) and anything else keep a readable name
+  return { behavior: fn.toLowerCase(), label: `${fn.toLowerCase()}(${qmkToLabel(args[0] || '')})` };
+}
+
+/**
+ * Strip C comments
+ * @param {string} content
+ * @returns {string}
+ */
+function stripComments(content) {
+  return content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+}
+
+/**
+ * Read layer enum names (enum layers { _BASE, _LOWER, ... })
+ * @param {string} content
+ * @returns {Object} Name -> layer index
+ */
+function parseLayerNames(content) {
+  const names = {};
+  for (const [, body] of content.matchAll(/enum\s+\w*\s*\{([^}]*)\}/g)) {
+    let index = 0;
+    splitArgs(body).forEach((entry) => {
+      const [name, value] = entry.split('=').map(s => s.trim());
+      if (!name) return;
+      if (value !== undefined && /^\d+$/.test(value)) index = parseInt(value, 10);
+      names[name] = index++;
+    });
+  }
+  return names;
+}
+
+/**
+ * Build a parsed layer from keycode expressions
+ * @param {string} name
+ * @param {string[]} keycodes
+ * @param {Object} layerNames
+ * @returns {Object} { name, keys, bindings }
+ */
+function toLayer(name, keycodes, layerNames) {
+  const bindings = keycodes.map(keycode => parseQmkKeycode(keycode, layerNames));
+  return {
+    name,
+    keys: bindings.map(b => b.label),
+    bindings,
+  };
+}
+
+/**
+ * Parse a QMK keymap.c file
+ * Reads every `[LAYER] = LAYOUT_*(...)` entry of the keymaps array.
+ * @param {string} content - keymap.c content
+ * @returns {Object} { layout, layers: [{ name, keys, bindings }] }
+ */
+export function parseQmkKeymapC(content) {
+  const source = stripComments(content);
+  const layerNames = parseLayerNames(source);
+  const result = { layout: null, keyboard: null, layers: [] };
+
+  const layoutPattern = /(?:\[\s*(\w+)\s*\]\s*=\s*)?(LAYOUT\w*)\s*\(/g;
+  let match;
+  while ((match = layoutPattern.exec(source)) !== null) {
+    // Find the matching closing parenthesis
+    const start = match.index + match[0].length;
+    let depth = 1;
+    let end = start;
+    while (end < source.length && depth > 0) {
+      if (source[end] === '(') depth++;
+      if (source[end] === ')') depth--;
+      end++;
+    }
+    if (depth !== 0) break;
+
+    const name = match[1] || `layer_${result.layers.length}`;
+    result.layout = result.layout || match[2];
+    result.layers.push(toLayer(name, splitArgs(source.slice(start, end - 1)), layerNames));
+    layoutPattern.lastIndex = end;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a QMK Configurator keymap.json
+ * @param {string|Object} json - JSON text or parsed object
+ * @returns {Object} { layout, keyboard, layers: [{ name, keys, bindings }] }
+ */
+export function parseQmkJson(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const layers = Array.isArray(data?.layers) ? data.layers : [];
+
+  return {
+    layout: data?.layout || null,
+    keyboard: data?.keyboard || null,
+    layers: layers.map((keycodes, i) => toLayer(`layer_${i}`, keycodes, {})),
+  };
+}
+
+/**
+ * Check if content looks like a QMK keymap (keymap.c or Configurator JSON)
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function isQmkKeymap(content) {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      return Array.isArray(JSON.parse(trimmed).layers);
+    } catch {
+      return false;
+    }
+  }
+  return /LAYOUT\w*\s*\(/.test(content) && /\bKC_\w+/.test(content);
+}
+
+/**
+ * Parse a QMK keymap in either format
+ * @param {string} content - keymap.c or keymap.json content
+ * @returns {Object} { layout, keyboard, layers: [{ name, keys, bindings }] }
+ */
+export function parseQmkKeymap(content) {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      return parseQmkJson(trimmed);
+    } catch {
+      return { layout: null, keyboard: null, layers: [] };
+    }
+  }
+  return parseQmkKeymapC(content);
+}
+
+/**
+ * Read the board shape from a QMK layout macro name
+ * @param {string} layout - e.g. "LAYOUT_split_3x6_3"
+ * @returns {Object|null} { rows, cols, thumbs }
+ */
+export function parseQmkLayoutName(layout) {
+  const match = layout?.match(/(\d+)x(\d+)(?:_(\d+))?/);
+  if (!match) return null;
+  return {
+    rows: parseInt(match[1], 10),
+    cols: parseInt(match[2], 10),
+    thumbs: match[3] ? parseInt(match[3], 10) : 0,
+  };
+}
+
+/**
+ * Get the built-in physical layout for a QMK keyboard name
+ * @param {string} keyboard - QMK keyboard path, e.g. "crkbd/rev1", "splitkb/kyria/rev3"
+ * @returns {string|null} Built-in physical layout name
+ */
+export function getQmkBuiltinPhysicalName(keyboard) {
+  if (!keyboard) return null;
+  const folder = keyboard.toLowerCase().split('/').find(part => part in KEYBOARD_TO_PHYSICAL);
+  return folder ? KEYBOARD_TO_PHYSICAL[folder] : null;
+}
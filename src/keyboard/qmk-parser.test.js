@@ -0,0 +1,217 @@
+import { describe, it, expect } from 'vitest';
+import {
+  qmkToLabel,
+  parseQmkKeycode,
+  parseQmkKeymapC,
+  parseQmkJson,
+  parseQmkKeymap,
+  isQmkKeymap,
+  parseQmkLayoutName,
+  getQmkBuiltinPhysicalName,
+} from './qmk-parser.js';
+import { zmkToKtuteLayout } from './zmk-parser.js';
+
+const KEYMAP_C = `
+#include QMK_KEYBOARD_H
+
+enum layers {
+    _BASE,
+    _LOWER,
+    _RAISE
+};
+
+const uint16_t PROGMEM keymaps[][MATRIX_ROWS][MATRIX_COLS] = {
+    /* Base layer */
+    [_BASE] = LAYOUT_split_3x6_3(
+        KC_TAB,  KC_Q,    KC_W,    KC_E,    KC_R,    KC_T,         KC_Y,    KC_U,    KC_I,    KC_O,    KC_P,    KC_BSPC,
+        KC_LCTL, LGUI_T(KC_A), KC_S, KC_D,  KC_F,    KC_G,         KC_H,    KC_J,    KC_K,    KC_L,    KC_SCLN, KC_QUOT,
+        KC_LSFT, KC_Z,    KC_X,    KC_C,    KC_V,    KC_B,         KC_N,    KC_M,    KC_COMM, KC_DOT,  KC_SLSH, KC_ESC,
+                          KC_LGUI, MO(_LOWER), LT(_RAISE, KC_SPC),  KC_ENT, MO(_RAISE), KC_RALT
+    ),
+    // Lower layer
+    [_LOWER] = LAYOUT_split_3x6_3(
+        _______, KC_1,    KC_2,    KC_3,    KC_4,    KC_5,         KC_6,    KC_7,    KC_8,    KC_9,    KC_0,    _______,
+        _______, KC_EXLM, KC_AT,   KC_HASH, KC_DLR,  KC_PERC,      KC_CIRC, KC_AMPR, KC_ASTR, KC_LPRN, KC_RPRN, _______,
+        _______, XXXXXXX, XXXXXXX, XXXXXXX, XXXXXXX, XXXXXXX,      KC_LEFT, KC_DOWN, KC_UP,   KC_RGHT, XXXXXXX, _______,
+                          _______, _______, _______,               _______, TG(2),   _______
+    ),
+    [_RAISE] = LAYOUT_split_3x6_3(
+        _______, _______, _______, _______, _______, _______,      _______, _______, _______, _______, _______, _______,
+        _______, _______, _______, _______, _______, _______,      _______, _______, _______, _______, _______, _______,
+        _______, _______, _______, _______, _______, _______,      _______, _______, _______, _______, _______, QK_BOOT,
+                          _______, _______, _______,               _______, _______, _______
+    )
+};
+`;
+
+describe('QMK Parser', () => {
+  describe('qmkToLabel', () => {
+    it('should map letters, numbers and special keys', () => {
+      expect(qmkToLabel('KC_A')).toBe('a');
+      expect(qmkToLabel('KC_1')).toBe('1');
+      expect(qmkToLabel('KC_SPC')).toBe('spc');
+      expect(qmkToLabel('KC_ENT')).toBe('ent');
+      expect(qmkToLabel('KC_LSFT')).toBe('lsft');
+      expect(qmkToLabel('KC_F12')).toBe('f12');
+    });
+
+    it('should map punctuation and shifted punctuation', () => {
+      expect(qmkToLabel('KC_SCLN')).toBe(';');
+      expect(qmkToLabel('KC_QUOT')).toBe("'");
+      expect(qmkToLabel('KC_LBRC')).toBe('[');
+      expect(qmkToLabel('KC_EXLM')).toBe('!');
+      expect(qmkToLabel('KC_LPRN')).toBe('(');
+    });
+
+    it('should map transparent and empty keys to blank', () => {
+      expect(qmkToLabel('_______')).toBe('_');
+      expect(qmkToLabel('KC_TRNS')).toBe('_');
+      expect(qmkToLabel('XXXXXXX')).toBe('_');
+      expect(qmkToLabel('KC_NO')).toBe('_');
+    });
+  });
+
+  describe('parseQmkKeycode', () => {
+    it('should parse plain keycodes', () => {
+      expect(parseQmkKeycode('KC_Q')).toEqual({ behavior: 'kp', label: 'q' });
+    });
+
+    it('should parse layer tap keys', () => {
+      expect(parseQmkKeycode('LT(1, KC_SPC)')).toEqual({
+        behavior: 'lt',
+        label: 'spc',
+        hold: 'mo1',
+        layer: 1,
+      });
+    });
+
+    it('should parse mod taps', () => {
+      expect(parseQmkKeycode('MT(MOD_LSFT, KC_A)')).toMatchObject({ label: 'a', hold: 'lsft' });
+      expect(parseQmkKeycode('LCTL_T(KC_S)')).toMatchObject({ label: 's', hold: 'lctl' });
+      expect(parseQmkKeycode('SFT_T(KC_F)')).toMatchObject({ label: 'f', hold: 'lsft' });
+      expect(parseQmkKeycode('RGUI_T(KC_O)')).toMatchObject({ label: 'o', hold: 'rgui' });
+    });
+
+    it('should parse shifted keys as the shifted character', () => {
+      expect(parseQmkKeycode('S(KC_GRV)')).toEqual({ behavior: 'kp', label: '~' });
+      expect(parseQmkKeycode('LSFT(KC_1)').label).toBe('!');
+      expect(parseQmkKeycode('RSFT(KC_QUOT)').label).toBe('"');
+      expect(parseQmkKeycode('S(KC_A)').label).toBe('A');
+      expect(parseQmkKeycode('S(KC_TAB)').label).toBe('s(tab)');
+      expect(parseQmkKeycode('LCTL(KC_C)').label).toBe('lctl(c)');
+    });
+
+    it('should parse layer keys', () => {
+      expect(parseQmkKeycode('MO(2)').label).toBe('mo2');
+      expect(parseQmkKeycode('TG(1)').label).toBe('tog1');
+      expect(parseQmkKeycode('TO(0)').label).toBe('to0');
+      expect(parseQmkKeycode('OSL(3)').label).toBe('sl3');
+    });
+
+    it('should resolve layer names', () => {
+      expect(parseQmkKeycode('MO(_LOWER)', { _LOWER: 1 }).label).toBe('mo1');
+    });
+  });
+
+  describe('parseQmkKeymapC', () => {
+    const parsed = parseQmkKeymapC(KEYMAP_C);
+
+    it('should parse every layer', () => {
+      expect(parsed.layers).toHaveLength(3);
+      expect(parsed.layers.map(l => l.name)).toEqual(['_BASE', '_LOWER', '_RAISE']);
+      expect(parsed.layout).toBe('LAYOUT_split_3x6_3');
+    });
+
+    it('should parse the keys of each layer', () => {
+      const base = parsed.layers[0].keys;
+      expect(base).toHaveLength(42);
+      expect(base.slice(0, 6)).toEqual(['tab', 'q', 'w', 'e', 'r', 't']);
+      expect(base[36]).toBe('lgui');
+      expect(base[37]).toBe('mo1');
+      expect(parsed.layers[1].keys[1]).toBe('1');
+      expect(parsed.layers[2].keys[35]).toBe('rst');
+    });
+
+    it('should keep hold-tap holds', () => {
+      const base = parsed.layers[0].bindings;
+      expect(base[13]).toMatchObject({ label: 'a', hold: 'lgui' });
+      expect(base[38]).toMatchObject({ label: 'spc', hold: 'mo2' });
+    });
+
+    it('should ignore commented-out keymaps', () => {
+      const result = parseQmkKeymapC(`
+// [0] = LAYOUT(KC_Z)
+/* [1] = LAYOUT(KC_Y) */
+[0] = LAYOUT(KC_A, KC_B)`);
+      expect(result.layers).toHaveLength(1);
+      expect(result.layers[0].keys).toEqual(['a', 'b']);
+    });
+
+    it('should convert to Ktute tokens', () => {
+      const { keys, layers } = zmkToKtuteLayout(parsed);
+      expect(keys[13]).toBe('a/lgui');
+      expect(layers).toHaveLength(3);
+    });
+  });
+
+  describe('parseQmkJson', () => {
+    it('should parse Configurator keymap.json', () => {
+      const parsed = parseQmkJson(JSON.stringify({
+        keyboard: 'crkbd/rev1',
+        keymap: 'default',
+        layout: 'LAYOUT_split_3x6_3',
+        layers: [
+          ['KC_Q', 'LT(1,KC_W)'],
+          ['KC_1', 'KC_TRNS'],
+        ],
+      }));
+
+      expect(parsed.keyboard).toBe('crkbd/rev1');
+      expect(parsed.layout).toBe('LAYOUT_split_3x6_3');
+      expect(parsed.layers).toHaveLength(2);
+      expect(parsed.layers[0].bindings[1]).toMatchObject({ label: 'w', hold: 'mo1' });
+      expect(parsed.layers[1].keys).toEqual(['1', '_']);
+    });
+  });
+
+  describe('parseQmkKeymap', () => {
+    it('should handle both formats', () => {
+      expect(parseQmkKeymap(KEYMAP_C).layers).toHaveLength(3);
+      expect(parseQmkKeymap('{"layers": [["KC_A"]]}').layers[0].keys).toEqual(['a']);
+    });
+
+    it('should return no layers for invalid JSON', () => {
+      expect(parseQmkKeymap('{ not json').layers).toEqual([]);
+    });
+  });
+
+  describe('isQmkKeymap', () => {
+    it('should detect QMK keymaps', () => {
+      expect(isQmkKeymap(KEYMAP_C)).toBe(true);
+      expect(isQmkKeymap('{"layers": [["KC_A"]]}')).toBe(true);
+    });
+
+    it('should not detect ZMK keymaps', () => {
+      expect(isQmkKeymap('/ { keymap { default_layer { bindings = < &kp A >; }; }; };')).toBe(false);
+      expect(isQmkKeymap('{ not json')).toBe(false);
+    });
+  });
+
+  describe('parseQmkLayoutName', () => {
+    it('should read the shape of split layout macros', () => {
+      expect(parseQmkLayoutName('LAYOUT_split_3x6_3')).toEqual({ rows: 3, cols: 6, thumbs: 3 });
+      expect(parseQmkLayoutName('LAYOUT_split_3x5_2')).toEqual({ rows: 3, cols: 5, thumbs: 2 });
+      expect(parseQmkLayoutName('LAYOUT')).toBeNull();
+    });
+  });
+
+  describe('getQmkBuiltinPhysicalName', () => {
+    it('should match QMK keyboard names to built-in boards', () => {
+      expect(getQmkBuiltinPhysicalName('crkbd/rev1')).toBe('corne');
+      expect(getQmkBuiltinPhysicalName('splitkb/kyria/rev3')).toBe('kyria');
+      expect(getQmkBuiltinPhysicalName('ferris/sweep')).toBe('sweep');
+      expect(getQmkBuiltinPhysicalName('planck/rev6')).toBeNull();
+      expect(getQmkBuiltinPhysicalName(null)).toBeNull();
+    });
+  });
+});
@@ -3,6 +3,8 @@
  * Renders keyboard layouts as SVG with interactive highlighting
  */
 
+import { charToKeyLabel } from './key-lookup.js';
+
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
 // Default key dimensions
@@ -13,23 +15,6 @@ const KEY_RADIUS = 6;
 const SPLIT_GAP = 80;
 const THUMB_OFFSET_Y = 20;
 
-// Map from typed characters to key labels
-const CHAR_TO_LABEL = {
-  ' ': 'spc',
-  '\t': 'tab',
-  '\n': 'ent',
-  '\r': 'ent',
-};
-
-/**
- * Get the key label for a character
- * @param {string} char - The character to look up
- * @returns {string} The key label
- */
-function charToKeyLabel(char) {
-  return CHAR_TO_LABEL[char] || char;
-}
-
 /**
  * Create SVG element
  * @param {string} tag
@@ -53,22 +38,57 @@ function svgEl(tag, attrs = {}) {
 export function createKeyboardRenderer(container, options = {}) {
   let svgElement = null;
   let keyElements = new Map(); // key label -> SVG group
+  let keyGroups = []; // key index -> SVG group
   let currentLayout = null;
   let currentMapping = null;
+  let currentOptions = {};
+
+  /**
+   * Get the label shown for a key on a layer
+   * Transparent ("_") or missing keys on upper layers show the base key.
+   * @param {Object} keyMapping
+   * @param {number} index
+   * @param {number} layer
+   * @returns {string}
+   */
+  function getLabel(keyMapping, index, layer) {
+    const baseLabel = keyMapping?.layers?.[0]?.keys?.[index] || '';
+    if (layer === 0) return baseLabel;
+    const label = keyMapping?.layers?.[layer]?.keys?.[index];
+    return label && label !== '_' ? label : baseLabel;
+  }
+
+  /**
+   * Get the hold action shown for a key on a layer (hold-tap keys)
+   * @param {Object} keyMapping
+   * @param {number} index
+   * @param {number} layer
+   * @returns {string|null}
+   */
+  function getHold(keyMapping, index, layer) {
+    const layerLabel = keyMapping?.layers?.[layer]?.keys?.[index];
+    const source = layer > 0 && (!layerLabel || layerLabel === '_') ? 0 : layer;
+    return keyMapping?.layers?.[source]?.holds?.[index] || null;
+  }
 
   /**
    * Render the keyboard
    * @param {Object} physicalLayout - Physical layout definition
    * @param {Object} [keyMapping] - Key mapping definition
    * @param {Object} [renderOptions={}] - Render options
+   * @param {boolean} [renderOptions.showFingers] - Tint keys by finger
+   * @param {number} [renderOptions.layer=0] - Mapping layer to show
    */
   function render(physicalLayout, keyMapping = null, renderOptions = {}) {
     currentLayout = physicalLayout;
     currentMapping = keyMapping;
+    currentOptions = renderOptions;
+    const layer = renderOptions.layer || 0;
 
     // Clear container
     container.innerHTML = '';
     keyElements.clear();
+    keyGroups = [];
 
     // Calculate dimensions
     const { width, height, keyPositions } = calculatePositions(physicalLayout);
@@ -80,15 +100,31 @@ export function createKeyboardRenderer(container, options = {}) {
       height: height + padding * 2,
       viewBox: `${-padding} ${-padding} ${width + padding * 2} ${height + padding * 2}`,
       class: 'keyboard-svg',
+      'data-layer': layer,
     });
 
     // Render each key
     keyPositions.forEach((pos, index) => {
-      const keyLabel = keyMapping?.layers?.[0]?.keys?.[index] || '';
+      const keyLabel = getLabel(keyMapping, index, layer);
       const finger = keyMapping?.fingers?.[index];
       
       const keyGroup = renderKey(pos, keyLabel, finger, renderOptions);
+      keyGroup.setAttribute('data-index', index);
+
+      const hold = getHold(keyMapping, index, layer);
+      if (hold) {
+        keyGroup.setAttribute('data-hold', hold);
+        const holdText = svgEl('text', {
+          x: pos.x + (pos.width || KEY_WIDTH) / 2,
+          y: pos.y + (pos.height || KEY_HEIGHT) - 6,
+          class: 'key-hold',
+          'text-anchor': 'middle',
+        });
+        holdText.textContent = hold;
+        keyGroup.appendChild(holdText);
+      }
       svgElement.appendChild(keyGroup);
+      keyGroups.push(keyGroup);
       
       if (keyLabel) {
         keyElements.set(keyLabel.toLowerCase(), keyGroup);
@@ -104,6 +140,24 @@ export function createKeyboardRenderer(container, options = {}) {
    * @returns {Object}
    */
   function calculatePositions(layout) {
+    if (layout.keys.length > 0 && layout.keys.every(k => k.geometry)) {
+      return calculateGeometryPositions(layout);
+    }
+
+    const grid = calculateGridPositions(layout);
+    const { columnStagger, rowStagger, splay, thumbRotate } = layout;
+    if (!columnStagger && !rowStagger && !splay && !thumbRotate) {
+      return grid;
+    }
+    return applyShape(layout, grid.keyPositions);
+  }
+
+  /**
+   * Calculate key positions on the row/column grid
+   * @param {Object} layout
+   * @returns {Object}
+   */
+  function calculateGridPositions(layout) {
     const keyPositions = [];
     
     let maxX = 0;
@@ -216,9 +270,182 @@ export function createKeyboardRenderer(container, options = {}) {
     };
   }
 
+  /**
+   * Calculate key positions from absolute key geometry (KLE-style)
+   * Positions are in key units; rotated keys turn about their rotation origin.
+   * The board is moved so its rotated outline starts at the top-left corner.
+   * @param {Object} layout - Layout whose keys all have `geometry`
+   * @returns {Object}
+   */
+  function calculateGeometryPositions(layout) {
+    const unit = KEY_WIDTH + KEY_GAP;
+    const size = (units) => units * unit - KEY_GAP;
+
+    const keyPositions = layout.keys.map((key) => {
+      const g = key.geometry;
+      const pos = {
+        x: g.x * unit,
+        y: g.y * unit,
+        width: size(g.w || 1),
+        height: size(g.h || 1),
+        hand: key.hand,
+        isThumb: key.isThumb,
+      };
+      if (g.r) {
+        pos.rotate = { angle: g.r, cx: (g.rx || 0) * unit, cy: (g.ry || 0) * unit };
+      }
+      return pos;
+    });
+
+    return fitPositions(keyPositions, true);
+  }
+
+  /**
+   * Apply the board shape headers to grid positions
+   * Row stagger moves rows right and column stagger moves columns down (key
+   * units), taking the thumb rows down with the lowest column; splay tilts
+   * each column about its bottom centre, and thumb rotation turns the whole
+   * cluster about its outer top corner or each thumb key about its centre.
+   * Angles are mirrored on the right hand.
+   * @param {Object} layout - Layout with columnStagger/rowStagger/splay/thumbRotate
+   * @param {Object[]} keyPositions - Grid positions, in key order
+   * @returns {Object}
+   */
+  function applyShape(layout, keyPositions) {
+    const unit = KEY_WIDTH + KEY_GAP;
+    const { columnStagger, rowStagger, splay, thumbRotate } = layout;
+    const handOf = (key) => (layout.split && key.hand === 'right' ? 'right' : 'left');
+    const columns = new Map(); // "hand:column" -> key indices
+    // Thumb rows move down with the lowest column so they never overlap it
+    const thumbDrop = Math.max(0, ...(columnStagger?.left || []), ...(columnStagger?.right || [])) * unit;
+
+    layout.keys.forEach((key, index) => {
+      const pos = keyPositions[index];
+      if (key.isThumb) {
+        pos.y += thumbDrop;
+        return;
+      }
+      const hand = handOf(key);
+      const column = Math.floor(key.col);
+
+      pos.x += (rowStagger?.[key.row] || 0) * unit;
+      pos.y += (columnStagger?.[hand]?.[column] || 0) * unit;
+
+      const id = `${hand}:${column}`;
+      if (!columns.has(id)) columns.set(id, []);
+      columns.get(id).push(index);
+    });
+
+    if (splay) {
+      for (const [id, indices] of columns) {
+        const [hand, column] = id.split(':');
+        const value = splay[hand]?.[column];
+        if (!value) continue;
+
+        const first = keyPositions[indices[0]];
+        const cx = first.x + first.width / 2;
+        const cy = Math.max(...indices.map(i => keyPositions[i].y + (keyPositions[i].height || KEY_HEIGHT)));
+        indices.forEach((i) => {
+          keyPositions[i].rotate = { angle: hand === 'left' ? -value : value, cx, cy };
+        });
+      }
+    }
+
+    if (thumbRotate) {
+      for (const hand of ['left', 'right']) {
+        const indices = layout.keys
+          .map((key, index) => index)
+          .filter(index => layout.keys[index].isThumb && handOf(layout.keys[index]) === hand);
+        const values = thumbRotate[hand] || [];
+        const sign = hand === 'left' ? 1 : -1;
+        if (indices.length === 0 || values.length === 0) continue;
+
+        if (values.length === 1) {
+          // Whole cluster about its outer top corner
+          const cluster = indices.map(i => keyPositions[i]);
+          const cx = hand === 'left'
+            ? Math.min(...cluster.map(pos => pos.x))
+            : Math.max(...cluster.map(pos => pos.x + pos.width));
+          const cy = Math.min(...cluster.map(pos => pos.y));
+          cluster.forEach((pos) => {
+            pos.rotate = { angle: sign * values[0], cx, cy };
+          });
+        } else {
+          // Each thumb key about its centre, in layout order
+          indices.forEach((i, n) => {
+            const pos = keyPositions[i];
+            if (!values[n]) return;
+            pos.rotate = {
+              angle: sign * values[n],
+              cx: pos.x + pos.width / 2,
+              cy: pos.y + (pos.height || KEY_HEIGHT) / 2,
+            };
+          });
+        }
+      }
+    }
+
+    return fitPositions(keyPositions, false);
+  }
+
+  /**
+   * Measure positioned keys, including rotated corners, and size the board
+   * @param {Object[]} keyPositions - Positions, moved in place
+   * @param {boolean} alignToOrigin - Move the outline to start at 0,0
+   *   (otherwise keys are only moved back if they stick out above or left)
+   * @returns {Object}
+   */
+  function fitPositions(keyPositions, alignToOrigin) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const pos of keyPositions) {
+      const height = pos.height || KEY_HEIGHT;
+      const corners = [
+        [pos.x, pos.y],
+        [pos.x + pos.width, pos.y],
+        [pos.x, pos.y + height],
+        [pos.x + pos.width, pos.y + height],
+      ];
+      for (const [x, y] of corners) {
+        let px = x;
+        let py = y;
+        if (pos.rotate) {
+          const rad = (pos.rotate.angle * Math.PI) / 180;
+          const dx = x - pos.rotate.cx;
+          const dy = y - pos.rotate.cy;
+          px = pos.rotate.cx + dx * Math.cos(rad) - dy * Math.sin(rad);
+          py = pos.rotate.cy + dx * Math.sin(rad) + dy * Math.cos(rad);
+        }
+        minX = Math.min(minX, px);
+        minY = Math.min(minY, py);
+        maxX = Math.max(maxX, px);
+        maxY = Math.max(maxY, py);
+      }
+    }
+
+    const shiftX = alignToOrigin || minX < 0 ? minX : 0;
+    const shiftY = alignToOrigin || minY < 0 ? minY : 0;
+    for (const pos of keyPositions) {
+      pos.x -= shiftX;
+      pos.y -= shiftY;
+      if (pos.rotate) {
+        pos.rotate.cx -= shiftX;
+        pos.rotate.cy -= shiftY;
+      }
+    }
+
+    return {
+      width: maxX - shiftX + KEY_GAP,
+      height: maxY - shiftY + KEY_GAP,
+      keyPositions,
+    };
+  }
+
   /**
    * Render a single key
-   * @param {Object} pos - Position { x, y, width, hand, isThumb }
+   * @param {Object} pos - Position { x, y, width, height?, rotate?, hand, isThumb }
    * @param {string} label - Key label
    * @param {number} [finger] - Finger number
    * @param {Object} [renderOptions={}]
@@ -226,6 +453,7 @@ export function createKeyboardRenderer(container, options = {}) {
    */
   function renderKey(pos, label, finger, renderOptions = {}) {
     const keyWidth = pos.width || KEY_WIDTH;
+    const keyHeight = pos.height || KEY_HEIGHT;
     
     const group = svgEl('g', {
       'data-key': label || 'empty',
@@ -233,6 +461,10 @@ export function createKeyboardRenderer(container, options = {}) {
       class: 'key',
     });
 
+    if (pos.rotate) {
+      group.setAttribute('transform', `rotate(${pos.rotate.angle} ${pos.rotate.cx} ${pos.rotate.cy})`);
+    }
+
     if (finger !== undefined && finger !== null && renderOptions.showFingers) {
       group.setAttribute('data-finger', finger);
     }
@@ -242,7 +474,7 @@ export function createKeyboardRenderer(container, options = {}) {
       x: pos.x,
       y: pos.y,
       width: keyWidth,
-      height: KEY_HEIGHT,
+      height: keyHeight,
       rx: KEY_RADIUS,
       ry: KEY_RADIUS,
       class: 'key-bg',
@@ -253,7 +485,7 @@ export function createKeyboardRenderer(container, options = {}) {
     if (label && label !== '_') {
       const text = svgEl('text', {
         x: pos.x + keyWidth / 2,
-        y: pos.y + KEY_HEIGHT / 2 + 5,
+        y: pos.y + keyHeight / 2 + 5,
         class: 'key-label',
         'text-anchor': 'middle',
       });
@@ -276,6 +508,37 @@ export function createKeyboardRenderer(container, options = {}) {
     }
   }
 
+  /**
+   * Highlight a key by its position in the layout
+   * @param {number} index - Key index
+   * @param {string} [className='active'] - 'active' for the target, 'modifier' for keys held with it,
+   *   'sequence' for dead or Compose keys pressed before it, 'selected' for the key being edited
+   */
+  function highlightKeyAt(index, className = 'active') {
+    const keyGroup = keyGroups[index];
+    if (keyGroup) {
+      keyGroup.classList.add(className);
+    }
+  }
+
+  /**
+   * Show another mapping layer
+   * Re-renders with the same layout and options, so highlights are reset.
+   * @param {number} layer
+   */
+  function setLayer(layer) {
+    if (!currentLayout || layer === getLayer()) return;
+    render(currentLayout, currentMapping, { ...currentOptions, layer });
+  }
+
+  /**
+   * Get the layer currently shown
+   * @returns {number}
+   */
+  function getLayer() {
+    return currentOptions.layer || 0;
+  }
+
   /**
    * Mark a key as correct or error
    * @param {string} keyLabel
@@ -289,12 +552,70 @@ export function createKeyboardRenderer(container, options = {}) {
     }
   }
 
+  /**
+   * Clear correct/error marks left by markKey
+   */
+  function clearMarks() {
+    for (const keyGroup of keyGroups) {
+      keyGroup.classList.remove('correct', 'error');
+    }
+  }
+
   /**
    * Clear all highlights
    */
   function clearHighlights() {
-    for (const keyGroup of keyElements.values()) {
-      keyGroup.classList.remove('active', 'correct', 'error');
+    for (const keyGroup of keyGroups) {
+      keyGroup.classList.remove('active', 'modifier', 'sequence', 'selected', 'correct', 'error');
+    }
+  }
+
+  /**
+   * Shade a key to show a measured value (heatmap)
+   * @param {string} keyLabel
+   * @param {number} intensity - 0 (cold) to 1 (hot)
+   * @param {string} [title] - Tooltip text
+   */
+  function setKeyHeat(keyLabel, intensity, title) {
+    const label = charToKeyLabel(keyLabel).toLowerCase();
+    const keyGroup = keyElements.get(label);
+    if (!keyGroup) return;
+
+    const bg = keyGroup.querySelector('.key-bg');
+    let heat = keyGroup.querySelector('.key-heat');
+    if (!heat) {
+      heat = svgEl('rect', {
+        x: bg.getAttribute('x'),
+        y: bg.getAttribute('y'),
+        width: bg.getAttribute('width'),
+        height: bg.getAttribute('height'),
+        rx: KEY_RADIUS,
+        ry: KEY_RADIUS,
+        class: 'key-heat',
+      });
+      bg.after(heat);
+    }
+
+    const clamped = Math.max(0, Math.min(1, intensity));
+    heat.setAttribute('fill-opacity', clamped.toFixed(2));
+    keyGroup.setAttribute('data-heat', Math.round(clamped * 100));
+
+    keyGroup.querySelector('title')?.remove();
+    if (title) {
+      const titleEl = svgEl('title');
+      titleEl.textContent = title;
+      keyGroup.appendChild(titleEl);
+    }
+  }
+
+  /**
+   * Remove all heatmap shading
+   */
+  function clearHeat() {
+    for (const keyGroup of keyGroups) {
+      keyGroup.querySelector('.key-heat')?.remove();
+      keyGroup.querySelector('title')?.remove();
+      keyGroup.removeAttribute('data-heat');
     }
   }
 
@@ -310,8 +631,14 @@ export function createKeyboardRenderer(container, options = {}) {
   return {
     render,
     highlightKey,
+    highlightKeyAt,
+    setLayer,
+    getLayer,
     markKey,
+    clearMarks,
     clearHighlights,
+    setKeyHeat,
+    clearHeat,
     getKeyElement,
   };
 }
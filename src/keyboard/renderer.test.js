@@ -157,6 +157,23 @@ describe('Keyboard Renderer', () => {
       expect(activeKey).toBeNull();
     });
 
+    it('should clear marks but keep the highlight', () => {
+      const renderer = createKeyboardRenderer(container);
+      const physicalLayout = {
+        name: 'test',
+        keys: [{ row: 0, col: 0, hand: 'left', isThumb: false }],
+      };
+      const keyMapping = { layers: [{ keys: ['a'] }] };
+
+      renderer.render(physicalLayout, keyMapping);
+      renderer.highlightKey('a');
+      renderer.markKey('a', 'error');
+      renderer.clearMarks();
+
+      expect(container.querySelector('[data-key].error')).toBeNull();
+      expect(container.querySelector('[data-key].active')).not.toBeNull();
+    });
+
     it('should highlight spc key when space character is passed', () => {
       const renderer = createKeyboardRenderer(container);
       const physicalLayout = {
@@ -237,5 +254,218 @@ describe('Keyboard Renderer', () => {
       // 1.5 unit key should be ~1.5x the width of a 1 unit key
       expect(firstKeyWidth).toBeGreaterThan(secondKeyWidth * 1.3);
     });
+
+    it('should shade a key with heat intensity', () => {
+      const renderer = createKeyboardRenderer(container);
+      const physicalLayout = {
+        name: 'test',
+        keys: [{ row: 0, col: 0, hand: 'left', isThumb: false }],
+      };
+      const keyMapping = { layers: [{ keys: ['a'] }] };
+
+      renderer.render(physicalLayout, keyMapping);
+      renderer.setKeyHeat('a', 0.5, 'a: 10% errors');
+
+      const key = container.querySelector('[data-key="a"]');
+      expect(key.getAttribute('data-heat')).toBe('50');
+      expect(key.querySelector('.key-heat').getAttribute('fill-opacity')).toBe('0.50');
+      expect(key.querySelector('title').textContent).toBe('a: 10% errors');
+    });
+
+    it('should clear heat shading', () => {
+      const renderer = createKeyboardRenderer(container);
+      const physicalLayout = {
+        name: 'test',
+        keys: [{ row: 0, col: 0, hand: 'left', isThumb: false }],
+      };
+      const keyMapping = { layers: [{ keys: ['a'] }] };
+
+      renderer.render(physicalLayout, keyMapping);
+      renderer.setKeyHeat('a', 1);
+      renderer.clearHeat();
+
+      expect(container.querySelector('.key-heat')).toBeNull();
+      expect(container.querySelector('[data-heat]')).toBeNull();
+    });
+
+    it('should show another layer with transparent keys falling back to the base', () => {
+      const renderer = createKeyboardRenderer(container);
+      const physicalLayout = {
+        name: 'test',
+        keys: [
+          { row: 0, col: 0, hand: 'left', isThumb: false },
+          { row: 0, col: 1, hand: 'left', isThumb: false },
+        ],
+      };
+      const keyMapping = { layers: [{ keys: ['a', 'mo1'] }, { keys: ['!', '_'] }] };
+
+      renderer.render(physicalLayout, keyMapping);
+      expect(renderer.getLayer()).toBe(0);
+
+      renderer.setLayer(1);
+      expect(renderer.getLayer()).toBe(1);
+      expect(container.querySelector('svg').getAttribute('data-layer')).toBe('1');
+      expect(container.querySelector('[data-index="0"]').getAttribute('data-key')).toBe('!');
+      expect(container.querySelector('[data-index="1"]').getAttribute('data-key')).toBe('mo1');
+    });
+
+    it('should highlight keys by index, including duplicate labels', () => {
+      const renderer = createKeyboardRenderer(container);
+      const physicalLayout = {
+        name: 'test',
+        keys: [
+          { row: 0, col: 0, hand: 'left', isThumb: false },
+          { row: 0, col: 1, hand: 'left', isThumb: false },
+        ],
+      };
+      const keyMapping = { layers: [{ keys: ['shift', 'shift'] }] };
+
+      renderer.render(physicalLayout, keyMapping);
+      renderer.highlightKeyAt(0, 'modifier');
+      renderer.highlightKeyAt(1);
+
+      expect(container.querySelector('[data-index="0"]').classList.contains('modifier')).toBe(true);
+      expect(container.querySelector('[data-index="1"]').classList.contains('active')).toBe(true);
+
+      renderer.clearHighlights();
+      expect(container.querySelector('.modifier')).toBeNull();
+      expect(container.querySelector('.active')).toBeNull();
+    });
+
+    it('should show the hold action of hold-tap keys', () => {
+      const renderer = createKeyboardRenderer(container);
+      const physicalLayout = {
+        name: 'test',
+        keys: [
+          { row: 0, col: 0, hand: 'left', isThumb: false },
+          { row: 0, col: 1, hand: 'left', isThumb: false },
+        ],
+      };
+      const keyMapping = { layers: [{ keys: ['a', 'b'], holds: ['lgui'] }] };
+
+      renderer.render(physicalLayout, keyMapping);
+
+      const key = container.querySelector('[data-key="a"]');
+      expect(key.getAttribute('data-hold')).toBe('lgui');
+      expect(key.querySelector('.key-hold').textContent).toBe('lgui');
+      expect(container.querySelector('[data-key="b"] .key-hold')).toBeNull();
+    });
+
+    it('should place keys with geometry at absolute, rotated positions', () => {
+      const renderer = createKeyboardRenderer(container);
+      const physicalLayout = {
+        name: 'test',
+        keys: [
+          { row: 0, col: 0, hand: 'left', isThumb: false, geometry: { x: 0, y: 0, w: 1, h: 1, r: 0, rx: 0, ry: 0 } },
+          { row: 0, col: 1, hand: 'left', isThumb: false, geometry: { x: 1, y: 0.5, w: 1, h: 2, r: 0, rx: 0, ry: 0 } },
+          { row: -1, col: 0, hand: 'left', isThumb: true, geometry: { x: 3, y: 2, w: 1, h: 1, r: 30, rx: 3, ry: 2 } },
+        ],
+      };
+      const keyMapping = { layers: [{ keys: ['a', 'b', 'spc'] }] };
+
+      renderer.render(physicalLayout, keyMapping);
+
+      const tall = container.querySelector('[data-key="b"] .key-bg');
+      expect(tall.getAttribute('x')).toBe('54');
+      expect(tall.getAttribute('y')).toBe('27');
+      expect(tall.getAttribute('height')).toBe('104');
+
+      const rotated = container.querySelector('[data-key="spc"]');
+      expect(rotated.getAttribute('transform')).toBe('rotate(30 162 108)');
+    });
+
+    describe('board shape', () => {
+      const splitKeys = [
+        { row: 0, col: 0, hand: 'left', isThumb: false },
+        { row: 0, col: 1, hand: 'left', isThumb: false },
+        { row: 0, col: 0, hand: 'right', isThumb: false },
+        { row: 0, col: 1, hand: 'right', isThumb: false },
+        { row: -1, col: 0, hand: 'left', isThumb: true },
+        { row: -1, col: 1, hand: 'left', isThumb: true },
+        { row: -1, col: 0, hand: 'right', isThumb: true },
+        { row: -1, col: 1, hand: 'right', isThumb: true },
+      ];
+      const mapping = { layers: [{ keys: ['a', 'b', 'c', 'd', 'l1', 'l2', 'r1', 'r2'] }] };
+      const bgOf = key => container.querySelector(`[data-key="${key}"] .key-bg`);
+
+      it('should leave grid boards unchanged without shape headers', () => {
+        const renderer = createKeyboardRenderer(container);
+        renderer.render({ split: true, keys: splitKeys }, mapping);
+
+        expect(bgOf('b').getAttribute('y')).toBe('0');
+        expect(container.querySelector('[data-key="l1"]').getAttribute('transform')).toBeNull();
+      });
+
+      it('should offset columns and drop the thumbs below them', () => {
+        const renderer = createKeyboardRenderer(container);
+        renderer.render({ split: true, keys: splitKeys }, mapping);
+        const flatThumbY = parseFloat(bgOf('l1').getAttribute('y'));
+
+        renderer.render({
+          split: true,
+          keys: splitKeys,
+          columnStagger: { left: [0.5, 0], right: [0, 0.5] },
+        }, mapping);
+
+        expect(bgOf('a').getAttribute('y')).toBe('27');
+        expect(bgOf('b').getAttribute('y')).toBe('0');
+        expect(bgOf('c').getAttribute('y')).toBe('0');
+        expect(bgOf('d').getAttribute('y')).toBe('27');
+        expect(parseFloat(bgOf('l1').getAttribute('y'))).toBe(flatThumbY + 27);
+      });
+
+      it('should shift rows for row stagger', () => {
+        const renderer = createKeyboardRenderer(container);
+        renderer.render({
+          split: false,
+          keys: [
+            { row: 0, col: 0, hand: 'left', isThumb: false },
+            { row: 1, col: 0, hand: 'left', isThumb: false },
+          ],
+          rowStagger: [0, 0.5],
+        }, { layers: [{ keys: ['q', 'a'] }] });
+
+        expect(bgOf('q').getAttribute('x')).toBe('0');
+        expect(bgOf('a').getAttribute('x')).toBe('27');
+      });
+
+      it('should rotate thumb clusters about their outer corner, mirrored', () => {
+        const renderer = createKeyboardRenderer(container);
+        renderer.render({ split: true, keys: splitKeys, thumbRotate: { left: [15], right: [15] } }, mapping);
+
+        const left = container.querySelector('[data-key="l1"]').getAttribute('transform');
+        expect(left).toMatch(/^rotate\(15 /);
+        expect(container.querySelector('[data-key="l2"]').getAttribute('transform')).toBe(left);
+        expect(container.querySelector('[data-key="r1"]').getAttribute('transform')).toMatch(/^rotate\(-15 /);
+        expect(container.querySelector('[data-key="a"]').getAttribute('transform')).toBeNull();
+      });
+
+      it('should rotate thumb keys one by one', () => {
+        const renderer = createKeyboardRenderer(container);
+        renderer.render({ split: true, keys: splitKeys, thumbRotate: { left: [0, 20], right: [20, 0] } }, mapping);
+
+        expect(container.querySelector('[data-key="l1"]').getAttribute('transform')).toBeNull();
+        expect(container.querySelector('[data-key="l2"]').getAttribute('transform')).toMatch(/^rotate\(20 /);
+        expect(container.querySelector('[data-key="r1"]').getAttribute('transform')).toMatch(/^rotate\(-20 /);
+      });
+
+      it('should splay columns outward on both hands', () => {
+        const renderer = createKeyboardRenderer(container);
+        renderer.render({ split: true, keys: splitKeys, splay: { left: [10, 0], right: [0, 10] } }, mapping);
+
+        expect(container.querySelector('[data-key="a"]').getAttribute('transform')).toMatch(/^rotate\(-10 /);
+        expect(container.querySelector('[data-key="b"]').getAttribute('transform')).toBeNull();
+        expect(container.querySelector('[data-key="d"]').getAttribute('transform')).toMatch(/^rotate\(10 /);
+      });
+
+      it('should grow the SVG to fit rotated keys', () => {
+        const renderer = createKeyboardRenderer(container);
+        renderer.render({ split: true, keys: splitKeys }, mapping);
+        const flatHeight = parseFloat(container.querySelector('svg').getAttribute('height'));
+
+        renderer.render({ split: true, keys: splitKeys, thumbRotate: { left: [30], right: [30] } }, mapping);
+        expect(parseFloat(container.querySelector('svg').getAttribute('height'))).toBeGreaterThan(flatHeight);
+      });
+    });
   });
 });
@@ -0,0 +1,191 @@
+/**
+ * ZMK Keymap Exporter
+ * Writes Ktute layouts out as ZMK devicetree keymap files
+ */
+
+import { ZMK_TO_LABEL } from './zmk-parser.js';
+
+/**
+ * Map from Ktute labels to ZMK key names
+ * The reverse of ZMK_TO_LABEL (first name wins), plus Ktute's own
+ * generic modifier names.
+ */
+export const LABEL_TO_ZMK = {
+  ...Object.entries(ZMK_TO_LABEL).reduce((map, [zmk, label]) => {
+    if (!(label in map)) map[label] = zmk;
+    return map;
+  }, {}),
+  shift: 'LSHFT',
+  shft: 'LSHFT',
+  ctrl: 'LCTRL',
+  alt: 'LALT',
+  gui: 'LGUI',
+  cmd: 'LGUI',
+};
+
+// Generic modifiers that become their right-hand version on the right half
+const RIGHT_MODIFIERS = {
+  LSHFT: 'RSHFT',
+  LCTRL: 'RCTRL',
+  LALT: 'RALT',
+  LGUI: 'RGUI',
+};
+const GENERIC_MODIFIERS = ['shift', 'shft', 'ctrl', 'alt', 'gui', 'cmd'];
+
+// Named layer keys and the layer they reach
+const NAMED_LAYER_KEYS = {
+  lower: 1,
+  raise: 2,
+};
+
+/**
+ * Convert a Ktute label to a ZMK keycode
+ * @param {string} label
+ * @param {string} [hand] - 'left' or 'right', for generic modifiers
+ * @returns {string|null} Keycode, or null if the label has no ZMK equivalent
+ */
+export function labelToZmkKeycode(label, hand = 'left') {
+  const keycode = LABEL_TO_ZMK[label] || LABEL_TO_ZMK[label.toLowerCase()];
+  if (keycode) {
+    if (hand === 'right' && GENERIC_MODIFIERS.includes(label.toLowerCase())) {
+      return RIGHT_MODIFIERS[keycode] || keycode;
+    }
+    return keycode;
+  }
+
+  // Keycodes and modifier functions written directly, e.g. "ls(tab)", "c_brightness_inc"
+  if (/^[a-z0-9_]+(\([a-z0-9_]+\))?$/i.test(label)) {
+    return label.toUpperCase();
+  }
+
+  return null;
+}
+
+/**
+ * Read a layer key label
+ * @param {string} label - e.g. "mo1", "tg2", "lower"
+ * @returns {Object|null} { behavior, layer }
+ */
+function parseLayerLabel(label) {
+  const lower = label.toLowerCase();
+  if (lower in NAMED_LAYER_KEYS) {
+    return { behavior: 'mo', layer: NAMED_LAYER_KEYS[lower] };
+  }
+
+  const match = lower.match(/^(mo|lt|to|tg|tog|sl|layer)(\d+)$/);
+  if (!match) return null;
+
+  const behavior = { lt: 'mo', layer: 'mo', tg: 'tog' }[match[1]] || match[1];
+  return { behavior, layer: parseInt(match[2], 10) };
+}
+
+/**
+ * Convert one key to a ZMK binding
+ * @param {string} label - Tap label
+ * @param {string|null} hold - Hold action of hold-tap keys
+ * @param {number} layer - Layer the key is on (blank keys are &trans above layer 0)
+ * @param {string} [hand] - 'left' or 'right'
+ * @returns {string} Binding, e.g. "&kp A", "&mt LSHFT A", "&lt 1 SPACE"
+ */
+export function labelToZmkBinding(label, hold = null, layer = 0, hand = 'left') {
+  if (!label || label === '_') {
+    return layer === 0 ? '&none' : '&trans';
+  }
+
+  const layerKey = parseLayerLabel(label);
+  if (layerKey) {
+    return `&${layerKey.behavior} ${layerKey.layer}`;
+  }
+
+  const btMatch = label.match(/^bt(\d+)$/);
+  if (btMatch) return `&bt BT_SEL ${btMatch[1]}`;
+  if (label === 'btclr') return '&bt BT_CLR';
+  if (label === 'rst') return '&bootloader';
+
+  const keycode = labelToZmkKeycode(label, hand);
+  if (!keycode) return '&none';
+
+  if (hold) {
+    const holdLayer = parseLayerLabel(hold);
+    if (holdLayer) {
+      return `&lt ${holdLayer.layer} ${keycode}`;
+    }
+    const modifier = labelToZmkKeycode(hold, hand);
+    if (modifier) {
+      return `&mt ${modifier} ${keycode}`;
+    }
+  }
+
+  return `&kp ${keycode}`;
+}
+
+/**
+ * Get the devicetree node name for a layer
+ * @param {number} index
+ * @returns {string}
+ */
+function layerNodeName(index) {
+  return index === 0 ? 'default_layer' : `layer_${index}`;
+}
+
+/**
+ * Export a parsed combined layout as a ZMK keymap
+ * Bindings are written one physical row per line, with the halves of split
+ * boards separated by a wider gap.
+ * @param {Object} physical - Parsed physical layout
+ * @param {Object} mapping - Parsed key mapping (all layers are exported)
+ * @param {Object} [options={}]
+ * @param {string} [options.name] - Layout name for the header comment
+ * @returns {string} ZMK keymap file content
+ */
+export function exportZmkKeymap(physical, mapping, options = {}) {
+  const name = options.name || mapping.name || physical.name || 'layout';
+  const keys = physical.keys;
+
+  // Key indices grouped by physical row, in layout order
+  const rows = [];
+  keys.forEach((key, index) => {
+    let row = rows.find(r => r.row === key.row);
+    if (!row) {
+      row = { row: key.row, indices: [] };
+      rows.push(row);
+    }
+    row.indices.push(index);
+  });
+
+  const layerBlocks = mapping.layers.map((layer, layerIndex) => {
+    const lines = rows.map(({ indices }) => {
+      const left = [];
+      const right = [];
+      indices.forEach((index) => {
+        const hand = keys[index].hand;
+        const binding = labelToZmkBinding(layer.keys[index], layer.holds?.[index] || null, layerIndex, hand);
+        (hand === 'right' ? right : left).push(binding);
+      });
+      return [left.join('  '), right.join('  ')].filter(Boolean).join('      ');
+    });
+
+    return `        ${layerNodeName(layerIndex)} {
+            bindings = <
+${lines.map(line => `                ${line}`).join('\n')}
+            >;
+        };`;
+  });
+
+  return `/*
+ * ${name} - exported from Ktute
+ */
+
+#include <behaviors.dtsi>
+#include <dt-bindings/zmk/keys.h>
+#include <dt-bindings/zmk/bt.h>
+
+/ {
+    keymap {
+        compatible = "zmk,keymap";
+
+${layerBlocks.join('\n\n')}
+    };
+};
+`;
+}
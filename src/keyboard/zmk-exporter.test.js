@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { LABEL_TO_ZMK, labelToZmkKeycode, labelToZmkBinding, exportZmkKeymap } from './zmk-exporter.js';
+import { parseZmkKeymap } from './zmk-parser.js';
+import { parseCombinedLayout } from './layout-parser.js';
+import { getLayout } from './combined-layouts.js';
+
+describe('ZMK Exporter', () => {
+  describe('labelToZmkKeycode', () => {
+    it('should reverse ZMK_TO_LABEL', () => {
+      expect(LABEL_TO_ZMK.spc).toBe('SPACE');
+      expect(labelToZmkKeycode('a')).toBe('A');
+      expect(labelToZmkKeycode('1')).toBe('N1');
+      expect(labelToZmkKeycode(';')).toBe('SEMI');
+      expect(labelToZmkKeycode('lsft')).toBe('LSHFT');
+    });
+
+    it('should use right-hand modifiers for generic names on the right half', () => {
+      expect(labelToZmkKeycode('shift', 'left')).toBe('LSHFT');
+      expect(labelToZmkKeycode('shift', 'right')).toBe('RSHFT');
+      expect(labelToZmkKeycode('lsft', 'right')).toBe('LSHFT');
+    });
+
+    it('should return null for labels ZMK cannot express', () => {
+      expect(labelToZmkKeycode('é')).toBeNull();
+    });
+  });
+
+  describe('labelToZmkBinding', () => {
+    it('should write key presses, layer keys and hold-taps', () => {
+      expect(labelToZmkBinding('q')).toBe('&kp Q');
+      expect(labelToZmkBinding('mo1')).toBe('&mo 1');
+      expect(labelToZmkBinding('tg2')).toBe('&tog 2');
+      expect(labelToZmkBinding('lower')).toBe('&mo 1');
+      expect(labelToZmkBinding('a', 'lgui')).toBe('&mt LGUI A');
+      expect(labelToZmkBinding('spc', 'mo1')).toBe('&lt 1 SPACE');
+      expect(labelToZmkBinding('bt0')).toBe('&bt BT_SEL 0');
+    });
+
+    it('should write blank keys as &none on the base layer and &trans above it', () => {
+      expect(labelToZmkBinding('_', null, 0)).toBe('&none');
+      expect(labelToZmkBinding('_', null, 1)).toBe('&trans');
+    });
+  });
+
+  describe('exportZmkKeymap', () => {
+    it('should export a keymap that imports back to the same layers', () => {
+      const { physical, mapping } = parseCombinedLayout(getLayout('corne-colemak-dh').definition);
+      const keymap = exportZmkKeymap(physical, mapping);
+
+      expect(keymap).toContain('compatible = "zmk,keymap";');
+      expect(keymap).toContain('#include <dt-bindings/zmk/keys.h>');
+
+      const parsed = parseZmkKeymap(keymap);
+      expect(parsed.layers).toHaveLength(2);
+      expect(parsed.layers[0].keys.slice(0, 6)).toEqual(['tab', 'q', 'w', 'f', 'p', 'b']);
+      expect(keymap).toContain('&lt 1 SPACE');
+      expect(parsed.layers[0].keys).toContain('spc');
+      expect(parsed.layers[1].keys).toContain('(');
+      expect(parsed.layers[1].keys[12]).toBe('_');
+    });
+
+    it('should keep hold-taps', () => {
+      const { physical, mapping } = parseCombinedLayout(`
+[layout:hrm]
+rows: 1
+columns: 2,2
+split: true
+
+row0: a/lgui s | e f/rsft
+`);
+      const keymap = exportZmkKeymap(physical, mapping, { name: 'Home Row Mods' });
+
+      expect(keymap).toContain('Home Row Mods');
+      expect(keymap).toContain('&mt LGUI A  &kp S      &kp E  &mt RSHFT F');
+    });
+  });
+});
@@ -197,11 +197,12 @@ export function parseZmkKeymap(content) {
     
     if (layerMatch) {
       const layerName = layerMatch[1];
-      const keys = parseBindings(bindingsStr);
+      const bindings = parseBindings(bindingsStr);
       
       result.layers.push({
         name: layerName,
-        keys,
+        keys: bindings.map(b => b.label),
+        bindings,
       });
     }
   }
@@ -210,12 +211,14 @@ export function parseZmkKeymap(content) {
 }
 
 /**
- * Parse bindings string into array of key labels
+ * Parse bindings string into key bindings
+ * Each binding keeps the label typed on tap plus, for hold-taps and layer
+ * keys, what the key does when held and which layer it reaches.
  * @param {string} bindingsStr - The bindings content (inside < >)
- * @returns {string[]} Array of key labels
+ * @returns {Object[]} Bindings with { behavior, label, hold?, layer? }
  */
 function parseBindings(bindingsStr) {
-  const keys = [];
+  const bindings = [];
   
   // Split by whitespace and filter empty strings
   const tokens = bindingsStr.trim().split(/\s+/).filter(t => t.length > 0);
@@ -229,59 +232,51 @@ function parseBindings(bindingsStr) {
       i++;
       if (i < tokens.length) {
         const keycode = tokens[i];
-        keys.push(zmkToLabel(keycode));
+        bindings.push({ behavior: 'kp', label: zmkToLabel(keycode) });
       }
     } else if (token.startsWith('&kp')) {
       // Key press inline: &kp(KEYCODE) or &kpKEYCODE (shouldn't happen but handle it)
       const keycode = token.slice(3);
       if (keycode) {
-        keys.push(zmkToLabel(keycode));
+        bindings.push({ behavior: 'kp', label: zmkToLabel(keycode) });
       }
     } else if (token === '&trans') {
       // Transparent - inherits from lower layer
-      keys.push('_');
+      bindings.push({ behavior: 'trans', label: '_' });
     } else if (token === '&none') {
       // No binding
-      keys.push('_');
+      bindings.push({ behavior: 'none', label: '_' });
     } else if (token === '&lt') {
       // Layer tap: &lt LAYER KEYCODE
-      i++; // skip layer number
+      i++;
+      const layer = parseInt(tokens[i], 10);
       i++;
       if (i < tokens.length) {
         const keycode = tokens[i];
-        keys.push(zmkToLabel(keycode));
+        bindings.push({ behavior: 'lt', label: zmkToLabel(keycode), hold: `mo${layer}`, layer });
       }
     } else if (token === '&mt') {
       // Mod tap: &mt MOD KEYCODE
-      i++; // skip modifier
+      i++;
+      const modifier = tokens[i];
       i++;
       if (i < tokens.length) {
         const keycode = tokens[i];
-        keys.push(zmkToLabel(keycode));
+        bindings.push({ behavior: 'mt', label: zmkToLabel(keycode), hold: zmkToLabel(modifier) });
       }
-    } else if (token === '&mo') {
-      // Momentary layer: &mo LAYER
-      i++; // skip layer number
-      keys.push('mo');
-    } else if (token === '&to') {
-      // To layer: &to LAYER
-      i++; // skip layer number
-      keys.push('to');
-    } else if (token === '&tog') {
-      // Toggle layer: &tog LAYER
-      i++; // skip layer number
-      keys.push('tog');
+    } else if (token === '&mo' || token === '&to' || token === '&tog' || token === '&sl') {
+      // Layer keys: &mo LAYER, &to LAYER, &tog LAYER, &sl LAYER
+      const behavior = token.slice(1);
+      i++;
+      const layer = parseInt(tokens[i], 10);
+      bindings.push({ behavior, label: `${behavior}${layer}`, layer });
     } else if (token === '&sk') {
       // Sticky key: &sk KEYCODE
       i++;
       if (i < tokens.length) {
         const keycode = tokens[i];
-        keys.push(zmkToLabel(keycode));
+        bindings.push({ behavior: 'sk', label: zmkToLabel(keycode) });
       }
-    } else if (token === '&sl') {
-      // Sticky layer: &sl LAYER
-      i++; // skip layer number
-      keys.push('sl');
     } else if (token === '&bt') {
       // Bluetooth: &bt BT_CLR or &bt BT_SEL 0
       i++;
@@ -289,49 +284,55 @@ function parseBindings(bindingsStr) {
         const btCmd = tokens[i];
         if (btCmd === 'BT_SEL' && i + 1 < tokens.length) {
           i++; // skip the number
-          keys.push('bt' + tokens[i]);
+          bindings.push({ behavior: 'bt', label: 'bt' + tokens[i] });
         } else if (btCmd === 'BT_CLR') {
-          keys.push('btclr');
+          bindings.push({ behavior: 'bt', label: 'btclr' });
         } else {
-          keys.push('bt');
+          bindings.push({ behavior: 'bt', label: 'bt' });
         }
       } else {
-        keys.push('bt');
+        bindings.push({ behavior: 'bt', label: 'bt' });
       }
     } else if (token === '&bootloader' || token === '&reset' || token === '&sys_reset') {
-      keys.push('rst');
+      bindings.push({ behavior: token.slice(1), label: 'rst' });
     } else if (token === '&out') {
       i++; // skip argument
-      keys.push('out');
+      bindings.push({ behavior: 'out', label: 'out' });
     } else if (token === '&studio_unlock') {
-      keys.push('_');
+      bindings.push({ behavior: 'studio_unlock', label: '_' });
     } else if (token.startsWith('&')) {
       // Custom behavior or macro - look ahead for arguments
       // Custom hold-tap behaviors typically have 2 args: &gqt MOD KEY
       const behaviorName = token.slice(1);
-      
-      // Peek ahead to see if next tokens look like keycodes
-      let argCount = 0;
-      let lastKeycode = null;
+      const args = [];
       
       while (i + 1 < tokens.length && !tokens[i + 1].startsWith('&')) {
         i++;
-        argCount++;
-        const arg = tokens[i];
-        // Check if it looks like a keycode (uppercase, or a modifier pattern)
-        if (/^[A-Z0-9_]+$/.test(arg) || /^L[CSAG]\(/.test(arg) || /^R[CSAG]\(/.test(arg)) {
-          lastKeycode = arg;
-        }
+        args.push(tokens[i]);
       }
+
+      // Check if an arg looks like a keycode (uppercase, or a modifier pattern)
+      const isKeycode = (arg) => /^[A-Z0-9_]+$/.test(arg) || /^L[CSAG]\(/.test(arg) || /^R[CSAG]\(/.test(arg);
+      const keycodes = args.filter(isKeycode);
       
-      if (lastKeycode) {
-        // Use the last keycode (typically the tap key in hold-tap)
-        keys.push(zmkToLabel(lastKeycode));
-      } else if (argCount === 0) {
+      if (keycodes.length > 0) {
+        // The last keycode is the tap key in a hold-tap
+        const binding = { behavior: behaviorName, label: zmkToLabel(keycodes[keycodes.length - 1]) };
+        if (args.length === 2) {
+          // The first argument is what the key does when held: a layer or a key
+          if (/^\d+$/.test(args[0])) {
+            binding.layer = parseInt(args[0], 10);
+            binding.hold = `mo${binding.layer}`;
+          } else if (isKeycode(args[0])) {
+            binding.hold = zmkToLabel(args[0]);
+          }
+        }
+        bindings.push(binding);
+      } else if (args.length === 0) {
         // No args - likely a macro, use behavior name
-        keys.push(behaviorName.toLowerCase().slice(0, 4) || '_');
+        bindings.push({ behavior: behaviorName, label: behaviorName.toLowerCase().slice(0, 4) || '_' });
       } else {
-        keys.push('_');
+        bindings.push({ behavior: behaviorName, label: '_' });
       }
     }
     // Skip anything else (comments, etc.)
@@ -339,7 +340,17 @@ function parseBindings(bindingsStr) {
     i++;
   }
   
-  return keys;
+  return bindings;
+}
+
+/**
+ * Format a binding as a combined layout key token
+ * Hold-taps become "tap/hold" (e.g. "a/lgui", "spc/mo1").
+ * @param {Object} binding - Parsed binding
+ * @returns {string}
+ */
+export function bindingToToken(binding) {
+  return binding.hold ? `${binding.label}/${binding.hold}` : binding.label;
 }
 
 /**
@@ -365,22 +376,74 @@ function zmkToLabel(keycode) {
 
 /**
  * Convert parsed ZMK keymap to Ktute combined layout format
+ * Every layer is kept, with hold-taps written as "tap/hold" tokens.
  * @param {Object} parsed - Parsed ZMK keymap
  * @param {string} physicalLayout - Physical layout definition to use
- * @returns {string} Ktute combined layout definition
+ * @returns {Object|null} { physical, keys, layers: [{ name, tokens }] }
  */
 export function zmkToKtuteLayout(parsed, physicalLayout) {
   if (parsed.layers.length === 0) {
     return null;
   }
   
-  // Use the first layer (base layer) for the mapping
-  const baseLayer = parsed.layers[0];
-  
-  // This is a simplified conversion - full implementation would
-  // need to know the physical layout dimensions
+  const layers = parsed.layers.map(layer => ({
+    name: layer.name,
+    tokens: (layer.bindings || layer.keys.map(label => ({ label }))).map(bindingToToken),
+  }));
+
   return {
     physical: physicalLayout,
-    keys: baseLayer.keys,
+    keys: layers[0].tokens,
+    layers,
   };
 }
+
+/**
+ * Parse the first matrix transform in a ZMK devicetree file
+ * @param {string} content - ZMK keymap / overlay content
+ * @returns {Object[]|null} Matrix position of each key, in keymap order: [{ row, col }]
+ */
+export function parseZmkMatrixTransform(content) {
+  const nodeStart = content.indexOf('zmk,matrix-transform');
+  if (nodeStart === -1) {
+    return null;
+  }
+
+  const mapMatch = content.slice(nodeStart).match(/map\s*=\s*<([\s\S]*?)>/);
+  if (!mapMatch) {
+    return null;
+  }
+
+  const positions = [...mapMatch[1].matchAll(/RC\(\s*(\d+)\s*,\s*(\d+)\s*\)/g)]
+    .map(([, row, col]) => ({ row: parseInt(row, 10), col: parseInt(col, 10) }));
+
+  return positions.length > 0 ? positions : null;
+}
+
+/**
+ * Parse the first physical layout in a ZMK devicetree file
+ * Sizes and positions are in key units (ZMK stores hundredths), rotation in degrees.
+ * @param {string} content - ZMK keymap / overlay content
+ * @returns {Object[]|null} Keys in keymap order: [{ w, h, x, y, r, rx, ry }]
+ */
+export function parseZmkPhysicalLayout(content) {
+  const nodeStart = content.indexOf('zmk,physical-layout');
+  if (nodeStart === -1) {
+    return null;
+  }
+
+  const keysMatch = content.slice(nodeStart).match(/keys\s*=\s*([\s\S]*?);/);
+  if (!keysMatch) {
+    return null;
+  }
+
+  const keys = [...keysMatch[1].matchAll(/&key_physical_attrs\s+([^&>]+)/g)]
+    .map(([, args]) => {
+      const [w, h, x, y, r = 0, rx = 0, ry = 0] = (args.match(/-?\d+/g) || [])
+        .map(n => parseInt(n, 10) / 100);
+      return { w, h, x, y, r, rx, ry };
+    })
+    .filter(key => key.w > 0);
+
+  return keys.length > 0 ? keys : null;
+}
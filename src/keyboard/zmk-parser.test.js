@@ -1,5 +1,12 @@
 import { describe, it, expect } from 'vitest';
-import { parseZmkKeymap, ZMK_TO_LABEL } from './zmk-parser.js';
+import {
+  parseZmkKeymap,
+  parseZmkMatrixTransform,
+  parseZmkPhysicalLayout,
+  zmkToKtuteLayout,
+  bindingToToken,
+  ZMK_TO_LABEL,
+} from './zmk-parser.js';
 
 describe('ZMK Parser', () => {
   describe('parseZmkKeymap', () => {
@@ -275,7 +282,7 @@ describe('ZMK Parser', () => {
       expect(baseKeys[30]).toBe('k');
       expect(baseKeys[36]).toBe('lalt');
       expect(baseKeys[38]).toBe('spc'); // &lt 1 SPACE -> SPACE
-      expect(baseKeys[40]).toBe('mo');  // &mo 1
+      expect(baseKeys[40]).toBe('mo1'); // &mo 1
       
       // Check lower layer - bluetooth bindings
       const lowerKeys = result.layers[1].keys;
@@ -286,6 +293,30 @@ describe('ZMK Parser', () => {
       expect(lowerKeys[18]).toBe('mute'); // &kp K_MUTE
     });
 
+    it('should keep hold and layer roles of hold-taps and layer keys', () => {
+      const zmkConfig = `
+/ {
+    keymap {
+        default_layer {
+            bindings = <
+                &mt LSHFT A &lt 2 SPACE &mo 1 &to 0 &sl 3 &hm LGUI S &gqt LS(TAB) TAB
+            >;
+        };
+    };
+};`;
+      const result = parseZmkKeymap(zmkConfig);
+      const [mt, lt, mo, to, sl, hm, gqt] = result.layers[0].bindings;
+
+      expect(result.layers[0].keys).toEqual(['a', 'spc', 'mo1', 'to0', 'sl3', 's', 'tab']);
+      expect(mt).toEqual({ behavior: 'mt', label: 'a', hold: 'lsft' });
+      expect(lt).toEqual({ behavior: 'lt', label: 'spc', hold: 'mo2', layer: 2 });
+      expect(mo).toEqual({ behavior: 'mo', label: 'mo1', layer: 1 });
+      expect(to.layer).toBe(0);
+      expect(sl.layer).toBe(3);
+      expect(hm).toEqual({ behavior: 'hm', label: 's', hold: 'lgui' });
+      expect(gqt.hold).toBe('ls(tab)');
+    });
+
     it('should handle bracket and punctuation keys correctly', () => {
       const zmkConfig = `
 / {
@@ -302,4 +333,78 @@ describe('ZMK Parser', () => {
       expect(result.layers[0].keys).toEqual(['[', ']', '{', '}', '(', ')', '<', '>', '|', '?']);
     });
   });
+
+  describe('zmkToKtuteLayout', () => {
+    it('should convert every layer to layout tokens', () => {
+      const parsed = parseZmkKeymap(`
+/ {
+    keymap {
+        base { bindings = < &mt LCTRL A &kp B &lt 1 SPACE >; };
+        lower { bindings = < &kp N1 &trans &trans >; };
+    };
+};`);
+      const layout = zmkToKtuteLayout(parsed, 'corne');
+
+      expect(layout.physical).toBe('corne');
+      expect(layout.keys).toEqual(['a/lctl', 'b', 'spc/mo1']);
+      expect(layout.layers.map(l => l.name)).toEqual(['base', 'lower']);
+      expect(layout.layers[1].tokens).toEqual(['1', '_', '_']);
+    });
+
+    it('should return null for an empty keymap', () => {
+      expect(zmkToKtuteLayout({ layers: [] })).toBeNull();
+    });
+
+    it('should format bindings without a hold as the plain label', () => {
+      expect(bindingToToken({ behavior: 'kp', label: '/' })).toBe('/');
+      expect(bindingToToken({ behavior: 'mt', label: '/', hold: 'rctl' })).toBe('//rctl');
+    });
+  });
+
+  describe('parseZmkMatrixTransform', () => {
+    it('should read RC positions from the map', () => {
+      const content = `
+/ {
+    default_transform: keymap_transform_0 {
+        compatible = "zmk,matrix-transform";
+        columns = <10>;
+        rows = <4>;
+        map = <
+RC(0,0) RC(0,1)   RC(0,8) RC(0,9)
+        RC(3,3)   RC( 3, 6 )
+        >;
+    };
+};`;
+      expect(parseZmkMatrixTransform(content)).toEqual([
+        { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 8 }, { row: 0, col: 9 },
+        { row: 3, col: 3 }, { row: 3, col: 6 },
+      ]);
+    });
+
+    it('should return null without a transform', () => {
+      expect(parseZmkMatrixTransform('/ { keymap { }; };')).toBeNull();
+    });
+  });
+
+  describe('parseZmkPhysicalLayout', () => {
+    it('should read key attributes in key units', () => {
+      const content = `
+/ {
+    physical_layout0: physical_layout_0 {
+        compatible = "zmk,physical-layout";
+        display-name = "Default";
+        keys
+            = <&key_physical_attrs 100 100    0  37 0 0 0>
+            , <&key_physical_attrs 150 100  100   0 1500 100 200>
+            , <&key_physical_attrs 100 100  300 (-25) 0 0 0>
+            ;
+    };
+};`;
+      const keys = parseZmkPhysicalLayout(content);
+      expect(keys).toHaveLength(3);
+      expect(keys[0]).toEqual({ w: 1, h: 1, x: 0, y: 0.37, r: 0, rx: 0, ry: 0 });
+      expect(keys[1]).toMatchObject({ w: 1.5, x: 1, r: 15, rx: 1, ry: 2 });
+      expect(keys[2].y).toBe(-0.25);
+    });
+  });
 });
@@ -0,0 +1,367 @@
+/**
+ * Compare View
+ * Two or more layouts side by side: moved keys, analysis and measured speed
+ */
+
+import { storage } from '../core/storage.js';
+import { preferences } from '../core/preferences.js';
+import { createSessionManager } from '../engine/session.js';
+import { ANALYSIS_METRICS, analyzeLayout, buildCorpus, findMovedKeys } from '../engine/layout-analyzer.js';
+import { WORD_LANGUAGES, WORD_LANGUAGE_NAMES, getWordList } from '../engine/word-lists.js';
+import { getAllLayouts } from '../keyboard/combined-layouts.js';
+import { createKeyboardRenderer } from '../keyboard/renderer.js';
+import { parseCombinedLayout } from '../keyboard/layout-parser.js';
+
+// How many layouts can be compared at once
+export const MAX_COMPARED_LAYOUTS = 4;
+
+// "Recent WPM" averages this many of the latest sessions on a layout
+const RECENT_SESSION_COUNT = 10;
+
+/**
+ * Average a session field
+ * @param {Object[]} sessions
+ * @param {string} field
+ * @returns {number} Rounded average, 0 without sessions
+ */
+function average(sessions, field) {
+  if (sessions.length === 0) return 0;
+  return Math.round(sessions.reduce((sum, s) => sum + (s[field] || 0), 0) / sessions.length);
+}
+
+/**
+ * Sum up the speed measured on a layout
+ * @param {Object[]} sessions - Completed sessions on the layout, most recent first
+ * @returns {Object} { sessions, avgWpm, recentWpm, bestWpm, accuracy }
+ */
+export function getLayoutSpeed(sessions) {
+  return {
+    sessions: sessions.length,
+    avgWpm: average(sessions, 'wpm'),
+    recentWpm: average(sessions.slice(0, RECENT_SESSION_COUNT), 'wpm'),
+    bestWpm: sessions.length > 0 ? Math.max(...sessions.map(s => s.wpm || 0)) : 0,
+    accuracy: average(sessions, 'accuracy'),
+  };
+}
+
+/**
+ * Create the compare view
+ * The first layout is the reference: keys on the others that sit somewhere
+ * else are highlighted.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} [options={}] - View options
+ * @param {string[]} [options.layoutIds] - Layouts to start with (defaults to the active layout and one other)
+ * @param {Object} [options.sessionManager] - Session manager to read measured speed from
+ * @param {Function} [options.onBack] - Called when leaving the view
+ * @returns {Object} View controller with destroy method
+ */
+export function createCompareView(container, options = {}) {
+  const {
+    sessionManager = createSessionManager({ storage }),
+    onBack,
+  } = options;
+
+  const layouts = getAllLayouts();
+  let layoutIds = getInitialLayoutIds(options.layoutIds);
+  let corpusLanguage = preferences.getWordLanguage();
+  let corpus = null;
+
+  // DOM elements
+  let view = null;
+
+  // Event handlers (for cleanup)
+  const handlers = [];
+
+  /**
+   * Pick the layouts to start with
+   * @param {string[]} [requested]
+   * @returns {string[]}
+   */
+  function getInitialLayoutIds(requested) {
+    const known = (requested || []).filter(id => id in layouts).slice(0, MAX_COMPARED_LAYOUTS);
+    if (known.length >= 2) return known;
+
+    const active = known[0] || (preferences.getLayout() in layouts ? preferences.getLayout() : Object.keys(layouts)[0]);
+    const other = Object.keys(layouts).find(id => id !== active);
+    return other ? [active, other] : [active];
+  }
+
+  /**
+   * Initialize the view
+   */
+  function init() {
+    container.innerHTML = '';
+
+    view = document.createElement('main');
+    view.setAttribute('data-view', 'compare');
+    view.className = 'compare-view';
+
+    view.innerHTML = `
+      <header class="stats-header">
+        <h1>Compare Layouts</h1>
+        <div class="stats-filters">
+          <label for="compare-corpus">Corpus</label>
+          <select id="compare-corpus" data-filter="corpus">
+            ${WORD_LANGUAGES
+              .map(language => `<option value="${language}" ${language === corpusLanguage ? 'selected' : ''}>${WORD_LANGUAGE_NAMES[language]}</option>`)
+              .join('')}
+          </select>
+          <button class="btn btn-secondary btn-small" data-action="add-layout">Add Layout</button>
+        </div>
+      </header>
+
+      <section class="compare-layouts"></section>
+
+      <section class="stats-section">
+        <h2>Analysis</h2>
+        <div class="compare-analysis"></div>
+      </section>
+
+      <section class="stats-section">
+        <h2>Your Speed</h2>
+        <div class="compare-speed"></div>
+      </section>
+
+      <nav class="stats-nav">
+        <p class="hint">Press <kbd>Escape</kbd> to go back</p>
+      </nav>
+    `;
+
+    container.appendChild(view);
+
+    bindEvents();
+    update();
+  }
+
+  /**
+   * Bind event handlers
+   * Layout columns are rebuilt on every change, so their controls are
+   * handled from the view.
+   */
+  function bindEvents() {
+    const handleChange = (e) => {
+      if (e.target.matches('[data-filter="corpus"]')) {
+        corpusLanguage = e.target.value;
+        corpus = null;
+        update();
+      } else if (e.target.matches('select[data-slot]')) {
+        layoutIds[Number(e.target.dataset.slot)] = e.target.value;
+        update();
+      }
+    };
+
+    const handleClick = (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'add-layout') {
+        const unused = Object.keys(layouts).find(id => !layoutIds.includes(id));
+        if (unused && layoutIds.length < MAX_COMPARED_LAYOUTS) {
+          layoutIds.push(unused);
+          update();
+        }
+      } else if (button.dataset.action === 'remove-layout') {
+        layoutIds = layoutIds.filter((_, slot) => slot !== Number(button.dataset.slot));
+        update();
+      }
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        if (onBack) {
+          onBack();
+        } else {
+          window.location.hash = '/';
+        }
+      }
+    };
+
+    view.addEventListener('change', handleChange);
+    view.addEventListener('click', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+
+    handlers.push(
+      { element: view, event: 'change', handler: handleChange },
+      { element: view, event: 'click', handler: handleClick },
+      { element: document, event: 'keydown', handler: handleKeyDown }
+    );
+  }
+
+  /**
+   * Parse the compared layouts
+   * @returns {Object[]} [{ id, name, physical, mapping, error }]
+   */
+  function parseLayouts() {
+    return layoutIds.map(id => {
+      const layout = layouts[id];
+      try {
+        return { id, name: layout.name, ...parseCombinedLayout(layout.definition), error: null };
+      } catch (err) {
+        return { id, name: layout?.name || id, physical: null, mapping: null, error: err.message };
+      }
+    });
+  }
+
+  /**
+   * Redraw everything for the current selection
+   */
+  function update() {
+    const parsed = parseLayouts();
+    view.querySelector('[data-action="add-layout"]').disabled =
+      layoutIds.length >= Math.min(MAX_COMPARED_LAYOUTS, Object.keys(layouts).length);
+
+    updateLayouts(parsed);
+    updateAnalysis(parsed);
+    updateSpeed(parsed);
+  }
+
+  /**
+   * Draw each layout, highlighting keys moved from the first
+   * @param {Object[]} parsed
+   */
+  function updateLayouts(parsed) {
+    const target = view.querySelector('.compare-layouts');
+    const reference = parsed[0];
+
+    target.innerHTML = parsed
+      .map((layout, slot) => `
+        <div class="compare-column" data-slot="${slot}">
+          <div class="compare-column-header">
+            <select data-slot="${slot}" aria-label="Layout ${slot + 1}">
+              ${Object.entries(layouts)
+                .map(([id, l]) => `<option value="${id}" ${id === layout.id ? 'selected' : ''}>${l.name}${l.custom ? ' (custom)' : ''}</option>`)
+                .join('')}
+            </select>
+            ${parsed.length > 2 ? `<button class="btn btn-secondary btn-small" data-action="remove-layout" data-slot="${slot}" aria-label="Remove">×</button>` : ''}
+          </div>
+          <div class="keyboard-preview compare-keyboard"></div>
+          <p class="compare-moved"></p>
+        </div>`)
+      .join('');
+
+    parsed.forEach((layout, slot) => {
+      const column = target.querySelector(`.compare-column[data-slot="${slot}"]`);
+      const note = column.querySelector('.compare-moved');
+      if (layout.error) {
+        column.querySelector('.compare-keyboard').innerHTML = '<p class="error">Failed to render layout</p>';
+        return;
+      }
+
+      const renderer = createKeyboardRenderer(column.querySelector('.compare-keyboard'));
+      renderer.render(layout.physical, layout.mapping);
+
+      if (slot === 0) {
+        note.textContent = 'Reference';
+      } else if (reference.error) {
+        note.textContent = '';
+      } else {
+        const moved = findMovedKeys(reference.physical, reference.mapping, layout.physical, layout.mapping);
+        moved.forEach(index => renderer.highlightKeyAt(index, 'moved'));
+        note.textContent = `${moved.length} ${moved.length === 1 ? 'key' : 'keys'} moved`;
+      }
+    });
+  }
+
+  /**
+   * Show the analyzer metrics side by side, marking the best of each
+   * @param {Object[]} parsed
+   */
+  function updateAnalysis(parsed) {
+    corpus ||= buildCorpus(getWordList(corpusLanguage));
+    const results = parsed.map(layout => (
+      layout.error || !layout.mapping.fingers?.length ? null : analyzeLayout(layout.physical, layout.mapping, corpus)
+    ));
+
+    const percent = (value) => `${(value * 100).toFixed(1)}%`;
+    const rows = [
+      ...ANALYSIS_METRICS.map(metric => ({ ...metric, format: percent })),
+      { id: 'effort', key: 'effort', label: 'Effort per key', better: 'lower', format: value => value.toFixed(2) },
+      { id: 'left-hand', label: 'Left hand', better: null, format: percent, value: result => result.hands.left },
+    ];
+
+    view.querySelector('.compare-analysis').innerHTML = renderTable(
+      parsed,
+      rows.map(row => ({
+        ...row,
+        values: results.map(result => (result ? (row.value ? row.value(result) : result[row.key]) : null)),
+      }))
+    );
+  }
+
+  /**
+   * Show the speed measured on each layout from saved sessions
+   * @param {Object[]} parsed
+   */
+  function updateSpeed(parsed) {
+    const speeds = parsed.map(layout => getLayoutSpeed(
+      sessionManager.getHistory({ layoutUsed: layout.id }).filter(s => s.isComplete)
+    ));
+    const measured = (value, speed) => (speed.sessions > 0 ? value : null);
+    const rows = [
+      { id: 'sessions', label: 'Sessions', better: null, format: String, field: 'sessions' },
+      { id: 'avg-wpm', label: 'Average WPM', better: 'higher', format: String, field: 'avgWpm' },
+      { id: 'recent-wpm', label: `Last ${RECENT_SESSION_COUNT} sessions WPM`, better: 'higher', format: String, field: 'recentWpm' },
+      { id: 'best-wpm', label: 'Best WPM', better: 'higher', format: String, field: 'bestWpm' },
+      { id: 'accuracy', label: 'Accuracy', better: 'higher', format: value => `${value}%`, field: 'accuracy' },
+    ];
+
+    view.querySelector('.compare-speed').innerHTML = renderTable(
+      parsed,
+      rows.map(row => ({
+        ...row,
+        values: speeds.map(speed => (row.field === 'sessions' ? speed.sessions : measured(speed[row.field], speed))),
+      }))
+    );
+  }
+
+  /**
+   * Build a table with one column per layout
+   * The best value in a row is marked when the values differ.
+   * @param {Object[]} parsed - Compared layouts, for the headings
+   * @param {Object[]} rows - [{ id, label, better, format, values }]; null values show as a dash
+   * @returns {string} HTML
+   */
+  function renderTable(parsed, rows) {
+    return `
+      <table class="stats-table compare-table">
+        <thead>
+          <tr><th></th>${parsed.map(layout => `<th>${layout.name}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(row => {
+              const present = row.values.filter(value => value !== null);
+              const best = row.better && new Set(present).size > 1
+                ? (row.better === 'lower' ? Math.min : Math.max)(...present)
+                : null;
+              return `
+                <tr data-metric="${row.id}">
+                  <td>${row.label}</td>
+                  ${row.values
+                    .map(value => `<td${value !== null && value === best ? ' class="best"' : ''}>${value === null ? '–' : row.format(value)}</td>`)
+                    .join('')}
+                </tr>`;
+            })
+            .join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  function destroy() {
+    handlers.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    handlers.length = 0;
+  }
+
+  // Initialize
+  init();
+
+  return {
+    destroy,
+  };
+}
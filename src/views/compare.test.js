@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createCompareView, getLayoutSpeed, MAX_COMPARED_LAYOUTS } from './compare.js';
+import { storage } from '../core/storage.js';
+import { preferences } from '../core/preferences.js';
+
+function seedSessions() {
+  storage.set('sessions', [
+    { id: 's1', timestamp: 3000, layoutUsed: 'corne-colemak-dh', wpm: 50, accuracy: 96, isComplete: true },
+    { id: 's2', timestamp: 2000, layoutUsed: 'corne-colemak-dh', wpm: 30, accuracy: 90, isComplete: true },
+    { id: 's3', timestamp: 1000, layoutUsed: 'corne-qwerty', wpm: 70, accuracy: 98, isComplete: true },
+    { id: 's4', timestamp: 500, layoutUsed: 'corne-qwerty', wpm: 10, accuracy: 50, isComplete: false },
+  ]);
+}
+
+describe('Compare View', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    storage.clear();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('getLayoutSpeed', () => {
+    it('should average, take the best and the recent speed', () => {
+      const sessions = Array.from({ length: 12 }, (_, i) => ({ wpm: i < 10 ? 40 : 10, accuracy: 90 }));
+      expect(getLayoutSpeed(sessions)).toEqual({
+        sessions: 12,
+        avgWpm: 35,
+        recentWpm: 40,
+        bestWpm: 40,
+        accuracy: 90,
+      });
+    });
+
+    it('should handle layouts without sessions', () => {
+      expect(getLayoutSpeed([])).toMatchObject({ sessions: 0, avgWpm: 0, bestWpm: 0 });
+    });
+  });
+
+  it('should render with data-view attribute', () => {
+    const { destroy } = createCompareView(container);
+    expect(container.querySelector('[data-view="compare"]')).not.toBeNull();
+    destroy();
+  });
+
+  it('should start with the active layout and one other', () => {
+    preferences.setLayout('corne-qwerty');
+    const { destroy } = createCompareView(container);
+    const selects = container.querySelectorAll('select[data-slot]');
+    expect(selects).toHaveLength(2);
+    expect(selects[0].value).toBe('corne-qwerty');
+    expect(selects[1].value).not.toBe('corne-qwerty');
+    expect(container.querySelectorAll('.compare-keyboard svg')).toHaveLength(2);
+    destroy();
+  });
+
+  it('should highlight the keys that moved from the first layout', () => {
+    const { destroy } = createCompareView(container, { layoutIds: ['corne-qwerty', 'corne-colemak-dh'] });
+    const [reference, other] = container.querySelectorAll('.compare-column');
+    expect(reference.querySelector('.key.moved')).toBeNull();
+    expect(reference.querySelector('.compare-moved').textContent).toBe('Reference');
+
+    const moved = [...other.querySelectorAll('.key.moved')].map(key => key.getAttribute('data-key'));
+    expect(moved).toContain('t');
+    expect(moved).not.toContain('q');
+    expect(other.querySelector('.compare-moved').textContent).toBe(`${moved.length} keys moved`);
+    destroy();
+  });
+
+  it('should show analyzer metrics side by side and mark the best', () => {
+    const { destroy } = createCompareView(container, { layoutIds: ['corne-qwerty', 'corne-colemak-dh'] });
+    const row = container.querySelector('.compare-analysis [data-metric="same-finger"]');
+    const cells = row.querySelectorAll('td');
+    expect(cells).toHaveLength(3);
+    expect(cells[2].classList.contains('best')).toBe(true);
+    expect(container.querySelector('.compare-analysis [data-metric="effort"]')).not.toBeNull();
+    destroy();
+  });
+
+  it('should show the measured speed on each layout', () => {
+    seedSessions();
+    const { destroy } = createCompareView(container, { layoutIds: ['corne-colemak-dh', 'corne-qwerty', 'corne-dvorak'] });
+    const cells = (metric) => [...container.querySelectorAll(`.compare-speed [data-metric="${metric}"] td`)].slice(1).map(td => td.textContent);
+
+    expect(cells('sessions')).toEqual(['2', '1', '0']);
+    expect(cells('avg-wpm')).toEqual(['40', '70', '–']);
+    expect(cells('accuracy')).toEqual(['93%', '98%', '–']);
+    expect(container.querySelector('.compare-speed [data-metric="best-wpm"] .best').textContent).toBe('70');
+    destroy();
+  });
+
+  it('should add, change and remove layouts', () => {
+    const { destroy } = createCompareView(container, { layoutIds: ['corne-qwerty', 'corne-colemak-dh'] });
+
+    container.querySelector('[data-action="add-layout"]').click();
+    expect(container.querySelectorAll('.compare-column')).toHaveLength(3);
+
+    const select = container.querySelector('select[data-slot="2"]');
+    select.value = 'corne-workman';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(container.querySelector('.compare-analysis thead').textContent).toContain('Workman');
+
+    container.querySelector('[data-action="remove-layout"][data-slot="0"]').click();
+    const selects = container.querySelectorAll('select[data-slot]');
+    expect([...selects].map(s => s.value)).toEqual(['corne-colemak-dh', 'corne-workman']);
+    expect(container.querySelector('[data-action="remove-layout"]')).toBeNull();
+    destroy();
+  });
+
+  it('should stop adding layouts at the limit', () => {
+    const { destroy } = createCompareView(container);
+    const add = container.querySelector('[data-action="add-layout"]');
+    for (let i = 0; i < MAX_COMPARED_LAYOUTS + 2; i++) add.click();
+    expect(container.querySelectorAll('.compare-column')).toHaveLength(MAX_COMPARED_LAYOUTS);
+    expect(container.querySelector('[data-action="add-layout"]').disabled).toBe(true);
+    destroy();
+  });
+
+  it('should re-analyze with another corpus', () => {
+    const { destroy } = createCompareView(container, { layoutIds: ['corne-qwerty', 'corne-colemak-dh'] });
+    const before = container.querySelector('.compare-analysis [data-metric="same-finger"]').textContent;
+    const select = container.querySelector('[data-filter="corpus"]');
+    select.value = 'finnish';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(container.querySelector('.compare-analysis [data-metric="same-finger"]').textContent).not.toBe(before);
+    destroy();
+  });
+
+  it('should go back on Escape', () => {
+    let backCalled = false;
+    const { destroy } = createCompareView(container, { onBack: () => { backCalled = true; } });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(backCalled).toBe(true);
+    destroy();
+  });
+});
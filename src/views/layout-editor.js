@@ -5,16 +5,48 @@
 
 import { storage } from '../core/storage.js';
 import { preferences } from '../core/preferences.js';
+import { createHistory } from '../core/history.js';
 import {
   getAllLayouts,
   getBuiltinLayouts,
   saveCustomLayout,
   deleteCustomLayout,
   generateLayoutId,
+  getLayoutDrafts,
+  saveLayoutDraft,
+  deleteLayoutDraft,
 } from '../keyboard/combined-layouts.js';
 import { createKeyboardRenderer } from '../keyboard/renderer.js';
 import { parseCombinedLayout } from '../keyboard/layout-parser.js';
-import { parseZmkKeymap } from '../keyboard/zmk-parser.js';
+import { validateLayout } from '../keyboard/layout-validator.js';
+import {
+  parseZmkKeymap,
+  parseZmkMatrixTransform,
+  parseZmkPhysicalLayout,
+  zmkToKtuteLayout,
+} from '../keyboard/zmk-parser.js';
+import {
+  getQmkBuiltinPhysicalName,
+  isQmkKeymap,
+  parseQmkKeymap,
+  parseQmkLayoutName,
+} from '../keyboard/qmk-parser.js';
+import {
+  generateCombinedLayout,
+  getBuiltinPhysical,
+  gridPhysical,
+  guessPhysical,
+  physicalFromKeyAttrs,
+  physicalFromMatrix,
+} from '../keyboard/layout-generator.js';
+import { getBuiltinPhysicalLayouts } from '../keyboard/physical-layouts.js';
+import { exportZmkKeymap } from '../keyboard/zmk-exporter.js';
+import { parseKle, kleToKtuteLayout } from '../keyboard/kle-parser.js';
+import { exportKle } from '../keyboard/kle-exporter.js';
+import { FINGER_COLORS, FINGER_NAMES } from '../keyboard/finger-map.js';
+import { findKeySources, setKeyFinger, setKeyLabel, swapKeys } from '../keyboard/layout-source.js';
+import { ANALYSIS_METRICS, analyzeLayout, buildCorpus } from '../engine/layout-analyzer.js';
+import { WORD_LANGUAGES, WORD_LANGUAGE_NAMES, getWordList } from '../engine/word-lists.js';
 
 const DEFAULT_LAYOUT = `[layout:my-layout]
 rows: 3
@@ -56,12 +88,26 @@ export function createLayoutEditorView(container, options = {}) {
   let currentText = DEFAULT_LAYOUT;
   let validationError = null;
   let currentLoadedLayoutId = null; // Track currently loaded custom layout
+  let corpusLanguage = preferences.getWordLanguage();
+  let corpus = null;
+  let selectedKey = null; // Index of the key open in the key panel
+  let dragFrom = null; // Index of the key a drag started on
+  let draftId = `draft-${Date.now()}`; // Where unsaved changes are autosaved
+  let savedText = DEFAULT_LAYOUT; // Text with no unsaved changes
+
+  // Undo/redo over the layout text
+  const history = createHistory(currentText);
+  let unsubscribeHistory = null;
 
   // DOM elements
   let nameInput = null;
   let editorTextarea = null;
   let previewContainer = null;
   let errorDisplay = null;
+  let analysisDisplay = null;
+  let keyPanel = null;
+  let draftsDisplay = null;
+  let diagnosticsDisplay = null;
   let renderer = null;
 
   // Event handlers (for cleanup)
@@ -82,6 +128,8 @@ export function createLayoutEditorView(container, options = {}) {
         <h1>Layout Editor</h1>
       </header>
 
+      <section class="draft-recovery" aria-live="polite" hidden></section>
+
       <section class="editor-toolbar">
         <div class="toolbar-left">
           <div class="toolbar-row">
@@ -107,17 +155,34 @@ export function createLayoutEditorView(container, options = {}) {
           </div>
         </div>
         <div class="toolbar-right">
+          <button class="btn btn-secondary" data-action="undo" title="Undo (Ctrl+Z)" disabled>Undo</button>
+          <button class="btn btn-secondary" data-action="redo" title="Redo (Ctrl+Shift+Z)" disabled>Redo</button>
           <button class="btn btn-primary" data-action="save">Save</button>
           <button class="btn btn-secondary" data-action="use-layout">Save &amp; Use</button>
           <button class="btn btn-secondary" data-action="export">Export</button>
+          <button class="btn btn-secondary" data-action="export-zmk">Export ZMK</button>
+          <button class="btn btn-secondary" data-action="export-kle">Export KLE</button>
           <button class="btn btn-secondary" data-action="import">Import</button>
-          <button class="btn btn-secondary" data-action="import-zmk">Import ZMK</button>
+          <button class="btn btn-secondary" data-action="import-zmk">Import ZMK/QMK</button>
+          <button class="btn btn-secondary" data-action="import-kle">Import KLE</button>
           <input type="file" id="import-file" accept=".txt,.layout" style="display: none;">
         </div>
       </section>
 
       <section class="editor-preview-container">
         <div class="editor-preview"></div>
+        <aside class="layout-analysis" aria-label="Layout analysis">
+          <div class="analysis-header">
+            <h2>Analysis</h2>
+            <select data-action="analysis-corpus" aria-label="Corpus">
+              ${WORD_LANGUAGES
+                .map(language => `<option value="${language}" ${language === corpusLanguage ? 'selected' : ''}>${WORD_LANGUAGE_NAMES[language]}</option>`)
+                .join('')}
+            </select>
+          </div>
+          <div class="analysis-results"></div>
+        </aside>
+        <div class="key-edit-panel"></div>
       </section>
 
       <details class="editor-help">
@@ -143,6 +208,16 @@ export function createLayoutEditorView(container, options = {}) {
             </tbody>
           </table>
 
+          <table class="help-table">
+            <thead><tr><th colspan="2">Layers</th></tr></thead>
+            <tbody>
+              <tr><td><code>[layer:1]</code></td><td>Rows below relabel keys</td></tr>
+              <tr><td><code>mo1</code> / <code>lower</code></td><td>Key that holds layer 1</td></tr>
+              <tr><td><code>_</code> on a layer</td><td>Same as base layer</td></tr>
+              <tr><td><code>a/lsft</code> / <code>spc/mo1</code></td><td>Tap / hold</td></tr>
+            </tbody>
+          </table>
+
           <table class="help-table">
             <thead><tr><th colspan="2">Fingers</th></tr></thead>
             <tbody>
@@ -152,6 +227,28 @@ export function createLayoutEditorView(container, options = {}) {
               <tr><td>5-9 Right</td><td>thumb→pinky</td></tr>
             </tbody>
           </table>
+
+          <table class="help-table">
+            <thead><tr><th colspan="2">Geometry</th></tr></thead>
+            <tbody>
+              <tr><td><code>geometry:</code></td><td>Exact key positions (optional)</td></tr>
+              <tr><td><code>x,y</code></td><td>Position in key units</td></tr>
+              <tr><td><code>x,y,w,h</code></td><td>With size</td></tr>
+              <tr><td><code>x,y,w,h,r,rx,ry</code></td><td>Rotated r° about rx,ry</td></tr>
+            </tbody>
+          </table>
+
+          <table class="help-table">
+            <thead><tr><th colspan="2">Shape</th></tr></thead>
+            <tbody>
+              <tr><td><code>column-stagger: 0.5 0.25 0 …</code></td><td>Column drop (units)</td></tr>
+              <tr><td><code>row-stagger: 0 0.5 0.75</code></td><td>Row shift (units)</td></tr>
+              <tr><td><code>splay: 10 0 0 …</code></td><td>Column angle (°)</td></tr>
+              <tr><td><code>thumb-rotate: 15</code></td><td>Thumb cluster angle</td></tr>
+              <tr><td><code>thumb-rotate: 0 10 20</code></td><td>Angle per thumb key</td></tr>
+              <tr><td><code>… | …</code></td><td>Per hand (else mirrored)</td></tr>
+            </tbody>
+          </table>
         </div>
       </details>
 
@@ -161,8 +258,9 @@ export function createLayoutEditorView(container, options = {}) {
           spellcheck="false"
           placeholder="Enter layout definition..."
         >${escapeHtml(currentText)}</textarea>
+        <ul class="layout-diagnostics" aria-label="Problems"></ul>
         <div class="validation-error" style="display: none;"></div>
-        <p class="help-hint"><kbd>Esc</kbd> back • <kbd>Ctrl+S</kbd> save</p>
+        <p class="help-hint"><kbd>Esc</kbd> back • <kbd>Ctrl+S</kbd> save • <kbd>Ctrl+Z</kbd> undo • <kbd>Ctrl+Shift+Z</kbd> redo</p>
       </section>
     `;
 
@@ -173,6 +271,10 @@ export function createLayoutEditorView(container, options = {}) {
     editorTextarea = container.querySelector('.layout-text-editor');
     previewContainer = container.querySelector('.editor-preview');
     errorDisplay = container.querySelector('.validation-error');
+    analysisDisplay = container.querySelector('.analysis-results');
+    keyPanel = container.querySelector('.key-edit-panel');
+    draftsDisplay = container.querySelector('.draft-recovery');
+    diagnosticsDisplay = container.querySelector('.layout-diagnostics');
 
     // Set up renderer
     renderer = createKeyboardRenderer(previewContainer);
@@ -182,6 +284,7 @@ export function createLayoutEditorView(container, options = {}) {
 
     // Initial render
     updatePreview();
+    renderDrafts();
   }
 
   /**
@@ -204,14 +307,92 @@ export function createLayoutEditorView(container, options = {}) {
     // Name input changes
     const handleNameChange = () => {
       layoutName = nameInput.value.trim() || 'My Layout';
+      autosaveDraft();
     };
 
-    // Text editor changes
+    // Text editor changes, one undo step per burst of typing
     const handleTextInput = () => {
-      currentText = editorTextarea.value;
+      setText(editorTextarea.value, 'typing');
+    };
+
+    // Undo / redo
+    const handleUndo = () => {
+      const text = history.undo();
+      if (text !== undefined) setText(text);
+    };
+
+    const handleRedo = () => {
+      const text = history.redo();
+      if (text !== undefined) setText(text);
+    };
+
+    // Jump to the line of a clicked diagnostic
+    const handleDiagnosticClick = (e) => {
+      const jump = e.target.closest('[data-line]');
+      if (!jump) return;
+      jumpTo(Number(jump.getAttribute('data-line')), Number(jump.getAttribute('data-column')));
+    };
+
+    // Restore or discard a draft from the recovery banner
+    const handleDraftAction = (e) => {
+      const button = e.target.closest('[data-action]');
+      const id = button?.closest('[data-draft]')?.getAttribute('data-draft');
+      if (!id) return;
+
+      if (button.getAttribute('data-action') === 'restore-draft') {
+        restoreDraft(id);
+      } else if (button.getAttribute('data-action') === 'discard-draft') {
+        deleteLayoutDraft(id);
+        renderDrafts();
+      }
+    };
+
+    // Corpus the analysis measures against
+    const handleCorpusChange = (e) => {
+      corpusLanguage = e.target.value;
+      corpus = null;
       updatePreview();
     };
 
+    // Press on a key: remember it in case this is a drag
+    const handlePreviewDown = (e) => {
+      const keyGroup = e.target.closest('[data-index]');
+      dragFrom = keyGroup ? Number(keyGroup.getAttribute('data-index')) : null;
+      if (keyGroup) e.preventDefault();
+    };
+
+    // Release on a key: the same key selects it, another swaps the two
+    const handlePreviewUp = (e) => {
+      const keyGroup = e.target.closest('[data-index]');
+      const from = dragFrom;
+      dragFrom = null;
+      if (!keyGroup || from === null) return;
+
+      const to = Number(keyGroup.getAttribute('data-index'));
+      if (to === from) {
+        selectKey(to);
+      } else {
+        selectedKey = to;
+        applySourceEdit(text => swapKeys(text, from, to));
+      }
+    };
+
+    // Relabel the selected key
+    const handleKeyLabelChange = (e) => {
+      if (!e.target.matches('[data-action="key-label"]') || selectedKey === null) return;
+      const index = selectedKey;
+      applySourceEdit(text => setKeyLabel(text, index, e.target.value.trim()));
+    };
+
+    // Set the finger of the selected key from the palette
+    const handleFingerPick = (e) => {
+      const swatch = e.target.closest('[data-finger]');
+      if (!swatch || selectedKey === null) return;
+      const value = swatch.getAttribute('data-finger');
+      const index = selectedKey;
+      applySourceEdit(text => setKeyFinger(text, index, value === '' ? null : Number(value)));
+    };
+
     // Load built-in layout
     const handleLoadBuiltin = (e) => {
       const id = e.target.value;
@@ -219,12 +400,10 @@ export function createLayoutEditorView(container, options = {}) {
 
       const layout = builtinLayouts[id];
       if (layout) {
-        editorTextarea.value = layout.definition;
-        currentText = layout.definition;
         // Set name based on layout name
         nameInput.value = layout.name + ' (copy)';
         layoutName = nameInput.value;
-        updatePreview();
+        openText(`draft-${Date.now()}`, layout.definition);
       }
       e.target.value = ''; // Reset dropdown
     };
@@ -237,12 +416,15 @@ export function createLayoutEditorView(container, options = {}) {
       const layout = customLayouts[id];
       if (layout) {
         currentLoadedLayoutId = id; // Track loaded layout
-        editorTextarea.value = layout.definition;
-        currentText = layout.definition;
         // Set name to the actual name (for editing)
         nameInput.value = layout.name;
         layoutName = nameInput.value;
-        updatePreview();
+        // Pick up where an unsaved draft of it left off
+        if (getLayoutDrafts()[id]) {
+          restoreDraft(id);
+        } else {
+          openText(id, layout.definition);
+        }
         
         // Enable delete button
         const deleteBtn = container.querySelector('[data-action="delete-custom"]');
@@ -265,6 +447,7 @@ export function createLayoutEditorView(container, options = {}) {
       if (confirm(`Are you sure you want to delete "${layout.name}"?`)) {
         // Delete the layout
         deleteCustomLayout(currentLoadedLayoutId);
+        deleteLayoutDraft(currentLoadedLayoutId);
 
         // If this was the active layout, switch to a built-in layout
         const activeLayoutId = preferences.getLayout();
@@ -301,6 +484,12 @@ export function createLayoutEditorView(container, options = {}) {
       // Update currentLoadedLayoutId to the saved ID
       currentLoadedLayoutId = id;
 
+      // The changes are saved, so their draft is no longer needed
+      deleteLayoutDraft(draftId);
+      draftId = id;
+      savedText = currentText;
+      renderDrafts();
+
       // Update the dropdown to reflect the saved layout
       const allLayouts = getAllLayouts();
       const builtinIds = Object.keys(getBuiltinLayouts());
@@ -350,13 +539,35 @@ export function createLayoutEditorView(container, options = {}) {
 
     // Export layout
     const handleExport = () => {
-      const blob = new Blob([currentText], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${layoutName.replace(/[^a-z0-9]/gi, '-').toLowerCase()}.layout.txt`;
-      a.click();
-      URL.revokeObjectURL(url);
+      downloadText(currentText, `${getFileSlug()}.layout.txt`);
+    };
+
+    // Export as a ZMK keymap
+    const handleExportZmk = () => {
+      let parsed;
+      try {
+        parsed = parseCombinedLayout(currentText);
+      } catch (err) {
+        showError(err.message);
+        return;
+      }
+
+      const keymap = exportZmkKeymap(parsed.physical, parsed.mapping, { name: layoutName });
+      downloadText(keymap, `${getFileSlug()}.keymap`);
+    };
+
+    // Export the board geometry as Keyboard Layout Editor JSON
+    const handleExportKle = () => {
+      let parsed;
+      try {
+        parsed = parseCombinedLayout(currentText);
+      } catch (err) {
+        showError(err.message);
+        return;
+      }
+
+      const kle = exportKle(parsed.physical, parsed.mapping, { name: layoutName });
+      downloadText(kle, `${getFileSlug()}.kle.json`);
     };
 
     // Import layout
@@ -371,11 +582,10 @@ export function createLayoutEditorView(container, options = {}) {
 
       const reader = new FileReader();
       reader.onload = (event) => {
-        editorTextarea.value = event.target.result;
-        currentText = event.target.result;
-        
+        const text = event.target.result;
+
         // Try to extract name from file or content
-        const nameMatch = currentText.match(/\[layout:([\w-]+)\]/);
+        const nameMatch = text.match(/\[layout:([\w-]+)\]/);
         if (nameMatch) {
           const extractedName = nameMatch[1]
             .split('-')
@@ -388,7 +598,7 @@ export function createLayoutEditorView(container, options = {}) {
           layoutName = nameInput.value;
         }
 
-        updatePreview();
+        setText(text);
       };
       reader.readAsText(file);
       e.target.value = ''; // Reset for next import
@@ -399,6 +609,11 @@ export function createLayoutEditorView(container, options = {}) {
       showZmkImportModal();
     };
 
+    // Show KLE import modal
+    const handleImportKle = () => {
+      showKleImportModal();
+    };
+
     // Ctrl+S to save
     const handleKeyDown = (e) => {
       if (e.key === 's' && (e.ctrlKey || e.metaKey)) {
@@ -407,12 +622,31 @@ export function createLayoutEditorView(container, options = {}) {
         return;
       }
 
+      // Ctrl+Z / Ctrl+Shift+Z in the layout text, or with no field focused;
+      // other inputs and the import textareas keep their own undo
+      if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey)) {
+        const focused = document.activeElement;
+        if (focused !== editorTextarea && focused?.matches('input, textarea, select, [contenteditable]')) return;
+        e.preventDefault();
+        if (e.shiftKey) {
+          handleRedo();
+        } else {
+          handleUndo();
+        }
+        return;
+      }
+
       if (e.key === 'Escape') {
         // Don't trigger if we're in the textarea or name input
-        if (document.activeElement === editorTextarea || document.activeElement === nameInput) {
+        const keyLabelInput = keyPanel.querySelector('[data-action="key-label"]');
+        if ([editorTextarea, nameInput, keyLabelInput].includes(document.activeElement)) {
           document.activeElement.blur();
           return;
         }
+        if (selectedKey !== null) {
+          selectKey(null);
+          return;
+        }
         if (onBack) {
           onBack();
         } else {
@@ -444,15 +678,47 @@ export function createLayoutEditorView(container, options = {}) {
     const exportBtn = container.querySelector('[data-action="export"]');
     exportBtn.addEventListener('click', handleExport);
 
+    const exportZmkBtn = container.querySelector('[data-action="export-zmk"]');
+    exportZmkBtn.addEventListener('click', handleExportZmk);
+
+    const exportKleBtn = container.querySelector('[data-action="export-kle"]');
+    exportKleBtn.addEventListener('click', handleExportKle);
+
     const importBtn = container.querySelector('[data-action="import"]');
     importBtn.addEventListener('click', handleImport);
 
     const importZmkBtn = container.querySelector('[data-action="import-zmk"]');
     importZmkBtn.addEventListener('click', handleImportZmk);
 
+    const importKleBtn = container.querySelector('[data-action="import-kle"]');
+    importKleBtn.addEventListener('click', handleImportKle);
+
     const fileInput = container.querySelector('#import-file');
     fileInput.addEventListener('change', handleFileSelected);
 
+    const corpusSelect = container.querySelector('[data-action="analysis-corpus"]');
+    corpusSelect.addEventListener('change', handleCorpusChange);
+
+    const undoBtn = container.querySelector('[data-action="undo"]');
+    undoBtn.addEventListener('click', handleUndo);
+
+    const redoBtn = container.querySelector('[data-action="redo"]');
+    redoBtn.addEventListener('click', handleRedo);
+
+    draftsDisplay.addEventListener('click', handleDraftAction);
+    diagnosticsDisplay.addEventListener('click', handleDiagnosticClick);
+
+    // Keep the undo/redo buttons in step with the history
+    unsubscribeHistory = history.subscribe(() => {
+      undoBtn.disabled = !history.canUndo();
+      redoBtn.disabled = !history.canRedo();
+    });
+
+    previewContainer.addEventListener('mousedown', handlePreviewDown);
+    previewContainer.addEventListener('mouseup', handlePreviewUp);
+    keyPanel.addEventListener('change', handleKeyLabelChange);
+    keyPanel.addEventListener('click', handleFingerPick);
+
     handlers.push(
       { element: nameInput, event: 'input', handler: handleNameChange },
       { element: editorTextarea, event: 'input', handler: handleTextInput },
@@ -463,28 +729,287 @@ export function createLayoutEditorView(container, options = {}) {
       { element: saveBtn, event: 'click', handler: handleSave },
       { element: useBtn, event: 'click', handler: handleSaveAndUse },
       { element: exportBtn, event: 'click', handler: handleExport },
+      { element: exportZmkBtn, event: 'click', handler: handleExportZmk },
+      { element: exportKleBtn, event: 'click', handler: handleExportKle },
       { element: importBtn, event: 'click', handler: handleImport },
       { element: importZmkBtn, event: 'click', handler: handleImportZmk },
-      { element: fileInput, event: 'change', handler: handleFileSelected }
+      { element: importKleBtn, event: 'click', handler: handleImportKle },
+      { element: fileInput, event: 'change', handler: handleFileSelected },
+      { element: corpusSelect, event: 'change', handler: handleCorpusChange },
+      { element: previewContainer, event: 'mousedown', handler: handlePreviewDown },
+      { element: previewContainer, event: 'mouseup', handler: handlePreviewUp },
+      { element: keyPanel, event: 'change', handler: handleKeyLabelChange },
+      { element: keyPanel, event: 'click', handler: handleFingerPick },
+      { element: undoBtn, event: 'click', handler: handleUndo },
+      { element: redoBtn, event: 'click', handler: handleRedo },
+      { element: draftsDisplay, event: 'click', handler: handleDraftAction },
+      { element: diagnosticsDisplay, event: 'click', handler: handleDiagnosticClick }
     );
   }
 
+  /**
+   * Get a file-name-safe version of the layout name
+   * @returns {string}
+   */
+  function getFileSlug() {
+    return layoutName.replace(/[^a-z0-9]/gi, '-').toLowerCase();
+  }
+
+  /**
+   * Offer text as a file download
+   * @param {string} content
+   * @param {string} filename
+   */
+  function downloadText(content, filename) {
+    const blob = new Blob([content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Update the keyboard preview
    */
   function updatePreview() {
     validationError = null;
     hideError();
+    updateDiagnostics();
 
     try {
       const { physical, mapping } = parseCombinedLayout(currentText);
       renderer.render(physical, mapping, { showFingers: true });
+      updateAnalysis(physical, mapping);
+      updateKeyPanel(mapping);
     } catch (err) {
       validationError = err.message;
       showError(err.message);
     }
   }
 
+  /**
+   * List the problems the validator finds in the layout text
+   * The first error, if any, blocks saving.
+   */
+  function updateDiagnostics() {
+    const diagnostics = validateLayout(currentText);
+    validationError = diagnostics.find(d => d.severity === 'error')?.message ?? null;
+
+    diagnosticsDisplay.innerHTML = diagnostics
+      .map(d => `
+        <li class="diagnostic" data-severity="${d.severity}">
+          <button type="button" class="diagnostic-jump" data-line="${d.line}" data-column="${d.column}">
+            <span class="diagnostic-position">${d.line}:${d.column}</span>
+            <span class="diagnostic-severity">${d.severity}</span>
+            <span class="diagnostic-message">${escapeHtml(d.message)}</span>
+          </button>
+        </li>`)
+      .join('');
+  }
+
+  /**
+   * Put the text cursor at a line and column of the layout text
+   * @param {number} line - 1-based
+   * @param {number} column - 1-based
+   */
+  function jumpTo(line, column) {
+    const lines = currentText.split('\n');
+    const lineStart = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+    const offset = lineStart + Math.min(column - 1, (lines[line - 1] ?? '').length);
+
+    editorTextarea.focus();
+    editorTextarea.setSelectionRange(offset, offset);
+
+    // Bring the line into the middle of the textarea
+    const lineHeight = parseFloat(getComputedStyle(editorTextarea).lineHeight);
+    if (lineHeight > 0) {
+      editorTextarea.scrollTop = Math.max(0, (line - 1) * lineHeight - editorTextarea.clientHeight / 2);
+    }
+  }
+
+  /**
+   * Rewrite the layout text and refresh the preview
+   * Edits change only the keys they touch, so comments and spacing survive.
+   * @param {Function} edit - Takes the layout text and returns the new text
+   */
+  function applySourceEdit(edit) {
+    let text;
+    try {
+      text = edit(currentText);
+    } catch (err) {
+      showError(err.message);
+      return;
+    }
+    setText(text);
+  }
+
+  /**
+   * Show new layout text as an edit: recorded for undo and autosaved
+   * @param {string} text
+   * @param {string|null} [group=null] - History group; edits of one group in quick succession are one undo step
+   */
+  function setText(text, group = null) {
+    currentText = text;
+    if (editorTextarea.value !== text) {
+      editorTextarea.value = text;
+    }
+    history.record(text, group);
+    updatePreview();
+    autosaveDraft();
+  }
+
+  /**
+   * Open another layout's text, starting a fresh history
+   * @param {string} id - Draft ID for its unsaved changes
+   * @param {string} text - Its saved text
+   */
+  function openText(id, text) {
+    draftId = id;
+    savedText = text;
+    currentText = text;
+    editorTextarea.value = text;
+    history.reset(text);
+    updatePreview();
+    renderDrafts();
+  }
+
+  /**
+   * Keep the unsaved changes of the open layout as a draft
+   * Text that matches the saved layout needs no draft.
+   */
+  function autosaveDraft() {
+    if (currentText === savedText) {
+      deleteLayoutDraft(draftId);
+    } else {
+      saveLayoutDraft(draftId, layoutName, currentText, savedText);
+    }
+  }
+
+  /**
+   * Offer the drafts of layouts other than the open one for recovery
+   */
+  function renderDrafts() {
+    const drafts = Object.entries(getLayoutDrafts())
+      .filter(([id]) => id !== draftId)
+      .sort(([, a], [, b]) => b.savedAt - a.savedAt);
+
+    draftsDisplay.hidden = drafts.length === 0;
+    draftsDisplay.innerHTML = drafts.length === 0 ? '' : `
+      <p>Unsaved changes from an earlier visit:</p>
+      <ul class="draft-list">
+        ${drafts
+          .map(([id, draft]) => `
+            <li data-draft="${escapeHtml(id)}">
+              <span class="draft-name">${escapeHtml(draft.name)}</span>
+              <time datetime="${new Date(draft.savedAt).toISOString()}">${new Date(draft.savedAt).toLocaleString()}</time>
+              <button class="btn btn-secondary btn-sm" data-action="restore-draft">Restore</button>
+              <button class="btn btn-secondary btn-sm" data-action="discard-draft">Discard</button>
+            </li>`)
+          .join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Open a draft in the editor
+   * The text it was made from (the saved custom layout, or the built-in
+   * layout copied) is opened first, so undo goes back to it. The draft of the
+   * layout that was open is kept.
+   * @param {string} id - Draft ID
+   */
+  function restoreDraft(id) {
+    const draft = getLayoutDrafts()[id];
+    if (!draft) return;
+
+    const layout = customLayouts[id];
+    currentLoadedLayoutId = layout ? id : null;
+    container.querySelector('[data-action="delete-custom"]').disabled = !layout;
+    nameInput.value = draft.name;
+    layoutName = draft.name;
+
+    openText(id, layout ? layout.definition : draft.base ?? DEFAULT_LAYOUT);
+    setText(draft.definition);
+  }
+
+  /**
+   * Open a key in the key panel, or close the panel
+   * @param {number|null} index - Key index, or null to deselect
+   */
+  function selectKey(index) {
+    selectedKey = index;
+    updatePreview();
+  }
+
+  /**
+   * Show the selected key's label and finger in the key panel
+   * @param {Object} mapping - Parsed key mapping of the previewed layout
+   */
+  function updateKeyPanel(mapping) {
+    const source = selectedKey === null ? null : findKeySources(currentText).keys[selectedKey];
+    if (!source) {
+      selectedKey = null;
+      keyPanel.innerHTML = '<p class="hint">Click a key to edit it, or drag one key onto another to swap them.</p>';
+      return;
+    }
+
+    renderer.highlightKeyAt(selectedKey, 'selected');
+    const finger = mapping.fingers?.[selectedKey] ?? null;
+
+    keyPanel.innerHTML = `
+      <label class="key-label-field">
+        Key ${selectedKey + 1}
+        <input type="text" data-action="key-label" value="${escapeHtml(source.label)}" spellcheck="false" />
+      </label>
+      <div class="finger-palette" role="group" aria-label="Finger">
+        ${FINGER_COLORS
+          .map((color, i) => `<button type="button" class="finger-swatch" data-finger="${i}" title="${FINGER_NAMES[i]}" aria-pressed="${finger === i}" style="background: ${color}">${i}</button>`)
+          .join('')}
+        <button type="button" class="finger-swatch" data-finger="" title="No finger" aria-pressed="${finger === null}">.</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Update the analysis panel for the previewed layout
+   * @param {Object} physical - Parsed physical layout
+   * @param {Object} mapping - Parsed key mapping
+   */
+  function updateAnalysis(physical, mapping) {
+    if (!mapping.fingers?.length) {
+      analysisDisplay.innerHTML = '<p class="hint">Add a <code>fingers:</code> section to analyze this layout.</p>';
+      return;
+    }
+
+    corpus ||= buildCorpus(getWordList(corpusLanguage));
+    const result = analyzeLayout(physical, mapping, corpus);
+    const percent = (value) => `${(value * 100).toFixed(1)}%`;
+    const maxLoad = Math.max(...result.fingers.map(f => f.load));
+
+    analysisDisplay.innerHTML = `
+      <table class="analysis-table">
+        <tbody>
+          ${ANALYSIS_METRICS
+            .map(metric => `<tr data-metric="${metric.id}"><td>${metric.label}</td><td>${percent(result[metric.key])}</td></tr>`)
+            .join('')}
+          <tr data-metric="effort"><td>Effort per key</td><td>${result.effort.toFixed(2)}</td></tr>
+          <tr data-metric="hands"><td>Left / right</td><td>${percent(result.hands.left)} / ${percent(result.hands.right)}</td></tr>
+          ${result.unmapped > 0 ? `<tr data-metric="unmapped"><td>Not on layout</td><td>${percent(result.unmapped)}</td></tr>` : ''}
+        </tbody>
+      </table>
+      <div class="finger-bars analysis-fingers">
+        ${result.fingers
+          .map(f => `
+            <div class="finger-bar" data-finger="${f.finger}" title="${f.name}: ${percent(f.load)} of keys">
+              <span class="finger-share">${Math.round(f.load * 100)}</span>
+              <span class="finger-fill" style="height: ${maxLoad > 0 ? Math.round((f.load / maxLoad) * 100) : 0}%; background: ${FINGER_COLORS[f.finger]}"></span>
+            </div>`)
+          .join('')}
+      </div>
+    `;
+  }
+
   /**
    * Show validation error
    * @param {string} message
@@ -502,17 +1027,27 @@ export function createLayoutEditorView(container, options = {}) {
   }
 
   /**
-   * Show ZMK import modal
+   * Show firmware keymap import modal
+   * Accepts ZMK keymaps, QMK keymap.c files and QMK Configurator JSON.
    */
   function showZmkImportModal() {
     const modal = document.createElement('div');
-    modal.className = 'zmk-import-modal';
+    modal.className = 'import-modal zmk-import-modal';
     modal.innerHTML = `
       <div class="modal-backdrop"></div>
       <div class="modal-content">
-        <h2>Import ZMK Keymap</h2>
-        <p>Paste your ZMK keymap file content below:</p>
-        <textarea class="zmk-textarea" placeholder="/ {
+        <h2>Import Firmware Keymap</h2>
+        <p>Paste a ZMK keymap, QMK keymap.c or QMK Configurator keymap.json below:</p>
+        <div class="setting-group">
+          <label for="zmk-physical">Physical layout</label>
+          <select id="zmk-physical" class="zmk-physical-select">
+            <option value="">Detect from keymap</option>
+            ${Object.keys(getBuiltinPhysicalLayouts())
+              .map(name => `<option value="${name}">${name}</option>`)
+              .join('')}
+          </select>
+        </div>
+        <textarea class="import-textarea zmk-textarea" placeholder="/ {
     keymap {
         compatible = &quot;zmk,keymap&quot;;
         default_layer {
@@ -532,6 +1067,7 @@ export function createLayoutEditorView(container, options = {}) {
     container.appendChild(modal);
 
     const textarea = modal.querySelector('.zmk-textarea');
+    const physicalSelect = modal.querySelector('.zmk-physical-select');
     const applyBtn = modal.querySelector('[data-action="apply-zmk"]');
     const cancelBtn = modal.querySelector('[data-action="cancel-zmk"]');
     const backdrop = modal.querySelector('.modal-backdrop');
@@ -542,23 +1078,30 @@ export function createLayoutEditorView(container, options = {}) {
 
     const applyZmk = () => {
       const zmkContent = textarea.value;
-      const parsed = parseZmkKeymap(zmkContent);
+      const isQmk = isQmkKeymap(zmkContent);
+      const parsed = isQmk ? parseQmkKeymap(zmkContent) : parseZmkKeymap(zmkContent);
       
       if (parsed.layers.length === 0) {
-        alert('Could not parse ZMK keymap. Please check the format.');
+        alert(`Could not parse ${isQmk ? 'QMK' : 'ZMK'} keymap. Please check the format.`);
         return;
       }
 
-      // Convert to Ktute format
-      const keys = parsed.layers[0].keys;
-      const newLayout = generateLayoutFromKeys(keys);
+      // Convert to Ktute format, keeping every layer and hold-tap
+      const { keys, layers } = zmkToKtuteLayout(parsed);
+      const physicalName = physicalSelect.value;
+      const physical = isQmk
+        ? resolveQmkPhysical(parsed, keys.length, physicalName)
+        : resolveImportPhysical(zmkContent, keys.length, physicalName);
+      if (!physical) {
+        alert(`The ${physicalName} layout does not have ${keys.length} keys. Pick another layout or detect from the keymap.`);
+        return;
+      }
+      const firmware = isQmk ? 'qmk' : 'zmk';
+      const newLayout = generateCombinedLayout(`${firmware}-import`, physical, layers.map(layer => layer.tokens));
       
-      editorTextarea.value = newLayout;
-      currentText = newLayout;
-      layoutName = 'Imported ZMK Layout';
+      layoutName = `Imported ${firmware.toUpperCase()} Layout`;
       nameInput.value = layoutName;
-      
-      updatePreview();
+      setText(newLayout);
       closeModal();
     };
 
@@ -570,137 +1113,121 @@ export function createLayoutEditorView(container, options = {}) {
   }
 
   /**
-   * Generate a layout definition from an array of keys
-   * @param {string[]} keys - Array of key labels
-   * @returns {string} Layout definition
+   * Show KLE import modal
    */
-  function generateLayoutFromKeys(keys) {
-    // Try to detect layout size
-    // Common sizes: 36 (3x6 + 3 thumb), 42 (3x6 + 3 thumb per hand), 44, 48
-    const count = keys.length;
-    
-    let rows, cols, thumbCount, split;
-    
-    if (count === 36) {
-      // Sweep/Ferris style: 3x5 + 2 thumb per hand
-      rows = 3;
-      cols = 5;
-      thumbCount = 3;
-      split = true;
-    } else if (count === 42) {
-      // Corne style: 3x6 + 3 thumb per hand
-      rows = 3;
-      cols = 6;
-      thumbCount = 3;
-      split = true;
-    } else if (count === 48) {
-      // Lily58 style: 4x6 + 4 thumb
-      rows = 4;
-      cols = 6;
-      thumbCount = 4;
-      split = true;
-    } else {
-      // Generic: assume 3 rows, figure out columns
-      rows = 3;
-      split = true;
-      thumbCount = Math.max(2, Math.floor(count / 10));
-      const mainKeys = count - (thumbCount * 2);
-      cols = Math.ceil(mainKeys / (rows * 2));
-    }
+  function showKleImportModal() {
+    const modal = document.createElement('div');
+    modal.className = 'import-modal kle-import-modal';
+    modal.innerHTML = `
+      <div class="modal-backdrop"></div>
+      <div class="modal-content">
+        <h2>Import KLE Layout</h2>
+        <p>Paste Keyboard Layout Editor raw data or downloaded JSON below. Key positions, sizes and rotations are kept; legends become key labels.</p>
+        <textarea class="import-textarea kle-textarea" placeholder='["Q","W","E","R","T"],
+[{x:0.25},"A","S","D","F","G"],
+[{r:15,rx:5,ry:3},"Space"]'></textarea>
+        <div class="modal-actions">
+          <button class="btn btn-primary" data-action="apply-kle">Import</button>
+          <button class="btn btn-secondary" data-action="cancel-kle">Cancel</button>
+        </div>
+      </div>
+    `;
 
-    // Build the layout string
-    let layout = `[layout:zmk-import]
-rows: ${rows}
-columns: ${cols},${cols}
-thumb: ${thumbCount},${thumbCount}
-split: ${split}
-stagger: none
+    container.appendChild(modal);
 
-`;
+    const textarea = modal.querySelector('.kle-textarea');
+    const applyBtn = modal.querySelector('[data-action="apply-kle"]');
+    const cancelBtn = modal.querySelector('[data-action="cancel-kle"]');
+    const backdrop = modal.querySelector('.modal-backdrop');
 
-    // Split keys into rows
-    const keysPerRow = cols * 2;
-    let keyIndex = 0;
-    
-    for (let r = 0; r < rows; r++) {
-      const leftKeys = [];
-      const rightKeys = [];
-      
-      for (let c = 0; c < cols; c++) {
-        if (keyIndex < keys.length) {
-          leftKeys.push(keys[keyIndex++]);
-        }
-      }
-      for (let c = 0; c < cols; c++) {
-        if (keyIndex < keys.length) {
-          rightKeys.push(keys[keyIndex++]);
-        }
+    const closeModal = () => {
+      modal.remove();
+    };
+
+    const applyKle = () => {
+      const imported = kleToKtuteLayout(parseKle(textarea.value));
+      if (!imported) {
+        alert('Could not parse KLE data. Please check the format.');
+        return;
       }
-      
-      layout += `row${r}: ${leftKeys.join(' ')} | ${rightKeys.join(' ')}\n`;
+
+      const newLayout = generateCombinedLayout('kle-import', imported.physical, [imported.keys]);
+
+      layoutName = 'Imported KLE Layout';
+      nameInput.value = layoutName;
+      setText(newLayout);
+      closeModal();
+    };
+
+    applyBtn.addEventListener('click', applyKle);
+    cancelBtn.addEventListener('click', closeModal);
+    backdrop.addEventListener('click', closeModal);
+
+    textarea.focus();
+  }
+
+  /**
+   * Work out the physical layout to map imported keys onto
+   * A chosen built-in layout wins; otherwise the keymap's own physical
+   * layout or matrix transform is used, then a guess from the key count.
+   * @param {string} content - Pasted ZMK content
+   * @param {number} keyCount - Keys per layer in the keymap
+   * @param {string} [builtinName] - Built-in physical layout to use
+   * @returns {Object|null} Physical layout, or null if the chosen one does not fit
+   */
+  function resolveImportPhysical(content, keyCount, builtinName) {
+    if (builtinName) {
+      const physical = getBuiltinPhysical(builtinName);
+      return physical?.keys.length === keyCount ? physical : null;
     }
 
-    // Thumb row
-    const leftThumb = [];
-    const rightThumb = [];
-    for (let t = 0; t < thumbCount; t++) {
-      if (keyIndex < keys.length) {
-        leftThumb.push(keys[keyIndex++]);
-      }
+    const keyAttrs = parseZmkPhysicalLayout(content);
+    if (keyAttrs?.length === keyCount) {
+      return physicalFromKeyAttrs(keyAttrs);
     }
-    for (let t = 0; t < thumbCount; t++) {
-      if (keyIndex < keys.length) {
-        rightThumb.push(keys[keyIndex++]);
-      }
+
+    const matrix = parseZmkMatrixTransform(content);
+    if (matrix?.length === keyCount) {
+      return physicalFromMatrix(matrix);
     }
-    layout += `thumb: ${leftThumb.join(' ')} | ${rightThumb.join(' ')}\n`;
 
-    // Add finger assignments
-    layout += `\nfingers:\n`;
-    
-    // Generate finger pattern for each row
-    // Left hand: 0=pinky, 1=ring, 2=middle, 3=index, 4=thumb
-    // Right hand: 5=thumb, 6=index, 7=middle, 8=ring, 9=pinky
-    const generateFingerRow = (numCols) => {
-      const leftFingers = [];
-      const rightFingers = [];
-      
-      for (let c = 0; c < numCols; c++) {
-        // Map column to finger (pinky=0, ring=1, middle=2, index=3,4)
-        if (c === 0) leftFingers.push(0);
-        else if (c === 1) leftFingers.push(1);
-        else if (c === 2) leftFingers.push(2);
-        else leftFingers.push(3); // index handles rest
-      }
-      
-      for (let c = 0; c < numCols; c++) {
-        // Right hand mirror (index=6, middle=7, ring=8, pinky=9)
-        const fromRight = numCols - 1 - c;
-        if (fromRight === 0) rightFingers.push(9);
-        else if (fromRight === 1) rightFingers.push(8);
-        else if (fromRight === 2) rightFingers.push(7);
-        else rightFingers.push(6); // index handles rest
-      }
-      
-      return `${leftFingers.join(' ')} | ${rightFingers.join(' ')}`;
-    };
-    
-    for (let r = 0; r < rows; r++) {
-      layout += `row${r}: ${generateFingerRow(cols)}\n`;
+    return guessPhysical(keyCount);
+  }
+
+  /**
+   * Work out the physical layout for an imported QMK keymap
+   * A chosen built-in layout wins; otherwise the built-in layout for the
+   * Configurator keyboard, the shape in the LAYOUT_split_RxC_T macro name,
+   * then a guess from the key count.
+   * @param {Object} parsed - Parsed QMK keymap
+   * @param {number} keyCount - Keys per layer in the keymap
+   * @param {string} [builtinName] - Built-in physical layout to use
+   * @returns {Object|null} Physical layout, or null if the chosen one does not fit
+   */
+  function resolveQmkPhysical(parsed, keyCount, builtinName) {
+    if (builtinName) {
+      return resolveImportPhysical('', keyCount, builtinName);
+    }
+
+    const boardName = getQmkBuiltinPhysicalName(parsed.keyboard);
+    const board = boardName && getBuiltinPhysical(boardName);
+    if (board?.keys.length === keyCount) {
+      return board;
+    }
+
+    const shape = parseQmkLayoutName(parsed.layout);
+    if (shape && (shape.rows * shape.cols + shape.thumbs) * 2 === keyCount) {
+      return gridPhysical(shape.rows, shape.cols, shape.thumbs);
     }
-    
-    // Thumb row - all thumbs (4 for left, 5 for right)
-    const leftThumbFingers = Array(thumbCount).fill(4).join(' ');
-    const rightThumbFingers = Array(thumbCount).fill(5).join(' ');
-    layout += `thumb: ${leftThumbFingers} | ${rightThumbFingers}\n`;
 
-    return layout;
+    return guessPhysical(keyCount);
   }
 
   /**
    * Clean up event listeners
    */
   function destroy() {
+    unsubscribeHistory?.();
     handlers.forEach(({ element, event, handler }) => {
       element.removeEventListener(event, handler);
     });
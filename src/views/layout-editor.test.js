@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { createLayoutEditorView } from './layout-editor.js';
 import { storage } from '../core/storage.js';
 
@@ -36,6 +36,429 @@ describe('Layout Editor View', () => {
     });
   });
 
+  describe('layout analysis', () => {
+    it('should analyze the previewed layout', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const panel = container.querySelector('.layout-analysis');
+      expect(panel.querySelector('[data-metric="same-finger"]').textContent).toMatch(/\d+\.\d%/);
+      expect(panel.querySelectorAll('.finger-bar')).toHaveLength(10);
+      destroy();
+    });
+
+    it('should re-analyze against another corpus', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      editor.value = `[layout:home]
+rows: 1
+columns: 4,4
+split: true
+
+row0: a s d f | j k l ;
+
+fingers:
+row0: 0 1 2 3 | 6 7 8 9
+`;
+      editor.dispatchEvent(new Event('input'));
+      expect(container.querySelector('[data-metric="unmapped"]')).not.toBeNull();
+
+      const select = container.querySelector('[data-action="analysis-corpus"]');
+      const before = container.querySelector('[data-metric="unmapped"]').textContent;
+      select.value = 'german';
+      select.dispatchEvent(new Event('change'));
+      expect(container.querySelector('[data-metric="unmapped"]').textContent).not.toBe(before);
+      destroy();
+    });
+
+    it('should ask for finger assignments when there are none', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      editor.value = `[layout:bare]
+rows: 1
+columns: 2,2
+split: true
+
+row0: a s | j k
+`;
+      editor.dispatchEvent(new Event('input'));
+      expect(container.querySelector('.analysis-results').textContent).toContain('fingers:');
+      destroy();
+    });
+  });
+
+  describe('visual key editing', () => {
+    const LAYOUT = `[layout:visual]
+rows: 1
+columns: 3,3
+split: true
+
+# Home row
+row0: a s d | j k l
+
+fingers:
+row0: 1 2 3 | 6 7 8
+`;
+
+    /**
+     * Press and release the mouse over preview keys
+     * @param {HTMLElement} container
+     * @param {number} from - Key pressed
+     * @param {number} [to=from] - Key released over
+     */
+    function drag(container, from, to = from) {
+      const key = (index) => container.querySelector(`.editor-preview [data-index="${index}"]`);
+      key(from).dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+      key(to).dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+    }
+
+    let view;
+    let editor;
+
+    beforeEach(() => {
+      view = createLayoutEditorView(container);
+      editor = container.querySelector('.layout-text-editor');
+      editor.value = LAYOUT;
+      editor.dispatchEvent(new Event('input'));
+    });
+
+    it('should open a clicked key in the key panel', () => {
+      drag(container, 1);
+      const input = container.querySelector('[data-action="key-label"]');
+      expect(input.value).toBe('s');
+      expect(container.querySelector('.editor-preview [data-index="1"]').classList.contains('selected')).toBe(true);
+      expect(container.querySelector('.finger-swatch[aria-pressed="true"]').getAttribute('data-finger')).toBe('2');
+      view.destroy();
+    });
+
+    it('should relabel the selected key in the text', () => {
+      drag(container, 1);
+      const input = container.querySelector('[data-action="key-label"]');
+      input.value = 'x';
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+
+      expect(editor.value).toBe(LAYOUT.replace('a s d', 'a x d'));
+      expect(container.querySelector('.editor-preview [data-key="x"]')).not.toBeNull();
+      expect(container.querySelector('.editor-preview [data-index="1"]').classList.contains('selected')).toBe(true);
+      view.destroy();
+    });
+
+    it('should show an error for a label that cannot be written', () => {
+      drag(container, 1);
+      const input = container.querySelector('[data-action="key-label"]');
+      input.value = 'a | b';
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+
+      expect(editor.value).toBe(LAYOUT);
+      expect(container.querySelector('.validation-error').style.display).toBe('block');
+      view.destroy();
+    });
+
+    it('should swap two keys dragged onto each other', () => {
+      drag(container, 0, 5);
+      expect(editor.value).toContain('row0: l s d | j k a');
+      expect(editor.value).toContain('# Home row');
+      expect(editor.value).toContain('row0: 1 2 3 | 6 7 8');
+      view.destroy();
+    });
+
+    it('should set the finger of the selected key from the palette', () => {
+      drag(container, 3);
+      container.querySelector('.finger-swatch[data-finger="5"]').click();
+      expect(editor.value).toContain('row0: 1 2 3 | 5 7 8');
+      expect(container.querySelector('.editor-preview [data-index="3"]').getAttribute('data-finger')).toBe('5');
+      view.destroy();
+    });
+
+    it('should deselect the key on Escape', () => {
+      drag(container, 1);
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+      expect(container.querySelector('[data-action="key-label"]')).toBeNull();
+      expect(container.querySelector('.editor-preview .selected')).toBeNull();
+      view.destroy();
+    });
+  });
+
+  describe('edit history', () => {
+    /**
+     * Type new layout text into the editor
+     * @param {HTMLTextAreaElement} editor
+     * @param {string} text
+     */
+    function type(editor, text) {
+      editor.value = text;
+      editor.dispatchEvent(new Event('input'));
+    }
+
+    /**
+     * Press a Ctrl shortcut
+     * @param {string} key
+     * @param {boolean} [shiftKey=false]
+     */
+    function pressCtrl(key, shiftKey = false) {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key, ctrlKey: true, shiftKey }));
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should undo and redo typing with Ctrl+Z and Ctrl+Shift+Z', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      const original = editor.value;
+
+      type(editor, `${original}# one`);
+      vi.advanceTimersByTime(2000);
+      type(editor, `${original}# two`);
+
+      pressCtrl('z');
+      expect(editor.value).toBe(`${original}# one`);
+      pressCtrl('z');
+      expect(editor.value).toBe(original);
+      pressCtrl('Z', true);
+      expect(editor.value).toBe(`${original}# one`);
+      destroy();
+    });
+
+    it('should merge quick typing into one undo step', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      const original = editor.value;
+
+      type(editor, `${original}#`);
+      type(editor, `${original}#a`);
+      type(editor, `${original}#ab`);
+      pressCtrl('z');
+      expect(editor.value).toBe(original);
+      destroy();
+    });
+
+    it('should undo visual edits and keep the buttons in step', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      const original = editor.value;
+      const undoBtn = container.querySelector('[data-action="undo"]');
+      const redoBtn = container.querySelector('[data-action="redo"]');
+      expect(undoBtn.disabled).toBe(true);
+
+      const key = (index) => container.querySelector(`.editor-preview [data-index="${index}"]`);
+      key(1).dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+      key(2).dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+      expect(editor.value).not.toBe(original);
+      expect(undoBtn.disabled).toBe(false);
+
+      undoBtn.click();
+      expect(editor.value).toBe(original);
+      expect(redoBtn.disabled).toBe(false);
+
+      redoBtn.click();
+      expect(editor.value).toContain('row0: tab w q e');
+      destroy();
+    });
+
+    it('should leave undo in the name input to the browser', () => {
+      document.body.appendChild(container);
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      const original = editor.value;
+      type(editor, `${original}# edit`);
+
+      const nameInput = container.querySelector('#layout-name');
+      nameInput.focus();
+      pressCtrl('z');
+      expect(editor.value).toBe(`${original}# edit`);
+      destroy();
+      container.remove();
+    });
+
+    it('should leave undo in the import textareas to the browser', () => {
+      document.body.appendChild(container);
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      const original = editor.value;
+      editor.value = `${original}# edit`;
+      editor.dispatchEvent(new Event('input'));
+
+      for (const action of ['import-zmk', 'import-kle']) {
+        container.querySelector(`[data-action="${action}"]`).click();
+        const textarea = container.querySelector('.import-modal textarea');
+        textarea.focus();
+        const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true });
+        textarea.dispatchEvent(event);
+
+        expect(event.defaultPrevented).toBe(false);
+        expect(editor.value).toBe(`${original}# edit`);
+        container.querySelector('.import-modal .modal-backdrop').click();
+      }
+      destroy();
+      container.remove();
+    });
+  });
+
+  describe('drafts', () => {
+    it('should autosave unsaved changes and offer them when the editor reopens', () => {
+      const first = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      const edited = `${editor.value}# unsaved`;
+      editor.value = edited;
+      editor.dispatchEvent(new Event('input'));
+      first.destroy();
+
+      const second = createLayoutEditorView(container);
+      const recovery = container.querySelector('.draft-recovery');
+      expect(recovery.hidden).toBe(false);
+      expect(recovery.querySelector('.draft-name').textContent).toBe('My Custom Layout');
+
+      recovery.querySelector('[data-action="restore-draft"]').click();
+      expect(container.querySelector('.layout-text-editor').value).toBe(edited);
+      expect(container.querySelector('.draft-recovery').hidden).toBe(true);
+
+      // Undo goes back to the layout as it was before the draft
+      container.querySelector('[data-action="undo"]').click();
+      expect(container.querySelector('.layout-text-editor').value).not.toContain('# unsaved');
+      second.destroy();
+    });
+
+    it('should restore a draft of a built-in copy on top of that built-in layout', () => {
+      const first = createLayoutEditorView(container);
+      const load = container.querySelector('[data-action="load-builtin"]');
+      load.value = 'corne-qwerty';
+      load.dispatchEvent(new Event('change'));
+      const editor = container.querySelector('.layout-text-editor');
+      const builtin = editor.value;
+      editor.value = `${builtin}# unsaved`;
+      editor.dispatchEvent(new Event('input'));
+      first.destroy();
+
+      const second = createLayoutEditorView(container);
+      container.querySelector('[data-action="restore-draft"]').click();
+      expect(container.querySelector('.layout-text-editor').value).toBe(`${builtin}# unsaved`);
+
+      container.querySelector('[data-action="undo"]').click();
+      expect(container.querySelector('.layout-text-editor').value).toBe(builtin);
+      second.destroy();
+    });
+
+    it('should discard a draft', () => {
+      const first = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      editor.value = `${editor.value}# unsaved`;
+      editor.dispatchEvent(new Event('input'));
+      first.destroy();
+
+      const second = createLayoutEditorView(container);
+      container.querySelector('[data-action="discard-draft"]').click();
+      expect(container.querySelector('.draft-recovery').hidden).toBe(true);
+      expect(storage.get('layout-drafts')).toEqual({});
+      second.destroy();
+    });
+
+    it('should drop the draft once the layout is saved', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      editor.value = `${editor.value}# saved`;
+      editor.dispatchEvent(new Event('input'));
+      expect(Object.keys(storage.get('layout-drafts'))).toHaveLength(1);
+
+      container.querySelector('[data-action="save"]').click();
+      expect(storage.get('layout-drafts')).toEqual({});
+      destroy();
+    });
+
+    it('should keep drafts per layout and reopen a custom layout with its draft', () => {
+      const definition = '[layout:mine]\nrows: 1\ncolumns: 2,2\nsplit: true\n\nrow0: a s | j k\n';
+      storage.set('custom-layouts', { mine: { name: 'Mine', definition, custom: true } });
+
+      const first = createLayoutEditorView(container);
+      const load = container.querySelector('[data-action="load-custom"]');
+      load.value = 'mine';
+      load.dispatchEvent(new Event('change'));
+      const editor = container.querySelector('.layout-text-editor');
+      editor.value = definition.replace('a s', 'a x');
+      editor.dispatchEvent(new Event('input'));
+      first.destroy();
+
+      expect(storage.get('layout-drafts').mine.definition).toContain('row0: a x | j k');
+
+      const second = createLayoutEditorView(container);
+      const reload = container.querySelector('[data-action="load-custom"]');
+      reload.value = 'mine';
+      reload.dispatchEvent(new Event('change'));
+      expect(container.querySelector('.layout-text-editor').value).toContain('row0: a x | j k');
+      expect(container.querySelector('#layout-name').value).toBe('Mine');
+      second.destroy();
+    });
+  });
+
+  describe('diagnostics', () => {
+    const LAYOUT = `[layout:checked]
+rows: 1
+columns: 3,3
+split: true
+
+row0: a s | j k l
+
+fingers:
+row0: 1 2 x | 6 7 8
+`;
+
+    it('should list the problems in the layout with their positions', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      editor.value = LAYOUT;
+      editor.dispatchEvent(new Event('input'));
+
+      const items = [...container.querySelectorAll('.layout-diagnostics .diagnostic')];
+      expect(items.map(item => item.getAttribute('data-severity'))).toEqual(['warning', 'warning', 'error']);
+      expect(items[0].textContent).toContain('row0 left half has 2 keys but columns says 3');
+      expect(items[0].querySelector('.diagnostic-position').textContent).toBe('6:7');
+      expect(items[1].textContent).toContain('fingers row0 has 6 values for 5 keys');
+      expect(items[2].textContent).toContain("Finger 'x' should be 0-9 or '.'");
+      destroy();
+    });
+
+    it('should move the cursor to a clicked diagnostic', () => {
+      document.body.appendChild(container);
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      editor.value = LAYOUT;
+      editor.dispatchEvent(new Event('input'));
+
+      container.querySelector('.diagnostic[data-severity="error"] button').click();
+      expect(document.activeElement).toBe(editor);
+      expect(editor.selectionStart).toBe(LAYOUT.indexOf('x |'));
+      destroy();
+      container.remove();
+    });
+
+    it('should not save a layout with errors', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const editor = container.querySelector('.layout-text-editor');
+      editor.value = LAYOUT;
+      editor.dispatchEvent(new Event('input'));
+
+      container.querySelector('[data-action="save"]').click();
+      expect(storage.get('custom-layouts')).toBeNull();
+
+      editor.value = LAYOUT.replace('1 2 x', '1 2 3');
+      editor.dispatchEvent(new Event('input'));
+      container.querySelector('[data-action="save"]').click();
+      expect(Object.keys(storage.get('custom-layouts'))).toHaveLength(1);
+      destroy();
+    });
+
+    it('should list no problems for the default layout', () => {
+      const { destroy } = createLayoutEditorView(container);
+      const severities = [...container.querySelectorAll('.layout-diagnostics .diagnostic')]
+        .map(item => item.getAttribute('data-severity'));
+      expect(severities.every(severity => severity === 'info')).toBe(true);
+      destroy();
+    });
+  });
+
   describe('combined layout editor', () => {
     it('should show default combined layout template', () => {
       createLayoutEditorView(container);
@@ -148,6 +571,39 @@ row1: 1 2 3 | 6 7 8
       const exportBtn = container.querySelector('[data-action="export"]');
       expect(exportBtn).not.toBeNull();
     });
+
+    it('should download the layout as a ZMK keymap', () => {
+      const createObjectURL = vi.fn(() => 'blob:keymap');
+      const revokeObjectURL = vi.fn();
+      vi.stubGlobal('URL', { createObjectURL, revokeObjectURL });
+      const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="export-zmk"]').click();
+
+      expect(createObjectURL).toHaveBeenCalledTimes(1);
+      expect(clickSpy).toHaveBeenCalledTimes(1);
+      expect(clickSpy.mock.contexts[0].download).toMatch(/\.keymap$/);
+
+      clickSpy.mockRestore();
+      vi.unstubAllGlobals();
+    });
+
+    it('should download the layout as KLE JSON', () => {
+      const createObjectURL = vi.fn(() => 'blob:kle');
+      const revokeObjectURL = vi.fn();
+      vi.stubGlobal('URL', { createObjectURL, revokeObjectURL });
+      const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="export-kle"]').click();
+
+      expect(createObjectURL).toHaveBeenCalledTimes(1);
+      expect(clickSpy.mock.contexts[0].download).toMatch(/\.kle\.json$/);
+
+      clickSpy.mockRestore();
+      vi.unstubAllGlobals();
+    });
   });
 
   describe('import functionality', () => {
@@ -227,6 +683,144 @@ row1: 1 2 3 | 6 7 8
       expect(editor.value).toContain('w');
       expect(editor.value).toContain('e');
     });
+
+    it('should import every ZMK layer with hold-taps', () => {
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="import-zmk"]').click();
+
+      const textarea = container.querySelector('.zmk-import-modal textarea');
+      textarea.value = `
+/ {
+    keymap {
+        default_layer {
+            bindings = <
+                &kp Q &mt LGUI A &kp S &kp D &kp F &kp G
+                &lt 1 SPACE &kp RET
+            >;
+        };
+        lower_layer {
+            bindings = <
+                &kp N1 &kp N2 &kp N3 &kp N4 &kp N5 &kp N6
+                &trans &trans
+            >;
+        };
+    };
+};`;
+      container.querySelector('.zmk-import-modal [data-action="apply-zmk"]').click();
+
+      const editor = container.querySelector('.layout-text-editor');
+      expect(editor.value).toContain('a/lgui');
+      expect(editor.value).toContain('spc/mo1');
+      expect(editor.value).toContain('[layer:1]');
+      expect(editor.value.split('[layer:1]')[1]).toContain('row0: 1');
+    });
+
+    it('should map imported keys onto a chosen built-in physical layout', () => {
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="import-zmk"]').click();
+
+      const bindings = Array.from({ length: 34 }, () => '&kp A').join(' ');
+      container.querySelector('.zmk-import-modal textarea').value = `
+/ { keymap { default_layer { bindings = < ${bindings} >; }; }; };`;
+      const select = container.querySelector('.zmk-physical-select');
+      select.value = 'sweep';
+      container.querySelector('.zmk-import-modal [data-action="apply-zmk"]').click();
+
+      const editor = container.querySelector('.layout-text-editor');
+      expect(editor.value).toContain('columns: 5,5');
+      expect(editor.value).toContain('thumb: a a | a a');
+    });
+
+    it('should use the matrix transform when the keymap has one', () => {
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="import-zmk"]').click();
+
+      container.querySelector('.zmk-import-modal textarea').value = `
+/ {
+    default_transform {
+        compatible = "zmk,matrix-transform";
+        map = < RC(0,0) RC(0,1) RC(0,2) RC(0,3) RC(1,1) RC(1,2) >;
+    };
+    keymap { default_layer { bindings = < &kp Q &kp W &kp E &kp R &kp SPACE &kp RET >; }; };
+};`;
+      container.querySelector('.zmk-import-modal [data-action="apply-zmk"]').click();
+
+      const editor = container.querySelector('.layout-text-editor');
+      expect(editor.value).toContain('row0: q w | e r');
+      expect(editor.value).toContain('thumb: spc | ent');
+    });
+
+    it('should import a QMK keymap.c using the layout macro shape', () => {
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="import-zmk"]').click();
+
+      container.querySelector('.zmk-import-modal textarea').value = `
+#include QMK_KEYBOARD_H
+const uint16_t PROGMEM keymaps[][MATRIX_ROWS][MATRIX_COLS] = {
+    [0] = LAYOUT_split_1x2_1(
+        KC_Q, LSFT_T(KC_W),    KC_O, KC_P,
+                    LT(1, KC_SPC),    KC_ENT
+    ),
+    [1] = LAYOUT_split_1x2_1(
+        KC_1, KC_2,    KC_9, KC_0,
+                    _______,    _______
+    )
+};`;
+      container.querySelector('.zmk-import-modal [data-action="apply-zmk"]').click();
+
+      const editor = container.querySelector('.layout-text-editor');
+      expect(container.querySelector('.zmk-import-modal')).toBeNull();
+      expect(editor.value).toContain('row0: q w/lsft | o p');
+      expect(editor.value).toContain('thumb: spc/mo1 | ent');
+      expect(editor.value.split('[layer:1]')[1]).toContain('row0: 1 2 | 9 0');
+    });
+
+    it('should import QMK Configurator JSON onto the matching built-in board', () => {
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="import-zmk"]').click();
+
+      container.querySelector('.zmk-import-modal textarea').value = JSON.stringify({
+        keyboard: 'ferris/sweep',
+        keymap: 'default',
+        layout: 'LAYOUT',
+        layers: [Array(34).fill('KC_A')],
+      });
+      container.querySelector('.zmk-import-modal [data-action="apply-zmk"]').click();
+
+      const editor = container.querySelector('.layout-text-editor');
+      expect(editor.value).toContain('columns: 5,5');
+      expect(editor.value).toContain('thumb: a a | a a');
+    });
+  });
+
+  describe('KLE import', () => {
+    it('should import KLE geometry and legends', () => {
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="import-kle"]').click();
+
+      const modal = container.querySelector('.kle-import-modal');
+      expect(modal).not.toBeNull();
+      modal.querySelector('textarea').value = `["Q","W",{x:2},"O","P"],
+[{y:0.5,x:1},"Space",{x:2},"Enter"],
+[{r:20,rx:1,ry:2},"Tab"]`;
+      modal.querySelector('[data-action="apply-kle"]').click();
+
+      const editor = container.querySelector('.layout-text-editor');
+      expect(container.querySelector('.kle-import-modal')).toBeNull();
+      expect(editor.value).toContain('row0: q w | o p');
+      expect(editor.value).toContain('geometry:');
+      expect(editor.value).toContain('thumb: spc tab | ent');
+      expect(editor.value).toContain('1,2,1,1,20,1,2');
+      expect(container.querySelector('.editor-preview [data-key="tab"]').getAttribute('transform'))
+        .toMatch(/^rotate\(20 /);
+    });
+
+    it('should close the KLE modal on cancel', () => {
+      createLayoutEditorView(container);
+      container.querySelector('[data-action="import-kle"]').click();
+      container.querySelector('.kle-import-modal [data-action="cancel-kle"]').click();
+      expect(container.querySelector('.kle-import-modal')).toBeNull();
+    });
   });
 
   describe('destroy', () => {
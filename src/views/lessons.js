@@ -0,0 +1,188 @@
+/**
+ * Lessons View
+ * Progressive lessons for the active layout
+ */
+
+import { preferences } from '../core/preferences.js';
+import { getLayout } from '../keyboard/combined-layouts.js';
+import { createKeyboardRenderer } from '../keyboard/renderer.js';
+import { parseCombinedLayout } from '../keyboard/layout-parser.js';
+import { createLessons } from '../engine/lesson-system.js';
+
+/**
+ * Create the lessons view
+ * @param {HTMLElement} container - Container element
+ * @param {Object} [options={}] - View options
+ * @param {Function} [options.onStart] - Called with the chosen lesson
+ * @param {Function} [options.onBack] - Called when leaving the view
+ * @returns {Object} View controller with destroy method
+ */
+export function createLessonsView(container, options = {}) {
+  const { onStart, onBack } = options;
+
+  const layoutId = preferences.getLayout();
+  const layout = getLayout(layoutId) || getLayout('corne-colemak-dh');
+
+  let lessons = [];
+  let selectedIndex = 0;
+  let renderer = null;
+  let listElement = null;
+
+  // Event handlers (for cleanup)
+  const handlers = [];
+
+  /**
+   * Initialize the view
+   */
+  function init() {
+    container.innerHTML = '';
+
+    const { physical, mapping } = parseCombinedLayout(layout.definition);
+    lessons = createLessons(physical, mapping);
+
+    const view = document.createElement('main');
+    view.setAttribute('data-view', 'lessons');
+    view.className = 'lessons-view';
+
+    view.innerHTML = `
+      <header class="lessons-header">
+        <h1>Lessons</h1>
+        <p class="subtitle">${layout.name}</p>
+      </header>
+
+      <section class="lessons-section">
+        ${lessons.length === 0
+          ? '<p class="hint">This layout has no letter keys to build lessons from.</p>'
+          : `<ol class="lesson-list">
+              ${lessons
+                .map(
+                  (lesson, index) => `
+                  <li class="lesson-item" data-lesson="${lesson.id}" data-index="${index}">
+                    <span class="lesson-number">${lesson.number}</span>
+                    <span class="lesson-name">${lesson.name}</span>
+                    <span class="lesson-keys">${lesson.keys.join(' ')}</span>
+                  </li>`
+                )
+                .join('')}
+            </ol>`}
+      </section>
+
+      <section class="lessons-section">
+        <p class="lesson-description"></p>
+        <div class="keyboard-preview"></div>
+      </section>
+
+      <nav class="lessons-nav">
+        <p class="hint"><kbd>↑</kbd><kbd>↓</kbd> choose • <kbd>Enter</kbd> or <kbd>1-9</kbd> start • <kbd>Escape</kbd> back</p>
+      </nav>
+    `;
+
+    container.appendChild(view);
+
+    listElement = view.querySelector('.lesson-list');
+    renderer = createKeyboardRenderer(view.querySelector('.keyboard-preview'));
+    renderer.render(physical, mapping, { showFingers: true });
+
+    bindEvents();
+    updateSelection();
+  }
+
+  /**
+   * Bind event handlers
+   */
+  function bindEvents() {
+    const handleClick = (e) => {
+      const item = e.target.closest('[data-lesson]');
+      if (!item) return;
+      selectedIndex = parseInt(item.dataset.index, 10);
+      start();
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        if (onBack) {
+          onBack();
+        } else {
+          window.location.hash = '/';
+        }
+        return;
+      }
+
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const delta = e.key === 'ArrowDown' ? 1 : -1;
+        selectedIndex = Math.max(0, Math.min(lessons.length - 1, selectedIndex + delta));
+        updateSelection();
+        return;
+      }
+
+      if (e.key === 'Enter') {
+        start();
+        return;
+      }
+
+      const number = parseInt(e.key, 10);
+      if (number >= 1 && number <= lessons.length) {
+        selectedIndex = number - 1;
+        start();
+      }
+    };
+
+    if (listElement) {
+      listElement.addEventListener('click', handleClick);
+      handlers.push({ element: listElement, event: 'click', handler: handleClick });
+    }
+
+    document.addEventListener('keydown', handleKeyDown);
+    handlers.push({ element: document, event: 'keydown', handler: handleKeyDown });
+  }
+
+  /**
+   * Reflect the selected lesson in the list and keyboard preview
+   */
+  function updateSelection() {
+    const lesson = lessons[selectedIndex];
+    if (!lesson) return;
+
+    container.querySelectorAll('.lesson-item').forEach((item, index) => {
+      item.classList.toggle('selected', index === selectedIndex);
+    });
+
+    container.querySelector('.lesson-description').textContent = lesson.description;
+
+    // Known keys stay lit, the keys this lesson introduces are marked
+    renderer.clearHighlights();
+    lesson.allowedKeys
+      .filter(key => !lesson.keys.includes(key))
+      .forEach(key => renderer.markKey(key, 'correct'));
+    lesson.keys.forEach(key => renderer.highlightKey(key));
+  }
+
+  /**
+   * Start the selected lesson
+   */
+  function start() {
+    const lesson = lessons[selectedIndex];
+    if (lesson && onStart) {
+      onStart(lesson);
+    }
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  function destroy() {
+    handlers.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    handlers.length = 0;
+  }
+
+  // Initialize
+  init();
+
+  return {
+    destroy,
+    getLessons: () => lessons,
+  };
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createLessonsView } from './lessons.js';
+import { storage } from '../core/storage.js';
+
+describe('Lessons View', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    storage.clear();
+  });
+
+  it('should render lessons view with data-view attribute', () => {
+    const { destroy } = createLessonsView(container);
+    expect(container.querySelector('[data-view="lessons"]')).not.toBeNull();
+    destroy();
+  });
+
+  it('should list lessons for the active layout', () => {
+    const { destroy, getLessons } = createLessonsView(container);
+    const items = container.querySelectorAll('.lesson-item');
+    expect(items.length).toBe(getLessons().length);
+    expect(items[0].dataset.lesson).toBe('home-row');
+    destroy();
+  });
+
+  it('should highlight the selected lesson keys on the keyboard', () => {
+    const { destroy } = createLessonsView(container);
+    const active = container.querySelectorAll('.key.active');
+    expect(active.length).toBeGreaterThan(0);
+    destroy();
+  });
+
+  it('should start a lesson with Enter', () => {
+    const onStart = vi.fn();
+    const { destroy } = createLessonsView(container, { onStart });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(onStart).toHaveBeenCalledWith(expect.objectContaining({ id: 'home-row' }));
+    destroy();
+  });
+
+  it('should start a lesson by number', () => {
+    const onStart = vi.fn();
+    const { destroy } = createLessonsView(container, { onStart });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: '2' }));
+    expect(onStart).toHaveBeenCalledWith(expect.objectContaining({ number: 2 }));
+    destroy();
+  });
+
+  it('should move the selection with arrow keys', () => {
+    const { destroy } = createLessonsView(container);
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+    const items = container.querySelectorAll('.lesson-item');
+    expect(items[1].classList.contains('selected')).toBe(true);
+    destroy();
+  });
+
+  it('should go back on Escape', () => {
+    const onBack = vi.fn();
+    const { destroy } = createLessonsView(container, { onBack });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(onBack).toHaveBeenCalled();
+    destroy();
+  });
+});
@@ -4,27 +4,107 @@
  */
 import { createTypingEngine } from '../engine/typing-engine.js';
 import { createWordGenerator } from '../engine/word-generator.js';
-import { createStatisticsTracker } from '../engine/statistics.js';
+import { getWordList } from '../engine/word-lists.js';
+import {
+  createStatisticsTracker,
+  aggregateKeyStats,
+  aggregateNgramStats,
+  calculateWPM,
+  calculateAccuracy,
+} from '../engine/statistics.js';
+import { createSession } from '../engine/session.js';
+import { getQuote, normalizeText, splitPassages } from '../engine/text-sources.js';
+import { CODE_LANGUAGES, LANGUAGE_NAMES, getSnippet } from '../engine/code-snippets.js';
+import {
+  createReplayPlayer,
+  applyReplayEvent,
+  getGhostTimeline,
+  getGhostPosition,
+  getRunTime,
+  REPLAY_SPEEDS,
+} from '../engine/replay.js';
 import { createKeyboardRenderer } from '../keyboard/renderer.js';
 import { parseCombinedLayout } from '../keyboard/layout-parser.js';
+import { findKeyForChar } from '../keyboard/key-lookup.js';
 import { getLayout, getAllLayouts } from '../keyboard/combined-layouts.js';
 import { preferences } from '../core/preferences.js';
 
+/** Timed test lengths offered in the header, in seconds */
+export const TIME_LIMITS = [15, 30, 60, 120];
+
+// Timed tests keep at least this many characters queued past the cursor
+const TIMED_BUFFER_CHARS = 80;
+const TIMED_BATCH_WORDS = 10;
+
+// Adaptive practice looks at this many recent sessions on the same layout
+const ADAPTIVE_HISTORY_SESSIONS = 20;
+
+// How often the ghost caret moves during a race, in ms
+const GHOST_TICK_MS = 50;
+
+// How whitespace is drawn in the text display, and the class it gets
+const WHITESPACE_SYMBOLS = { ' ': '␣', '\t': '⇥', '\n': '↵' };
+const WHITESPACE_CLASSES = { '\t': 'tab', '\n': 'newline' };
+
+// Keys that type whitespace, by KeyboardEvent.key
+const WHITESPACE_KEYS = { Enter: '\n', Tab: '\t' };
+
+/**
+ * Describe how far ahead of or behind the ghost a race finished
+ * @param {number} margin - Ghost's time minus ours, in ms
+ * @returns {string}
+ */
+export function formatRaceMargin(margin) {
+  const seconds = (Math.abs(margin) / 1000).toFixed(1);
+  if (margin === 0) return 'Dead heat with your ghost';
+  return `${seconds}s ${margin > 0 ? 'ahead of' : 'behind'} your ghost`;
+}
+
 /**
  * Create the practice view
  * @param {HTMLElement} container - Container element
  * @param {Object} [options={}] - View options
+ * @param {number} [options.wordCount=20] - Number of words to practise
+ * @param {string} [options.mode='words'] - 'words' ends after wordCount words, 'timed' after timeLimit,
+ *   'quote' practises a built-in quote, 'custom' the next passage of the user's own text and
+ *   'code' a snippet in the chosen language
+ * @param {number} [options.timeLimit=30] - Seconds in a timed test
+ * @param {string[]} [options.allowedKeys] - Restrict words to these keys
+ * @param {string[]} [options.wordList] - Word list to draw from, instead of the word language's list
+ * @param {string} [options.lessonId] - Lesson being practised, if any
+ * @param {string} [options.title] - Heading shown above the stats
+ * @param {Object} [options.sessionManager] - Saves finished sessions to history
+ * @param {Object} [options.replay] - Saved session to play back instead of practising
+ * @param {Object} [options.ghost] - Saved session to race: its text, with a caret at its pace
+ * @param {Function} [options.onComplete] - Called with (stats, session)
+ * @param {Function} [options.onReplay] - Called with the finished session to watch its replay
+ * @param {Function} [options.onExit] - Called when leaving the view
  * @returns {Object} View controller
  */
 export function createPracticeView(container, options = {}) {
   const {
     wordCount = 20,
+    mode = 'words',
+    timeLimit = 30,
+    allowedKeys,
+    wordList,
+    lessonId = null,
+    title,
+    sessionManager,
+    replay = null,
+    ghost = null,
     onComplete,
+    onReplay,
     onExit,
   } = options;
   
-  // Get layout from preferences (combined layout system)
-  const layoutName = preferences.getLayout();
+  // Get layout and error handling from preferences, or from the session being replayed.
+  // Races handle indentation the way the ghost did, so both runs type the same keys.
+  const recorded = replay || ghost;
+  const layoutName = replay?.layoutUsed || preferences.getLayout();
+  const errorMode = replay ? replay.errorMode || 'free' : preferences.getErrorMode();
+  const indentation = recorded ? recorded.indentation || 'type' : preferences.getIndentation();
+  const wordLanguage = recorded ? recorded.wordLanguage || null : preferences.getWordLanguage();
   const layout = getLayout(layoutName) || getLayout('corne-colemak-dh');
 
   let engine = null;
@@ -32,12 +112,37 @@ export function createPracticeView(container, options = {}) {
   let renderer = null;
   let parsedLayout = null;
   let parsedMapping = null;
+  let session = null;
+  let generator = null;
   let isActive = false;
+  let isFinished = false;
+  // Races are always over the ghost's text
+  let testMode = ghost ? 'words' : mode;
+  let testTime = timeLimit;
+  let timerId = null;
+  let timerEnd = 0;
+  let player = null;
+  let replayCounts = null;
+  const ghostTimeline = ghost ? getGhostTimeline(ghost) : null;
+  let ghostPosition = 0;
+  let ghostTimerId = null;
+  let raceStart = 0;
+  // Where quote and custom text came from, shown under the text
+  let textSource = null;
+  let passage = 0;
+  let passageCount = 0;
+  // Snippet language of code practice, null for prose
+  let codeLanguage = recorded?.language || null;
 
   // DOM elements
   let textDisplay = null;
   let statsDisplay = null;
   let keyboardContainer = null;
+  // What the text display currently shows
+  let charElements = [];
+  let renderedText = null;
+  let shownPosition = 0;
+  let shownGhost = -1;
 
   /**
    * Initialize the view
@@ -48,17 +153,60 @@ export function createPracticeView(container, options = {}) {
     parsedLayout = physical;
     parsedMapping = mapping;
 
-    // Generate practice text
-    const generator = createWordGenerator();
-    const text = generator.generateText(wordCount);
+    if (replay) {
+      initReplay();
+      return;
+    }
+
+    if (testMode === 'custom' && !hasCustomText()) {
+      testMode = 'words';
+    }
+
+    // Generate practice text from a saved seed, so the session can be typed again.
+    // Races reuse the ghost's saved text: adaptive weights may have changed since.
+    const seed = ghost?.seed ?? Math.floor(Math.random() * 0x7fffffff);
+    generator = createWordGenerator({
+      allowedKeys,
+      wordList: wordList || getWordList(wordLanguage),
+      seed,
+      ...getAdaptiveStats(),
+    });
+    textSource = ghost?.source ?? null;
+    const text = ghost ? ghost.text : getSourceText(seed);
+    const isTimed = testMode === 'timed';
+
+    const sessionOptions = {
+      text,
+      mode: ghost ? 'race' : lessonId ? 'lesson' : testMode,
+      layoutUsed: layoutName,
+      mappingUsed: mapping.name,
+      lessonId,
+      wordCount: testMode === 'words' && !ghost ? wordCount : null,
+      timeLimit: isTimed ? testTime : null,
+      errorMode,
+      seed,
+      ghostId: ghost?.id ?? null,
+      source: textSource,
+      language: codeLanguage,
+      indentation,
+      wordLanguage,
+    };
+    session = sessionManager
+      ? sessionManager.startSession(sessionOptions)
+      : createSession(sessionOptions);
 
     // Create engine with callbacks
     engine = createTypingEngine({
+      errorMode,
+      indentation,
       onInput: handleInput,
       onComplete: handleComplete,
       onProgress: handleProgress,
     });
     engine.loadText(text);
+    isFinished = false;
+    ghostPosition = 0;
+    topUpText();
 
     // Create stats tracker
     stats = createStatisticsTracker();
@@ -70,6 +218,157 @@ export function createPracticeView(container, options = {}) {
     isActive = true;
   }
 
+  /**
+   * Check whether the user has saved any custom text
+   * @returns {boolean}
+   */
+  function hasCustomText() {
+    return normalizeText(preferences.getCustomText()).length > 0;
+  }
+
+  /**
+   * Get the text for a new test from the chosen source
+   * Quotes and snippets are picked by the seed; custom text is worked through a passage at a time.
+   * @param {number} seed
+   * @returns {string}
+   */
+  function getSourceText(seed) {
+    codeLanguage = null;
+    if (testMode === 'quote') {
+      const quote = getQuote(seed);
+      textSource = quote.source;
+      return quote.text;
+    }
+
+    if (testMode === 'code') {
+      codeLanguage = preferences.getCodeLanguage();
+      const snippet = getSnippet(codeLanguage, seed);
+      textSource = `${LANGUAGE_NAMES[codeLanguage] || codeLanguage} · ${snippet.name}`;
+      return snippet.code;
+    }
+
+    if (testMode === 'custom') {
+      const passages = splitPassages(normalizeText(preferences.getCustomText()));
+      passageCount = passages.length;
+      passage = preferences.getCustomPassage() % passageCount;
+      textSource = `Your text · passage ${passage + 1} of ${passageCount}`;
+      return passages[passage];
+    }
+
+    return generator.generateText(wordCount);
+  }
+
+  /**
+   * Set up playback of a saved session
+   * The keystroke log is fed into a fresh engine with the session's text and
+   * error mode, so the text display and keyboard show it exactly as typed.
+   */
+  function initReplay() {
+    session = replay;
+    testMode = 'words';
+    engine = createTypingEngine({
+      errorMode,
+      indentation,
+      onInput: handleInput,
+      onProgress: handleProgress,
+    });
+    engine.loadText(replay.text);
+    replayCounts = { chars: 0, errors: 0, t: 0 };
+
+    player = createReplayPlayer({
+      events: replay.keystrokes || [],
+      onEvent: playReplayEvent,
+      onEnd: updateReplayControls,
+    });
+
+    render();
+    player.play();
+    updateReplayControls();
+  }
+
+  /**
+   * Play one logged keystroke
+   * @param {Object} event
+   */
+  function playReplayEvent(event) {
+    if (event.type === 'char') {
+      replayCounts.chars++;
+      if (!event.correct) replayCounts.errors++;
+    }
+    replayCounts.t = event.t;
+    applyReplayEvent(engine, event);
+    handleProgress();
+  }
+
+  /**
+   * Play the replay, starting over once it has finished
+   */
+  function toggleReplay() {
+    const { index, total, playing } = player.getState();
+    if (!playing && index >= total) {
+      engine.loadText(replay.text);
+      replayCounts = { chars: 0, errors: 0, t: 0 };
+      handleProgress();
+    }
+    player.toggle();
+    updateReplayControls();
+  }
+
+  /**
+   * Change the replay speed
+   * @param {number} speed
+   */
+  function setReplaySpeed(speed) {
+    player.setSpeed(speed);
+    updateReplayControls();
+  }
+
+  /**
+   * Update the play button and speed buttons
+   */
+  function updateReplayControls() {
+    const controls = container.querySelector('.replay-controls');
+    if (!controls) return;
+
+    const { index, total, playing, speed } = player.getState();
+    controls.querySelector('[data-action="toggle-replay"]').textContent =
+      playing ? 'Pause' : index >= total ? 'Replay' : 'Play';
+    controls.querySelectorAll('[data-speed]').forEach(button => {
+      button.classList.toggle('active', Number(button.dataset.speed) === speed);
+    });
+  }
+
+  /**
+   * Render the replay controls
+   * @returns {string} HTML
+   */
+  function renderReplayControls() {
+    return `
+      <div class="replay-controls" role="group" aria-label="Replay">
+        <button class="btn btn-secondary btn-small" data-action="toggle-replay">Pause</button>
+        ${REPLAY_SPEEDS.map(speed => `<button class="mode-btn" data-speed="${speed}">${speed}×</button>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Get recent per-key and per-pair stats on this layout for adaptive word picks
+   * @returns {Object} { keyStats, bigramStats } or {} when adaptive practice is off
+   */
+  function getAdaptiveStats() {
+    if (!sessionManager || !preferences.getAdaptivePractice()) {
+      return {};
+    }
+
+    const recent = sessionManager
+      .getHistory({ layoutUsed: layoutName })
+      .slice(0, ADAPTIVE_HISTORY_SESSIONS);
+    return {
+      keyStats: aggregateKeyStats(recent),
+      bigramStats: aggregateNgramStats(recent, 'bigramStats'),
+    };
+  }
+
   /**
    * Render the view
    */
@@ -80,23 +379,35 @@ export function createPracticeView(container, options = {}) {
     view.className = 'practice-view';
     view.setAttribute('data-view', 'practice');
 
+    const heading = replay
+      ? `Replay · ${new Date(replay.timestamp).toLocaleString()}`
+      : ghost ? `Race · ${ghost.wpm || 0} WPM ghost from ${new Date(ghost.timestamp).toLocaleDateString()}` : title;
+    const hint = replay
+      ? 'Press <kbd>Space</kbd> to pause or play, <kbd>Esc</kbd> to exit'
+      : 'Press <kbd>Esc</kbd> to exit, <kbd>Ctrl</kbd>+<kbd>Backspace</kbd> to delete a word';
+
     view.innerHTML = `
       <header class="practice-header">
+        ${heading ? `<h2 class="practice-title">${heading}</h2>` : ''}
         <div class="stats-display">
           <span class="stat wpm"><span class="value">0</span> WPM</span>
           <span class="stat accuracy"><span class="value">100</span>%</span>
-          <span class="stat progress"><span class="value">0</span>/${engine.getState().text.length}</span>
+          ${testMode === 'timed'
+            ? `<span class="stat timer"><span class="value">${testTime}</span>s</span>`
+            : `<span class="stat progress"><span class="value">0</span>/${engine.getState().text.length}</span>`}
         </div>
+        ${replay ? renderReplayControls() : lessonId || ghost ? '' : renderModeSelect()}
         <button class="exit-btn" aria-label="Exit practice">✕</button>
       </header>
       <section class="text-area">
-        <div class="text-display" aria-live="polite"></div>
+        <div class="text-display${codeLanguage ? ' code' : ''}" aria-live="polite"></div>
+        ${textSource ? `<p class="text-source">— ${escapeHtml(textSource)}</p>` : ''}
       </section>
       <section class="keyboard-area">
         <div class="keyboard-container"></div>
       </section>
       <footer class="practice-footer">
-        <p class="hint">Press <kbd>Esc</kbd> to exit</p>
+        <p class="hint">${hint}</p>
       </footer>
     `;
 
@@ -104,12 +415,31 @@ export function createPracticeView(container, options = {}) {
 
     // Get element references
     textDisplay = view.querySelector('.text-display');
+    renderedText = null;
     statsDisplay = view.querySelector('.stats-display');
     keyboardContainer = view.querySelector('.keyboard-container');
 
     // Set up exit button
     view.querySelector('.exit-btn').addEventListener('click', exit);
 
+    view.querySelectorAll('.mode-btn[data-mode]').forEach(button => {
+      button.addEventListener('click', () => {
+        setTestMode(button.dataset.mode, Number(button.dataset.time) || testTime);
+      });
+    });
+
+    view.querySelectorAll('.mode-btn[data-language]').forEach(button => {
+      button.addEventListener('click', () => {
+        preferences.setCodeLanguage(button.dataset.language);
+        restart();
+      });
+    });
+
+    view.querySelector('[data-action="toggle-replay"]')?.addEventListener('click', toggleReplay);
+    view.querySelectorAll('.mode-btn[data-speed]').forEach(button => {
+      button.addEventListener('click', () => setReplaySpeed(Number(button.dataset.speed)));
+    });
+
     // Render initial text
     updateTextDisplay();
 
@@ -122,45 +452,160 @@ export function createPracticeView(container, options = {}) {
   }
 
   /**
-   * Update the text display
+   * Render the word-count / timed test selector
+   * @returns {string} HTML
    */
-  function updateTextDisplay() {
-    const state = engine.getState();
-    const text = state.text;
-    const position = state.position;
-    const typed = state.typed;
+  function renderModeSelect() {
+    const button = (label, buttonMode, seconds) => {
+      const active = testMode === buttonMode && (buttonMode !== 'timed' || seconds === testTime);
+      return `<button class="mode-btn${active ? ' active' : ''}" data-mode="${buttonMode}"${seconds ? ` data-time="${seconds}"` : ''}>${label}</button>`;
+    };
+
+    return `
+      <div class="mode-select" role="group" aria-label="Test mode">
+        ${button(`${wordCount} words`, 'words')}
+        ${TIME_LIMITS.map(seconds => button(`${seconds}s`, 'timed', seconds)).join('')}
+        ${button('quote', 'quote')}
+        ${hasCustomText() ? button('my text', 'custom') : ''}
+        ${button('code', 'code')}
+      </div>
+      ${testMode === 'code' ? `
+        <div class="mode-select" role="group" aria-label="Code language">
+          ${CODE_LANGUAGES.map(language => `<button class="mode-btn${language === codeLanguage ? ' active' : ''}" data-language="${language}">${LANGUAGE_NAMES[language]}</button>`).join('')}
+        </div>` : ''}
+    `;
+  }
+
+  /**
+   * Switch between test modes and start a new one
+   * The choice is remembered for the next practice session.
+   * @param {string} newMode - 'words', 'timed', 'quote', 'custom' or 'code'
+   * @param {number} seconds - Timed test length
+   */
+  function setTestMode(newMode, seconds) {
+    testMode = newMode;
+    testTime = seconds;
+    preferences.setPracticeMode(newMode);
+    if (newMode === 'timed') {
+      preferences.setTimeLimit(seconds);
+    }
+    restart();
+  }
+
+  /**
+   * Keep a timed test supplied with words ahead of the cursor
+   */
+  function topUpText() {
+    if (testMode !== 'timed') return;
+
+    while (engine.getRemainingText().length < TIMED_BUFFER_CHARS) {
+      const more = generator.generateText(TIMED_BATCH_WORDS);
+      if (!more) break;
+      engine.appendText(` ${more}`);
+    }
+  }
+
+  /**
+   * Start the countdown of a timed test
+   */
+  function startTimer() {
+    if (testMode !== 'timed' || timerId) return;
+    timerEnd = Date.now() + testTime * 1000;
+    timerId = setInterval(tick, 100);
+  }
+
+  /**
+   * Stop the countdown
+   */
+  function stopTimer() {
+    clearInterval(timerId);
+    timerId = null;
+  }
+
+  /**
+   * Start the ghost caret moving
+   * Both runs are timed from their first keystroke.
+   */
+  function startGhost() {
+    if (!ghostTimeline || ghostTimerId) return;
+    raceStart = Date.now();
+    ghostTimerId = setInterval(moveGhost, GHOST_TICK_MS);
+  }
 
-    // Split text into words (keeping spaces as separators)
-    const words = text.split(/( )/);
+  /**
+   * Stop the ghost caret
+   */
+  function stopGhost() {
+    clearInterval(ghostTimerId);
+    ghostTimerId = null;
+  }
+
+  /**
+   * Move the ghost caret to where the ghost was at this point in its run
+   */
+  function moveGhost() {
+    const position = getGhostPosition(ghostTimeline, Date.now() - raceStart);
+    if (position !== ghostPosition) {
+      ghostPosition = position;
+      updateTextDisplay();
+    }
+  }
+
+  /**
+   * Update the countdown and end the test when time runs out
+   */
+  function tick() {
+    const remaining = Math.max(0, timerEnd - Date.now());
+    const timer = statsDisplay?.querySelector('.timer .value');
+    if (timer) {
+      timer.textContent = Math.ceil(remaining / 1000);
+    }
+    if (remaining === 0) {
+      finish();
+    }
+  }
+
+  /**
+   * Get the classes of a character in the text display
+   * @param {number} index - Position in the text
+   * @param {Object} state - Engine state
+   * @param {number} ghostAt - Ghost caret position, or -1
+   * @returns {string}
+   */
+  function getCharClass(index, state, ghostAt) {
+    const char = state.text[index];
+    let className = WHITESPACE_CLASSES[char] ? `char ${WHITESPACE_CLASSES[char]}` : 'char';
+    if (index < state.position) {
+      className += state.typed[index] === char ? ' correct' : ' error';
+    } else if (index === state.position) {
+      className += ' current';
+    }
+    if (index === ghostAt) className += ' ghost';
+    return className;
+  }
+
+  /**
+   * Build the text display for the engine's text
+   * @param {Object} state - Engine state
+   * @param {number} ghostAt - Ghost caret position, or -1
+   */
+  function renderText(state, ghostAt) {
+    // Split text into words (keeping spaces, tabs and line breaks as separators)
+    const words = state.text.split(/([ \t\n])/);
     let html = '';
     let charIndex = 0;
-    
+
     for (const word of words) {
-      if (word === ' ') {
-        // Render space character
-        const displayChar = '␣';
-        let className = 'char';
-        if (charIndex < position) {
-          const typedChar = typed[charIndex];
-          className += typedChar === ' ' ? ' correct' : ' error';
-        } else if (charIndex === position) {
-          className += ' current';
-        }
-        html += `<span class="${className}">${displayChar}</span>`;
+      if (WHITESPACE_SYMBOLS[word]) {
+        // Render space, Tab or Enter, and start a new line after Enter
+        html += `<span class="${getCharClass(charIndex, state, ghostAt)}">${WHITESPACE_SYMBOLS[word]}</span>`;
+        if (word === '\n') html += '<br>';
         charIndex++;
-      } else {
+      } else if (word) {
         // Wrap word in a non-breaking container
         html += '<span class="word">';
-        for (const char of word) {
-          const displayChar = char;
-          let className = 'char';
-          if (charIndex < position) {
-            const typedChar = typed[charIndex];
-            className += typedChar === char ? ' correct' : ' error';
-          } else if (charIndex === position) {
-            className += ' current';
-          }
-          html += `<span class="${className}">${displayChar}</span>`;
+        for (let i = 0; i < word.length; i++) {
+          html += `<span class="${getCharClass(charIndex, state, ghostAt)}">${escapeHtml(word[i])}</span>`;
           charIndex++;
         }
         html += '</span>';
@@ -168,42 +613,111 @@ export function createPracticeView(container, options = {}) {
     }
 
     textDisplay.innerHTML = html;
+    charElements = [...textDisplay.querySelectorAll('.char')];
+    renderedText = state.text;
+  }
+
+  /**
+   * Update the text display
+   * The text is only rebuilt when it changes; otherwise just the characters
+   * between the old and new cursor, and under the ghost, are restyled, which
+   * keeps long passages responsive.
+   */
+  function updateTextDisplay() {
+    const state = engine.getState();
+    const ghostAt = ghostTimeline ? ghostPosition : -1;
+
+    if (state.text !== renderedText) {
+      renderText(state, ghostAt);
+    } else {
+      const from = Math.min(shownPosition, state.position);
+      const to = Math.min(Math.max(shownPosition, state.position), charElements.length - 1);
+      for (let i = from; i <= to; i++) {
+        charElements[i].className = getCharClass(i, state, ghostAt);
+      }
+      for (const i of [shownGhost, ghostAt]) {
+        if (charElements[i]) charElements[i].className = getCharClass(i, state, ghostAt);
+      }
+    }
+    shownPosition = state.position;
+    shownGhost = ghostAt;
+
+    // Long passages scroll to keep the cursor in view
+    charElements[state.position]?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  /**
+   * Escape HTML entities
+   * @param {string} str
+   * @returns {string}
+   */
+  function escapeHtml(str) {
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   /**
    * Update statistics display
    */
   function updateStatsDisplay() {
-    const s = stats.getStats();
     const state = engine.getState();
-    
+    // Replays measure against the recorded times, whatever the playback speed
+    const s = replay
+      ? {
+        wpm: calculateWPM(state.position, replayCounts.t),
+        accuracy: calculateAccuracy(replayCounts.chars, replayCounts.errors),
+      }
+      : stats.getStats();
+
     statsDisplay.querySelector('.wpm .value').textContent = s.wpm;
     statsDisplay.querySelector('.accuracy .value').textContent = s.accuracy;
-    statsDisplay.querySelector('.progress .value').textContent = state.position;
+    const progress = statsDisplay.querySelector('.progress .value');
+    if (progress) {
+      progress.textContent = state.position;
+    }
   }
 
   /**
    * Highlight the current key on the keyboard
+   * Characters on another layer or behind shift also light the keys to hold,
+   * and the keyboard switches to the layer the character is on.
    */
   function highlightCurrentKey() {
     if (!renderer) return;
     
     renderer.clearHighlights();
     const currentChar = engine.getCurrentChar();
-    if (currentChar) {
-      renderer.highlightKey(currentChar, 'next');
+    if (!currentChar) return;
+
+    const target = findKeyForChar(parsedMapping, currentChar, parsedLayout);
+    if (!target) {
+      // Not on the layout: don't leave the last symbol's layer showing
+      renderer.setLayer(0);
+      renderer.highlightKey(currentChar);
+      return;
     }
+
+    renderer.setLayer(target.layer);
+    renderer.highlightKeyAt(target.index);
+    target.modifiers.forEach(modifier => renderer.highlightKeyAt(modifier.index, 'modifier'));
+    // Dead keys and Compose sequences pressed first, where they share the layer
+    (target.sequence || [])
+      .filter(step => step.layer === target.layer)
+      .forEach(step => renderer.highlightKeyAt(step.index, 'sequence'));
   }
 
   /**
    * Handle character input
    * @param {string} char
    * @param {boolean} correct
+   * @param {Object} info - { expected, blocked } from the engine
    */
-  function handleInput(char, correct) {
-    const expected = engine.getState().text[engine.getState().position - 1];
-    stats.recordInput(char, correct, correct ? undefined : expected);
-    
+  function handleInput(char, correct, { expected, blocked }) {
+    stats?.recordInput(char, correct, correct ? undefined : expected, { blocked });
+
     // Flash the key
     if (renderer) {
       renderer.markKey(char, correct ? 'correct' : 'error');
@@ -215,6 +729,7 @@ export function createPracticeView(container, options = {}) {
    * Handle progress update
    */
   function handleProgress() {
+    topUpText();
     updateTextDisplay();
     updateStatsDisplay();
     highlightCurrentKey();
@@ -224,11 +739,51 @@ export function createPracticeView(container, options = {}) {
    * Handle completion
    */
   function handleComplete() {
+    finish();
+  }
+
+  /**
+   * End the test, save the session and show the results
+   * Word-count tests end when the text is typed, timed tests when time runs out.
+   */
+  function finish() {
+    if (isFinished) return;
+    isFinished = true;
+    stopTimer();
+    stopGhost();
+
     stats.endSession();
     const finalStats = stats.getStats();
+    const state = engine.getState();
+
+    const results = {
+      ...finalStats,
+      errors: state.errors,
+      keyStats: stats.getAllKeyStats(),
+      bigramStats: stats.getAllBigramStats(),
+      trigramStats: stats.getAllTrigramStats(),
+      keystrokes: engine.getLog(),
+      isComplete: true,
+    };
+    if (testMode === 'timed') {
+      // Only the text reached before time ran out was part of the test
+      results.text = state.text.slice(0, state.position);
+    }
+    if (ghost) {
+      results.raceMargin = getRunTime(ghost.keystrokes) - getRunTime(results.keystrokes);
+    }
+    if (testMode === 'custom' && !ghost) {
+      // The next custom session moves on to the next passage
+      preferences.setCustomPassage((passage + 1) % passageCount);
+    }
+    if (sessionManager) {
+      session = sessionManager.endSession(results);
+    } else {
+      Object.assign(session, results);
+    }
     
     if (onComplete) {
-      onComplete(finalStats);
+      onComplete(finalStats, session);
     }
     
     showCompletionScreen(finalStats);
@@ -245,7 +800,7 @@ export function createPracticeView(container, options = {}) {
     overlay.className = 'completion-overlay';
     overlay.innerHTML = `
       <div class="completion-modal">
-        <h2>Session Complete!</h2>
+        <h2>${testMode === 'timed' ? "Time's Up!" : 'Session Complete!'}</h2>
         <div class="final-stats">
           <div class="stat-large">
             <span class="value">${finalStats.wpm}</span>
@@ -256,13 +811,16 @@ export function createPracticeView(container, options = {}) {
             <span class="label">Accuracy</span>
           </div>
         </div>
+        ${ghost ? `<p class="race-result ${session.raceMargin >= 0 ? 'ahead' : 'behind'}">${formatRaceMargin(session.raceMargin)}</p>` : ''}
         <div class="stat-details">
           <p>Characters: ${finalStats.totalChars}</p>
           <p>Errors: ${finalStats.errorChars}</p>
+          ${errorMode === 'free' ? '' : `<p>Blocked keys: ${finalStats.blockedChars}</p>`}
           <p>Time: ${Math.round(finalStats.duration / 1000)}s</p>
         </div>
         <div class="actions">
-          <button class="btn btn-primary restart-btn">Practice Again</button>
+          <button class="btn btn-primary restart-btn">${getRestartLabel()}</button>
+          ${onReplay ? '<button class="btn btn-secondary replay-btn">Watch Replay</button>' : ''}
           <button class="btn btn-secondary exit-btn">Exit</button>
         </div>
       </div>
@@ -271,9 +829,23 @@ export function createPracticeView(container, options = {}) {
     view.appendChild(overlay);
 
     overlay.querySelector('.restart-btn').addEventListener('click', restart);
+    overlay.querySelector('.replay-btn')?.addEventListener('click', () => {
+      destroy();
+      onReplay(session);
+    });
     overlay.querySelector('.exit-btn').addEventListener('click', exit);
   }
 
+  /**
+   * Get the label of the completion screen's restart button
+   * @returns {string}
+   */
+  function getRestartLabel() {
+    if (ghost) return 'Race Again';
+    if (testMode === 'custom' && passageCount > 1) return 'Next Passage';
+    return 'Practice Again';
+  }
+
   /**
    * Handle keyboard input
    * @param {KeyboardEvent} event
@@ -281,19 +853,44 @@ export function createPracticeView(container, options = {}) {
   function handleKeyDown(event) {
     if (!isActive) return;
 
+    if (event.key === 'Escape') {
+      exit();
+      return;
+    }
+
+    if (replay) {
+      if (event.key === ' ') {
+        event.preventDefault();
+        toggleReplay();
+      }
+      return;
+    }
+
+    if (isFinished) return;
+
     // Start tracking on first keystroke
     if (!stats.isRunning()) {
       stats.startSession();
+      startTimer();
+      startGhost();
     }
 
-    if (event.key === 'Escape') {
-      exit();
+    if (event.key === 'Backspace') {
+      if (event.ctrlKey || event.altKey) {
+        engine.backspaceWord();
+      } else {
+        engine.backspace();
+      }
+      stats.breakSequence();
+      handleProgress();
       return;
     }
 
-    if (event.key === 'Backspace') {
-      engine.backspace();
-      handleProgress();
+    // Enter and Tab type line breaks and tabs, in text that has them (code, custom text)
+    const whitespace = WHITESPACE_KEYS[event.key];
+    if (whitespace && !event.ctrlKey && !event.metaKey && engine.getState().text.includes(whitespace)) {
+      event.preventDefault();
+      engine.input(whitespace);
       return;
     }
 
@@ -327,6 +924,9 @@ export function createPracticeView(container, options = {}) {
    */
   function destroy() {
     isActive = false;
+    stopTimer();
+    stopGhost();
+    player?.destroy();
     document.removeEventListener('keydown', handleKeyDown);
     container.innerHTML = '';
   }
@@ -359,5 +959,6 @@ export function createPracticeView(container, options = {}) {
     destroy,
     getStats: () => stats?.getStats(),
     getEngine: () => engine,
+    getSession: () => session,
   };
 }
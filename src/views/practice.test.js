@@ -0,0 +1,623 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createPracticeView, formatRaceMargin } from './practice.js';
+import { createSessionManager } from '../engine/session.js';
+import { createWordGenerator } from '../engine/word-generator.js';
+import { QUOTES, PASSAGE_LENGTH } from '../engine/text-sources.js';
+import { CODE_SNIPPETS } from '../engine/code-snippets.js';
+import { WORD_LISTS } from '../engine/word-lists.js';
+import { saveCustomLayout } from '../keyboard/combined-layouts.js';
+import { storage } from '../core/storage.js';
+import { preferences } from '../core/preferences.js';
+
+/**
+ * Type a string through document keydown events
+ * @param {string} text
+ */
+function type(text) {
+  for (const char of text) {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: char }));
+  }
+}
+
+describe('Practice View', () => {
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    storage.clear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  it('should render practice view with data-view attribute', () => {
+    const view = createPracticeView(container);
+    expect(container.querySelector('[data-view="practice"]')).not.toBeNull();
+    view.destroy();
+  });
+
+  it('should restrict words to allowed keys', () => {
+    const view = createPracticeView(container, { allowedKeys: ['a', 'n', 'd'], wordCount: 5 });
+    const text = view.getEngine().getState().text;
+    expect(text.replace(/ /g, '')).toMatch(/^[and]+$/);
+    view.destroy();
+  });
+
+  it('should tag lesson sessions', () => {
+    const view = createPracticeView(container, { lessonId: 'home-row' });
+    expect(view.getSession().mode).toBe('lesson');
+    expect(view.getSession().lessonId).toBe('home-row');
+    view.destroy();
+  });
+
+  it('should save finished sessions through the session manager', () => {
+    const sessionManager = createSessionManager({ storage });
+    const view = createPracticeView(container, { wordCount: 2, sessionManager });
+    const text = view.getEngine().getState().text;
+
+    type('x');
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace' }));
+    type(text);
+
+    const saved = storage.get('sessions');
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({
+      text,
+      layoutUsed: 'corne-colemak-dh',
+      mappingUsed: 'corne-colemak-dh',
+      isComplete: true,
+    });
+    expect(saved[0].keyStats.x.errors).toBe(1);
+    view.destroy();
+  });
+
+  it('should save bigram and trigram stats with the session', () => {
+    const sessionManager = createSessionManager({ storage });
+    const view = createPracticeView(container, { wordList: ['the'], wordCount: 1, sessionManager });
+
+    type('the');
+
+    const [saved] = storage.get('sessions');
+    expect(Object.keys(saved.bigramStats).sort()).toEqual(['he', 'th']);
+    expect(Object.keys(saved.trigramStats)).toEqual(['the']);
+    view.destroy();
+  });
+
+  it('should show the results when storage is full', () => {
+    const set = vi.spyOn(storage, 'set').mockImplementation(() => {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    });
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const sessionManager = createSessionManager({ storage });
+    const view = createPracticeView(container, { wordCount: 1, sessionManager });
+
+    type(view.getEngine().getState().text);
+
+    expect(container.querySelector('.completion-overlay')).not.toBeNull();
+    expect(sessionManager.getHistory()).toHaveLength(1);
+    view.destroy();
+    set.mockRestore();
+    error.mockRestore();
+  });
+
+  it('should pass the saved session to onComplete', () => {
+    const onComplete = vi.fn();
+    const sessionManager = createSessionManager({ storage });
+    const view = createPracticeView(container, { wordCount: 1, sessionManager, onComplete });
+
+    type(view.getEngine().getState().text);
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    const [stats, session] = onComplete.mock.calls[0];
+    expect(stats.totalChars).toBeGreaterThan(0);
+    expect(sessionManager.getHistory()[0]).toBe(session);
+    view.destroy();
+  });
+
+  it('should switch layer and light the layer key for symbols', () => {
+    const view = createPracticeView(container, { wordList: ['(a)'], wordCount: 1 });
+
+    const svg = container.querySelector('.keyboard-container svg');
+    expect(svg.getAttribute('data-layer')).toBe('1');
+    expect(container.querySelector('.key.active').getAttribute('data-key')).toBe('(');
+    expect(container.querySelector('.key.modifier').getAttribute('data-hold')).toBe('mo1');
+
+    type('(');
+    expect(container.querySelector('.keyboard-container svg').getAttribute('data-layer')).toBe('0');
+    expect(container.querySelector('.key.modifier')).toBeNull();
+    view.destroy();
+  });
+
+  it('should light shift with uppercase letters', () => {
+    const view = createPracticeView(container, { wordList: ['A'], wordCount: 1 });
+
+    expect(container.querySelector('.key.active').getAttribute('data-key')).toBe('a');
+    expect(container.querySelector('.key.modifier').getAttribute('data-key')).toBe('shift');
+    view.destroy();
+  });
+
+  it('should light the dead key before an accented letter', () => {
+    saveCustomLayout('dead-keys', 'Dead Keys', `
+[layout:dead-keys]
+rows: 2
+columns: 3,3
+split: true
+
+row0: c a f | dead-acute e shift
+row1: _ _ _ | _ _ _
+`);
+    preferences.setLayout('dead-keys');
+    const view = createPracticeView(container, { wordList: ['é'], wordCount: 1 });
+
+    expect(container.querySelector('.key.active').getAttribute('data-key')).toBe('e');
+    expect(container.querySelector('.key.sequence').getAttribute('data-key')).toBe('dead-acute');
+
+    type('é');
+    expect(view.getEngine().getState().isComplete).toBe(true);
+    view.destroy();
+  });
+
+  it('should practise words in the chosen language', () => {
+    preferences.setWordLanguage('german');
+    const sessionManager = createSessionManager({ storage });
+    const view = createPracticeView(container, { wordCount: 30, sessionManager });
+
+    const words = view.getEngine().getState().text.split(' ');
+    words.forEach(word => expect(WORD_LISTS.german).toContain(word));
+    expect(view.getSession().wordLanguage).toBe('german');
+    view.destroy();
+  });
+
+  /**
+   * Type a session with gaps between keys and return the saved session
+   * @returns {Object}
+   */
+  function recordSession() {
+    const sessionManager = createSessionManager({ storage });
+    const view = createPracticeView(container, { wordList: ['ab'], wordCount: 1, sessionManager });
+    type('a');
+    vi.advanceTimersByTime(200);
+    type('x');
+    vi.advanceTimersByTime(200);
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace' }));
+    vi.advanceTimersByTime(200);
+    type('b');
+    const session = view.getSession();
+    view.destroy();
+    return session;
+  }
+
+  describe('replay', () => {
+    it('should save the keystroke log with the session', () => {
+      const session = recordSession();
+      expect(session.keystrokes.map(e => [e.t, e.type, e.char])).toEqual([
+        [0, 'char', 'a'],
+        [200, 'char', 'x'],
+        [400, 'backspace', undefined],
+        [600, 'char', 'b'],
+      ]);
+      expect(storage.get('sessions')[0].keystrokes).toHaveLength(4);
+    });
+
+    it('should re-type the session at its recorded pace', () => {
+      const replay = recordSession();
+      const view = createPracticeView(container, { replay });
+      const display = () => container.querySelector('.text-display').textContent;
+
+      expect(container.querySelector('.practice-title').textContent).toContain('Replay');
+      vi.advanceTimersByTime(0);
+      expect(view.getEngine().getState().typed).toBe('a');
+      vi.advanceTimersByTime(200);
+      expect(view.getEngine().getState().typed).toBe('ax');
+      expect(container.querySelector('.char.error')).not.toBeNull();
+      vi.advanceTimersByTime(400);
+      expect(view.getEngine().getState().typed).toBe('ab');
+      expect(display()).toBe('ab');
+      expect(container.querySelector('[data-action="toggle-replay"]').textContent).toBe('Replay');
+      view.destroy();
+    });
+
+    it('should play faster and pause on Space', () => {
+      const replay = recordSession();
+      const view = createPracticeView(container, { replay });
+      container.querySelector('[data-speed="4"]').click();
+      expect(container.querySelector('[data-speed="4"]').classList.contains('active')).toBe(true);
+
+      vi.advanceTimersByTime(60);
+      expect(view.getEngine().getState().typed).toBe('ax');
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: ' ' }));
+      vi.advanceTimersByTime(1000);
+      expect(view.getEngine().getState().typed).toBe('ax');
+      expect(container.querySelector('[data-action="toggle-replay"]').textContent).toBe('Play');
+      view.destroy();
+    });
+
+    it('should not save replays as new sessions', () => {
+      const replay = recordSession();
+      const view = createPracticeView(container, { replay });
+      vi.advanceTimersByTime(1000);
+      expect(storage.get('sessions')).toHaveLength(1);
+      view.destroy();
+    });
+
+    it('should offer the replay when a session is finished', () => {
+      const onReplay = vi.fn();
+      const sessionManager = createSessionManager({ storage });
+      const view = createPracticeView(container, { wordList: ['ab'], wordCount: 1, sessionManager, onReplay });
+      type('ab');
+
+      container.querySelector('.replay-btn').click();
+      expect(onReplay).toHaveBeenCalledWith(view.getSession());
+      view.destroy();
+    });
+  });
+
+  describe('ghost racing', () => {
+    it('should save the seed that regenerates the text', () => {
+      preferences.setAdaptivePractice(false);
+      const wordList = ['one', 'two', 'three', 'four'];
+      const view = createPracticeView(container, { wordList, wordCount: 8 });
+      const { seed, text } = view.getSession();
+
+      expect(typeof seed).toBe('number');
+      expect(createWordGenerator({ wordList, seed }).generateText(8)).toBe(text);
+      view.destroy();
+    });
+
+    it('should move a ghost caret at the pace of the saved run', () => {
+      const ghost = recordSession();
+      const view = createPracticeView(container, { ghost, sessionManager: createSessionManager({ storage }) });
+      const ghostIndex = () => [...container.querySelectorAll('.char')].findIndex(c => c.classList.contains('ghost'));
+
+      expect(container.querySelector('.practice-title').textContent).toContain('Race');
+      expect(container.querySelector('.mode-select')).toBeNull();
+      expect(ghostIndex()).toBe(0);
+
+      type('a');
+      vi.advanceTimersByTime(50);
+      expect(ghostIndex()).toBe(1);
+      vi.advanceTimersByTime(200);
+      expect(ghostIndex()).toBe(-1);
+      vi.advanceTimersByTime(200);
+      expect(ghostIndex()).toBe(1);
+      view.destroy();
+    });
+
+    it('should show how far ahead the race finished', () => {
+      const ghost = recordSession();
+      const view = createPracticeView(container, { ghost, sessionManager: createSessionManager({ storage }) });
+      type('a');
+      vi.advanceTimersByTime(300);
+      type('b');
+
+      const session = view.getSession();
+      expect(session).toMatchObject({ mode: 'race', ghostId: ghost.id, text: 'ab', raceMargin: 300 });
+      expect(container.querySelector('.race-result').textContent).toBe('0.3s ahead of your ghost');
+      expect(container.querySelector('.race-result').classList.contains('ahead')).toBe(true);
+      expect(container.querySelector('.restart-btn').textContent).toBe('Race Again');
+      view.destroy();
+    });
+
+    it('should show how far behind the race finished', () => {
+      const ghost = recordSession();
+      const view = createPracticeView(container, { ghost });
+      type('a');
+      vi.advanceTimersByTime(1000);
+      type('b');
+
+      expect(container.querySelector('.race-result').textContent).toBe('0.4s behind your ghost');
+      view.destroy();
+    });
+
+    it('should format race margins', () => {
+      expect(formatRaceMargin(1250)).toBe('1.3s ahead of your ghost');
+      expect(formatRaceMargin(-500)).toBe('0.5s behind your ghost');
+      expect(formatRaceMargin(0)).toBe('Dead heat with your ghost');
+    });
+  });
+
+  describe('adaptive practice', () => {
+    const seedWeakKey = () => storage.set('sessions', [{
+      id: 's1', timestamp: 1, layoutUsed: 'corne-colemak-dh', isComplete: true,
+      keyStats: {
+        z: { total: 20, errors: 10, avgTime: 600 },
+        a: { total: 20, errors: 0, avgTime: 150 },
+      },
+    }]);
+    const countZ = (text) => text.split(' ').filter(word => word.includes('z')).length;
+
+    it('should favour words with keys that went badly before', () => {
+      seedWeakKey();
+      const sessionManager = createSessionManager({ storage });
+      const view = createPracticeView(container, { wordList: ['za', 'ab'], wordCount: 100, sessionManager });
+      expect(countZ(view.getEngine().getState().text)).toBeGreaterThan(75);
+      view.destroy();
+    });
+
+    it('should pick words uniformly when turned off', () => {
+      seedWeakKey();
+      preferences.setAdaptivePractice(false);
+      const sessionManager = createSessionManager({ storage });
+      const view = createPracticeView(container, { wordList: ['za', 'ab'], wordCount: 100, sessionManager });
+      expect(countZ(view.getEngine().getState().text)).toBeLessThan(75);
+      view.destroy();
+    });
+  });
+
+  describe('error modes', () => {
+    it('should hold the cursor on wrong keys in stop mode', () => {
+      preferences.setErrorMode('stop');
+      const sessionManager = createSessionManager({ storage });
+      const view = createPracticeView(container, { wordList: ['ab'], wordCount: 1, sessionManager });
+
+      type('xab');
+
+      const saved = storage.get('sessions');
+      expect(saved).toHaveLength(1);
+      expect(saved[0]).toMatchObject({ errorMode: 'stop', blockedChars: 1, errorChars: 1 });
+      expect(saved[0].keyStats.x.errors).toBe(1);
+      expect(container.querySelector('.stat-details').textContent).toContain('Blocked keys: 1');
+      view.destroy();
+    });
+
+    it('should delete a word with Ctrl+Backspace', () => {
+      const view = createPracticeView(container, { wordList: ['ab'], wordCount: 2 });
+      type('ab a');
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace', ctrlKey: true }));
+      expect(view.getEngine().getState().typed).toBe('ab ');
+      view.destroy();
+    });
+  });
+
+  describe('timed mode', () => {
+    it('should record word-count tests with their length', () => {
+      const view = createPracticeView(container, { wordCount: 5 });
+      expect(view.getSession()).toMatchObject({ mode: 'words', wordCount: 5, timeLimit: null });
+      view.destroy();
+    });
+
+    it('should show a countdown instead of progress', () => {
+      const view = createPracticeView(container, { mode: 'timed', timeLimit: 15 });
+      expect(container.querySelector('.stat.timer .value').textContent).toBe('15');
+      expect(container.querySelector('.stat.progress')).toBeNull();
+      expect(view.getSession()).toMatchObject({ mode: 'timed', timeLimit: 15, wordCount: null });
+      view.destroy();
+    });
+
+    it('should start the clock on the first keystroke', () => {
+      const view = createPracticeView(container, { mode: 'timed', timeLimit: 15 });
+      vi.advanceTimersByTime(5000);
+      expect(container.querySelector('.stat.timer .value').textContent).toBe('15');
+
+      type(view.getEngine().getCurrentChar());
+      vi.advanceTimersByTime(5000);
+      expect(container.querySelector('.stat.timer .value').textContent).toBe('10');
+      view.destroy();
+    });
+
+    it('should stream in more words as you type', () => {
+      const view = createPracticeView(container, { mode: 'timed', wordList: ['ab'], wordCount: 1 });
+      const engine = view.getEngine();
+      expect(engine.getRemainingText().length).toBeGreaterThanOrEqual(80);
+
+      type(engine.getRemainingText().slice(0, 60));
+      expect(engine.getRemainingText().length).toBeGreaterThanOrEqual(80);
+      expect(engine.getState().isComplete).toBe(false);
+      view.destroy();
+    });
+
+    it('should end and save the session when time runs out', () => {
+      const sessionManager = createSessionManager({ storage });
+      const onComplete = vi.fn();
+      const view = createPracticeView(container, {
+        mode: 'timed', timeLimit: 15, wordList: ['ab'], sessionManager, onComplete,
+      });
+
+      type('ab a');
+      vi.advanceTimersByTime(15000);
+
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      expect(container.querySelector('.completion-modal h2').textContent).toBe("Time's Up!");
+      const saved = storage.get('sessions');
+      expect(saved).toHaveLength(1);
+      expect(saved[0]).toMatchObject({ mode: 'timed', timeLimit: 15, text: 'ab a', isComplete: true });
+
+      type('b');
+      expect(view.getEngine().getState().position).toBe(4);
+      view.destroy();
+    });
+
+    it('should keep lessons tagged as lessons', () => {
+      const view = createPracticeView(container, { lessonId: 'home-row', mode: 'timed' });
+      expect(view.getSession().mode).toBe('lesson');
+      expect(container.querySelector('.mode-select')).toBeNull();
+      view.destroy();
+    });
+
+    it('should switch modes from the header and remember the choice', () => {
+      const view = createPracticeView(container);
+      container.querySelector('.mode-btn[data-time="60"]').click();
+
+      expect(view.getSession()).toMatchObject({ mode: 'timed', timeLimit: 60 });
+      expect(container.querySelector('.mode-btn.active').dataset.time).toBe('60');
+      expect(preferences.getPracticeMode()).toBe('timed');
+      expect(preferences.getTimeLimit()).toBe(60);
+
+      container.querySelector('.mode-btn[data-mode="words"]').click();
+      expect(view.getSession().mode).toBe('words');
+      expect(preferences.getPracticeMode()).toBe('words');
+      view.destroy();
+    });
+  });
+
+  describe('text sources', () => {
+    it('should practise a built-in quote', () => {
+      const view = createPracticeView(container, { mode: 'quote' });
+      const session = view.getSession();
+      const quote = QUOTES.find(q => q.text === session.text);
+
+      expect(quote).toBeDefined();
+      expect(session).toMatchObject({ mode: 'quote', wordCount: null, source: quote.source });
+      expect(container.querySelector('.text-source').textContent).toContain(quote.source);
+      expect(container.querySelector('.mode-btn[data-mode="quote"]').classList.contains('active')).toBe(true);
+      view.destroy();
+    });
+
+    it('should only offer custom text once some is saved', () => {
+      let view = createPracticeView(container, { mode: 'custom' });
+      expect(view.getSession().mode).toBe('words');
+      expect(container.querySelector('.mode-btn[data-mode="custom"]')).toBeNull();
+      view.destroy();
+
+      preferences.setCustomText('Mine.');
+      view = createPracticeView(container, { mode: 'custom' });
+      expect(view.getSession()).toMatchObject({ mode: 'custom', text: 'Mine.' });
+      expect(container.querySelector('.mode-btn[data-mode="custom"]')).not.toBeNull();
+      view.destroy();
+    });
+
+    it('should type line breaks with Enter on the ent key', () => {
+      preferences.setCustomText('ab\ncd');
+      const view = createPracticeView(container, { mode: 'custom' });
+      type('ab');
+
+      expect(container.querySelector('.char.current').textContent).toBe('↵');
+      expect(container.querySelector('.text-display br')).not.toBeNull();
+      expect(container.querySelector('.key.active').getAttribute('data-key')).toBe('ent');
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+      expect(view.getEngine().getState().typed).toBe('ab\n');
+      expect(container.querySelector('.char.newline').classList.contains('correct')).toBe(true);
+      view.destroy();
+    });
+
+    it('should leave Enter and Tab alone in text without line breaks or tabs', () => {
+      const view = createPracticeView(container, { mode: 'words' });
+      const typed = () => view.getEngine().getState().typed;
+
+      for (const key of ['Enter', 'Tab']) {
+        const event = new KeyboardEvent('keydown', { key, cancelable: true });
+        document.dispatchEvent(event);
+        expect(event.defaultPrevented).toBe(false);
+      }
+      expect(typed()).toBe('');
+      expect(view.getEngine().getState().errors).toEqual([]);
+      view.destroy();
+    });
+
+    it('should not type a line break with Ctrl+Enter', () => {
+      preferences.setCustomText('ab\ncd');
+      const view = createPracticeView(container, { mode: 'custom' });
+      type('ab');
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true }));
+      expect(view.getEngine().getState().typed).toBe('ab');
+      view.destroy();
+    });
+
+    it('should work through long text a passage at a time', () => {
+      const sentence = 'This sentence is part of a long pasted article. ';
+      preferences.setCustomText(sentence.repeat(Math.ceil((PASSAGE_LENGTH * 1.5) / sentence.length)).trim());
+      const view = createPracticeView(container, { mode: 'custom' });
+      const first = view.getSession().text;
+
+      expect(first.length).toBeLessThanOrEqual(PASSAGE_LENGTH);
+      expect(container.querySelector('.text-source').textContent).toContain('passage 1 of 2');
+
+      type(first);
+      expect(container.querySelector('.restart-btn').textContent).toBe('Next Passage');
+      expect(preferences.getCustomPassage()).toBe(1);
+
+      container.querySelector('.restart-btn').click();
+      expect(container.querySelector('.text-source').textContent).toContain('passage 2 of 2');
+      expect(view.getSession().text).not.toBe(first);
+      view.destroy();
+    });
+
+    it('should show custom text as text, not markup', () => {
+      preferences.setCustomText('<b>x</b> & y');
+      const view = createPracticeView(container, { mode: 'custom' });
+      expect(container.querySelector('.text-display b')).toBeNull();
+      expect(container.querySelector('.text-display').textContent).toBe('<b>x</b>␣&␣y');
+      view.destroy();
+    });
+  });
+
+  describe('code mode', () => {
+    /**
+     * Press a named key
+     * @param {string} key
+     */
+    function press(key) {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key }));
+    }
+
+    it('should practise a snippet in the chosen language', () => {
+      preferences.setCodeLanguage('python');
+      const view = createPracticeView(container, { mode: 'code' });
+      const session = view.getSession();
+
+      expect(CODE_SNIPPETS.python.map(s => s.code)).toContain(session.text);
+      expect(session).toMatchObject({ mode: 'code', language: 'python', indentation: 'skip' });
+      expect(container.querySelector('.text-display').classList.contains('code')).toBe(true);
+      expect(container.querySelector('.mode-btn[data-language="python"]').classList.contains('active')).toBe(true);
+
+      container.querySelector('.mode-btn[data-language="rust"]').click();
+      expect(view.getSession().language).toBe('rust');
+      expect(preferences.getCodeLanguage()).toBe('rust');
+      view.destroy();
+    });
+
+    it('should type tabs with the Tab key when indentation is required', () => {
+      preferences.setIndentation('type');
+      preferences.setCodeLanguage('shell');
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      const view = createPracticeView(container, { mode: 'code' });
+      vi.restoreAllMocks();
+      const text = view.getSession().text;
+      const firstTab = text.indexOf('\n\t');
+      expect(text).toBe(CODE_SNIPPETS.shell[0].code);
+
+      type(text.slice(0, firstTab));
+      press('Enter');
+      expect(container.querySelector('.char.current').textContent).toBe('⇥');
+      expect(container.querySelector('.key.active').getAttribute('data-key')).toBe('tab');
+      press('Tab');
+      expect(view.getEngine().getState().typed).toBe(text.slice(0, firstTab + 2));
+      view.destroy();
+    });
+
+    it('should jump over indentation when it is skipped', () => {
+      preferences.setCodeLanguage('javascript');
+      const view = createPracticeView(container, { mode: 'code' });
+      const text = view.getSession().text;
+      const lineEnd = text.indexOf('\n');
+
+      type(text.slice(0, lineEnd));
+      press('Enter');
+      const state = view.getEngine().getState();
+      expect(text[state.position]).not.toMatch(/\s/);
+      expect(state.position).toBe(lineEnd + 3);
+      view.destroy();
+    });
+
+    it('should follow symbols onto their layer and back', () => {
+      preferences.setCustomText('a{b');
+      const view = createPracticeView(container, { mode: 'custom' });
+      const layerKey = () => container.querySelector('.key.modifier')?.getAttribute('data-hold');
+
+      type('a');
+      expect(container.querySelector('.key.active').getAttribute('data-key')).toBe('{');
+      expect(layerKey()).toBe('mo1');
+
+      type('{');
+      expect(container.querySelector('.key.active').getAttribute('data-key')).toBe('b');
+      expect(layerKey()).toBeUndefined();
+      view.destroy();
+    });
+  });
+});
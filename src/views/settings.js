@@ -4,10 +4,31 @@
  */
 
 import { preferences } from '../core/preferences.js';
+import { ERROR_MODES, INDENT_MODES } from '../engine/typing-engine.js';
+import {
+  CUSTOM_TEXT_FILE_TYPES,
+  normalizeText,
+  prepareFileText,
+  splitPassages,
+} from '../engine/text-sources.js';
+import { WORD_LANGUAGES, WORD_LANGUAGE_NAMES } from '../engine/word-lists.js';
 import { getAllLayouts, deleteCustomLayout } from '../keyboard/combined-layouts.js';
 import { createKeyboardRenderer } from '../keyboard/renderer.js';
 import { parseCombinedLayout } from '../keyboard/layout-parser.js';
 
+// Labels for the error handling options
+const ERROR_MODE_LABELS = {
+  free: 'Free – wrong keys are typed, fix them with Backspace',
+  stop: 'Stop on error – wrong keys are rejected until the right one is pressed',
+  word: 'Stop on word – the next word only starts once this one is correct',
+};
+
+// Labels for the indentation options
+const INDENT_MODE_LABELS = {
+  type: 'Type it – spaces and tabs at the start of a line are part of the test',
+  skip: 'Skip it – the cursor jumps to the first character of each line',
+};
+
 /**
  * Create the settings view
  * @param {HTMLElement} container - Container element
@@ -22,6 +43,12 @@ export function createSettingsView(container, options = {}) {
 
   // DOM elements
   let layoutSelect = null;
+  let errorModeSelect = null;
+  let wordLanguageSelect = null;
+  let indentationSelect = null;
+  let adaptiveCheckbox = null;
+  let customTextArea = null;
+  let customFileInput = null;
   let previewContainer = null;
   let deleteBtn = null;
   let renderer = null;
@@ -67,6 +94,66 @@ export function createSettingsView(container, options = {}) {
         </div>
       </section>
 
+      <section class="settings-section">
+        <h2>Typing</h2>
+
+        <div class="setting-group">
+          <label for="word-language-select">Word Language</label>
+          <select id="word-language-select" data-setting="word-language">
+            ${WORD_LANGUAGES
+              .map(language => `<option value="${language}" ${language === preferences.getWordLanguage() ? 'selected' : ''}>${WORD_LANGUAGE_NAMES[language]}</option>`)
+              .join('')}
+          </select>
+          <p class="setting-description">Which language's common words to practise with; accented letters use your layout's dead or Compose keys if it has no key for them</p>
+        </div>
+
+        <div class="setting-group">
+          <label for="error-mode-select">Error Handling</label>
+          <select id="error-mode-select" data-setting="error-mode">
+            ${ERROR_MODES
+              .map(mode => `<option value="${mode}" ${mode === preferences.getErrorMode() ? 'selected' : ''}>${ERROR_MODE_LABELS[mode]}</option>`)
+              .join('')}
+          </select>
+          <p class="setting-description">What happens when you press the wrong key during practice</p>
+        </div>
+
+        <div class="setting-group">
+          <label for="indentation-select">Indentation</label>
+          <select id="indentation-select" data-setting="indentation">
+            ${INDENT_MODES
+              .map(mode => `<option value="${mode}" ${mode === preferences.getIndentation() ? 'selected' : ''}>${INDENT_MODE_LABELS[mode]}</option>`)
+              .join('')}
+          </select>
+          <p class="setting-description">How leading indentation is handled in code practice</p>
+        </div>
+
+        <div class="setting-group">
+          <label class="checkbox-label">
+            <input type="checkbox" data-setting="adaptive" ${preferences.getAdaptivePractice() ? 'checked' : ''}>
+            Adaptive practice
+          </label>
+          <p class="setting-description">Pick practice words with the keys you type slowest or miss most often</p>
+        </div>
+      </section>
+
+      <section class="settings-section">
+        <h2>Practice Text</h2>
+
+        <div class="setting-group">
+          <label for="custom-text">Your Text</label>
+          <textarea id="custom-text" class="custom-text" data-setting="custom-text" rows="6"
+            placeholder="Paste a paragraph, an article or notes to practise on"></textarea>
+          <div class="custom-text-actions">
+            <label class="btn btn-secondary btn-small file-label">
+              Load .txt / .md file
+              <input type="file" data-setting="custom-file" accept="${CUSTOM_TEXT_FILE_TYPES}" hidden>
+            </label>
+            <span class="setting-description custom-text-info"></span>
+          </div>
+          <p class="setting-description">Practise it with "my text" in the practice header, one passage at a time. Line breaks are typed with Enter.</p>
+        </div>
+      </section>
+
       <section class="settings-section">
         <h2>Preview</h2>
         <div class="keyboard-preview"></div>
@@ -74,6 +161,7 @@ export function createSettingsView(container, options = {}) {
 
       <nav class="settings-nav">
         <button class="btn btn-secondary" data-action="edit-layout">Edit Layout</button>
+        <button class="btn btn-secondary" data-action="compare-layouts">Compare Layouts</button>
         <p class="hint">Press <kbd>Escape</kbd> to go back</p>
       </nav>
     `;
@@ -82,6 +170,13 @@ export function createSettingsView(container, options = {}) {
 
     // Get DOM references
     layoutSelect = container.querySelector('[data-setting="layout"]');
+    errorModeSelect = container.querySelector('[data-setting="error-mode"]');
+    wordLanguageSelect = container.querySelector('[data-setting="word-language"]');
+    indentationSelect = container.querySelector('[data-setting="indentation"]');
+    adaptiveCheckbox = container.querySelector('[data-setting="adaptive"]');
+    customTextArea = container.querySelector('[data-setting="custom-text"]');
+    customFileInput = container.querySelector('[data-setting="custom-file"]');
+    customTextArea.value = preferences.getCustomText();
     previewContainer = container.querySelector('.keyboard-preview');
     deleteBtn = container.querySelector('[data-action="delete-layout"]');
 
@@ -94,6 +189,7 @@ export function createSettingsView(container, options = {}) {
     // Initial render
     updatePreview();
     updateDeleteButton();
+    updateCustomTextInfo();
   }
 
   /**
@@ -107,6 +203,38 @@ export function createSettingsView(container, options = {}) {
       updateDeleteButton();
     };
 
+    const handleErrorModeChange = (e) => {
+      preferences.setErrorMode(e.target.value);
+    };
+
+    const handleWordLanguageChange = (e) => {
+      preferences.setWordLanguage(e.target.value);
+    };
+
+    const handleIndentationChange = (e) => {
+      preferences.setIndentation(e.target.value);
+    };
+
+    const handleAdaptiveChange = (e) => {
+      preferences.setAdaptivePractice(e.target.checked);
+    };
+
+    const handleCustomTextChange = () => {
+      saveCustomText(customTextArea.value);
+    };
+
+    const handleCustomFile = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        saveCustomText(prepareFileText(event.target.result, file.name));
+      };
+      reader.readAsText(file);
+      e.target.value = ''; // Reset for next load
+    };
+
     const handleDelete = () => {
       const layouts = getAllLayouts();
       const layout = layouts[currentLayoutId];
@@ -131,6 +259,10 @@ export function createSettingsView(container, options = {}) {
       window.location.hash = '/layout';
     };
 
+    const handleCompareLayouts = () => {
+      window.location.hash = '/compare';
+    };
+
     const handleKeyDown = (e) => {
       if (e.key === 'Escape') {
         if (onBack) {
@@ -142,6 +274,12 @@ export function createSettingsView(container, options = {}) {
     };
 
     layoutSelect.addEventListener('change', handleLayoutChange);
+    errorModeSelect.addEventListener('change', handleErrorModeChange);
+    wordLanguageSelect.addEventListener('change', handleWordLanguageChange);
+    indentationSelect.addEventListener('change', handleIndentationChange);
+    adaptiveCheckbox.addEventListener('change', handleAdaptiveChange);
+    customTextArea.addEventListener('change', handleCustomTextChange);
+    customFileInput.addEventListener('change', handleCustomFile);
     deleteBtn.addEventListener('click', handleDelete);
     
     const editBtn = container.querySelector('[data-action="edit-layout"]');
@@ -149,16 +287,48 @@ export function createSettingsView(container, options = {}) {
       editBtn.addEventListener('click', handleEditLayout);
       handlers.push({ element: editBtn, event: 'click', handler: handleEditLayout });
     }
+
+    const compareBtn = container.querySelector('[data-action="compare-layouts"]');
+    compareBtn.addEventListener('click', handleCompareLayouts);
+    handlers.push({ element: compareBtn, event: 'click', handler: handleCompareLayouts });
     
     document.addEventListener('keydown', handleKeyDown);
 
     handlers.push(
       { element: layoutSelect, event: 'change', handler: handleLayoutChange },
+      { element: errorModeSelect, event: 'change', handler: handleErrorModeChange },
+      { element: wordLanguageSelect, event: 'change', handler: handleWordLanguageChange },
+      { element: indentationSelect, event: 'change', handler: handleIndentationChange },
+      { element: adaptiveCheckbox, event: 'change', handler: handleAdaptiveChange },
+      { element: customTextArea, event: 'change', handler: handleCustomTextChange },
+      { element: customFileInput, event: 'change', handler: handleCustomFile },
       { element: deleteBtn, event: 'click', handler: handleDelete },
       { element: document, event: 'keydown', handler: handleKeyDown }
     );
   }
 
+  /**
+   * Clean up and save the custom practice text
+   * @param {string} text
+   */
+  function saveCustomText(text) {
+    const normalized = normalizeText(text);
+    customTextArea.value = normalized;
+    preferences.setCustomText(normalized);
+    updateCustomTextInfo();
+  }
+
+  /**
+   * Show how much custom text there is to practise
+   */
+  function updateCustomTextInfo() {
+    const text = preferences.getCustomText();
+    const passages = splitPassages(text).length;
+    container.querySelector('.custom-text-info').textContent = text
+      ? `${text.length} characters, ${passages} passage${passages === 1 ? '' : 's'}`
+      : 'No text yet';
+  }
+
   /**
    * Update the delete button state
    */
@@ -53,6 +53,94 @@ describe('Settings View', () => {
     });
   });
 
+  describe('error handling', () => {
+    it('should offer every error mode', () => {
+      const { destroy } = createSettingsView(container);
+      const select = container.querySelector('[data-setting="error-mode"]');
+      expect(Array.from(select.options).map(o => o.value)).toEqual(['free', 'stop', 'word']);
+      expect(select.value).toBe('free');
+      destroy();
+    });
+
+    it('should update preferences when the error mode changes', () => {
+      const { destroy } = createSettingsView(container);
+      const select = container.querySelector('[data-setting="error-mode"]');
+
+      select.value = 'word';
+      select.dispatchEvent(new Event('change'));
+
+      expect(storage.get('preferences').errorMode).toBe('word');
+      destroy();
+    });
+
+    it('should update preferences when the indentation handling changes', () => {
+      const { destroy } = createSettingsView(container);
+      const select = container.querySelector('[data-setting="indentation"]');
+      expect(select.value).toBe('skip');
+
+      select.value = 'type';
+      select.dispatchEvent(new Event('change'));
+
+      expect(storage.get('preferences').indentation).toBe('type');
+      destroy();
+    });
+
+    it('should list the word languages and save the choice', () => {
+      const { destroy } = createSettingsView(container);
+      const select = container.querySelector('[data-setting="word-language"]');
+      expect(select.options).toHaveLength(9);
+      expect(select.value).toBe('english');
+
+      select.value = 'german';
+      select.dispatchEvent(new Event('change'));
+
+      expect(storage.get('preferences').wordLanguage).toBe('german');
+      destroy();
+    });
+  });
+
+  describe('adaptive practice', () => {
+    it('should toggle the preference', () => {
+      const { destroy } = createSettingsView(container);
+      const checkbox = container.querySelector('[data-setting="adaptive"]');
+      expect(checkbox.checked).toBe(true);
+
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new Event('change'));
+
+      expect(storage.get('preferences').adaptivePractice).toBe(false);
+      destroy();
+    });
+  });
+
+  describe('practice text', () => {
+    it('should save pasted text cleaned up for practice', () => {
+      const { destroy } = createSettingsView(container);
+      const textarea = container.querySelector('[data-setting="custom-text"]');
+
+      textarea.value = 'First  line\n\n\n“Second” line';
+      textarea.dispatchEvent(new Event('change'));
+
+      expect(storage.get('preferences').customText).toBe('First line\n"Second" line');
+      expect(textarea.value).toBe('First line\n"Second" line');
+      expect(container.querySelector('.custom-text-info').textContent).toBe('24 characters, 1 passage');
+      destroy();
+    });
+
+    it('should load text from a Markdown file', async () => {
+      const { destroy } = createSettingsView(container);
+      const input = container.querySelector('[data-setting="custom-file"]');
+      const file = new File(['# Notes\n\nSome **bold** text'], 'notes.md', { type: 'text/markdown' });
+      Object.defineProperty(input, 'files', { value: [file] });
+
+      input.dispatchEvent(new Event('change'));
+
+      await vi.waitFor(() => expect(storage.get('preferences')?.customText).toBe('Notes\nSome bold text'));
+      expect(container.querySelector('[data-setting="custom-text"]').value).toBe('Notes\nSome bold text');
+      destroy();
+    });
+  });
+
   describe('keyboard preview', () => {
     it('should render keyboard preview', () => {
       createSettingsView(container);
@@ -75,6 +163,16 @@ describe('Settings View', () => {
     });
   });
 
+  describe('layout comparison', () => {
+    it('should open the compare view', () => {
+      const { destroy } = createSettingsView(container);
+      container.querySelector('[data-action="compare-layouts"]').click();
+      expect(window.location.hash).toBe('#/compare');
+      window.location.hash = '';
+      destroy();
+    });
+  });
+
   describe('destroy', () => {
     it('should clean up event listeners', () => {
       const { destroy } = createSettingsView(container);
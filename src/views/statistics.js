@@ -0,0 +1,526 @@
+/**
+ * Statistics View
+ * Session history, trends and per-key breakdowns
+ */
+
+import { storage } from '../core/storage.js';
+import { preferences } from '../core/preferences.js';
+import { createSessionManager } from '../engine/session.js';
+import { aggregateKeyStats, aggregateNgramStats, getLatencyPercentile } from '../engine/statistics.js';
+import { calculateFingerStats } from '../engine/finger-stats.js';
+import { FINGER_COLORS } from '../keyboard/finger-map.js';
+import { getAllLayouts, getLayout } from '../keyboard/combined-layouts.js';
+import { createKeyboardRenderer } from '../keyboard/renderer.js';
+import { parseCombinedLayout } from '../keyboard/layout-parser.js';
+
+const RECENT_SESSION_COUNT = 20;
+const TREND_SESSION_COUNT = 50;
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 24;
+
+// Keys typed fewer times than this are too noisy to shade
+const MIN_KEY_SAMPLES = 3;
+
+// Rows in the slowest bigram/trigram table
+const SLOW_SEQUENCE_COUNT = 10;
+
+/**
+ * Escape HTML entities
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Describe a session's mode with its test length
+ * Timed and word-count results are only comparable at the same length.
+ * @param {Object} session
+ * @returns {string}
+ */
+function formatMode(session) {
+  if (session.mode === 'timed' && session.timeLimit) return `timed ${session.timeLimit}s`;
+  if (session.mode === 'words' && session.wordCount) return `${session.wordCount} words`;
+  if (session.mode === 'race' && session.raceMargin !== undefined) {
+    return `race ${session.raceMargin >= 0 ? '+' : '-'}${(Math.abs(session.raceMargin) / 1000).toFixed(1)}s`;
+  }
+  return session.mode || '-';
+}
+
+/**
+ * Build SVG points for a series scaled into the chart
+ * @param {number[]} values
+ * @param {number} max - Value mapped to the top of the chart
+ * @returns {string}
+ */
+function toPoints(values, max) {
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const step = values.length > 1 ? innerWidth / (values.length - 1) : 0;
+
+  return values
+    .map((value, i) => {
+      const x = CHART_PADDING + i * step;
+      const y = CHART_PADDING + innerHeight - (max > 0 ? (value / max) * innerHeight : 0);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Render the WPM / accuracy trend chart
+ * @param {Object[]} sessions - Sessions in chronological order
+ * @returns {string} SVG markup
+ */
+function renderTrendChart(sessions) {
+  if (sessions.length < 2) {
+    return '<p class="hint">Complete a few more sessions to see a trend.</p>';
+  }
+
+  const wpm = sessions.map(s => s.wpm || 0);
+  const accuracy = sessions.map(s => s.accuracy || 0);
+  const maxWpm = Math.max(...wpm, 10);
+
+  return `
+    <svg class="trend-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}">
+      <line class="trend-axis" x1="${CHART_PADDING}" y1="${CHART_HEIGHT - CHART_PADDING}" x2="${CHART_WIDTH - CHART_PADDING}" y2="${CHART_HEIGHT - CHART_PADDING}" />
+      <text class="trend-label" x="${CHART_PADDING}" y="${CHART_PADDING - 8}">${maxWpm} WPM</text>
+      <polyline class="trend-line trend-accuracy" data-series="accuracy" points="${toPoints(accuracy, 100)}" />
+      <polyline class="trend-line trend-wpm" data-series="wpm" points="${toPoints(wpm, maxWpm)}" />
+    </svg>
+    <p class="trend-legend"><span class="legend-wpm">WPM</span> <span class="legend-accuracy">Accuracy</span></p>
+  `;
+}
+
+/**
+ * Create the statistics view
+ * @param {HTMLElement} container - Container element
+ * @param {Object} [options={}] - View options
+ * @param {Object} [options.sessionManager] - Session manager to read history from
+ * @param {Function} [options.onBack] - Called when leaving the view
+ * @returns {Object} View controller with destroy method
+ */
+export function createStatisticsView(container, options = {}) {
+  const {
+    sessionManager = createSessionManager({ storage }),
+    onBack,
+  } = options;
+
+  // Current filters
+  let layoutFilter = '';
+  let heatMetric = 'errors';
+  let sequenceField = 'bigramStats';
+
+  // DOM elements
+  let layoutSelect = null;
+  let metricSelect = null;
+  let sequenceSelect = null;
+  let renderer = null;
+  let fingerRenderer = null;
+
+  // Event handlers (for cleanup)
+  const handlers = [];
+
+  /**
+   * Initialize the view
+   */
+  function init() {
+    container.innerHTML = '';
+
+    const layouts = getAllLayouts();
+    const usedLayouts = [...new Set(sessionManager.getHistory().map(s => s.layoutUsed).filter(Boolean))];
+
+    const view = document.createElement('main');
+    view.setAttribute('data-view', 'stats');
+    view.className = 'stats-view';
+
+    view.innerHTML = `
+      <header class="stats-header">
+        <h1>Statistics</h1>
+        <div class="stats-filters">
+          <label for="stats-layout">Layout</label>
+          <select id="stats-layout" data-filter="layout">
+            <option value="">All layouts</option>
+            ${usedLayouts
+              .map(id => `<option value="${id}">${layouts[id]?.name || id}</option>`)
+              .join('')}
+          </select>
+        </div>
+      </header>
+
+      <section class="stats-section stats-summary"></section>
+
+      <section class="stats-section">
+        <h2>Trend</h2>
+        <div class="stats-trend"></div>
+      </section>
+
+      <section class="stats-section">
+        <h2>Per-Key</h2>
+        <div class="setting-group">
+          <label for="stats-metric">Show</label>
+          <select id="stats-metric" data-filter="metric">
+            <option value="errors">Error rate</option>
+            <option value="latency">Latency</option>
+          </select>
+        </div>
+        <div class="keyboard-preview stats-heatmap"></div>
+      </section>
+
+      <section class="stats-section">
+        <h2>Fingers &amp; Hands</h2>
+        <div class="keyboard-preview stats-fingers-keyboard"></div>
+        <div class="stats-fingers"></div>
+      </section>
+
+      <section class="stats-section">
+        <h2>Slowest Sequences</h2>
+        <div class="setting-group">
+          <label for="stats-sequence">Show</label>
+          <select id="stats-sequence" data-filter="sequence">
+            <option value="bigramStats">Letter pairs</option>
+            <option value="trigramStats">Trigrams</option>
+          </select>
+        </div>
+        <div class="stats-sequences"></div>
+      </section>
+
+      <section class="stats-section">
+        <h2>Recent Sessions</h2>
+        <div class="stats-recent"></div>
+      </section>
+
+      <nav class="stats-nav">
+        <p class="hint">Press <kbd>Escape</kbd> to go back</p>
+      </nav>
+    `;
+
+    container.appendChild(view);
+
+    layoutSelect = view.querySelector('[data-filter="layout"]');
+    metricSelect = view.querySelector('[data-filter="metric"]');
+    sequenceSelect = view.querySelector('[data-filter="sequence"]');
+    renderer = createKeyboardRenderer(view.querySelector('.stats-heatmap'));
+    fingerRenderer = createKeyboardRenderer(view.querySelector('.stats-fingers-keyboard'));
+
+    bindEvents();
+    update();
+  }
+
+  /**
+   * Bind event handlers
+   */
+  function bindEvents() {
+    const handleLayoutChange = (e) => {
+      layoutFilter = e.target.value;
+      update();
+    };
+
+    const handleMetricChange = (e) => {
+      heatMetric = e.target.value;
+      updateHeatmap(getSessions());
+    };
+
+    const handleSequenceChange = (e) => {
+      sequenceField = e.target.value;
+      updateSequences(getSessions());
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        if (onBack) {
+          onBack();
+        } else {
+          window.location.hash = '/';
+        }
+      }
+    };
+
+    layoutSelect.addEventListener('change', handleLayoutChange);
+    metricSelect.addEventListener('change', handleMetricChange);
+    sequenceSelect.addEventListener('change', handleSequenceChange);
+    document.addEventListener('keydown', handleKeyDown);
+
+    handlers.push(
+      { element: layoutSelect, event: 'change', handler: handleLayoutChange },
+      { element: metricSelect, event: 'change', handler: handleMetricChange },
+      { element: sequenceSelect, event: 'change', handler: handleSequenceChange },
+      { element: document, event: 'keydown', handler: handleKeyDown }
+    );
+  }
+
+  /**
+   * Get the session filter for the current selection
+   * @returns {Object}
+   */
+  function getFilter() {
+    return layoutFilter ? { layoutUsed: layoutFilter } : {};
+  }
+
+  /**
+   * Get filtered sessions, most recent first
+   * @returns {Object[]}
+   */
+  function getSessions() {
+    return sessionManager.getHistory(getFilter());
+  }
+
+  /**
+   * Refresh every section for the current filter
+   */
+  function update() {
+    const sessions = getSessions();
+    updateSummary();
+    updateTrend(sessions);
+    updateHeatmap(sessions);
+    updateFingers(sessions);
+    updateSequences(sessions);
+    updateRecent(sessions);
+  }
+
+  /**
+   * Update the summary numbers
+   */
+  function updateSummary() {
+    const filter = getFilter();
+    const summary = container.querySelector('.stats-summary');
+
+    summary.innerHTML = `
+      <div class="stat-large" data-stat="sessions">
+        <span class="value">${sessionManager.getTotalSessions(filter)}</span>
+        <span class="label">Sessions</span>
+      </div>
+      <div class="stat-large" data-stat="average-wpm">
+        <span class="value">${sessionManager.getAverageWPM(filter)}</span>
+        <span class="label">Avg WPM</span>
+      </div>
+      <div class="stat-large" data-stat="best-wpm">
+        <span class="value">${sessionManager.getBestWPM(filter)}</span>
+        <span class="label">Best WPM</span>
+      </div>
+      <div class="stat-large" data-stat="accuracy">
+        <span class="value">${sessionManager.getAverageAccuracy(filter)}%</span>
+        <span class="label">Accuracy</span>
+      </div>
+      <div class="stat-large" data-stat="time">
+        <span class="value">${formatDuration(sessionManager.getTotalTime(filter))}</span>
+        <span class="label">Practised</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Update the trend chart
+   * @param {Object[]} sessions - Most recent first
+   */
+  function updateTrend(sessions) {
+    const chronological = sessions.slice(0, TREND_SESSION_COUNT).reverse();
+    container.querySelector('.stats-trend').innerHTML = renderTrendChart(chronological);
+  }
+
+  /**
+   * Update the per-key heatmap
+   * @param {Object[]} sessions
+   */
+  function updateHeatmap(sessions) {
+    const layoutId = layoutFilter || preferences.getLayout();
+    const layout = getLayout(layoutId);
+    const heatmapContainer = container.querySelector('.stats-heatmap');
+
+    if (!layout?.definition) {
+      heatmapContainer.innerHTML = '<p class="hint">Layout not available</p>';
+      return;
+    }
+
+    const { physical, mapping } = parseCombinedLayout(layout.definition);
+    renderer.render(physical, mapping);
+
+    const keyStats = Object.entries(aggregateKeyStats(sessions))
+      .filter(([, stats]) => stats.total >= MIN_KEY_SAMPLES);
+    if (keyStats.length === 0) return;
+
+    if (heatMetric === 'latency') {
+      const maxTime = Math.max(...keyStats.map(([, s]) => s.avgTime));
+      for (const [key, s] of keyStats) {
+        renderer.setKeyHeat(key, maxTime > 0 ? s.avgTime / maxTime : 0, `${key}: ${s.avgTime}ms`);
+      }
+    } else {
+      const maxRate = Math.max(...keyStats.map(([, s]) => s.errorRate));
+      for (const [key, s] of keyStats) {
+        const percent = Math.round(s.errorRate * 100);
+        renderer.setKeyHeat(key, maxRate > 0 ? s.errorRate / maxRate : 0, `${key}: ${percent}% errors (${s.errors}/${s.total})`);
+      }
+    }
+  }
+
+  /**
+   * Update the per-finger and per-hand breakdown
+   * Only sessions typed on the layout being drawn count: fingers belong to keys.
+   * @param {Object[]} sessions
+   */
+  function updateFingers(sessions) {
+    const layoutId = layoutFilter || preferences.getLayout();
+    const layout = getLayout(layoutId);
+    const target = container.querySelector('.stats-fingers');
+
+    if (!layout?.definition) {
+      target.innerHTML = '<p class="hint">Layout not available</p>';
+      return;
+    }
+
+    const { physical, mapping } = parseCombinedLayout(layout.definition);
+    fingerRenderer.render(physical, mapping, { showFingers: true });
+
+    const onLayout = sessions.filter(s => s.layoutUsed === layoutId);
+    const result = calculateFingerStats(
+      aggregateKeyStats(onLayout),
+      aggregateNgramStats(onLayout, 'bigramStats'),
+      physical,
+      mapping
+    );
+
+    if (result.hands.left.total + result.hands.right.total === 0) {
+      target.innerHTML = '<p class="hint">No sessions on this layout yet.</p>';
+      return;
+    }
+
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const maxShare = Math.max(...result.fingers.map(f => f.share));
+
+    target.innerHTML = `
+      <div class="finger-bars">
+        ${result.fingers
+          .map(f => `
+            <div class="finger-bar" data-finger="${f.finger}" title="${f.name}: ${f.total} keys, ${percent(f.errorRate)} errors, ${f.avgTime}ms">
+              <span class="finger-share">${percent(f.share)}</span>
+              <span class="finger-fill" style="height: ${maxShare > 0 ? Math.round((f.share / maxShare) * 100) : 0}%; background: ${FINGER_COLORS[f.finger]}"></span>
+              <span class="finger-detail">${percent(f.errorRate)}</span>
+              <span class="finger-detail">${f.avgTime}ms</span>
+            </div>`)
+          .join('')}
+      </div>
+      <div class="hand-stats">
+        <span data-stat="left-hand">Left ${percent(result.hands.left.share)} · ${percent(result.hands.left.errorRate)} errors · ${result.hands.left.avgTime}ms</span>
+        <span data-stat="right-hand">Right ${percent(result.hands.right.share)} · ${percent(result.hands.right.errorRate)} errors · ${result.hands.right.avgTime}ms</span>
+        <span data-stat="alternation">Alternation ${percent(result.alternation)}</span>
+        <span data-stat="same-hand">Same hand ${percent(result.sameHand)}</span>
+        <span data-stat="same-finger">Same finger ${percent(result.sameFinger)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Update the slowest bigram/trigram table
+   * @param {Object[]} sessions
+   */
+  function updateSequences(sessions) {
+    const target = container.querySelector('.stats-sequences');
+    const slowest = Object.entries(aggregateNgramStats(sessions, sequenceField))
+      .filter(([, stats]) => stats.total >= MIN_KEY_SAMPLES && stats.avgTime > 0)
+      .sort((a, b) => b[1].avgTime - a[1].avgTime)
+      .slice(0, SLOW_SEQUENCE_COUNT);
+
+    if (slowest.length === 0) {
+      target.innerHTML = '<p class="hint">Not enough typing yet to rank sequences.</p>';
+      return;
+    }
+
+    target.innerHTML = `
+      <table class="stats-table">
+        <thead>
+          <tr><th>Sequence</th><th>Count</th><th>Avg</th><th>Median</th><th>90th %</th><th>Errors</th></tr>
+        </thead>
+        <tbody>
+          ${slowest
+            .map(([ngram, s]) => `
+              <tr data-sequence="${escapeHtml(ngram)}">
+                <td><kbd>${escapeHtml(ngram)}</kbd></td>
+                <td>${s.total}</td>
+                <td>${s.avgTime}ms</td>
+                <td>${getLatencyPercentile(s.histogram, 50)}ms</td>
+                <td>${getLatencyPercentile(s.histogram, 90)}ms</td>
+                <td>${Math.round(s.errorRate * 100)}%</td>
+              </tr>`)
+            .join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Update the recent sessions table
+   * @param {Object[]} sessions
+   */
+  function updateRecent(sessions) {
+    const recent = container.querySelector('.stats-recent');
+    const layouts = getAllLayouts();
+
+    if (sessions.length === 0) {
+      recent.innerHTML = '<p class="hint">No sessions yet. Press <kbd>p</kbd> from the home screen to practise.</p>';
+      return;
+    }
+
+    recent.innerHTML = `
+      <table class="stats-table">
+        <thead>
+          <tr><th>Date</th><th>Layout</th><th>Mode</th><th>WPM</th><th>Accuracy</th><th>Time</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${sessions
+            .slice(0, RECENT_SESSION_COUNT)
+            .map(s => `
+              <tr data-session="${s.id}">
+                <td>${new Date(s.timestamp).toLocaleString()}</td>
+                <td>${layouts[s.layoutUsed]?.name || s.layoutUsed || '-'}</td>
+                <td>${formatMode(s)}</td>
+                <td>${s.wpm || 0}</td>
+                <td>${s.accuracy ?? 0}%</td>
+                <td>${formatDuration(s.duration || 0)}</td>
+                <td>${s.keystrokes?.length ? `
+                  <a class="replay-link" href="#/replay/${s.id}" title="Watch replay">▶</a>
+                  <a class="race-link" href="#/race/${s.id}" title="Race this run">⚑</a>` : ''}</td>
+              </tr>`)
+            .join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  function destroy() {
+    handlers.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    handlers.length = 0;
+  }
+
+  // Initialize
+  init();
+
+  return {
+    destroy,
+  };
+}
@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createStatisticsView } from './statistics.js';
+import { createSessionManager } from '../engine/session.js';
+import { storage } from '../core/storage.js';
+
+function seedSessions() {
+  storage.set('sessions', [
+    {
+      id: 's1', timestamp: 1000, layoutUsed: 'corne-qwerty', mode: 'practice',
+      wpm: 40, accuracy: 90, duration: 60000, isComplete: true,
+      keyStats: { a: { total: 10, errors: 5, avgTime: 200 }, s: { total: 10, errors: 0, avgTime: 100 } },
+      bigramStats: {
+        as: { total: 4, errors: 1, avgTime: 180, histogram: { 3: 4 } },
+        sa: { total: 4, errors: 0, avgTime: 90, histogram: { 1: 4 } },
+        ss: { total: 1, errors: 0, avgTime: 500, histogram: { 10: 1 } },
+      },
+      trigramStats: { asa: { total: 3, errors: 0, avgTime: 260, histogram: { 5: 3 } } },
+      keystrokes: [{ t: 0, type: 'char', char: 'a', correct: true }],
+    },
+    {
+      id: 's2', timestamp: 2000, layoutUsed: 'corne-colemak-dh', mode: 'timed', timeLimit: 30,
+      wpm: 30, accuracy: 96, duration: 30000, isComplete: true,
+    },
+    {
+      id: 's3', timestamp: 3000, layoutUsed: 'corne-colemak-dh', mode: 'lesson',
+      wpm: 36, accuracy: 98, duration: 30000, isComplete: true,
+    },
+  ]);
+}
+
+describe('Statistics View', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    storage.clear();
+  });
+
+  it('should render stats view with data-view attribute', () => {
+    const { destroy } = createStatisticsView(container);
+    expect(container.querySelector('[data-view="stats"]')).not.toBeNull();
+    destroy();
+  });
+
+  it('should show an empty state without sessions', () => {
+    const { destroy } = createStatisticsView(container);
+    expect(container.querySelector('.stats-recent').textContent).toContain('No sessions yet');
+    destroy();
+  });
+
+  it('should summarise session history', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    expect(container.querySelector('[data-stat="sessions"] .value').textContent).toBe('3');
+    expect(container.querySelector('[data-stat="best-wpm"] .value').textContent).toBe('40');
+    destroy();
+  });
+
+  it('should list recent sessions, newest first', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const rows = container.querySelectorAll('.stats-recent tbody tr');
+    expect(rows).toHaveLength(3);
+    expect(rows[0].dataset.session).toBe('s3');
+    destroy();
+  });
+
+  it('should link sessions with a keystroke log to their replay', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const links = container.querySelectorAll('.stats-recent .replay-link');
+    expect(links).toHaveLength(1);
+    expect(links[0].getAttribute('href')).toBe('#/replay/s1');
+    expect(container.querySelector('.stats-recent .race-link').getAttribute('href')).toBe('#/race/s1');
+    destroy();
+  });
+
+  it('should show the length of timed tests', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const rows = container.querySelectorAll('.stats-recent tbody tr');
+    expect(rows[1].textContent).toContain('timed 30s');
+    destroy();
+  });
+
+  it('should draw a trend chart', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    expect(container.querySelector('.trend-chart [data-series="wpm"]')).not.toBeNull();
+    expect(container.querySelector('.trend-chart [data-series="accuracy"]')).not.toBeNull();
+    destroy();
+  });
+
+  it('should filter by layout', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const select = container.querySelector('[data-filter="layout"]');
+    select.value = 'corne-colemak-dh';
+    select.dispatchEvent(new Event('change'));
+
+    expect(container.querySelector('[data-stat="sessions"] .value').textContent).toBe('2');
+    expect(container.querySelectorAll('.stats-recent tbody tr')).toHaveLength(2);
+    destroy();
+  });
+
+  it('should list the slowest letter pairs with enough samples', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const rows = container.querySelectorAll('.stats-sequences tbody tr');
+    expect(Array.from(rows).map(row => row.dataset.sequence)).toEqual(['as', 'sa']);
+    expect(rows[0].textContent).toContain('180ms');
+    expect(rows[0].textContent).toContain('25%');
+    destroy();
+  });
+
+  it('should escape sequences with markup characters', () => {
+    storage.set('sessions', [{
+      id: 's1', timestamp: 1000, layoutUsed: 'corne-qwerty', mode: 'code',
+      wpm: 40, accuracy: 90, duration: 60000, isComplete: true,
+      bigramStats: {
+        '<T': { total: 4, errors: 0, avgTime: 300, histogram: { 6: 4 } },
+        '"r': { total: 4, errors: 0, avgTime: 200, histogram: { 4: 4 } },
+        '&[': { total: 4, errors: 0, avgTime: 100, histogram: { 2: 4 } },
+      },
+    }]);
+    const { destroy } = createStatisticsView(container);
+    const rows = container.querySelectorAll('.stats-sequences tbody tr');
+    expect(Array.from(rows).map(row => row.dataset.sequence)).toEqual(['<T', '"r', '&[']);
+    expect(Array.from(rows).map(row => row.querySelector('kbd').textContent)).toEqual(['<T', '"r', '&[']);
+    destroy();
+  });
+
+  it('should switch to trigrams', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const select = container.querySelector('[data-filter="sequence"]');
+    select.value = 'trigramStats';
+    select.dispatchEvent(new Event('change'));
+    expect(container.querySelector('.stats-sequences tbody tr').dataset.sequence).toBe('asa');
+    destroy();
+  });
+
+  it('should break layout sessions down by finger and hand', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const select = container.querySelector('[data-filter="layout"]');
+    select.value = 'corne-qwerty';
+    select.dispatchEvent(new Event('change'));
+
+    expect(container.querySelector('.stats-fingers-keyboard [data-finger]')).not.toBeNull();
+    const bars = container.querySelectorAll('.finger-bar');
+    expect(bars).toHaveLength(10);
+    expect(bars[0].querySelector('.finger-share').textContent).toBe('50%');
+    expect(bars[0].querySelector('.finger-fill').style.background).not.toBe('');
+    expect(container.querySelector('[data-stat="left-hand"]').textContent).toContain('Left 100%');
+    expect(container.querySelector('[data-stat="alternation"]').textContent).toBe('Alternation 0%');
+    expect(container.querySelector('[data-stat="same-finger"]').textContent).toBe('Same finger 11%');
+    destroy();
+  });
+
+  it('should say when the layout has no sessions', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    expect(container.querySelector('.stats-fingers').textContent).toContain('No sessions on this layout');
+    destroy();
+  });
+
+  it('should shade keys by error rate', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const select = container.querySelector('[data-filter="layout"]');
+    select.value = 'corne-qwerty';
+    select.dispatchEvent(new Event('change'));
+
+    const key = container.querySelector('.stats-heatmap [data-key="a"]');
+    expect(key.getAttribute('data-heat')).toBe('100');
+    destroy();
+  });
+
+  it('should shade keys by latency', () => {
+    seedSessions();
+    const { destroy } = createStatisticsView(container);
+    const layoutSelect = container.querySelector('[data-filter="layout"]');
+    layoutSelect.value = 'corne-qwerty';
+    layoutSelect.dispatchEvent(new Event('change'));
+    const metricSelect = container.querySelector('[data-filter="metric"]');
+    metricSelect.value = 'latency';
+    metricSelect.dispatchEvent(new Event('change'));
+
+    const key = container.querySelector('.stats-heatmap [data-key="s"]');
+    expect(key.getAttribute('data-heat')).toBe('50');
+    destroy();
+  });
+
+  it('should use a provided session manager', () => {
+    const sessionManager = createSessionManager();
+    sessionManager.startSession({ text: 'hello' });
+    sessionManager.endSession({ wpm: 55, isComplete: true });
+
+    const { destroy } = createStatisticsView(container, { sessionManager });
+    expect(container.querySelector('[data-stat="best-wpm"] .value').textContent).toBe('55');
+    destroy();
+  });
+
+  it('should go back on Escape', () => {
+    const onBack = vi.fn();
+    const { destroy } = createStatisticsView(container, { onBack });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(onBack).toHaveBeenCalled();
+    destroy();
+  });
+});